@@ -2,7 +2,7 @@ import React, { useState, useEffect, useCallback, useRef } from "react";
 import { createRoot } from "react-dom/client";
 import {
   ComposedChart, AreaChart, BarChart, Area, Bar, Line,
-  XAxis, YAxis, CartesianGrid, Tooltip, ReferenceLine,
+  XAxis, YAxis, CartesianGrid, Tooltip, ReferenceLine, ReferenceDot, ReferenceArea,
   ResponsiveContainer, Legend,
 } from "recharts";
 
@@ -18,6 +18,8 @@ const C = {
   textMuted: "#64748b",
   gold: "#fbbf24",
   purple: "#a78bfa",
+  blue: "#60a5fa",
+  orange: "#fb923c",
 };
 
 // ── API Base ──
@@ -44,6 +46,147 @@ const TIMEFRAMES = [
   { label: "1D", value: "1day" },
 ];
 
+// ── Indicator Settings (limits mirror the server's /api/config validation) ──
+const DEFAULT_INDICATORS = {
+  smaFast: 20, smaSlow: 50, rsiPeriod: 14,
+  macdFast: 12, macdSlow: 26, macdSignal: 9, srLookback: 20,
+  atrPeriod: 14, stdDevPeriod: 20, bbPeriod: 20, kcPeriod: 20, kcAtrPeriod: 10, adxPeriod: 14, supertrendPeriod: 10,
+  ichimokuTenkan: 9, ichimokuKijun: 26, ichimokuSenkouB: 52, ichimokuDisplacement: 26,
+  stochPeriod: 14, stochSmooth: 3, stochSignal: 3,
+  stochRsiPeriod: 14, stochRsiLookback: 14, stochRsiSmooth: 3, stochRsiSignal: 3,
+  cciPeriod: 20, williamsRPeriod: 14, mfiPeriod: 14,
+};
+const INDICATOR_FIELDS = [
+  { key: "smaFast", label: "Fast SMA", min: 2, max: 200 },
+  { key: "smaSlow", label: "Slow SMA", min: 2, max: 500 },
+  { key: "rsiPeriod", label: "RSI Period", min: 2, max: 100 },
+  { key: "macdFast", label: "MACD Fast", min: 2, max: 100 },
+  { key: "macdSlow", label: "MACD Slow", min: 2, max: 200 },
+  { key: "macdSignal", label: "MACD Signal", min: 2, max: 100 },
+  { key: "srLookback", label: "S/R Lookback", min: 3, max: 60 },
+];
+// Further periods, edited in Settings only (backtests use the configured values)
+const INDICATOR_PERIOD_GROUPS = [
+  {
+    title: "Volatility & Trend",
+    fields: [
+      { key: "atrPeriod", label: "ATR Period", min: 2, max: 100 },
+      { key: "stdDevPeriod", label: "Std Dev Period", min: 2, max: 200 },
+      { key: "bbPeriod", label: "Bollinger Period", min: 2, max: 200 },
+      { key: "kcPeriod", label: "Keltner Period", min: 2, max: 200 },
+      { key: "kcAtrPeriod", label: "Keltner ATR Period", min: 2, max: 100 },
+      { key: "adxPeriod", label: "ADX Period", min: 2, max: 100 },
+      { key: "supertrendPeriod", label: "Supertrend Period", min: 2, max: 100 },
+      { key: "ichimokuTenkan", label: "Ichimoku Tenkan", min: 2, max: 100 },
+      { key: "ichimokuKijun", label: "Ichimoku Kijun", min: 2, max: 200 },
+      { key: "ichimokuSenkouB", label: "Ichimoku Senkou B", min: 2, max: 300 },
+      { key: "ichimokuDisplacement", label: "Ichimoku Displacement", min: 1, max: 100 },
+    ],
+  },
+  {
+    title: "Oscillators",
+    fields: [
+      { key: "stochPeriod", label: "Stochastic %K", min: 2, max: 100 },
+      { key: "stochSmooth", label: "Stochastic Smoothing", min: 1, max: 20 },
+      { key: "stochSignal", label: "Stochastic %D", min: 1, max: 20 },
+      { key: "stochRsiPeriod", label: "Stoch RSI — RSI Period", min: 2, max: 100 },
+      { key: "stochRsiLookback", label: "Stoch RSI Lookback", min: 2, max: 100 },
+      { key: "stochRsiSmooth", label: "Stoch RSI Smoothing", min: 1, max: 20 },
+      { key: "stochRsiSignal", label: "Stoch RSI %D", min: 1, max: 20 },
+      { key: "cciPeriod", label: "CCI Period", min: 2, max: 200 },
+      { key: "williamsRPeriod", label: "Williams %R Period", min: 2, max: 100 },
+      { key: "mfiPeriod", label: "MFI Period", min: 2, max: 100 },
+    ],
+  },
+];
+// ── Scoring Profile Settings (limits come from /api/config) ──
+const SCORING_LABELS = {
+  threshold: "Score Threshold",
+  confidencePerPoint: "Confidence per Point",
+  minConfidence: "Min Confidence (%)",
+  srProximity: "S/R Proximity (%)",
+  rsiOversold: "RSI Oversold",
+  rsiMildOversold: "RSI Mild Oversold",
+  rsiMildOverbought: "RSI Mild Overbought",
+  rsiOverbought: "RSI Overbought",
+  cooldown: "Cooldown (candles)",
+};
+
+// ── Signal Filters (limits mirror the server's /api/config validation) ──
+const DEFAULT_FILTERS = { minAtrPips: 0, maxAtrPips: 0, maxSpreadPips: 0, sessions: [], trend: false };
+const FILTER_FIELDS = [
+  { key: "minAtrPips", label: "Min ATR (pips)", max: 10000 },
+  { key: "maxAtrPips", label: "Max ATR (pips)", max: 10000 },
+  { key: "maxSpreadPips", label: "Max Spread (pips)", max: 1000 },
+];
+const SESSION_OPTIONS = [
+  { key: "SYDNEY", label: "Sydney" },
+  { key: "TOKYO", label: "Tokyo" },
+  { key: "LONDON", label: "London" },
+  { key: "NEW_YORK", label: "New York" },
+];
+
+// ── Stop Rules (mirror DEFAULT_STOP_RULES in server/trade-manager.js) ──
+const DEFAULT_STOP_RULES = { breakEvenPips: 0, breakEvenBufferPips: 0, breakEvenCloseHalf: false, lockSteps: [] };
+
+// Profit lock steps as "200:100, 400:250" (trigger pips : locked pips)
+const formatLockSteps = (steps) => (steps || []).map(s => `${s.triggerPips}:${s.lockPips}`).join(", ");
+function parseLockSteps(text) {
+  const parts = text.split(/[\s,]+/).filter(Boolean);
+  const steps = parts.map(part => /^(\d+(?:\.\d+)?):(\d+(?:\.\d+)?)$/.exec(part));
+  if (steps.some(match => !match)) return null;
+  return steps.map(match => ({ triggerPips: parseFloat(match[1]), lockPips: parseFloat(match[2]) }));
+}
+
+// ── Pending Orders (types mirror ORDER_TYPES in server/trade-manager.js) ──
+const ORDER_TYPE_OPTIONS = [
+  { value: "BUY_LIMIT", label: "Buy Limit" },
+  { value: "SELL_LIMIT", label: "Sell Limit" },
+  { value: "BUY_STOP", label: "Buy Stop" },
+  { value: "SELL_STOP", label: "Sell Stop" },
+  { value: "BUY_STOP_LIMIT", label: "Buy Stop Limit" },
+  { value: "SELL_STOP_LIMIT", label: "Sell Stop Limit" },
+];
+
+// Bracket take-profit legs from "50@1, 50@2" (percent of the lot @ R multiple)
+function parseLegsInput(text) {
+  const parts = text.split(/[\s,]+/).filter(Boolean);
+  const legs = parts.map(part => /^(\d+(?:\.\d+)?)%?@(\d+(?:\.\d+)?)R?$/i.exec(part));
+  if (legs.some(match => !match)) return null;
+  return legs.map(match => ({ percent: parseFloat(match[1]), r: parseFloat(match[2]) }));
+}
+
+// Partial take-profit levels from "1.1900@50, 1.1950@25" (price @ percent)
+function parseTpLevelsInput(text) {
+  const parts = text.split(/[\s,]+/).filter(Boolean);
+  const levels = parts.map(part => /^(\d+(?:\.\d+)?)@(\d+(?:\.\d+)?)%?$/.exec(part));
+  if (levels.some(match => !match)) return null;
+  return levels.map(match => ({ price: parseFloat(match[1]), percent: parseFloat(match[2]) }));
+}
+
+// Positions / orders in display order, the members of an OCO pair or
+// bracket kept together: [{ groupId, groupType, items }]
+function groupLinked(items) {
+  const blocks = [];
+  const byGroup = new Map();
+  for (const item of items) {
+    if (!item.groupId) {
+      blocks.push({ groupId: null, items: [item] });
+    } else if (byGroup.has(item.groupId)) {
+      byGroup.get(item.groupId).items.push(item);
+    } else {
+      const block = { groupId: item.groupId, groupType: item.groupType, items: [item] };
+      byGroup.set(item.groupId, block);
+      blocks.push(block);
+    }
+  }
+  return blocks;
+}
+
+function formatIndicators(ind) {
+  return `SMA ${ind.smaFast}/${ind.smaSlow} · RSI ${ind.rsiPeriod} · MACD ${ind.macdFast}/${ind.macdSlow}/${ind.macdSignal} · S/R ${ind.srLookback}`;
+}
+
 // ── Panel Component ──
 function Panel({ title, children, span = 1 }) {
   return (
@@ -87,6 +230,27 @@ function StatCard({ label, value, color }) {
   );
 }
 
+// ── Strategy Toggles ──
+// Checkbox list of the strategy plugins from /api/strategies
+function StrategyToggles({ available, selected, onChange }) {
+  const toggle = (id) => onChange(
+    selected.includes(id) ? selected.filter(s => s !== id) : [...selected, id]
+  );
+  return (
+    <div style={{ display: "grid", gap: 6 }}>
+      {available.map(s => (
+        <label key={s.id} style={{ display: "flex", gap: 8, alignItems: "flex-start", fontSize: 12, cursor: "pointer" }}>
+          <input type="checkbox" checked={selected.includes(s.id)} onChange={() => toggle(s.id)} />
+          <span>
+            <span style={{ fontWeight: 600 }}>{s.name}</span>
+            <span style={{ color: C.textMuted }}> — {s.description}</span>
+          </span>
+        </label>
+      ))}
+    </div>
+  );
+}
+
 // ── Button ──
 function Btn({ children, onClick, color = C.accent, disabled, small, style: s }) {
   return (
@@ -112,7 +276,15 @@ function Btn({ children, onClick, color = C.accent, disabled, small, style: s })
 // ══════════════════════════════════════════
 // TAB: Dashboard
 // ══════════════════════════════════════════
-function DashboardTab({ data, srLevels, signals, balance, openPositions, dataSource, mode, pair }) {
+// Market regime labels and colours (matches server/regime.js)
+const REGIME_STYLES = {
+  "trending-up": { label: "Trending Up", color: C.buy },
+  "trending-down": { label: "Trending Down", color: C.sell },
+  ranging: { label: "Ranging", color: C.blue },
+  "high-volatility": { label: "High Volatility", color: C.orange },
+};
+
+function DashboardTab({ data, srLevels, signals, balance, openPositions, dataSource, mode, pair, regime }) {
   const latest = data[data.length - 1];
   const prev = data[data.length - 2];
   const priceChange = latest && prev ? latest.close - prev.close : 0;
@@ -135,9 +307,27 @@ function DashboardTab({ data, srLevels, signals, balance, openPositions, dataSou
               fontSize: 16,
               marginBottom: 8,
             }}>{lastSignal.type}</div>
+            {lastSignal.strategy && (
+              <span style={{ marginLeft: 8, fontSize: 12, color: C.textMuted }}>{lastSignal.strategy}</span>
+            )}
+            {lastSignal.confirmed === false && (
+              <span style={{ marginLeft: 8, fontSize: 12, color: C.gold }} title="The candle is still forming; the signal can disappear at its close">
+                ⏳ Intrabar
+              </span>
+            )}
             <div style={{ fontSize: 13, color: C.textMuted, marginTop: 4 }}>
               Price: {formatPrice(lastSignal.price, pair)} | Confidence: {lastSignal.confidence.toFixed(0)}%
+              {lastSignal.regime && ` | ${REGIME_STYLES[lastSignal.regime].label}`}
             </div>
+            {lastSignal.timeframes?.length > 0 && (
+              <div style={{ display: "flex", gap: 10, fontSize: 12, marginTop: 4 }}>
+                {lastSignal.timeframes.map(f => (
+                  <span key={f.timeframe} style={{ color: f.aligned === null ? C.textMuted : f.aligned ? C.buy : C.sell }}>
+                    {f.timeframe} {f.aligned === null ? "n/a" : f.aligned ? "✓" : "✗"}
+                  </span>
+                ))}
+              </div>
+            )}
             <div style={{ fontSize: 12, color: C.textMuted, marginTop: 8 }}>
               {lastSignal.reasons.map((r, i) => (
                 <div key={i} style={{ marginBottom: 2 }}>{r}</div>
@@ -156,6 +346,12 @@ function DashboardTab({ data, srLevels, signals, balance, openPositions, dataSou
           <StatCard label="Open Positions" value={openPositions.length} />
           <StatCard label="Signals" value={signals.length} color={C.gold} />
           <StatCard label="Data Source" value={dataSource === "twelvedata" ? "LIVE" : "SIM"} color={dataSource === "twelvedata" ? C.buy : C.gold} />
+          <StatCard
+            label="Market Regime"
+            value={regime ? REGIME_STYLES[regime.regime].label : "—"}
+            color={regime ? REGIME_STYLES[regime.regime].color : C.textMuted}
+          />
+          <StatCard label="ADX / Vol %ile" value={regime ? `${regime.adx.toFixed(1)} / ${regime.volPercentile === null ? "—" : regime.volPercentile.toFixed(0)}` : "—"} />
         </div>
       </Panel>
 
@@ -189,9 +385,11 @@ function DashboardTab({ data, srLevels, signals, balance, openPositions, dataSou
             fontSize: 13,
           }}>
             <span style={{ color: level.type === "support" ? C.buy : C.sell, fontWeight: 600 }}>
-              {level.type === "support" ? "S" : "R"} {formatPrice(level.price, pair)}
+              {level.source === "pivot" ? level.label : level.type === "support" ? "S" : "R"} {formatPrice(level.price, pair)}
+            </span>
+            <span style={{ color: C.textMuted }}>
+              {level.source === "pivot" ? "Pivot · " : ""}Strength: {level.strength}
             </span>
-            <span style={{ color: C.textMuted }}>Strength: {level.strength}</span>
           </div>
         )) : (
           <div style={{ color: C.textMuted, fontSize: 13 }}>Loading S/R levels...</div>
@@ -224,13 +422,101 @@ function DashboardTab({ data, srLevels, signals, balance, openPositions, dataSou
 // ══════════════════════════════════════════
 // TAB: Charts
 // ══════════════════════════════════════════
-function ChartsTab({ data, srLevels, signals, pair }) {
-  const chartData = data.slice(-100);
+// Optional price-panel overlays (toggled in ChartsTab)
+const PRICE_OVERLAYS = [
+  { key: "bb", label: "Bollinger (20, 2)" },
+  { key: "kc", label: "Keltner (20, 10, 2)" },
+  { key: "supertrend", label: "Supertrend (10, 3)" },
+  { key: "psar", label: "Parabolic SAR" },
+  { key: "ichimoku", label: "Ichimoku (9, 26, 52)" },
+  { key: "pivots", label: "Pivot Points" },
+  { key: "fibonacci", label: "Fibonacci" },
+  { key: "structure", label: "Market Structure" },
+  { key: "smc", label: "Order Blocks / FVG" },
+];
+
+const BIAS_COLORS = { bullish: C.buy, bearish: C.sell, neutral: C.textMuted };
+
+function ChartsTab({ data, srLevels, signals, divergences, fibonacci, structure, smartMoney, pair, indicators }) {
+  // Split Supertrend by direction so each leg gets its own colour
+  const chartData = data.slice(-100).map(d => ({
+    ...d,
+    supertrendUp: d.supertrendDir === 1 ? d.supertrend : null,
+    supertrendDown: d.supertrendDir === -1 ? d.supertrend : null,
+  }));
+  // Divergences whose swings are both inside the chart window, on its x-axis
+  const divergenceSegments = (indicator) => divergences
+    .filter(d => d.indicator === indicator)
+    .map(d => {
+      const start = chartData.find(c => c.time === d.startTime);
+      const end = chartData.find(c => c.time === d.endTime);
+      return start && end ? { ...d, x1: start.timestamp, x2: end.timestamp } : null;
+    })
+    .filter(Boolean);
+  const renderDivergences = (indicator) => divergenceSegments(indicator).map((d, i) => (
+    <ReferenceLine
+      key={`div-${indicator}-${i}`}
+      segment={[{ x: d.x1, y: d.startValue }, { x: d.x2, y: d.endValue }]}
+      stroke={d.type === "bullish" ? C.buy : C.sell}
+      strokeWidth={2}
+      strokeDasharray={d.kind === "hidden" ? "4 2" : undefined}
+      ifOverflow="extendDomain"
+    />
+  ));
+  // Fib levels of the most recent confirmed impulse, plus its leg when visible
+  const fibImpulse = fibonacci.impulses[fibonacci.impulses.length - 1];
+  const fibStart = fibImpulse && chartData.find(c => c.time === fibImpulse.start.time);
+  const fibEnd = fibImpulse && chartData.find(c => c.time === fibImpulse.end.time);
+  // Labelled swings and structure breaks inside the chart window
+  const byTime = (time) => chartData.find(c => c.time === time);
+  const structureSwings = structure.swings.filter(s => s.label && byTime(s.time));
+  const structureEvents = structure.events
+    .filter(e => byTime(e.time))
+    .map(e => ({ ...e, x1: (byTime(e.swingTime) || chartData[0]).timestamp, x2: byTime(e.time).timestamp }));
+  // Fresh order blocks / FVGs from their origin candle to the chart edge,
+  // fresh liquidity pools as lines and recent sweeps as markers
+  const lastTimestamp = chartData.length > 0 ? chartData[chartData.length - 1].timestamp : null;
+  const smcAreas = smartMoney.zones
+    .filter(z => z.kind !== "liquidity" && z.status === "fresh")
+    .map(z => ({ ...z, x1: (byTime(z.time) || chartData[0]).timestamp }));
+  const smcPools = smartMoney.zones.filter(z => z.kind === "liquidity" && z.status === "fresh");
+  const smcSweeps = smartMoney.zones
+    .filter(z => z.swept && data[z.mitigatedIndex] && byTime(data[z.mitigatedIndex].time))
+    .map(z => ({ ...z, x: byTime(data[z.mitigatedIndex].time).timestamp }));
+  const [overlays, setOverlays] = useState({ bb: true, kc: false, supertrend: false, psar: false, ichimoku: false, pivots: true, fibonacci: true, structure: true, smc: false });
+  // Structural bias on other timeframes (fetched on demand to spare API credits)
+  const [timeframeBias, setTimeframeBias] = useState([]);
+  const loadTimeframeBias = useCallback(() => {
+    fetch(`${API}/structure?pair=${encodeURIComponent(pair)}`)
+      .then(r => r.json())
+      .then(d => setTimeframeBias(d.timeframes || []))
+      .catch(() => {});
+  }, [pair]);
+  useEffect(() => { loadTimeframeBias(); }, [loadTimeframeBias]);
+  const digits = PAIR_DIGITS[pair] || 4;
 
   return (
     <div style={{ display: "grid", gap: 16 }}>
       {/* Price Chart with S/R + SMAs */}
       <Panel title="Price Action with S/R & Moving Averages" span={2}>
+        <div style={{ display: "flex", gap: 4, marginBottom: 8 }}>
+          {PRICE_OVERLAYS.map(o => (
+            <button
+              key={o.key}
+              onClick={() => setOverlays(prev => ({ ...prev, [o.key]: !prev[o.key] }))}
+              style={{
+                padding: "4px 10px",
+                fontSize: 11,
+                fontWeight: 600,
+                background: overlays[o.key] ? `${C.accent}20` : "transparent",
+                color: overlays[o.key] ? C.accent : C.textMuted,
+                border: `1px solid ${overlays[o.key] ? C.accent : C.panelBorder}`,
+                borderRadius: 4,
+                cursor: "pointer",
+              }}
+            >{o.label}</button>
+          ))}
+        </div>
         <ResponsiveContainer width="100%" height={350}>
           <ComposedChart data={chartData}>
             <CartesianGrid stroke={C.panelBorder} strokeDasharray="3 3" />
@@ -239,30 +525,144 @@ function ChartsTab({ data, srLevels, signals, pair }) {
             <Tooltip contentStyle={{ background: C.panel, border: `1px solid ${C.panelBorder}`, borderRadius: 6, fontSize: 12 }} />
             <Legend wrapperStyle={{ fontSize: 11 }} />
             <Line type="monotone" dataKey="close" stroke={C.accent} strokeWidth={2} dot={false} name="Price" />
-            <Line type="monotone" dataKey="sma20" stroke={C.gold} strokeWidth={1} dot={false} name="SMA 20" strokeDasharray="4 2" />
-            <Line type="monotone" dataKey="sma50" stroke={C.purple} strokeWidth={1} dot={false} name="SMA 50" strokeDasharray="4 2" />
-            {/* S/R Reference Lines */}
-            {srLevels.map((level, i) => (
+            <Line type="monotone" dataKey="smaFast" stroke={C.gold} strokeWidth={1} dot={false} name={`SMA ${indicators.smaFast}`} strokeDasharray="4 2" />
+            <Line type="monotone" dataKey="smaSlow" stroke={C.purple} strokeWidth={1} dot={false} name={`SMA ${indicators.smaSlow}`} strokeDasharray="4 2" />
+            {overlays.bb && <Line type="monotone" dataKey="bbUpper" stroke={C.blue} strokeWidth={1} dot={false} name="BB Upper" />}
+            {overlays.bb && <Line type="monotone" dataKey="bbMiddle" stroke={C.blue} strokeWidth={1} dot={false} name="BB Middle" strokeDasharray="2 2" />}
+            {overlays.bb && <Line type="monotone" dataKey="bbLower" stroke={C.blue} strokeWidth={1} dot={false} name="BB Lower" />}
+            {overlays.kc && <Line type="monotone" dataKey="kcUpper" stroke={C.orange} strokeWidth={1} dot={false} name="KC Upper" />}
+            {overlays.kc && <Line type="monotone" dataKey="kcMiddle" stroke={C.orange} strokeWidth={1} dot={false} name="KC Middle" strokeDasharray="2 2" />}
+            {overlays.kc && <Line type="monotone" dataKey="kcLower" stroke={C.orange} strokeWidth={1} dot={false} name="KC Lower" />}
+            {overlays.supertrend && <Line type="stepAfter" dataKey="supertrendUp" stroke={C.buy} strokeWidth={1.5} dot={false} name="Supertrend ▲" />}
+            {overlays.supertrend && <Line type="stepAfter" dataKey="supertrendDown" stroke={C.sell} strokeWidth={1.5} dot={false} name="Supertrend ▼" />}
+            {overlays.psar && <Line dataKey="psar" stroke="none" dot={{ r: 1.5, fill: C.gold, stroke: C.gold }} isAnimationActive={false} name="PSAR" />}
+            {overlays.ichimoku && <Line type="monotone" dataKey="tenkan" stroke={C.blue} strokeWidth={1} dot={false} name="Tenkan" />}
+            {overlays.ichimoku && <Line type="monotone" dataKey="kijun" stroke={C.sell} strokeWidth={1} dot={false} name="Kijun" />}
+            {overlays.ichimoku && <Line type="monotone" dataKey="senkouA" stroke={C.buy} strokeWidth={1} dot={false} name="Senkou A" strokeOpacity={0.6} />}
+            {overlays.ichimoku && <Line type="monotone" dataKey="senkouB" stroke={C.sell} strokeWidth={1} dot={false} name="Senkou B" strokeOpacity={0.6} />}
+            {overlays.ichimoku && <Line type="monotone" dataKey="chikou" stroke={C.purple} strokeWidth={1} dot={false} name="Chikou" strokeDasharray="2 2" />}
+            {/* S/R Reference Lines (swing levels dashed, pivot points dotted) */}
+            {srLevels.filter(level => level.source !== "pivot" || overlays.pivots).map((level, i) => (
               <ReferenceLine
                 key={i}
                 y={level.price}
-                stroke={level.type === "support" ? C.buy : C.sell}
-                strokeDasharray="6 3"
+                stroke={level.source === "pivot" ? C.gold : level.type === "support" ? C.buy : C.sell}
+                strokeDasharray={level.source === "pivot" ? "2 4" : "6 3"}
                 strokeOpacity={0.6}
                 label={{
-                  value: `${level.type === "support" ? "S" : "R"} ${formatPrice(level.price, pair)}`,
-                  fill: level.type === "support" ? C.buy : C.sell,
+                  value: level.source === "pivot"
+                    ? `${level.label} ${formatPrice(level.price, pair)}`
+                    : `${level.type === "support" ? "S" : "R"} ${formatPrice(level.price, pair)}`,
+                  fill: level.source === "pivot" ? C.gold : level.type === "support" ? C.buy : C.sell,
                   fontSize: 10,
-                  position: "right",
+                  position: level.source === "pivot" ? "insideLeft" : "right",
                 }}
               />
             ))}
+            {overlays.fibonacci && fibImpulse && fibImpulse.levels.map(level => (
+              <ReferenceLine
+                key={`fib-${level.ratio}`}
+                y={level.price}
+                stroke={C.purple}
+                strokeDasharray="1 3"
+                strokeOpacity={0.7}
+                label={{ value: `Fib ${level.label} ${formatPrice(level.price, pair)}`, fill: C.purple, fontSize: 10, position: "insideRight" }}
+              />
+            ))}
+            {overlays.fibonacci && fibStart && fibEnd && (
+              <ReferenceLine
+                segment={[{ x: fibStart.timestamp, y: fibImpulse.start.price }, { x: fibEnd.timestamp, y: fibImpulse.end.price }]}
+                stroke={C.purple}
+                strokeWidth={1.5}
+              />
+            )}
+            {overlays.smc && smcAreas.map((z, i) => (
+              <ReferenceArea
+                key={`smc-${i}`}
+                x1={z.x1}
+                x2={lastTimestamp}
+                y1={z.bottom}
+                y2={z.top}
+                fill={z.type === "bullish" ? C.buy : C.sell}
+                fillOpacity={z.kind === "orderBlock" ? 0.18 : 0.08}
+                stroke="none"
+                ifOverflow="extendDomain"
+                label={{ value: z.kind === "orderBlock" ? "OB" : "FVG", fill: z.type === "bullish" ? C.buy : C.sell, fontSize: 9, position: "insideLeft" }}
+              />
+            ))}
+            {overlays.smc && smcPools.map((z, i) => (
+              <ReferenceLine
+                key={`liq-${i}`}
+                y={z.type === "bearish" ? z.top : z.bottom}
+                stroke={C.orange}
+                strokeDasharray="1 2"
+                label={{ value: z.type === "bearish" ? "EQH" : "EQL", fill: C.orange, fontSize: 9, position: "insideRight" }}
+              />
+            ))}
+            {overlays.smc && smcSweeps.map((z, i) => (
+              <ReferenceDot
+                key={`sweep-${i}`}
+                x={z.x}
+                y={z.type === "bearish" ? z.top : z.bottom}
+                r={4}
+                fill={C.orange}
+                stroke="none"
+                label={{ value: "Sweep", fill: C.orange, fontSize: 9, position: z.type === "bearish" ? "top" : "bottom" }}
+              />
+            ))}
+            {overlays.structure && structureSwings.map((s, i) => (
+              <ReferenceDot
+                key={`ms-${i}`}
+                x={byTime(s.time).timestamp}
+                y={s.price}
+                r={3}
+                fill={s.type === "high" ? C.sell : C.buy}
+                stroke="none"
+                label={{ value: s.label, fill: s.type === "high" ? C.sell : C.buy, fontSize: 9, position: s.type === "high" ? "top" : "bottom" }}
+              />
+            ))}
+            {overlays.structure && structureEvents.map((e, i) => (
+              <ReferenceLine
+                key={`bos-${i}`}
+                segment={[{ x: e.x1, y: e.price }, { x: e.x2, y: e.price }]}
+                stroke={BIAS_COLORS[e.direction]}
+                strokeDasharray="3 3"
+                label={{ value: e.type, fill: BIAS_COLORS[e.direction], fontSize: 9, position: "top" }}
+              />
+            ))}
           </ComposedChart>
         </ResponsiveContainer>
       </Panel>
 
+      {/* Market Structure Bias */}
+      <Panel title="Market Structure" span={2}>
+        <div style={{ display: "flex", gap: 16, alignItems: "center", flexWrap: "wrap", fontSize: 12 }}>
+          {timeframeBias.map(tf => (
+            <div key={tf.timeframe} style={{ display: "flex", gap: 6, alignItems: "center" }}>
+              <span style={{ color: C.textMuted }}>{tf.timeframe}</span>
+              <span style={{ color: BIAS_COLORS[tf.bias], fontWeight: 700, textTransform: "uppercase" }}>{tf.bias}</span>
+              {tf.sequence && <span style={{ color: C.textMuted }}>{tf.sequence}</span>}
+              {tf.lastEvent && <span style={{ color: C.textMuted }}>· last {tf.lastEvent.type}</span>}
+            </div>
+          ))}
+          <button
+            onClick={loadTimeframeBias}
+            style={{
+              marginLeft: "auto",
+              padding: "4px 10px",
+              fontSize: 11,
+              background: "transparent",
+              color: C.textMuted,
+              border: `1px solid ${C.panelBorder}`,
+              borderRadius: 4,
+              cursor: "pointer",
+            }}
+          >Refresh</button>
+        </div>
+      </Panel>
+
       {/* RSI Chart */}
-      <Panel title="RSI (14)" span={2}>
+      <Panel title={`RSI (${indicators.rsiPeriod})`} span={2}>
         <ResponsiveContainer width="100%" height={180}>
           <AreaChart data={chartData}>
             <CartesianGrid stroke={C.panelBorder} strokeDasharray="3 3" />
@@ -278,12 +678,96 @@ function ChartsTab({ data, srLevels, signals, pair }) {
               </linearGradient>
             </defs>
             <Area type="monotone" dataKey="rsi" stroke={C.purple} fill="url(#rsiGrad)" strokeWidth={2} dot={false} />
+            {renderDivergences("rsi")}
           </AreaChart>
         </ResponsiveContainer>
+        <div style={{ fontSize: 11, color: C.textMuted, marginTop: 4 }}>
+          Divergences: <span style={{ color: C.buy }}>bullish</span> / <span style={{ color: C.sell }}>bearish</span> — solid = regular, dashed = hidden
+        </div>
+      </Panel>
+
+      {/* Stochastic Chart */}
+      <Panel title="Stochastic (14, 3, 3)" span={2}>
+        <ResponsiveContainer width="100%" height={150}>
+          <ComposedChart data={chartData}>
+            <CartesianGrid stroke={C.panelBorder} strokeDasharray="3 3" />
+            <XAxis dataKey="timestamp" tick={{ fill: C.textMuted, fontSize: 10 }} interval="preserveStartEnd" />
+            <YAxis domain={[0, 100]} tick={{ fill: C.textMuted, fontSize: 10 }} width={40} />
+            <Tooltip contentStyle={{ background: C.panel, border: `1px solid ${C.panelBorder}`, borderRadius: 6, fontSize: 12 }} />
+            <Legend wrapperStyle={{ fontSize: 11 }} />
+            <ReferenceLine y={80} stroke={C.sell} strokeDasharray="4 2" strokeOpacity={0.5} label={{ value: "80", fill: C.sell, fontSize: 10 }} />
+            <ReferenceLine y={20} stroke={C.buy} strokeDasharray="4 2" strokeOpacity={0.5} label={{ value: "20", fill: C.buy, fontSize: 10 }} />
+            <Line type="monotone" dataKey="stochK" stroke={C.accent} strokeWidth={1.5} dot={false} name="%K" />
+            <Line type="monotone" dataKey="stochD" stroke={C.sell} strokeWidth={1} dot={false} name="%D" />
+          </ComposedChart>
+        </ResponsiveContainer>
+      </Panel>
+
+      {/* Stochastic RSI Chart */}
+      <Panel title="Stochastic RSI (14, 14, 3, 3)" span={2}>
+        <ResponsiveContainer width="100%" height={150}>
+          <ComposedChart data={chartData}>
+            <CartesianGrid stroke={C.panelBorder} strokeDasharray="3 3" />
+            <XAxis dataKey="timestamp" tick={{ fill: C.textMuted, fontSize: 10 }} interval="preserveStartEnd" />
+            <YAxis domain={[0, 100]} tick={{ fill: C.textMuted, fontSize: 10 }} width={40} />
+            <Tooltip contentStyle={{ background: C.panel, border: `1px solid ${C.panelBorder}`, borderRadius: 6, fontSize: 12 }} />
+            <Legend wrapperStyle={{ fontSize: 11 }} />
+            <ReferenceLine y={80} stroke={C.sell} strokeDasharray="4 2" strokeOpacity={0.5} label={{ value: "80", fill: C.sell, fontSize: 10 }} />
+            <ReferenceLine y={20} stroke={C.buy} strokeDasharray="4 2" strokeOpacity={0.5} label={{ value: "20", fill: C.buy, fontSize: 10 }} />
+            <Line type="monotone" dataKey="stochRsiK" stroke={C.purple} strokeWidth={1.5} dot={false} name="%K" />
+            <Line type="monotone" dataKey="stochRsiD" stroke={C.gold} strokeWidth={1} dot={false} name="%D" />
+          </ComposedChart>
+        </ResponsiveContainer>
+      </Panel>
+
+      {/* CCI Chart */}
+      <Panel title="CCI (20)" span={2}>
+        <ResponsiveContainer width="100%" height={150}>
+          <ComposedChart data={chartData}>
+            <CartesianGrid stroke={C.panelBorder} strokeDasharray="3 3" />
+            <XAxis dataKey="timestamp" tick={{ fill: C.textMuted, fontSize: 10 }} interval="preserveStartEnd" />
+            <YAxis domain={["auto", "auto"]} tick={{ fill: C.textMuted, fontSize: 10 }} width={40} />
+            <Tooltip contentStyle={{ background: C.panel, border: `1px solid ${C.panelBorder}`, borderRadius: 6, fontSize: 12 }} />
+            <ReferenceLine y={100} stroke={C.sell} strokeDasharray="4 2" strokeOpacity={0.5} label={{ value: "100", fill: C.sell, fontSize: 10 }} />
+            <ReferenceLine y={0} stroke={C.textMuted} strokeOpacity={0.5} />
+            <ReferenceLine y={-100} stroke={C.buy} strokeDasharray="4 2" strokeOpacity={0.5} label={{ value: "-100", fill: C.buy, fontSize: 10 }} />
+            <Line type="monotone" dataKey="cci" stroke={C.blue} strokeWidth={1.5} dot={false} name="CCI" />
+          </ComposedChart>
+        </ResponsiveContainer>
+      </Panel>
+
+      {/* Williams %R Chart */}
+      <Panel title="Williams %R (14)" span={2}>
+        <ResponsiveContainer width="100%" height={150}>
+          <ComposedChart data={chartData}>
+            <CartesianGrid stroke={C.panelBorder} strokeDasharray="3 3" />
+            <XAxis dataKey="timestamp" tick={{ fill: C.textMuted, fontSize: 10 }} interval="preserveStartEnd" />
+            <YAxis domain={[-100, 0]} tick={{ fill: C.textMuted, fontSize: 10 }} width={40} />
+            <Tooltip contentStyle={{ background: C.panel, border: `1px solid ${C.panelBorder}`, borderRadius: 6, fontSize: 12 }} />
+            <ReferenceLine y={-20} stroke={C.sell} strokeDasharray="4 2" strokeOpacity={0.5} label={{ value: "-20", fill: C.sell, fontSize: 10 }} />
+            <ReferenceLine y={-80} stroke={C.buy} strokeDasharray="4 2" strokeOpacity={0.5} label={{ value: "-80", fill: C.buy, fontSize: 10 }} />
+            <Line type="monotone" dataKey="williamsR" stroke={C.orange} strokeWidth={1.5} dot={false} name="%R" />
+          </ComposedChart>
+        </ResponsiveContainer>
+      </Panel>
+
+      {/* MFI Chart */}
+      <Panel title="Money Flow Index (14)" span={2}>
+        <ResponsiveContainer width="100%" height={150}>
+          <ComposedChart data={chartData}>
+            <CartesianGrid stroke={C.panelBorder} strokeDasharray="3 3" />
+            <XAxis dataKey="timestamp" tick={{ fill: C.textMuted, fontSize: 10 }} interval="preserveStartEnd" />
+            <YAxis domain={[0, 100]} tick={{ fill: C.textMuted, fontSize: 10 }} width={40} />
+            <Tooltip contentStyle={{ background: C.panel, border: `1px solid ${C.panelBorder}`, borderRadius: 6, fontSize: 12 }} />
+            <ReferenceLine y={80} stroke={C.sell} strokeDasharray="4 2" strokeOpacity={0.5} label={{ value: "80", fill: C.sell, fontSize: 10 }} />
+            <ReferenceLine y={20} stroke={C.buy} strokeDasharray="4 2" strokeOpacity={0.5} label={{ value: "20", fill: C.buy, fontSize: 10 }} />
+            <Line type="monotone" dataKey="mfi" stroke={C.gold} strokeWidth={1.5} dot={false} name="MFI" />
+          </ComposedChart>
+        </ResponsiveContainer>
       </Panel>
 
       {/* MACD Chart */}
-      <Panel title="MACD (12, 26, 9)" span={2}>
+      <Panel title={`MACD (${indicators.macdFast}, ${indicators.macdSlow}, ${indicators.macdSignal})`} span={2}>
         <ResponsiveContainer width="100%" height={200}>
           <ComposedChart data={chartData}>
             <CartesianGrid stroke={C.panelBorder} strokeDasharray="3 3" />
@@ -298,6 +782,39 @@ function ChartsTab({ data, srLevels, signals, pair }) {
             </Bar>
             <Line type="monotone" dataKey="macd" stroke={C.accent} strokeWidth={1.5} dot={false} name="MACD" />
             <Line type="monotone" dataKey="macdSignal" stroke={C.sell} strokeWidth={1.5} dot={false} name="Signal" />
+            {renderDivergences("macd")}
+          </ComposedChart>
+        </ResponsiveContainer>
+      </Panel>
+
+      {/* ADX / DMI Chart */}
+      <Panel title="ADX / DMI (14)" span={2}>
+        <ResponsiveContainer width="100%" height={160}>
+          <ComposedChart data={chartData}>
+            <CartesianGrid stroke={C.panelBorder} strokeDasharray="3 3" />
+            <XAxis dataKey="timestamp" tick={{ fill: C.textMuted, fontSize: 10 }} interval="preserveStartEnd" />
+            <YAxis domain={[0, "auto"]} tick={{ fill: C.textMuted, fontSize: 10 }} width={40} />
+            <Tooltip contentStyle={{ background: C.panel, border: `1px solid ${C.panelBorder}`, borderRadius: 6, fontSize: 12 }} />
+            <Legend wrapperStyle={{ fontSize: 11 }} />
+            <ReferenceLine y={25} stroke={C.textMuted} strokeDasharray="4 2" strokeOpacity={0.5} label={{ value: "25", fill: C.textMuted, fontSize: 10 }} />
+            <Line type="monotone" dataKey="adx" stroke={C.gold} strokeWidth={2} dot={false} name="ADX" />
+            <Line type="monotone" dataKey="plusDI" stroke={C.buy} strokeWidth={1} dot={false} name="+DI" />
+            <Line type="monotone" dataKey="minusDI" stroke={C.sell} strokeWidth={1} dot={false} name="-DI" />
+          </ComposedChart>
+        </ResponsiveContainer>
+      </Panel>
+
+      {/* Volatility Chart */}
+      <Panel title="Volatility — ATR (14) & Std Dev (20)" span={2}>
+        <ResponsiveContainer width="100%" height={160}>
+          <ComposedChart data={chartData}>
+            <CartesianGrid stroke={C.panelBorder} strokeDasharray="3 3" />
+            <XAxis dataKey="timestamp" tick={{ fill: C.textMuted, fontSize: 10 }} interval="preserveStartEnd" />
+            <YAxis tick={{ fill: C.textMuted, fontSize: 10 }} width={60} tickFormatter={(v) => v.toFixed(digits + 1)} />
+            <Tooltip contentStyle={{ background: C.panel, border: `1px solid ${C.panelBorder}`, borderRadius: 6, fontSize: 12 }} />
+            <Legend wrapperStyle={{ fontSize: 11 }} />
+            <Line type="monotone" dataKey="atr" stroke={C.orange} strokeWidth={1.5} dot={false} name="ATR" />
+            <Line type="monotone" dataKey="stdDev" stroke={C.blue} strokeWidth={1.5} dot={false} name="Std Dev" />
           </ComposedChart>
         </ResponsiveContainer>
       </Panel>
@@ -310,9 +827,207 @@ function ChartsTab({ data, srLevels, signals, pair }) {
 // ══════════════════════════════════════════
 // TAB: Virtual Trade
 // ══════════════════════════════════════════
-function TradeTab({ data, signals, openPositions, balance, pair, onTrade, onClose }) {
+function TradeTab({ data, signals, openPositions, pendingOrders, balance, pair, indicators, onTrade, onClose, onPositionAction, onPlaceOrder, onPlaceOco, onCancelOrder }) {
   const latest = data[data.length - 1];
   const lastSignal = signals[signals.length - 1];
+  const [order, setOrder] = useState({ orderType: "BUY_LIMIT", price: "", limitPrice: "", lotSize: 0.1, expiresInMinutes: "" });
+  const [oco, setOco] = useState({ buyPrice: "", sellPrice: "" });
+  const [legsInput, setLegsInput] = useState("");
+  const [tradeError, setTradeError] = useState(null);
+  const [orderError, setOrderError] = useState(null);
+  // Position whose partial close / scale-in / TP level controls are open
+  const [managing, setManaging] = useState(null);
+  const [manage, setManage] = useState({ sl: "", tp: "", scaleLots: 0.05, tpLevels: "", rules: DEFAULT_STOP_RULES, lockSteps: "" });
+  const [manageError, setManageError] = useState(null);
+  const stopLimit = order.orderType.endsWith("STOP_LIMIT");
+  // Empty input = single take profit
+  const legs = legsInput.trim() ? parseLegsInput(legsInput) : undefined;
+
+  const trade = async (type) => {
+    setTradeError(legs === null ? "TP legs must look like 50@1, 50@2" : null);
+    if (legs === null) return;
+    const error = await onTrade(type, legs);
+    if (error) setTradeError(error);
+  };
+
+  const placeOrder = async () => {
+    setOrderError(legs === null ? "TP legs must look like 50@1, 50@2" : null);
+    if (legs === null) return;
+    const error = await onPlaceOrder({
+      orderType: order.orderType,
+      pair,
+      price: parseFloat(order.price),
+      limitPrice: stopLimit ? parseFloat(order.limitPrice) : undefined,
+      lotSize: order.lotSize,
+      expiresInMinutes: order.expiresInMinutes ? parseFloat(order.expiresInMinutes) : undefined,
+      legs,
+    });
+    if (error) setOrderError(error);
+    else setOrder(prev => ({ ...prev, price: "", limitPrice: "" }));
+  };
+
+  const placeOco = async () => {
+    setOrderError(legs === null ? "TP legs must look like 50@1, 50@2" : null);
+    if (legs === null) return;
+    const error = await onPlaceOco({
+      pair,
+      orders: [
+        { orderType: "BUY_STOP", price: parseFloat(oco.buyPrice) },
+        { orderType: "SELL_STOP", price: parseFloat(oco.sellPrice) },
+      ],
+      lotSize: order.lotSize,
+      expiresInMinutes: order.expiresInMinutes ? parseFloat(order.expiresInMinutes) : undefined,
+      legs,
+    });
+    if (error) setOrderError(error);
+    else setOco({ buyPrice: "", sellPrice: "" });
+  };
+
+  const positionAction = async (action, body) => {
+    setManageError(null);
+    const error = await onPositionAction(action, { positionId: managing, ...body });
+    if (error) setManageError(error);
+  };
+
+  const setTpLevels = () => {
+    const levels = parseTpLevelsInput(manage.tpLevels);
+    if (levels === null) {
+      setManageError("TP levels must look like 1.1900@50, 1.1950@25");
+      return;
+    }
+    positionAction("tp-levels", { levels });
+  };
+
+  const toggleManage = (pos) => {
+    setManageError(null);
+    if (managing === pos.id) {
+      setManaging(null);
+      return;
+    }
+    setManaging(pos.id);
+    setManage(prev => ({
+      ...prev,
+      sl: pos.sl.toFixed(pos.digits),
+      tp: pos.tp.toFixed(pos.digits),
+      tpLevels: (pos.tpLevels || []).filter(l => !l.hit).map(l => `${l.price}@${l.percent}`).join(", "),
+      rules: { ...DEFAULT_STOP_RULES, ...pos.stopRules },
+      lockSteps: formatLockSteps(pos.stopRules?.lockSteps),
+    }));
+  };
+
+  const setStopRules = () => {
+    const lockSteps = parseLockSteps(manage.lockSteps);
+    if (lockSteps === null) {
+      setManageError("Profit lock steps must look like 200:100, 400:250");
+      return;
+    }
+    positionAction("stop-rules", { rules: { ...manage.rules, lockSteps } });
+  };
+
+  // Only the fields that changed are sent, so each edit is one audit entry
+  const modify = (pos) => {
+    const changes = {};
+    if (manage.sl !== pos.sl.toFixed(pos.digits)) changes.sl = parseFloat(manage.sl);
+    if (manage.tp !== pos.tp.toFixed(pos.digits)) changes.tp = parseFloat(manage.tp);
+    positionAction("modify", { ...changes, source: "ui" });
+  };
+
+  const manageRow = (pos) => (
+    <tr key={`manage-${pos.id}`} style={{ borderBottom: `1px solid ${C.panelBorder}`, background: C.bg }}>
+      <td colSpan={9} style={{ padding: "8px 6px" }}>
+        <div style={{ display: "flex", flexWrap: "wrap", gap: 16, alignItems: "center", fontSize: 12, marginBottom: 8 }}>
+          <div style={{ display: "flex", gap: 4, alignItems: "center" }}>
+            <span style={{ color: C.textMuted }}>SL:</span>
+            <input type="number" step="any" value={manage.sl} onChange={e => setManage(prev => ({ ...prev, sl: e.target.value }))} style={{ ...inputStyle, width: 110 }} />
+            <span style={{ color: C.textMuted, marginLeft: 4 }}>TP:</span>
+            <input type="number" step="any" value={manage.tp} onChange={e => setManage(prev => ({ ...prev, tp: e.target.value }))} style={{ ...inputStyle, width: 110 }} />
+            <Btn small onClick={() => modify(pos)} disabled={manage.sl === pos.sl.toFixed(pos.digits) && manage.tp === pos.tp.toFixed(pos.digits)}>Modify</Btn>
+            <Btn small color={C.panelBorder} onClick={() => setManage(prev => ({ ...prev, sl: pos.entry.toFixed(pos.digits) }))}>SL to BE</Btn>
+          </div>
+        </div>
+        <div style={{ display: "flex", flexWrap: "wrap", gap: 16, alignItems: "center", fontSize: 12 }}>
+          <div style={{ display: "flex", gap: 4, alignItems: "center" }}>
+            <span style={{ color: C.textMuted }}>Close part:</span>
+            {[25, 50, 75].map(pct => (
+              <Btn key={pct} small color={C.sell} onClick={() => positionAction("partial-close", { percent: pct })}>{pct}%</Btn>
+            ))}
+          </div>
+          <div style={{ display: "flex", gap: 4, alignItems: "center" }}>
+            <span style={{ color: C.textMuted }}>Scale in:</span>
+            <input type="number" min={0.01} max={1} step={0.01} value={manage.scaleLots} onChange={e => setManage(prev => ({ ...prev, scaleLots: parseFloat(e.target.value) }))} style={{ ...inputStyle, width: 70 }} />
+            <Btn small color={C.buy} onClick={() => positionAction("scale-in", { lots: manage.scaleLots })}>Add</Btn>
+          </div>
+          <div style={{ display: "flex", gap: 4, alignItems: "center", flex: 1, minWidth: 260 }}>
+            <span style={{ color: C.textMuted, whiteSpace: "nowrap" }}>TP levels (price@%, max 3):</span>
+            <input type="text" value={manage.tpLevels} placeholder="none" onChange={e => setManage(prev => ({ ...prev, tpLevels: e.target.value }))} style={inputStyle} />
+            <Btn small onClick={setTpLevels}>Set</Btn>
+          </div>
+        </div>
+        <div style={{ display: "flex", flexWrap: "wrap", gap: 4, alignItems: "center", fontSize: 12, marginTop: 8 }}>
+          <span style={{ color: C.textMuted }}>Break-even at</span>
+          <input type="number" min={0} step="any" value={manage.rules.breakEvenPips} onChange={e => setManage(prev => ({ ...prev, rules: { ...prev.rules, breakEvenPips: parseFloat(e.target.value) || 0 } }))} style={{ ...inputStyle, width: 70 }} />
+          <span style={{ color: C.textMuted }}>pips, buffer</span>
+          <input type="number" min={0} step="any" value={manage.rules.breakEvenBufferPips} onChange={e => setManage(prev => ({ ...prev, rules: { ...prev.rules, breakEvenBufferPips: parseFloat(e.target.value) || 0 } }))} style={{ ...inputStyle, width: 60 }} />
+          <label style={{ display: "flex", alignItems: "center", gap: 4, color: C.textMuted }}>
+            <input type="checkbox" checked={manage.rules.breakEvenCloseHalf} onChange={e => setManage(prev => ({ ...prev, rules: { ...prev.rules, breakEvenCloseHalf: e.target.checked } }))} />
+            close half
+          </label>
+          <span style={{ color: C.textMuted, marginLeft: 8 }}>Lock steps:</span>
+          <input type="text" value={manage.lockSteps} placeholder="200:100, 400:250" onChange={e => setManage(prev => ({ ...prev, lockSteps: e.target.value }))} style={{ ...inputStyle, width: 150 }} />
+          <Btn small onClick={setStopRules}>Set Rules</Btn>
+          {(pos.breakEvenActive || pos.lockStep >= 0 || pos.trailingActive) && (
+            <span style={{ color: C.buy, marginLeft: 8 }}>
+              {[pos.breakEvenActive && "BE active", pos.lockStep >= 0 && `lock step ${pos.lockStep + 1}`, pos.trailingActive && "trailing"].filter(Boolean).join(" · ")}
+            </span>
+          )}
+        </div>
+        {pos.entries?.length > 1 && (
+          <div style={{ fontSize: 11, color: C.textMuted, marginTop: 6 }}>
+            Entries: {pos.entries.map(e => `${e.lots} @ ${e.price.toFixed(pos.digits)}`).join(", ")}
+          </div>
+        )}
+        {pos.modifications?.length > 0 && (
+          <div style={{ fontSize: 11, color: C.textMuted, marginTop: 6 }}>
+            <div style={{ fontWeight: 600, marginBottom: 2 }}>SL / TP history</div>
+            {[...pos.modifications].reverse().map((m, i) => (
+              <div key={i}>
+                {new Date(m.time).toLocaleString()} · {m.source}
+                {m.sl && ` · SL ${m.sl.from.toFixed(pos.digits)} → ${m.sl.to.toFixed(pos.digits)}`}
+                {m.tp && ` · TP ${m.tp.from.toFixed(pos.digits)} → ${m.tp.to.toFixed(pos.digits)}`}
+              </div>
+            ))}
+          </div>
+        )}
+        {manageError && (
+          <div style={{ fontSize: 12, color: C.sell, marginTop: 6 }}>{manageError}</div>
+        )}
+      </td>
+    </tr>
+  );
+
+  const groupHeader = (block, span, total) => (
+    <tr key={`group-${block.groupId}`} style={{ background: C.bg }}>
+      <td colSpan={span} style={{ padding: "6px", fontSize: 11, fontWeight: 600, color: C.accent }}>
+        {block.groupType === "BRACKET" ? "Bracket" : "OCO"} #{block.groupId} — {block.items.length} leg{block.items.length > 1 ? "s" : ""}
+        {total !== undefined && (
+          <span style={{ marginLeft: 8, color: total >= 0 ? C.buy : C.sell }}>
+            {total >= 0 ? "+" : ""}${total.toFixed(2)}
+          </span>
+        )}
+      </td>
+    </tr>
+  );
+
+  const inputStyle = {
+    width: "100%",
+    padding: "6px 10px",
+    background: C.bg,
+    border: `1px solid ${C.panelBorder}`,
+    borderRadius: 6,
+    color: C.text,
+    fontSize: 13,
+    outline: "none",
+  };
 
   return (
     <div style={{ display: "grid", gridTemplateColumns: "1fr 1fr", gap: 16 }}>
@@ -326,12 +1041,77 @@ function TradeTab({ data, signals, openPositions, balance, pair, onTrade, onClos
           <div style={{ fontSize: 12, color: C.textMuted }}>{pair}</div>
         </div>
         <div style={{ display: "flex", gap: 12, justifyContent: "center", marginBottom: 16 }}>
-          <Btn color={C.buy} onClick={() => onTrade("BUY")} style={{ width: 120 }}>BUY</Btn>
-          <Btn color={C.sell} onClick={() => onTrade("SELL")} style={{ width: 120 }}>SELL</Btn>
+          <Btn color={C.buy} onClick={() => trade("BUY")} style={{ width: 120 }}>BUY</Btn>
+          <Btn color={C.sell} onClick={() => trade("SELL")} style={{ width: 120 }}>SELL</Btn>
         </div>
         <div style={{ fontSize: 11, color: C.textMuted, textAlign: "center" }}>
           SL: 0.2% | TP: 0.4% | Lot: 0.1
         </div>
+        <div style={{ marginTop: 12 }}>
+          <label style={{ fontSize: 11, color: C.textMuted, display: "block", marginBottom: 2 }}>
+            TP Legs (optional, % @ R — e.g. 50@1, 50@2 splits the entry into a bracket)
+          </label>
+          <input type="text" value={legsInput} placeholder="single take profit" onChange={e => setLegsInput(e.target.value)} style={inputStyle} />
+        </div>
+        {tradeError && (
+          <div style={{ fontSize: 12, color: C.sell, marginTop: 8 }}>{tradeError}</div>
+        )}
+
+        <div style={{ fontSize: 12, fontWeight: 600, margin: "16px 0 8px", paddingTop: 12, borderTop: `1px solid ${C.panelBorder}` }}>
+          Pending Order
+        </div>
+        <div style={{ display: "grid", gridTemplateColumns: "1fr 1fr", gap: 8 }}>
+          <div>
+            <label style={{ fontSize: 11, color: C.textMuted, display: "block", marginBottom: 2 }}>Type</label>
+            <select value={order.orderType} onChange={e => setOrder(prev => ({ ...prev, orderType: e.target.value }))} style={inputStyle}>
+              {ORDER_TYPE_OPTIONS.map(o => <option key={o.value} value={o.value}>{o.label}</option>)}
+            </select>
+          </div>
+          <div>
+            <label style={{ fontSize: 11, color: C.textMuted, display: "block", marginBottom: 2 }}>{stopLimit ? "Stop Price" : "Price"}</label>
+            <input type="number" step="any" value={order.price} onChange={e => setOrder(prev => ({ ...prev, price: e.target.value }))} style={inputStyle} />
+          </div>
+          {stopLimit && (
+            <div>
+              <label style={{ fontSize: 11, color: C.textMuted, display: "block", marginBottom: 2 }}>Limit Price</label>
+              <input type="number" step="any" value={order.limitPrice} onChange={e => setOrder(prev => ({ ...prev, limitPrice: e.target.value }))} style={inputStyle} />
+            </div>
+          )}
+          <div>
+            <label style={{ fontSize: 11, color: C.textMuted, display: "block", marginBottom: 2 }}>Lot Size</label>
+            <input type="number" min={0.01} max={1} step={0.01} value={order.lotSize} onChange={e => setOrder(prev => ({ ...prev, lotSize: parseFloat(e.target.value) }))} style={inputStyle} />
+          </div>
+          <div>
+            <label style={{ fontSize: 11, color: C.textMuted, display: "block", marginBottom: 2 }}>Expires In (min, optional)</label>
+            <input type="number" min={1} step={1} value={order.expiresInMinutes} onChange={e => setOrder(prev => ({ ...prev, expiresInMinutes: e.target.value }))} style={inputStyle} />
+          </div>
+        </div>
+        {orderError && (
+          <div style={{ fontSize: 12, color: C.sell, marginTop: 8 }}>{orderError}</div>
+        )}
+        <Btn onClick={placeOrder} disabled={!order.price || (stopLimit && !order.limitPrice)} small style={{ width: "100%", marginTop: 8 }}>
+          Place Order
+        </Btn>
+
+        <div style={{ fontSize: 12, fontWeight: 600, margin: "16px 0 8px", paddingTop: 12, borderTop: `1px solid ${C.panelBorder}` }}>
+          OCO Breakout
+          <span style={{ fontSize: 11, fontWeight: 400, color: C.textMuted, marginLeft: 6 }}>
+            first to fill cancels the other (lot, expiry and TP legs from above)
+          </span>
+        </div>
+        <div style={{ display: "grid", gridTemplateColumns: "1fr 1fr", gap: 8 }}>
+          <div>
+            <label style={{ fontSize: 11, color: C.textMuted, display: "block", marginBottom: 2 }}>Buy Stop Above</label>
+            <input type="number" step="any" value={oco.buyPrice} onChange={e => setOco(prev => ({ ...prev, buyPrice: e.target.value }))} style={inputStyle} />
+          </div>
+          <div>
+            <label style={{ fontSize: 11, color: C.textMuted, display: "block", marginBottom: 2 }}>Sell Stop Below</label>
+            <input type="number" step="any" value={oco.sellPrice} onChange={e => setOco(prev => ({ ...prev, sellPrice: e.target.value }))} style={inputStyle} />
+          </div>
+        </div>
+        <Btn onClick={placeOco} disabled={!oco.buyPrice || !oco.sellPrice} small style={{ width: "100%", marginTop: 8 }}>
+          Place OCO Pair
+        </Btn>
       </Panel>
 
       {/* Indicator Readings */}
@@ -339,7 +1119,7 @@ function TradeTab({ data, signals, openPositions, balance, pair, onTrade, onClos
         {latest ? (
           <div style={{ display: "grid", gap: 8 }}>
             <div style={{ display: "flex", justifyContent: "space-between", fontSize: 13 }}>
-              <span style={{ color: C.textMuted }}>RSI (14)</span>
+              <span style={{ color: C.textMuted }}>RSI ({indicators.rsiPeriod})</span>
               <span style={{
                 fontWeight: 600,
                 color: latest.rsi < 30 ? C.buy : latest.rsi > 70 ? C.sell : C.text,
@@ -360,19 +1140,59 @@ function TradeTab({ data, signals, openPositions, balance, pair, onTrade, onClos
               </span>
             </div>
             <div style={{ display: "flex", justifyContent: "space-between", fontSize: 13 }}>
-              <span style={{ color: C.textMuted }}>SMA 20</span>
-              <span>{latest.sma20?.toFixed(4) || "—"}</span>
+              <span style={{ color: C.textMuted }}>SMA {indicators.smaFast}</span>
+              <span>{latest.smaFast?.toFixed(4) || "—"}</span>
+            </div>
+            <div style={{ display: "flex", justifyContent: "space-between", fontSize: 13 }}>
+              <span style={{ color: C.textMuted }}>SMA {indicators.smaSlow}</span>
+              <span>{latest.smaSlow?.toFixed(4) || "—"}</span>
+            </div>
+            <div style={{ display: "flex", justifyContent: "space-between", fontSize: 13 }}>
+              <span style={{ color: C.textMuted }}>ATR (14)</span>
+              <span>{latest.atr?.toFixed((PAIR_DIGITS[pair] || 4) + 1) || "—"}</span>
+            </div>
+            <div style={{ display: "flex", justifyContent: "space-between", fontSize: 13 }}>
+              <span style={{ color: C.textMuted }}>BB %B</span>
+              <span style={{
+                color: latest.bbPercentB < 0 ? C.buy : latest.bbPercentB > 1 ? C.sell : C.text,
+              }}>{latest.bbPercentB?.toFixed(2) ?? "—"}</span>
+            </div>
+            <div style={{ display: "flex", justifyContent: "space-between", fontSize: 13 }}>
+              <span style={{ color: C.textMuted }}>BB Width</span>
+              <span>{latest.bbWidth != null ? `${(latest.bbWidth * 100).toFixed(2)}%` : "—"}</span>
+            </div>
+            <div style={{ display: "flex", justifyContent: "space-between", fontSize: 13 }}>
+              <span style={{ color: C.textMuted }}>ADX (14)</span>
+              <span style={{
+                fontWeight: 600,
+                color: latest.adx > 25 ? C.gold : C.text,
+              }}>{latest.adx?.toFixed(1) || "—"}</span>
+            </div>
+            <div style={{ display: "flex", justifyContent: "space-between", fontSize: 13 }}>
+              <span style={{ color: C.textMuted }}>Supertrend</span>
+              <span style={{
+                fontWeight: 600,
+                color: latest.supertrendDir === 1 ? C.buy : latest.supertrendDir === -1 ? C.sell : C.text,
+              }}>{latest.supertrendDir === 1 ? "UP" : latest.supertrendDir === -1 ? "DOWN" : "—"}</span>
             </div>
             <div style={{ display: "flex", justifyContent: "space-between", fontSize: 13 }}>
-              <span style={{ color: C.textMuted }}>SMA 50</span>
-              <span>{latest.sma50?.toFixed(4) || "—"}</span>
+              <span style={{ color: C.textMuted }}>Pattern</span>
+              <span style={{ textAlign: "right" }}>
+                {latest.patterns?.length > 0
+                  ? latest.patterns.map((p, i) => (
+                      <span key={p.name} style={{ color: p.type === "bullish" ? C.buy : p.type === "bearish" ? C.sell : C.text }}>
+                        {i > 0 ? ", " : ""}{p.label}
+                      </span>
+                    ))
+                  : "—"}
+              </span>
             </div>
             <div style={{ display: "flex", justifyContent: "space-between", fontSize: 13, marginTop: 8 }}>
               <span style={{ color: C.textMuted }}>Trend</span>
               <span style={{
                 fontWeight: 600,
-                color: latest.sma20 > latest.sma50 ? C.buy : C.sell,
-              }}>{latest.sma20 > latest.sma50 ? "BULLISH" : "BEARISH"}</span>
+                color: latest.smaFast > latest.smaSlow ? C.buy : C.sell,
+              }}>{latest.smaFast > latest.smaSlow ? "BULLISH" : "BEARISH"}</span>
             </div>
           </div>
         ) : (
@@ -393,23 +1213,48 @@ function TradeTab({ data, signals, openPositions, balance, pair, onTrade, onClos
                 </tr>
               </thead>
               <tbody>
-                {openPositions.map(pos => (
+                {groupLinked(openPositions).flatMap(block => [
+                  ...(block.groupId ? [groupHeader(block, 9, block.items.reduce((sum, p) => sum + p.pnl, 0))] : []),
+                  ...block.items.flatMap(pos => [
                   <tr key={pos.id} style={{ borderBottom: `1px solid ${C.panelBorder}` }}>
-                    <td style={{ padding: "8px 6px", color: pos.type === "BUY" ? C.buy : C.sell, fontWeight: 600 }}>{pos.type}</td>
+                    <td style={{ padding: "8px 6px", paddingLeft: block.groupId ? 18 : 6, color: pos.type === "BUY" ? C.buy : C.sell, fontWeight: 600 }}>
+                      {pos.type}
+                      {pos.leg && <span style={{ fontSize: 10, fontWeight: 400, color: C.textMuted, marginLeft: 4 }}>leg {pos.leg}/{pos.legCount} · {pos.riskMultiple}R</span>}
+                    </td>
                     <td style={{ padding: "8px 6px" }}>{pos.pair}</td>
-                    <td style={{ padding: "8px 6px" }}>{pos.lotSize}</td>
+                    <td style={{ padding: "8px 6px" }}>
+                      {pos.lotSize}
+                      {pos.totalLots && pos.totalLots !== pos.lotSize && (
+                        <span style={{ color: C.textMuted }}> / {pos.totalLots}</span>
+                      )}
+                    </td>
                     <td style={{ padding: "8px 6px" }}>{pos.entry.toFixed(pos.digits)}</td>
                     <td style={{ padding: "8px 6px" }}>{pos.currentPrice.toFixed(pos.digits)}</td>
                     <td style={{ padding: "8px 6px", color: C.sell }}>{pos.sl.toFixed(pos.digits)}</td>
-                    <td style={{ padding: "8px 6px", color: C.buy }}>{pos.tp.toFixed(pos.digits)}</td>
+                    <td style={{ padding: "8px 6px", color: C.buy }}>
+                      {pos.tp.toFixed(pos.digits)}
+                      {pos.tpLevels?.map((l, i) => (
+                        <div key={i} style={{ fontSize: 10, color: l.hit ? C.textMuted : C.buy, textDecoration: l.hit ? "line-through" : "none" }}>
+                          TP{i + 1} {l.price.toFixed(pos.digits)} · {l.percent}%
+                        </div>
+                      ))}
+                    </td>
                     <td style={{ padding: "8px 6px", color: pos.pnl >= 0 ? C.buy : C.sell, fontWeight: 600 }}>
                       {pos.pnl >= 0 ? "+" : ""}${pos.pnl.toFixed(2)}
+                      {pos.realizedPnl ? (
+                        <div style={{ fontSize: 10, fontWeight: 400, color: C.textMuted }}>
+                          realized {pos.realizedPnl >= 0 ? "+" : ""}${pos.realizedPnl.toFixed(2)}
+                        </div>
+                      ) : null}
                     </td>
-                    <td style={{ padding: "8px 6px" }}>
+                    <td style={{ padding: "8px 6px", whiteSpace: "nowrap" }}>
+                      <Btn small onClick={() => toggleManage(pos)} style={{ marginRight: 4 }}>{managing === pos.id ? "Done" : "Manage"}</Btn>
                       <Btn small color={C.sell} onClick={() => onClose(pos.id)}>Close</Btn>
                     </td>
-                  </tr>
-                ))}
+                  </tr>,
+                  ...(managing === pos.id ? [manageRow(pos)] : []),
+                  ]),
+                ])}
               </tbody>
             </table>
           </div>
@@ -419,6 +1264,56 @@ function TradeTab({ data, signals, openPositions, balance, pair, onTrade, onClos
           </div>
         )}
       </Panel>
+
+      {/* Pending Orders */}
+      <Panel title="Pending Orders" span={2}>
+        {pendingOrders.length > 0 ? (
+          <div style={{ overflowX: "auto" }}>
+            <table style={{ width: "100%", borderCollapse: "collapse", fontSize: 12 }}>
+              <thead>
+                <tr style={{ borderBottom: `1px solid ${C.panelBorder}` }}>
+                  {["ID", "Type", "Pair", "Lot", "Price", "Limit", "Placed", "Expires", ""].map(h => (
+                    <th key={h} style={{ padding: "8px 6px", textAlign: "left", color: C.textMuted, fontWeight: 600 }}>{h}</th>
+                  ))}
+                </tr>
+              </thead>
+              <tbody>
+                {groupLinked(pendingOrders).flatMap(block => [
+                  ...(block.groupId ? [groupHeader(block, 9)] : []),
+                  ...block.items.map(o => (
+                  <tr key={o.id} style={{ borderBottom: `1px solid ${C.panelBorder}` }}>
+                    <td style={{ padding: "8px 6px", paddingLeft: block.groupId ? 18 : 6, color: C.textMuted }}>#{o.id}</td>
+                    <td style={{ padding: "8px 6px", color: o.type === "BUY" ? C.buy : C.sell, fontWeight: 600 }}>
+                      {o.label}
+                      {o.legs && (
+                        <span style={{ fontSize: 10, fontWeight: 400, color: C.textMuted, marginLeft: 4 }}>
+                          TP {o.legs.map(l => `${l.percent}%@${l.r}R`).join(" / ")}
+                        </span>
+                      )}
+                    </td>
+                    <td style={{ padding: "8px 6px" }}>{o.pair}</td>
+                    <td style={{ padding: "8px 6px" }}>{o.lotSize}</td>
+                    <td style={{ padding: "8px 6px" }}>{o.price.toFixed(o.digits)}</td>
+                    <td style={{ padding: "8px 6px" }}>
+                      {o.limitPrice !== null ? `${o.limitPrice.toFixed(o.digits)}${o.stopTriggered ? " (stop hit)" : ""}` : "—"}
+                    </td>
+                    <td style={{ padding: "8px 6px" }}>{new Date(o.createdAt).toLocaleString()}</td>
+                    <td style={{ padding: "8px 6px" }}>{o.expiresAt ? new Date(o.expiresAt).toLocaleString() : "GTC"}</td>
+                    <td style={{ padding: "8px 6px" }}>
+                      <Btn small color={C.sell} onClick={() => onCancelOrder(o.id)}>Cancel</Btn>
+                    </td>
+                  </tr>
+                  )),
+                ])}
+              </tbody>
+            </table>
+          </div>
+        ) : (
+          <div style={{ color: C.textMuted, fontSize: 13, textAlign: "center", padding: 20 }}>
+            No pending orders. Limit, stop and stop-limit entries fill from live ticks; cancelling one OCO leg cancels its pair.
+          </div>
+        )}
+      </Panel>
     </div>
   );
 }
@@ -426,15 +1321,77 @@ function TradeTab({ data, signals, openPositions, balance, pair, onTrade, onClos
 // ══════════════════════════════════════════
 // TAB: Backtest
 // ══════════════════════════════════════════
-function BacktestTab({ pair, timeframe }) {
+function BacktestTab({ pair, timeframe, onSettingsSaved }) {
   const [config, setConfig] = useState({
     stopLoss: 0.002,
     takeProfit: 0.004,
     lotSize: 0.1,
     balance: 10000,
   });
+  const [indicators, setIndicators] = useState(DEFAULT_INDICATORS);
+  const [availableStrategies, setAvailableStrategies] = useState([]);
+  const [strategies, setStrategies] = useState(["confluence"]);
+  const [scoringProfiles, setScoringProfiles] = useState([]);
+  const [scoringProfile, setScoringProfile] = useState("");
+  const [models, setModels] = useState(null);
+  // "" = live setting, "off", or "<mode>@<version>"
+  const [modelChoice, setModelChoice] = useState("");
+  const [minProbability, setMinProbability] = useState(0.5);
   const [results, setResults] = useState(null);
   const [loading, setLoading] = useState(false);
+  const [message, setMessage] = useState(null);
+
+  // Start from the live indicator settings and strategies
+  useEffect(() => {
+    fetch(`${API}/config`)
+      .then(r => r.json())
+      .then(data => {
+        if (data.indicators) setIndicators(data.indicators);
+        if (data.scoring) setScoringProfiles(data.scoring.profiles);
+      })
+      .catch(err => console.error("Failed to load indicator settings:", err));
+    fetch(`${API}/strategies`)
+      .then(r => r.json())
+      .then(data => {
+        setAvailableStrategies(data.strategies);
+        setStrategies(data.strategies.filter(s => s.enabled).map(s => s.id));
+      })
+      .catch(err => console.error("Failed to load strategies:", err));
+    fetch(`${API}/models`)
+      .then(r => r.json())
+      .then(data => {
+        setModels(data);
+        setMinProbability(data.minProbability);
+      })
+      .catch(err => console.error("Failed to load signal models:", err));
+  }, []);
+
+  const modelRequest = () => {
+    if (modelChoice === "" || modelChoice === "off") return modelChoice || undefined;
+    const [mode, version] = modelChoice.split("@");
+    return { mode, version: Number(version), minProbability };
+  };
+
+  // Promote the tested indicator settings to live
+  const applyLive = async () => {
+    setMessage(null);
+    try {
+      const resp = await fetch(`${API}/config`, {
+        method: "POST",
+        headers: { "Content-Type": "application/json" },
+        body: JSON.stringify({ indicators }),
+      });
+      const result = await resp.json();
+      if (!resp.ok) {
+        setMessage({ type: "error", text: result.error || `Server error: ${resp.status}` });
+      } else {
+        setMessage({ type: "success", text: "Indicator settings applied to live trading" });
+        if (onSettingsSaved) onSettingsSaved();
+      }
+    } catch (err) {
+      setMessage({ type: "error", text: `Failed to save: ${err.message}` });
+    }
+  };
 
   const runBacktest = async () => {
     setLoading(true);
@@ -442,10 +1399,20 @@ function BacktestTab({ pair, timeframe }) {
       const resp = await fetch(`${API}/backtest`, {
         method: "POST",
         headers: { "Content-Type": "application/json" },
-        body: JSON.stringify({ pair, timeframe, ...config }),
+        body: JSON.stringify({
+          pair, timeframe, ...config, indicators, strategies,
+          scoring: scoringProfile || undefined,
+          model: modelRequest(),
+        }),
       });
       const data = await resp.json();
-      setResults(data);
+      if (!resp.ok) {
+        setMessage({ type: "error", text: data.error || `Server error: ${resp.status}` });
+        setResults(null);
+      } else {
+        setMessage(null);
+        setResults(data);
+      }
     } catch (err) {
       console.error("Backtest error:", err);
     }
@@ -482,9 +1449,126 @@ function BacktestTab({ pair, timeframe }) {
             />
           </div>
         ))}
+        <div style={{ fontSize: 12, fontWeight: 600, margin: "8px 0" }}>Strategies</div>
+        <div style={{ marginBottom: 12 }}>
+          <StrategyToggles available={availableStrategies} selected={strategies} onChange={setStrategies} />
+        </div>
+        <div style={{ fontSize: 12, fontWeight: 600, margin: "8px 0" }}>Scoring Profile</div>
+        <select
+          value={scoringProfile}
+          onChange={e => setScoringProfile(e.target.value)}
+          style={{
+            width: "100%",
+            padding: "6px 10px",
+            marginBottom: 12,
+            background: C.bg,
+            border: `1px solid ${C.panelBorder}`,
+            borderRadius: 6,
+            color: C.text,
+            fontSize: 13,
+          }}
+        >
+          <option value="">Profile assigned to {pair}</option>
+          {scoringProfiles.map(p => [
+            <option key={p.name} value={p.name}>{p.name} (v{p.version}, current)</option>,
+            ...p.history.map(h => (
+              <option key={`${p.name}@${h.version}`} value={`${p.name}@${h.version}`}>{p.name} v{h.version}</option>
+            )),
+          ])}
+        </select>
+        {models && models.models.length > 0 && (
+          <>
+            <div style={{ fontSize: 12, fontWeight: 600, margin: "8px 0" }}>Signal Model</div>
+            <div style={{ display: "flex", gap: 8, marginBottom: 12 }}>
+              <select
+                value={modelChoice}
+                onChange={e => setModelChoice(e.target.value)}
+                style={{
+                  flex: 1,
+                  padding: "6px 10px",
+                  background: C.bg,
+                  border: `1px solid ${C.panelBorder}`,
+                  borderRadius: 6,
+                  color: C.text,
+                  fontSize: 13,
+                }}
+              >
+                <option value="">Live setting ({models.active ? `${models.mode} v${models.active}` : "off"})</option>
+                <option value="off">Off</option>
+                {models.models.map(m => ["gate", "confidence"].map(mode => (
+                  <option key={`${mode}@${m.version}`} value={`${mode}@${m.version}`}>
+                    {mode === "gate" ? "Gate" : "Confidence"} · v{m.version} ({m.samples} samples, AUC {m.metrics.validation.auc === null ? "—" : m.metrics.validation.auc.toFixed(2)})
+                  </option>
+                )))}
+              </select>
+              {modelChoice.startsWith("gate@") && (
+                <input
+                  type="number"
+                  min={0}
+                  max={1}
+                  step={0.05}
+                  value={minProbability}
+                  title="Minimum probability of TP before SL"
+                  onChange={e => setMinProbability(parseFloat(e.target.value))}
+                  style={{
+                    width: 70,
+                    padding: "6px 10px",
+                    background: C.bg,
+                    border: `1px solid ${C.panelBorder}`,
+                    borderRadius: 6,
+                    color: C.text,
+                    fontSize: 13,
+                    outline: "none",
+                  }}
+                />
+              )}
+            </div>
+          </>
+        )}
+        <div style={{ fontSize: 12, fontWeight: 600, margin: "8px 0" }}>Indicator Settings</div>
+        <div style={{ display: "grid", gridTemplateColumns: "1fr 1fr", gap: 8, marginBottom: 12 }}>
+          {INDICATOR_FIELDS.map(({ key, label, min, max }) => (
+            <div key={key}>
+              <label style={{ fontSize: 11, color: C.textMuted, display: "block", marginBottom: 2 }}>{label}</label>
+              <input
+                type="number"
+                min={min}
+                max={max}
+                step={1}
+                value={indicators[key]}
+                onChange={e => setIndicators(prev => ({ ...prev, [key]: parseInt(e.target.value) }))}
+                style={{
+                  width: "100%",
+                  padding: "6px 10px",
+                  background: C.bg,
+                  border: `1px solid ${C.panelBorder}`,
+                  borderRadius: 6,
+                  color: C.text,
+                  fontSize: 13,
+                  outline: "none",
+                }}
+              />
+            </div>
+          ))}
+        </div>
+        {message && (
+          <div style={{
+            padding: "8px 12px",
+            borderRadius: 6,
+            marginBottom: 8,
+            background: message.type === "success" ? `${C.buy}20` : `${C.sell}20`,
+            color: message.type === "success" ? C.buy : C.sell,
+            fontSize: 12,
+          }}>
+            {message.text}
+          </div>
+        )}
         <Btn onClick={runBacktest} disabled={loading} style={{ width: "100%", marginTop: 8 }}>
           {loading ? "Running..." : "Run Backtest"}
         </Btn>
+        <Btn onClick={applyLive} disabled={loading} color={C.gold} small style={{ width: "100%", marginTop: 8 }}>
+          Use These Indicator Settings Live
+        </Btn>
       </Panel>
 
       {/* Results */}
@@ -499,6 +1583,11 @@ function BacktestTab({ pair, timeframe }) {
             <StatCard label="Avg Loss" value={`$${results.avgLoss.toFixed(2)}`} color={C.sell} />
             <StatCard label="Final Balance" value={`$${results.finalBalance.toFixed(2)}`} color={C.accent} />
             <StatCard label="Max Drawdown" value={`$${results.maxDrawdown.toFixed(2)}`} color={C.sell} />
+            <div style={{ gridColumn: "span 2", fontSize: 11, color: C.textMuted }}>
+              {formatIndicators(results.indicators)} · Scoring {results.scoring.profile}
+              {results.scoring.version !== null && ` v${results.scoring.version}`}
+              {results.model && ` · Model v${results.model.version} (${results.model.mode === "gate" ? `gate ≥ ${(results.model.minProbability * 100).toFixed(0)}%` : "confidence"})`}
+            </div>
           </div>
         ) : (
           <div style={{ color: C.textMuted, fontSize: 13, textAlign: "center", padding: 40 }}>
@@ -507,6 +1596,33 @@ function BacktestTab({ pair, timeframe }) {
         )}
       </Panel>
 
+      {/* Per-Strategy Results */}
+      {results && results.byStrategy.length > 1 && (
+        <Panel title="By Strategy" span={2}>
+          <table style={{ width: "100%", fontSize: 12, borderCollapse: "collapse" }}>
+            <thead>
+              <tr style={{ color: C.textMuted, textAlign: "left" }}>
+                {["Strategy", "Trades", "Win Rate", "Net P&L", "Profit Factor", "Max Drawdown"].map(h => (
+                  <th key={h} style={{ padding: "6px 8px", borderBottom: `1px solid ${C.panelBorder}` }}>{h}</th>
+                ))}
+              </tr>
+            </thead>
+            <tbody>
+              {results.byStrategy.map(s => (
+                <tr key={s.id}>
+                  <td style={{ padding: "6px 8px", fontWeight: 600 }}>{s.name}</td>
+                  <td style={{ padding: "6px 8px" }}>{s.trades}</td>
+                  <td style={{ padding: "6px 8px", color: s.winRate >= 50 ? C.buy : C.sell }}>{s.winRate.toFixed(1)}%</td>
+                  <td style={{ padding: "6px 8px", color: s.totalPnl >= 0 ? C.buy : C.sell }}>${s.totalPnl.toFixed(2)}</td>
+                  <td style={{ padding: "6px 8px" }}>{s.profitFactor === Infinity ? "INF" : s.profitFactor.toFixed(2)}</td>
+                  <td style={{ padding: "6px 8px", color: C.sell }}>${s.maxDrawdown.toFixed(2)}</td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </Panel>
+      )}
+
       {/* Equity Curve */}
       {results && results.equityCurve.length > 1 && (
         <Panel title="Equity Curve" span={2}>
@@ -564,6 +1680,113 @@ function BacktestTab({ pair, timeframe }) {
   );
 }
 
+// ── Signal Quality ──
+// Outcomes of every live signal against its virtual SL / TP (/api/signal-stats)
+const SIGNAL_GROUPS = [
+  { key: "byConfidence", label: "Confidence" },
+  { key: "byPair", label: "Pair" },
+  { key: "byTimeframe", label: "Timeframe" },
+  { key: "byStrategy", label: "Strategy" },
+  { key: "byReason", label: "Reason" },
+];
+
+function SignalQualityPanel() {
+  const [filter, setFilter] = useState("");
+  const [group, setGroup] = useState("byReason");
+  const [stats, setStats] = useState(null);
+
+  const load = () => fetch(`${API}/signal-stats${filter ? `?pair=${encodeURIComponent(filter)}` : ""}`)
+    .then(r => r.json())
+    .then(setStats)
+    .catch(err => console.error("Failed to load signal stats:", err));
+
+  useEffect(() => { load(); }, [filter]);
+
+  const o = stats ? stats.overall : null;
+  const rows = stats ? [...stats[group]].sort((a, b) => b.expectancy - a.expectancy) : [];
+  const pips = v => `${v >= 0 ? "+" : ""}${v.toFixed(1)}`;
+
+  return (
+    <Panel title="Signal Quality" span={2}>
+      <div style={{ display: "flex", gap: 8, alignItems: "center", marginBottom: 12 }}>
+        <select
+          value={filter}
+          onChange={e => setFilter(e.target.value)}
+          style={{ padding: "6px 10px", background: C.bg, border: `1px solid ${C.panelBorder}`, borderRadius: 6, color: C.text, fontSize: 12 }}
+        >
+          <option value="">All pairs</option>
+          {PAIR_OPTIONS.map(p => <option key={p} value={p}>{p}</option>)}
+        </select>
+        {SIGNAL_GROUPS.map(g => (
+          <Btn key={g.key} small color={group === g.key ? C.accent : C.panelBorder} onClick={() => setGroup(g.key)}>
+            {g.label}
+          </Btn>
+        ))}
+        <div style={{ flex: 1 }} />
+        <Btn small onClick={load}>Refresh</Btn>
+      </div>
+
+      {o && o.signals > 0 ? (
+        <>
+          <div style={{ display: "grid", gridTemplateColumns: "repeat(5, 1fr)", gap: 8, marginBottom: 12 }}>
+            <StatCard label="Signals" value={`${o.signals} (${o.open} open)`} />
+            <StatCard label="Win Rate" value={`${o.winRate.toFixed(1)}%`} color={o.winRate >= 50 ? C.buy : C.sell} />
+            <StatCard label="Expectancy" value={`${pips(o.expectancy)} pips`} color={o.expectancy >= 0 ? C.buy : C.sell} />
+            <StatCard label="Avg MFE / MAE" value={`${o.avgMfe.toFixed(1)} / ${o.avgMae.toFixed(1)}`} />
+            <StatCard label="Avg Time to Result" value={`${o.avgDurationMin.toFixed(0)} min`} />
+          </div>
+          <div style={{ overflowX: "auto", maxHeight: 320, overflowY: "auto" }}>
+            <table style={{ width: "100%", borderCollapse: "collapse", fontSize: 12 }}>
+              <thead>
+                <tr style={{ borderBottom: `1px solid ${C.panelBorder}`, position: "sticky", top: 0, background: C.panel }}>
+                  {[SIGNAL_GROUPS.find(g => g.key === group).label, "Signals", "W / L", "Win Rate", "Expectancy (pips)", "MFE", "MAE", "Expired"].map(h => (
+                    <th key={h} style={{ padding: "8px 6px", textAlign: "left", color: C.textMuted, fontWeight: 600 }}>{h}</th>
+                  ))}
+                </tr>
+              </thead>
+              <tbody>
+                {rows.map(r => (
+                  <tr key={r.key} style={{ borderBottom: `1px solid ${C.panelBorder}` }}>
+                    <td style={{ padding: "6px" }}>{r.key}</td>
+                    <td style={{ padding: "6px" }}>{r.signals}</td>
+                    <td style={{ padding: "6px" }}>{r.wins} / {r.losses}</td>
+                    <td style={{ padding: "6px", color: r.winRate >= 50 ? C.buy : C.sell }}>{r.wins + r.losses > 0 ? `${r.winRate.toFixed(1)}%` : "—"}</td>
+                    <td style={{ padding: "6px", color: r.expectancy >= 0 ? C.buy : C.sell, fontWeight: 600 }}>{pips(r.expectancy)}</td>
+                    <td style={{ padding: "6px" }}>{r.avgMfe.toFixed(1)}</td>
+                    <td style={{ padding: "6px" }}>{r.avgMae.toFixed(1)}</td>
+                    <td style={{ padding: "6px", color: C.textMuted }}>{r.expired}</td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+        </>
+      ) : (
+        <div style={{ color: C.textMuted, fontSize: 13, textAlign: "center", padding: 40 }}>
+          No tracked signals yet — live signals are followed to their SL / TP once a session is running
+        </div>
+      )}
+
+      {stats && stats.repaint.intrabar > 0 && (
+        <div style={{ marginTop: 12, paddingTop: 12, borderTop: `1px solid ${C.panelBorder}`, fontSize: 12 }}>
+          <div style={{ marginBottom: 6 }}>
+            <span style={{ fontWeight: 600 }}>Repainting:</span>{" "}
+            <span style={{ color: stats.repaint.rate > 20 ? C.sell : C.text }}>
+              {stats.repaint.retracted} of {stats.repaint.intrabar} intrabar signals retracted at the candle close ({stats.repaint.rate.toFixed(1)}%)
+            </span>
+            <span style={{ color: C.textMuted }}> · evaluation: {stats.evaluation === "close" ? "candle close" : "intrabar"} · this session</span>
+          </div>
+          {stats.repaint.recent.slice(0, 5).map((r, i) => (
+            <div key={i} style={{ color: C.textMuted }}>
+              ↩️ {r.type} {r.stream} [{r.strategy}] {r.timestamp} @ {r.price} ({r.confidence.toFixed(0)}%)
+            </div>
+          ))}
+        </div>
+      )}
+    </Panel>
+  );
+}
+
 // ══════════════════════════════════════════
 // TAB: Reports
 // ══════════════════════════════════════════
@@ -649,7 +1872,10 @@ function ReportsTab({ balance, tradeLog, stats }) {
                       {t.pnl >= 0 ? "+" : ""}${t.pnl.toFixed(2)}
                     </td>
                     <td style={{ padding: "6px", color: t.result === "WIN" ? C.buy : C.sell }}>{t.result}</td>
-                    <td style={{ padding: "6px", color: C.textMuted }}>{t.exitReason}</td>
+                    <td style={{ padding: "6px", color: C.textMuted }}>
+                      {t.exitReason}
+                      {t.partial && <span> · {t.lotSize} lots of #{t.parentId}</span>}
+                    </td>
                     <td style={{ padding: "6px" }}>${t.balanceAfter.toFixed(2)}</td>
                   </tr>
                 ))}
@@ -662,14 +1888,167 @@ function ReportsTab({ balance, tradeLog, stats }) {
           </div>
         )}
       </Panel>
+
+      <SignalQualityPanel />
     </div>
   );
 }
 
+// ── Rule Set Editor ──
+// Write, validate and save rule-DSL strategies (see server/rule-dsl.js)
+const RULE_SET_TEMPLATE = JSON.stringify({
+  id: "rsi-bounce",
+  name: "RSI bounce",
+  threshold: 2,
+  cooldown: 5,
+  rules: [
+    { when: "rsi crosses above 30 AND close > smaSlow AND near support 0.3%", action: "BUY", weight: 2 },
+    { when: "within last 3 candles (macd crosses above macdSignal)", action: "BUY", weight: 1 },
+    { when: "rsi crosses below 70 AND close < smaSlow AND near resistance 0.3%", action: "SELL", weight: 2 },
+  ],
+}, null, 2);
+
+function RuleSetEditor({ onChange }) {
+  const [ruleSets, setRuleSets] = useState([]);
+  const [fields, setFields] = useState([]);
+  const [periodIndicators, setPeriodIndicators] = useState([]);
+  const [text, setText] = useState(RULE_SET_TEMPLATE);
+  const [errors, setErrors] = useState([]);
+  const [message, setMessage] = useState(null);
+
+  const load = () => fetch(`${API}/rulesets`)
+    .then(r => r.json())
+    .then(data => { setRuleSets(data.ruleSets); setFields(data.fields); setPeriodIndicators(data.periodIndicators || []); })
+    .catch(err => console.error("Failed to load rule sets:", err));
+
+  useEffect(() => { load(); }, []);
+
+  // Parse the editor text; JSON syntax errors are reported like rule errors
+  const parse = () => {
+    try {
+      return JSON.parse(text);
+    } catch (err) {
+      setErrors([`JSON: ${err.message}`]);
+      setMessage(null);
+      return null;
+    }
+  };
+
+  const validate = async () => {
+    const body = parse();
+    if (!body) return;
+    const resp = await fetch(`${API}/rulesets/validate`, {
+      method: "POST",
+      headers: { "Content-Type": "application/json" },
+      body: JSON.stringify(body),
+    });
+    const result = await resp.json();
+    setErrors(result.errors);
+    setMessage(result.valid ? { type: "success", text: `Valid — reads ${result.indicators.join(", ")}` } : null);
+  };
+
+  const save = async () => {
+    const body = parse();
+    if (!body) return;
+    const resp = await fetch(`${API}/rulesets`, {
+      method: "POST",
+      headers: { "Content-Type": "application/json" },
+      body: JSON.stringify(body),
+    });
+    const result = await resp.json();
+    if (!resp.ok) {
+      setErrors(result.errors || [result.error]);
+      setMessage(null);
+      return;
+    }
+    setErrors([]);
+    setMessage({ type: "success", text: `Saved as strategy ${result.strategyId}. Enable it under Strategies or select it in Backtest.` });
+    load();
+    if (onChange) onChange();
+  };
+
+  const remove = async (id) => {
+    if (!confirm(`Delete rule set "${id}"?`)) return;
+    await fetch(`${API}/rulesets/${encodeURIComponent(id)}`, { method: "DELETE" });
+    load();
+    if (onChange) onChange();
+  };
+
+  const edit = (ruleSet) => {
+    const { id, name, description, threshold, cooldown, rules } = ruleSet;
+    setText(JSON.stringify({ id, name, description, threshold, cooldown, rules }, null, 2));
+    setErrors([]);
+    setMessage(null);
+  };
+
+  return (
+    <Panel title="Rule Sets" span={1}>
+      <div style={{ fontSize: 11, color: C.textMuted, marginBottom: 12 }}>
+        Build strategies without code. Each rule adds its weight when its condition holds; a BUY or SELL fires once the
+        weight reaches the threshold. Conditions: comparisons ({"close > smaSlow"}), "crosses above/below", AND / OR / NOT,
+        "within last 3 candles (…)", "near support 0.3%", indicators at their own period like SMA(50), and past values like rsi[1].
+      </div>
+
+      {ruleSets.map(rs => (
+        <div key={rs.id} style={{ display: "flex", alignItems: "center", gap: 8, padding: "6px 0", borderBottom: `1px solid ${C.panelBorder}`, fontSize: 12 }}>
+          <span style={{ flex: 1 }}>
+            <span style={{ fontWeight: 600 }}>{rs.name}</span>
+            <span style={{ color: C.textMuted }}> — {rs.strategyId}, {rs.rules.length} rules{rs.enabled ? ", enabled" : ""}</span>
+          </span>
+          <Btn small onClick={() => edit(rs)}>Edit</Btn>
+          <Btn small color={C.sell} onClick={() => remove(rs.id)}>Delete</Btn>
+        </div>
+      ))}
+
+      <textarea
+        value={text}
+        onChange={e => setText(e.target.value)}
+        spellCheck={false}
+        rows={16}
+        style={{
+          width: "100%",
+          marginTop: 12,
+          padding: 10,
+          background: C.bg,
+          border: `1px solid ${errors.length > 0 ? C.sell : C.panelBorder}`,
+          borderRadius: 6,
+          color: C.text,
+          fontFamily: "monospace",
+          fontSize: 12,
+          boxSizing: "border-box",
+          outline: "none",
+        }}
+      />
+      {fields.length > 0 && (
+        <div style={{ fontSize: 10, color: C.textMuted, margin: "4px 0 12px" }}>
+          Fields: {fields.join(", ")}
+          {periodIndicators.length > 0 && <> · With a period: {periodIndicators.map(name => `${name.toUpperCase()}(n)`).join(", ")}</>}
+        </div>
+      )}
+
+      {errors.length > 0 && (
+        <div style={{ padding: 12, borderRadius: 6, marginBottom: 12, background: `${C.sell}20`, color: C.sell, border: `1px solid ${C.sell}`, fontSize: 12 }}>
+          {errors.map((e, i) => <div key={i}>{e}</div>)}
+        </div>
+      )}
+      {message && (
+        <div style={{ padding: 12, borderRadius: 6, marginBottom: 12, background: `${C.buy}20`, color: C.buy, border: `1px solid ${C.buy}`, fontSize: 12 }}>
+          {message.text}
+        </div>
+      )}
+
+      <div style={{ display: "flex", gap: 8 }}>
+        <Btn onClick={validate} color={C.purple} style={{ flex: 1 }}>Validate</Btn>
+        <Btn onClick={save} style={{ flex: 1 }}>Save Rule Set</Btn>
+      </div>
+    </Panel>
+  );
+}
+
 // ══════════════════════════════════════════
 // TAB: Settings
 // ══════════════════════════════════════════
-function SettingsTab() {
+function SettingsTab({ onSaved }) {
   const [config, setConfig] = useState({
     startingBalance: 10000,
     lotSize: 0.1,
@@ -677,26 +2056,111 @@ function SettingsTab() {
     takeProfitPips: 300,
     trailingStopDistance: 150,
     trailingStopActivation: 100,
+    indicators: DEFAULT_INDICATORS,
+    strategies: ["confluence"],
+    filters: DEFAULT_FILTERS,
+    stopRules: DEFAULT_STOP_RULES,
+    scoring: { active: "default", profiles: [], fields: {} },
   });
+  const [lockStepsText, setLockStepsText] = useState("");
+  const [availableStrategies, setAvailableStrategies] = useState([]);
+  // Scoring profile being edited: { name, settings, activate, pairs }
+  const [scoringEdit, setScoringEdit] = useState(null);
   const [loading, setLoading] = useState(false);
   const [message, setMessage] = useState(null);
 
+  const loadStrategies = () => fetch(`${API}/strategies`)
+    .then(r => r.json())
+    .then(data => {
+      setAvailableStrategies(data.strategies);
+      // Drop strategies that no longer exist (e.g. a deleted rule set)
+      setConfig(prev => ({ ...prev, strategies: prev.strategies.filter(id => data.strategies.some(s => s.id === id)) }));
+    })
+    .catch(err => console.error("Failed to load strategies:", err));
+
+  const editProfile = (profile) => setScoringEdit({
+    name: profile.name,
+    settings: { ...profile.settings },
+    activate: profile.active,
+    pairs: profile.pairs,
+  });
+
+  // Show the server's scoring profiles and keep editing `name` (else the active one)
+  const applyScoring = (scoring, name) => {
+    setConfig(prev => ({ ...prev, scoring }));
+    editProfile(scoring.profiles.find(p => p.name === name) || scoring.profiles.find(p => p.active));
+  };
+
   // Load config on mount
   useEffect(() => {
     fetch(`${API}/config`)
       .then(r => r.json())
-      .then(data => setConfig(data))
+      .then(data => {
+        setConfig(data);
+        setLockStepsText(formatLockSteps(data.stopRules?.lockSteps));
+        applyScoring(data.scoring);
+      })
       .catch(err => console.error("Failed to load config:", err));
+    loadStrategies();
   }, []);
 
+  const newProfile = () => {
+    const name = prompt("Name of the new scoring profile (letters, digits, - or _):");
+    if (!name) return;
+    setScoringEdit({ name, settings: { ...scoringEdit.settings }, activate: false, pairs: [] });
+  };
+
+  // Restore / delete apply immediately; edits are saved with the configuration
+  const postScoring = async (request) => {
+    setMessage(null);
+    try {
+      const resp = await fetch(request.url, request.init);
+      const result = await resp.json();
+      if (!resp.ok) {
+        setMessage({ type: "error", text: result.error || `Server error: ${resp.status}` });
+      } else {
+        applyScoring(result.scoring || result.config.scoring, request.keep);
+        setMessage({ type: "success", text: request.success });
+        if (onSaved) onSaved();
+      }
+    } catch (err) {
+      setMessage({ type: "error", text: `Failed to save: ${err.message}` });
+    }
+  };
+
+  const restoreVersion = (version) => postScoring({
+    url: `${API}/config`,
+    init: {
+      method: "POST",
+      headers: { "Content-Type": "application/json" },
+      body: JSON.stringify({ scoring: { name: scoringEdit.name, restoreVersion: version } }),
+    },
+    keep: scoringEdit.name,
+    success: `Restored ${scoringEdit.name} v${version} as a new version`,
+  });
+
+  const deleteProfile = () => {
+    if (!confirm(`Delete scoring profile "${scoringEdit.name}"? Its pairs fall back to the default profile.`)) return;
+    postScoring({
+      url: `${API}/scoring-profiles/${encodeURIComponent(scoringEdit.name)}`,
+      init: { method: "DELETE" },
+      success: `Deleted scoring profile ${scoringEdit.name}`,
+    });
+  };
+
   const saveConfig = async () => {
+    const lockSteps = parseLockSteps(lockStepsText);
+    if (lockSteps === null) {
+      setMessage({ type: "error", text: "Profit lock steps must look like 200:100, 400:250" });
+      return;
+    }
     setLoading(true);
     setMessage(null);
     try {
       const resp = await fetch(`${API}/config`, {
         method: "POST",
         headers: { "Content-Type": "application/json" },
-        body: JSON.stringify(config),
+        body: JSON.stringify({ ...config, stopRules: { ...config.stopRules, lockSteps }, scoring: scoringEdit || undefined }),
       });
       const result = await resp.json();
 
@@ -704,7 +2168,9 @@ function SettingsTab() {
         // Handle validation errors from backend
         setMessage({ type: "error", text: result.error || `Server error: ${resp.status}` });
       } else {
+        if (scoringEdit) applyScoring(result.config.scoring, scoringEdit.name);
         setMessage({ type: "success", text: "Configuration saved! Changes applied immediately and will persist across restarts." });
+        if (onSaved) onSaved();
       }
     } catch (err) {
       setMessage({ type: "error", text: `Failed to save: ${err.message}` });
@@ -773,6 +2239,308 @@ function SettingsTab() {
           </div>
         ))}
 
+        <div style={{ fontSize: 12, fontWeight: 600, margin: "8px 0", paddingTop: 16, borderTop: `1px solid ${C.panelBorder}` }}>
+          Break-even & Profit Lock
+        </div>
+        <div style={{ fontSize: 11, color: C.textMuted, marginBottom: 12 }}>
+          Rule-based stop management for new positions, on top of the trailing stop. The SL only ever tightens; each activation is sent to Telegram. 0 / empty = off.
+        </div>
+        <div style={{ display: "grid", gridTemplateColumns: "1fr 1fr", gap: 12, marginBottom: 12 }}>
+          {[
+            { key: "breakEvenPips", label: "Break-even at profit (pips)" },
+            { key: "breakEvenBufferPips", label: "Break-even buffer (pips)" },
+          ].map(({ key, label }) => (
+            <div key={key}>
+              <label style={{ fontSize: 12, color: C.textMuted, display: "block", marginBottom: 4 }}>{label}</label>
+              <input
+                type="number"
+                min={0}
+                max={3000}
+                step="any"
+                value={config.stopRules[key]}
+                onChange={e => {
+                  const value = parseFloat(e.target.value);
+                  setConfig(prev => ({ ...prev, stopRules: { ...prev.stopRules, [key]: Number.isNaN(value) ? 0 : value } }));
+                }}
+                style={{
+                  width: "100%",
+                  padding: "8px 12px",
+                  background: C.bg,
+                  border: `1px solid ${C.panelBorder}`,
+                  borderRadius: 6,
+                  color: C.text,
+                  fontSize: 14,
+                  outline: "none",
+                }}
+              />
+            </div>
+          ))}
+        </div>
+        <label style={{ display: "flex", alignItems: "center", gap: 6, fontSize: 12, marginBottom: 12, cursor: "pointer" }}>
+          <input
+            type="checkbox"
+            checked={config.stopRules.breakEvenCloseHalf}
+            onChange={e => setConfig(prev => ({ ...prev, stopRules: { ...prev.stopRules, breakEvenCloseHalf: e.target.checked } }))}
+          />
+          Close half the position when break-even activates
+        </label>
+        <label style={{ fontSize: 12, color: C.textMuted, display: "block", marginBottom: 4 }}>
+          Profit lock steps (trigger:lock pips, e.g. 200:100, 400:250)
+        </label>
+        <input
+          type="text"
+          value={lockStepsText}
+          placeholder="off"
+          onChange={e => setLockStepsText(e.target.value)}
+          style={{
+            width: "100%",
+            padding: "8px 12px",
+            background: C.bg,
+            border: `1px solid ${C.panelBorder}`,
+            borderRadius: 6,
+            color: C.text,
+            fontSize: 14,
+            outline: "none",
+            marginBottom: 16,
+          }}
+        />
+
+        <div style={{ fontSize: 12, fontWeight: 600, margin: "8px 0", paddingTop: 16, borderTop: `1px solid ${C.panelBorder}` }}>
+          Indicator Settings
+        </div>
+        <div style={{ fontSize: 11, color: C.textMuted, marginBottom: 12 }}>
+          Used for charts, live signals and as the backtest default. Changing them recalculates all indicators.
+        </div>
+        {[{ title: null, fields: INDICATOR_FIELDS }, ...INDICATOR_PERIOD_GROUPS].map(group => (
+          <div key={group.title || "core"}>
+            {group.title && <div style={{ fontSize: 11, color: C.textMuted, marginBottom: 8 }}>{group.title}</div>}
+            <div style={{ display: "grid", gridTemplateColumns: "1fr 1fr", gap: 12, marginBottom: 16 }}>
+              {group.fields.map(({ key, label, min, max }) => (
+                <div key={key}>
+                  <label style={{ fontSize: 12, color: C.textMuted, display: "block", marginBottom: 4 }}>{label}</label>
+                  <input
+                    type="number"
+                    min={min}
+                    max={max}
+                    step={1}
+                    value={config.indicators[key]}
+                    onChange={e => setConfig(prev => ({ ...prev, indicators: { ...prev.indicators, [key]: parseInt(e.target.value) } }))}
+                    style={{
+                      width: "100%",
+                      padding: "8px 12px",
+                      background: C.bg,
+                      border: `1px solid ${C.panelBorder}`,
+                      borderRadius: 6,
+                      color: C.text,
+                      fontSize: 14,
+                      outline: "none",
+                    }}
+                  />
+                </div>
+              ))}
+            </div>
+          </div>
+        ))}
+
+        <div style={{ fontSize: 12, fontWeight: 600, margin: "8px 0", paddingTop: 16, borderTop: `1px solid ${C.panelBorder}` }}>
+          Strategies
+        </div>
+        <div style={{ fontSize: 11, color: C.textMuted, marginBottom: 12 }}>
+          Enabled strategies run side by side. Each one signals, alerts and auto-executes on its own (one position per pair per strategy).
+        </div>
+        <div style={{ marginBottom: 16 }}>
+          <StrategyToggles
+            available={availableStrategies}
+            selected={config.strategies}
+            onChange={strategies => setConfig(prev => ({ ...prev, strategies }))}
+          />
+        </div>
+        <label style={{ fontSize: 12, color: C.textMuted, display: "block", marginBottom: 4 }}>Live Signal Evaluation</label>
+        <select
+          value={config.evaluation || "intrabar"}
+          onChange={e => setConfig(prev => ({ ...prev, evaluation: e.target.value }))}
+          style={{
+            width: "100%",
+            padding: "8px 12px",
+            marginBottom: 16,
+            background: C.bg,
+            border: `1px solid ${C.panelBorder}`,
+            borderRadius: 6,
+            color: C.text,
+            fontSize: 14,
+          }}
+        >
+          <option value="intrabar">Intrabar — fire on the forming candle (can repaint)</option>
+          <option value="close">Candle close — fire only on closed candles</option>
+        </select>
+
+        <div style={{ fontSize: 12, fontWeight: 600, margin: "8px 0", paddingTop: 16, borderTop: `1px solid ${C.panelBorder}` }}>
+          Signal Filters
+        </div>
+        <div style={{ fontSize: 11, color: C.textMuted, marginBottom: 12 }}>
+          Live signals must pass every filter before they are alerted or auto-executed. 0 or no session selected = off.
+        </div>
+        <div style={{ display: "grid", gridTemplateColumns: "1fr 1fr 1fr", gap: 12, marginBottom: 12 }}>
+          {FILTER_FIELDS.map(({ key, label, max }) => (
+            <div key={key}>
+              <label style={{ fontSize: 12, color: C.textMuted, display: "block", marginBottom: 4 }}>{label}</label>
+              <input
+                type="number"
+                min={0}
+                max={max}
+                step="any"
+                value={config.filters[key]}
+                onChange={e => {
+                  const value = parseFloat(e.target.value);
+                  setConfig(prev => ({ ...prev, filters: { ...prev.filters, [key]: Number.isNaN(value) ? 0 : value } }));
+                }}
+                style={{
+                  width: "100%",
+                  padding: "8px 12px",
+                  background: C.bg,
+                  border: `1px solid ${C.panelBorder}`,
+                  borderRadius: 6,
+                  color: C.text,
+                  fontSize: 14,
+                  outline: "none",
+                }}
+              />
+            </div>
+          ))}
+        </div>
+        <div style={{ display: "flex", flexWrap: "wrap", gap: 12, fontSize: 12, marginBottom: 16 }}>
+          <span style={{ color: C.textMuted }}>Sessions:</span>
+          {SESSION_OPTIONS.map(({ key, label }) => (
+            <label key={key} style={{ display: "flex", alignItems: "center", gap: 4, cursor: "pointer" }}>
+              <input
+                type="checkbox"
+                checked={config.filters.sessions.includes(key)}
+                onChange={e => setConfig(prev => ({
+                  ...prev,
+                  filters: {
+                    ...prev.filters,
+                    sessions: e.target.checked
+                      ? [...prev.filters.sessions, key]
+                      : prev.filters.sessions.filter(s => s !== key),
+                  },
+                }))}
+              />
+              {label}
+            </label>
+          ))}
+          <label style={{ display: "flex", alignItems: "center", gap: 4, cursor: "pointer", marginLeft: "auto" }}>
+            <input
+              type="checkbox"
+              checked={config.filters.trend}
+              onChange={e => setConfig(prev => ({ ...prev, filters: { ...prev.filters, trend: e.target.checked } }))}
+            />
+            With the SMA trend only
+          </label>
+        </div>
+
+        {scoringEdit && (() => {
+          const saved = config.scoring.profiles.find(p => p.name === scoringEdit.name);
+          return (
+            <>
+              <div style={{ fontSize: 12, fontWeight: 600, margin: "8px 0", paddingTop: 16, borderTop: `1px solid ${C.panelBorder}` }}>
+                Scoring Profile
+              </div>
+              <div style={{ fontSize: 11, color: C.textMuted, marginBottom: 12 }}>
+                Thresholds of the confluence score. Every save creates a new version; pairs can use their own profile.
+              </div>
+              <div style={{ display: "flex", gap: 8, alignItems: "center", marginBottom: 12 }}>
+                <select
+                  value={saved ? scoringEdit.name : ""}
+                  onChange={e => editProfile(config.scoring.profiles.find(p => p.name === e.target.value))}
+                  style={{
+                    flex: 1,
+                    padding: "8px 12px",
+                    background: C.bg,
+                    border: `1px solid ${C.panelBorder}`,
+                    borderRadius: 6,
+                    color: C.text,
+                    fontSize: 14,
+                  }}
+                >
+                  {!saved && <option value="">{scoringEdit.name} (new)</option>}
+                  {config.scoring.profiles.map(p => (
+                    <option key={p.name} value={p.name}>{p.name} — v{p.version}{p.active ? " (default)" : ""}</option>
+                  ))}
+                </select>
+                <Btn small onClick={newProfile}>New</Btn>
+                {saved && scoringEdit.name !== "default" && (
+                  <Btn small color={C.sell} onClick={deleteProfile}>Delete</Btn>
+                )}
+              </div>
+              <div style={{ display: "grid", gridTemplateColumns: "1fr 1fr", gap: 12, marginBottom: 12 }}>
+                {Object.entries(config.scoring.fields).map(([key, { min, max, integer }]) => (
+                  <div key={key}>
+                    <label style={{ fontSize: 12, color: C.textMuted, display: "block", marginBottom: 4 }}>{SCORING_LABELS[key] || key}</label>
+                    <input
+                      type="number"
+                      min={min}
+                      max={max}
+                      step={integer ? 1 : 0.1}
+                      value={scoringEdit.settings[key]}
+                      onChange={e => setScoringEdit(prev => ({ ...prev, settings: { ...prev.settings, [key]: parseFloat(e.target.value) } }))}
+                      style={{
+                        width: "100%",
+                        padding: "8px 12px",
+                        background: C.bg,
+                        border: `1px solid ${C.panelBorder}`,
+                        borderRadius: 6,
+                        color: C.text,
+                        fontSize: 14,
+                        outline: "none",
+                      }}
+                    />
+                  </div>
+                ))}
+              </div>
+              <label style={{ display: "flex", gap: 8, alignItems: "center", fontSize: 12, marginBottom: 8, cursor: "pointer" }}>
+                <input
+                  type="checkbox"
+                  checked={scoringEdit.activate}
+                  disabled={saved && saved.active}
+                  onChange={e => setScoringEdit(prev => ({ ...prev, activate: e.target.checked }))}
+                />
+                Default profile (used by pairs without their own)
+              </label>
+              <div style={{ display: "flex", flexWrap: "wrap", gap: 12, marginBottom: 12, fontSize: 12 }}>
+                <span style={{ color: C.textMuted }}>Use for:</span>
+                {PAIR_OPTIONS.map(p => (
+                  <label key={p} style={{ display: "flex", gap: 4, alignItems: "center", cursor: "pointer" }}>
+                    <input
+                      type="checkbox"
+                      checked={scoringEdit.pairs.includes(p)}
+                      onChange={() => setScoringEdit(prev => ({
+                        ...prev,
+                        pairs: prev.pairs.includes(p) ? prev.pairs.filter(x => x !== p) : [...prev.pairs, p],
+                      }))}
+                    />
+                    {p}
+                  </label>
+                ))}
+              </div>
+              {saved && saved.history.length > 0 && (
+                <div style={{ marginBottom: 16, fontSize: 12 }}>
+                  <div style={{ color: C.textMuted, marginBottom: 4 }}>
+                    Version history (current v{saved.version}, {new Date(saved.updatedAt).toLocaleString()})
+                  </div>
+                  {saved.history.map(h => (
+                    <div key={h.version} style={{ display: "flex", alignItems: "center", gap: 8, padding: "4px 0", borderBottom: `1px solid ${C.panelBorder}` }}>
+                      <span style={{ flex: 1 }}>
+                        v{h.version} · {new Date(h.updatedAt).toLocaleString()} · threshold {h.settings.threshold}, RSI {h.settings.rsiOversold}/{h.settings.rsiOverbought}
+                      </span>
+                      <Btn small onClick={() => restoreVersion(h.version)}>Restore</Btn>
+                    </div>
+                  ))}
+                </div>
+              )}
+            </>
+          );
+        })()}
+
         {message && (
           <div style={{
             padding: "12px",
@@ -814,6 +2582,10 @@ function SettingsTab() {
           Note: Configuration is saved to .env file. Changes apply immediately to new trades and persist across restarts.
         </div>
       </Panel>
+
+      <div style={{ marginTop: 16 }}>
+        <RuleSetEditor onChange={loadStrategies} />
+      </div>
     </div>
   );
 }
@@ -829,10 +2601,17 @@ function App() {
   const [data, setData] = useState([]);
   const [srLevels, setSrLevels] = useState([]);
   const [signals, setSignals] = useState([]);
+  const [divergences, setDivergences] = useState([]);
+  const [fibonacci, setFibonacci] = useState({ swings: [], impulses: [] });
+  const [structure, setStructure] = useState({ swings: [], events: [], bias: [], current: null });
+  const [smartMoney, setSmartMoney] = useState({ zones: [] });
+  const [regime, setRegime] = useState(null);
+  const [indicators, setIndicators] = useState(DEFAULT_INDICATORS);
   const [mode, setMode] = useState(() => localStorage.getItem("nexus_mode") || "STOP");
   const [dataSource, setDataSource] = useState("simulated");
   const [balance, setBalance] = useState(10000);
   const [openPositions, setOpenPositions] = useState([]);
+  const [pendingOrders, setPendingOrders] = useState([]);
   const [tradeLog, setTradeLog] = useState([]);
   const [marketStatus, setMarketStatus] = useState({ open: true, weekend: false, activeSessions: [] });
   const [stats, setStats] = useState({
@@ -866,6 +2645,12 @@ function App() {
       setData(result.data);
       setSrLevels(result.srLevels);
       setSignals(result.signals);
+      setDivergences(result.divergences || []);
+      if (result.fibonacci) setFibonacci(result.fibonacci);
+      if (result.structure) setStructure(result.structure);
+      if (result.smartMoney) setSmartMoney(result.smartMoney);
+      setRegime(result.regime || null);
+      if (result.indicators) setIndicators(result.indicators);
       setDataSource(result.source);
     } catch (err) {
       console.error("Fetch error:", err);
@@ -878,6 +2663,7 @@ function App() {
       const resp = await fetch(`${API}/positions`);
       const result = await resp.json();
       setOpenPositions(result.open);
+      setPendingOrders(result.pending);
       setTradeLog(result.history);
       setBalance(result.balance);
       setStats(result.stats);
@@ -971,6 +2757,12 @@ function App() {
         setData(d.data);
         setSrLevels(d.srLevels);
         setSignals(d.signals);
+        setDivergences(d.divergences || []);
+        if (d.fibonacci) setFibonacci(d.fibonacci);
+        if (d.structure) setStructure(d.structure);
+        if (d.smartMoney) setSmartMoney(d.smartMoney);
+        if (d.regime !== undefined) setRegime(d.regime);
+        if (d.indicators) setIndicators(d.indicators);
         setBalance(d.balance);
         setOpenPositions(d.openPositions);
         setDataSource(d.dataSource);
@@ -989,11 +2781,17 @@ function App() {
           });
         }
         if (d.srLevels) setSrLevels(d.srLevels);
+        if (d.divergences) setDivergences(d.divergences);
+        if (d.fibonacci) setFibonacci(d.fibonacci);
+        if (d.structure) setStructure(d.structure);
+        if (d.smartMoney) setSmartMoney(d.smartMoney);
+        if (d.regime !== undefined) setRegime(d.regime);
         if (d.signals?.length > 0) {
           setSignals(prev => [...prev, ...d.signals]);
         }
         if (d.balance !== undefined) setBalance(d.balance);
         if (d.openPositions) setOpenPositions(d.openPositions);
+        if (d.pendingOrders) setPendingOrders(d.pendingOrders);
         if (d.closedTrades?.length > 0) {
           setTradeLog(prev => [...prev, ...d.closedTrades]);
           fetchPositions();
@@ -1033,21 +2831,86 @@ function App() {
     }
   };
 
-  // Trade actions
-  const handleTrade = async (type) => {
+  // Trade actions — returns an error message, or null once opened
+  const handleTrade = async (type, legs) => {
     try {
       const resp = await fetch(`${API}/trade/open`, {
         method: "POST",
         headers: { "Content-Type": "application/json" },
-        body: JSON.stringify({ type, pair }),
+        body: JSON.stringify({ type, pair, legs }),
       });
       const result = await resp.json();
-      if (result.position) {
-        setOpenPositions(prev => [...prev, result.position]);
-        setBalance(result.balance);
-      }
+      if (!resp.ok) return result.error || `Server error: ${resp.status}`;
+      setOpenPositions(prev => [...prev, ...result.positions]);
+      setBalance(result.balance);
+      return null;
     } catch (err) {
       console.error("Trade error:", err);
+      return `Failed to open trade: ${err.message}`;
+    }
+  };
+
+  // Returns an error message, or null once the order is placed
+  const handlePlaceOrder = async (order) => {
+    try {
+      const resp = await fetch(`${API}/trade/order`, {
+        method: "POST",
+        headers: { "Content-Type": "application/json" },
+        body: JSON.stringify(order),
+      });
+      const result = await resp.json();
+      if (!resp.ok) return result.error || `Server error: ${resp.status}`;
+      setPendingOrders(result.pending);
+      return null;
+    } catch (err) {
+      return `Failed to place order: ${err.message}`;
+    }
+  };
+
+  const handlePlaceOco = async (oco) => {
+    try {
+      const resp = await fetch(`${API}/trade/oco`, {
+        method: "POST",
+        headers: { "Content-Type": "application/json" },
+        body: JSON.stringify(oco),
+      });
+      const result = await resp.json();
+      if (!resp.ok) return result.error || `Server error: ${resp.status}`;
+      setPendingOrders(result.pending);
+      return null;
+    } catch (err) {
+      return `Failed to place OCO orders: ${err.message}`;
+    }
+  };
+
+  const handleCancelOrder = async (orderId) => {
+    try {
+      const resp = await fetch(`${API}/trade/cancel-order`, {
+        method: "POST",
+        headers: { "Content-Type": "application/json" },
+        body: JSON.stringify({ orderId }),
+      });
+      const result = await resp.json();
+      if (result.pending) setPendingOrders(result.pending);
+    } catch (err) {
+      console.error("Cancel order error:", err);
+    }
+  };
+
+  // Partial close / scale-in / TP levels — returns an error message, or null
+  const handlePositionAction = async (action, body) => {
+    try {
+      const resp = await fetch(`${API}/trade/${action}`, {
+        method: "POST",
+        headers: { "Content-Type": "application/json" },
+        body: JSON.stringify(body),
+      });
+      const result = await resp.json();
+      if (!resp.ok) return result.error || `Server error: ${resp.status}`;
+      fetchPositions();
+      return null;
+    } catch (err) {
+      return `Failed to update position: ${err.message}`;
     }
   };
 
@@ -1302,29 +3165,36 @@ function App() {
             dataSource={dataSource}
             mode={mode}
             pair={pair}
+            regime={regime}
           />
         )}
         {tab === "charts" && (
-          <ChartsTab data={data} srLevels={srLevels} signals={signals} pair={pair} />
+          <ChartsTab data={data} srLevels={srLevels} signals={signals} divergences={divergences} fibonacci={fibonacci} structure={structure} smartMoney={smartMoney} pair={pair} indicators={indicators} />
         )}
         {tab === "trade" && (
           <TradeTab
             data={data}
             signals={signals}
             openPositions={openPositions}
+            pendingOrders={pendingOrders}
             balance={balance}
             pair={pair}
+            indicators={indicators}
             onTrade={handleTrade}
             onClose={handleClose}
+            onPositionAction={handlePositionAction}
+            onPlaceOrder={handlePlaceOrder}
+            onPlaceOco={handlePlaceOco}
+            onCancelOrder={handleCancelOrder}
           />
         )}
         {tab === "backtest" && (
-          <BacktestTab pair={pair} timeframe={timeframe} />
+          <BacktestTab pair={pair} timeframe={timeframe} onSettingsSaved={fetchData} />
         )}
         {tab === "reports" && (
           <ReportsTab balance={balance} tradeLog={tradeLog} stats={stats} />
         )}
-        {tab === "settings" && <SettingsTab />}
+        {tab === "settings" && <SettingsTab onSaved={fetchData} />}
       </div>
 
       {/* Global Styles */}
@@ -0,0 +1,48 @@
+// Parse and evaluate check for the rule DSL (server/rule-dsl.js)
+// Runs the documented example rule against a hand-built price series:
+// a rally, a sharp sell-off that pushes RSI(14) under 30 while price stays
+// above SMA(50), then a rebound that should signal exactly once.
+//
+// Usage: npm run check-rules
+
+const assert = require("assert");
+const { parseCondition, validateRuleSet, compileRuleSet, describeCondition } = require("../server/rule-dsl");
+
+const EXAMPLE = "RSI(14) crosses above 30 AND close > SMA(50)";
+
+function exampleCandles() {
+  const closes = [];
+  for (let i = 0; i < 30; i++) closes.push(0.8);
+  for (let i = 0; i < 20; i++) closes.push(1.0);
+  for (let i = 1; i <= 14; i++) closes.push(1.0 - 0.005 * i);
+  for (let i = 1; i <= 5; i++) closes.push(0.93 + 0.004 * i);
+  return closes.map((close, i) => ({ time: i * 3600, open: close, high: close, low: close, close, volume: 100 }));
+}
+
+const parsed = parseCondition(EXAMPLE);
+assert.deepStrictEqual(parsed, {
+  and: [
+    { crossesAbove: [{ indicator: "RSI", period: 14 }, 30] },
+    { ">": ["close", { indicator: "SMA", period: 50 }] },
+  ],
+});
+
+const ruleSet = { id: "example", name: "Example", cooldown: 0, rules: [{ when: EXAMPLE, action: "BUY" }] };
+const { errors, conditions, indicators } = validateRuleSet(ruleSet);
+assert.deepStrictEqual(errors, []);
+assert.deepStrictEqual(indicators, ["close"]);
+assert.strictEqual(describeCondition(conditions[0]), EXAMPLE);
+
+const strategy = compileRuleSet(ruleSet);
+const candles = exampleCandles();
+const signals = strategy.evaluate(candles, { srLevels: [], params: strategy.params });
+assert.deepStrictEqual(signals.map((s) => [s.index, s.type]), [[64, "BUY"]]);
+
+// A live tick only sees candles up to itself and must agree with the full history
+const live = strategy.evaluate(candles.slice(0, 65), { srLevels: [], params: strategy.params });
+assert.deepStrictEqual(live.map((s) => s.index), [64]);
+
+const unknown = validateRuleSet({ ...ruleSet, rules: [{ when: "VWAP(20) > close", action: "BUY" }] });
+assert.strictEqual(unknown.errors.length, 1);
+
+console.log(`✅ Rule DSL check passed: "${EXAMPLE}" signals BUY at candle 64`);
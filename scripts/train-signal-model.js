@@ -0,0 +1,77 @@
+// Offline training of the signal model (server/signal-model.js)
+// Reads the stored signal outcomes and trades, fits the model and saves it
+// as the next version under data/models.
+//
+// Usage: npm run train-model -- [--min-samples 30] [--epochs 500]
+//          [--learning-rate 0.1] [--l2 0.01] [--dry-run]
+
+const fs = require("fs");
+const path = require("path");
+const { collectSamples, trainModel, ModelStore } = require("../server/signal-model");
+
+const DATA_DIR = path.join(__dirname, "..", "data");
+
+function parseArgs(argv) {
+  const args = { minSamples: 30, epochs: 500, learningRate: 0.1, l2: 0.01, dryRun: false };
+  const flags = { "--min-samples": "minSamples", "--epochs": "epochs", "--learning-rate": "learningRate", "--l2": "l2" };
+  for (let i = 0; i < argv.length; i++) {
+    if (argv[i] === "--dry-run") {
+      args.dryRun = true;
+    } else if (flags[argv[i]]) {
+      const value = Number(argv[++i]);
+      if (!Number.isFinite(value) || value < 0) throw new Error(`${argv[i - 1]} needs a non-negative number`);
+      args[flags[argv[i - 1]]] = value;
+    } else {
+      throw new Error(`Unknown option: ${argv[i]}`);
+    }
+  }
+  return args;
+}
+
+function readJson(file, fallback) {
+  const full = path.join(DATA_DIR, file);
+  return fs.existsSync(full) ? JSON.parse(fs.readFileSync(full, "utf8")) : fallback;
+}
+
+const pct = (value) => (value == null ? "—" : `${(value * 100).toFixed(1)}%`);
+
+function main() {
+  const args = parseArgs(process.argv.slice(2));
+  const tracked = readJson("signal-outcomes.json", []);
+  const { tradeLog = [] } = readJson("trades.json", {});
+  const samples = collectSamples(tracked, tradeLog);
+
+  console.log(`📚 ${samples.length} labelled samples (${tracked.length} tracked signals, ${tradeLog.length} trades)`);
+  if (samples.length < args.minSamples) {
+    console.error(`❌ Need at least ${args.minSamples} samples with recorded features to train — keep the bot running to collect more`);
+    process.exit(1);
+  }
+  const positives = samples.filter((s) => s.label === 1).length;
+  if (positives === 0 || positives === samples.length) {
+    console.error("❌ Samples need both TP and SL outcomes to train");
+    process.exit(1);
+  }
+
+  const { epochs, learningRate, l2 } = args;
+  const model = trainModel(samples, { epochs, learningRate, l2 });
+  const { training, validation } = model.metrics;
+  console.log(`🎯 Base rate (TP before SL): ${pct(training.baseRate)}`);
+  console.log(`   Training:   accuracy ${pct(training.accuracy)}, log loss ${training.logLoss.toFixed(3)}, AUC ${pct(training.auc)}`);
+  console.log(`   Validation: accuracy ${pct(validation.accuracy)}, log loss ${validation.logLoss?.toFixed(3) ?? "—"}, AUC ${pct(validation.auc)} (${validation.samples} newest samples)`);
+  console.log("   Weights:");
+  model.features.forEach((name, j) => console.log(`     ${name.padEnd(14)} ${model.weights[j] >= 0 ? "+" : ""}${model.weights[j].toFixed(3)}`));
+
+  if (args.dryRun) {
+    console.log("Dry run — model not saved");
+    return;
+  }
+  const saved = new ModelStore(path.join(DATA_DIR, "models")).save(model);
+  console.log(`💾 Saved signal model v${saved.version} — set SIGNAL_MODEL=gate or confidence and restart, or POST /api/models/reload`);
+}
+
+try {
+  main();
+} catch (err) {
+  console.error("❌ Training failed:", err.message);
+  process.exit(1);
+}
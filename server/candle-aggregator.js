@@ -91,4 +91,60 @@ function timeframeToMs(tf) {
   return map[tf] || 60000;
 }
 
-module.exports = { CandleAggregator, timeframeToMs };
+/**
+ * Start (UTC ms) of the period containing `time`.
+ * Weeks start on Monday, matching Twelve Data's weekly candles; intraday
+ * periods are aligned to multiples of their length.
+ * @param {number} time - Timestamp in ms
+ * @param {string} period - "1month" | "1week" | "1day" or an intraday timeframe
+ */
+function periodStart(time, period) {
+  const d = new Date(time);
+  if (period === "1month") {
+    return Date.UTC(d.getUTCFullYear(), d.getUTCMonth(), 1);
+  }
+  const day = Date.UTC(d.getUTCFullYear(), d.getUTCMonth(), d.getUTCDate());
+  if (period === "1week") {
+    const sinceMonday = (d.getUTCDay() + 6) % 7;
+    return day - sinceMonday * 86400000;
+  }
+  if (period === "1day") return day;
+  const ms = timeframeToMs(period);
+  return Math.floor(time / ms) * ms;
+}
+
+/**
+ * Resample candles into a higher timeframe
+ * @param {Array} candles - Candle objects in chronological order
+ * @param {string} period - "1month" | "1week" | "1day" or an intraday timeframe
+ * @returns {Array} Higher-timeframe candles (last one may be incomplete)
+ */
+function resampleCandles(candles, period) {
+  const result = [];
+  const intraday = !["1day", "1week", "1month"].includes(period);
+  for (const c of candles) {
+    const start = periodStart(c.time, period);
+    const last = result[result.length - 1];
+    if (!last || last.time !== start) {
+      result.push({
+        time: start,
+        timestamp: intraday
+          ? new Date(start).toLocaleTimeString([], { hour: "2-digit", minute: "2-digit" })
+          : new Date(start).toISOString().slice(0, 10),
+        open: c.open,
+        high: c.high,
+        low: c.low,
+        close: c.close,
+        volume: c.volume || 0,
+      });
+    } else {
+      last.high = Math.max(last.high, c.high);
+      last.low = Math.min(last.low, c.low);
+      last.close = c.close;
+      last.volume += c.volume || 0;
+    }
+  }
+  return result;
+}
+
+module.exports = { CandleAggregator, timeframeToMs, periodStart, resampleCandles };
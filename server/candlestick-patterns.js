@@ -0,0 +1,130 @@
+// Module 2c — Candlestick Pattern Recognition
+// Classic 1-3 candle patterns over OHLC data
+
+/**
+ * Body / wick measurements of a candle
+ */
+function shape(candle) {
+  const range = candle.high - candle.low;
+  const body = Math.abs(candle.close - candle.open);
+  return {
+    range,
+    body,
+    upperWick: candle.high - Math.max(candle.open, candle.close),
+    lowerWick: Math.min(candle.open, candle.close) - candle.low,
+    bullish: candle.close > candle.open,
+    bearish: candle.close < candle.open,
+  };
+}
+
+// Pattern metadata: label for reasons/alerts, direction, candles involved
+const PATTERNS = {
+  bullishEngulfing: { label: "Bullish engulfing", type: "bullish", bars: 2 },
+  bearishEngulfing: { label: "Bearish engulfing", type: "bearish", bars: 2 },
+  hammer: { label: "Hammer", type: "bullish", bars: 1 },
+  shootingStar: { label: "Shooting star", type: "bearish", bars: 1 },
+  doji: { label: "Doji", type: "neutral", bars: 1 },
+  insideBar: { label: "Inside bar", type: "neutral", bars: 2 },
+  bullishOutsideBar: { label: "Bullish outside bar", type: "bullish", bars: 2 },
+  bearishOutsideBar: { label: "Bearish outside bar", type: "bearish", bars: 2 },
+  morningStar: { label: "Morning star", type: "bullish", bars: 3 },
+  eveningStar: { label: "Evening star", type: "bearish", bars: 3 },
+  threeWhiteSoldiers: { label: "Three white soldiers", type: "bullish", bars: 3 },
+  threeBlackCrows: { label: "Three black crows", type: "bearish", bars: 3 },
+};
+
+/**
+ * Detect the patterns that complete on candle i.
+ * Only candles i-2..i are looked at, so the result for a closed candle
+ * never changes once later candles arrive.
+ * @param {Array} data - Array of candle objects
+ * @param {number} i - Index of the candle that completes the pattern
+ * @returns {Array} Pattern objects { name, label, type, bars }
+ */
+function detectPatternsAt(data, i) {
+  const names = [];
+  const c = data[i];
+  const s = shape(c);
+  if (s.range <= 0) return [];
+
+  // Single candle
+  if (s.body <= s.range * 0.1) names.push("doji");
+  // Pin bars: long rejection wick, small body at the opposite end
+  if (s.lowerWick >= s.body * 2 && s.lowerWick >= s.range * 0.6 && s.upperWick <= s.range * 0.15) {
+    names.push("hammer");
+  }
+  if (s.upperWick >= s.body * 2 && s.upperWick >= s.range * 0.6 && s.lowerWick <= s.range * 0.15) {
+    names.push("shootingStar");
+  }
+
+  // Two candles
+  if (i >= 1) {
+    const p = data[i - 1];
+    const ps = shape(p);
+
+    if (ps.bearish && s.bullish && c.open <= p.close && c.close >= p.open && s.body > ps.body) {
+      names.push("bullishEngulfing");
+    }
+    if (ps.bullish && s.bearish && c.open >= p.close && c.close <= p.open && s.body > ps.body) {
+      names.push("bearishEngulfing");
+    }
+    if (c.high < p.high && c.low > p.low) names.push("insideBar");
+    if (c.high > p.high && c.low < p.low) {
+      if (s.bullish) names.push("bullishOutsideBar");
+      else if (s.bearish) names.push("bearishOutsideBar");
+    }
+  }
+
+  // Three candles
+  if (i >= 2) {
+    const a = data[i - 2];
+    const b = data[i - 1];
+    const as = shape(a);
+    const bs = shape(b);
+    const aMid = (a.open + a.close) / 2;
+
+    // Stars: strong candle, small-bodied pause, strong reversal past the first body's midpoint
+    const strongFirst = as.range > 0 && as.body >= as.range * 0.5;
+    const smallMiddle = bs.body <= as.body * 0.3;
+    if (strongFirst && smallMiddle && as.bearish && s.bullish && c.close > aMid) {
+      names.push("morningStar");
+    }
+    if (strongFirst && smallMiddle && as.bullish && s.bearish && c.close < aMid) {
+      names.push("eveningStar");
+    }
+
+    // Soldiers / crows: three solid candles, each opening inside the prior body
+    const solid = [as, bs, s].every((x) => x.range > 0 && x.body >= x.range * 0.5);
+    if (
+      solid &&
+      as.bullish && bs.bullish && s.bullish &&
+      b.close > a.close && c.close > b.close &&
+      b.open >= a.open && b.open <= a.close &&
+      c.open >= b.open && c.open <= b.close
+    ) {
+      names.push("threeWhiteSoldiers");
+    }
+    if (
+      solid &&
+      as.bearish && bs.bearish && s.bearish &&
+      b.close < a.close && c.close < b.close &&
+      b.open <= a.open && b.open >= a.close &&
+      c.open <= b.open && c.open >= b.close
+    ) {
+      names.push("threeBlackCrows");
+    }
+  }
+
+  return names.map((name) => ({ name, ...PATTERNS[name] }));
+}
+
+/**
+ * Detect patterns for every candle
+ * @param {Array} data - Array of candle objects
+ * @returns {Array<Array>} Pattern list per candle (empty when none)
+ */
+function detectPatterns(data) {
+  return data.map((_, i) => detectPatternsAt(data, i));
+}
+
+module.exports = { detectPatterns, detectPatternsAt, PATTERNS };
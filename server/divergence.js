@@ -0,0 +1,115 @@
+// Module 2b — Divergence Detector
+// Compares price swings against RSI / MACD swings
+
+const { findPivotsAt } = require("./indicators");
+
+// Oscillators checked for divergence: enriched candle field → display label
+const DIVERGENCE_INDICATORS = {
+  rsi: "RSI",
+  macd: "MACD",
+};
+
+/**
+ * Swing highs/lows of a series, using the same pivot test as S/R detection.
+ * A swing at index i is only known once `lookback` more candles have closed,
+ * so each swing carries the index where it became confirmed.
+ * @param {Array} data - Array of candle objects
+ * @param {number} lookback - Candles required on each side of the swing
+ * @returns {Object} { highs: [], lows: [] } with { index, price, confirmedIndex }
+ */
+function findSwings(data, lookback) {
+  const highs = [];
+  const lows = [];
+
+  for (let i = lookback; i < data.length - lookback; i++) {
+    for (const pivot of findPivotsAt(data, i, lookback)) {
+      const swing = { index: i, price: pivot.price, confirmedIndex: i + lookback };
+      if (pivot.type === "resistance") highs.push(swing);
+      else lows.push(swing);
+    }
+  }
+  return { highs, lows };
+}
+
+/**
+ * Classify a pair of consecutive swings for one oscillator
+ * @returns {Object|null} { type, kind } or null if price and oscillator agree
+ */
+function classify(side, prevPrice, price, prevValue, value) {
+  if (side === "low") {
+    if (price < prevPrice && value > prevValue) return { type: "bullish", kind: "regular" };
+    if (price > prevPrice && value < prevValue) return { type: "bullish", kind: "hidden" };
+  } else {
+    if (price > prevPrice && value < prevValue) return { type: "bearish", kind: "regular" };
+    if (price < prevPrice && value > prevValue) return { type: "bearish", kind: "hidden" };
+  }
+  return null;
+}
+
+/**
+ * Detect regular and hidden divergences between price and oscillators.
+ *
+ * Regular divergence (reversal): price makes a lower low / higher high while
+ * the oscillator makes a higher low / lower high.
+ * Hidden divergence (continuation): price makes a higher low / lower high while
+ * the oscillator makes a lower low / higher high.
+ *
+ * @param {Array} data - Enriched candle data (with .rsi / .macd)
+ * @param {Object} options
+ * @param {number} options.lookback - Swing pivot window (default 5)
+ * @param {number} options.minDistance - Min candles between the two swings (default 5)
+ * @param {number} options.maxDistance - Max candles between the two swings (default 60)
+ * @param {Array<string>} options.indicators - Fields to check (default rsi, macd)
+ * @returns {Array} Divergence objects in order of confirmation
+ */
+function detectDivergences(data, options = {}) {
+  const {
+    lookback = 5,
+    minDistance = 5,
+    maxDistance = 60,
+    indicators = Object.keys(DIVERGENCE_INDICATORS),
+  } = options;
+
+  const swings = findSwings(data, lookback);
+  const divergences = [];
+
+  for (const [side, list] of [["low", swings.lows], ["high", swings.highs]]) {
+    for (let s = 1; s < list.length; s++) {
+      const prev = list[s - 1];
+      const curr = list[s];
+      const distance = curr.index - prev.index;
+      if (distance < minDistance || distance > maxDistance) continue;
+
+      for (const field of indicators) {
+        const prevValue = data[prev.index][field];
+        const value = data[curr.index][field];
+        if (prevValue === null || prevValue === undefined || value === null || value === undefined) {
+          continue;
+        }
+
+        const match = classify(side, prev.price, curr.price, prevValue, value);
+        if (!match) continue;
+
+        divergences.push({
+          ...match,
+          indicator: field,
+          label: DIVERGENCE_INDICATORS[field] || field,
+          startIndex: prev.index,
+          endIndex: curr.index,
+          confirmedIndex: curr.confirmedIndex,
+          startTime: data[prev.index].time,
+          endTime: data[curr.index].time,
+          startPrice: prev.price,
+          endPrice: curr.price,
+          startValue: prevValue,
+          endValue: value,
+        });
+      }
+    }
+  }
+
+  divergences.sort((a, b) => a.confirmedIndex - b.confirmedIndex || a.endIndex - b.endIndex);
+  return divergences;
+}
+
+module.exports = { detectDivergences, findSwings, DIVERGENCE_INDICATORS };
@@ -0,0 +1,111 @@
+// Module 2e — Fibonacci Levels
+// Zigzag swing detection and retracement/extension levels of the last impulse
+
+const FIB_RETRACEMENTS = [0.236, 0.382, 0.5, 0.618, 0.786];
+const FIB_EXTENSIONS = [1.272, 1.618];
+
+/**
+ * Zigzag swing detector.
+ * A swing high is confirmed once price has fallen `threshold` away from it
+ * (and vice versa for lows), so each swing carries the index of the candle
+ * that confirmed it.
+ * @param {Array} data - Enriched candle data (needs .atr in "atr" mode)
+ * @param {Object} options
+ * @param {string} options.mode - "percent" or "atr" (default "atr")
+ * @param {number} options.threshold - Reversal size: percent of price, or
+ *   ATR multiple (default 3)
+ * @returns {Array} Alternating swings { type, index, price, time, confirmedIndex }
+ */
+function zigzag(data, options = {}) {
+  const { mode = "atr", threshold = 3 } = options;
+  const swings = [];
+  if (data.length === 0) return swings;
+
+  const reversalSize = (candle) => {
+    if (mode === "percent") return (candle.close * threshold) / 100;
+    return candle.atr === null || candle.atr === undefined ? null : candle.atr * threshold;
+  };
+
+  let trend = 0; // 1 = rising (tracking a high), -1 = falling (tracking a low)
+  let hi = 0;
+  let lo = 0;
+
+  for (let i = 0; i < data.length; i++) {
+    const candle = data[i];
+    if (trend >= 0 && candle.high >= data[hi].high) hi = i;
+    if (trend <= 0 && candle.low <= data[lo].low) lo = i;
+
+    const size = reversalSize(candle);
+    if (size === null) continue;
+
+    if (trend >= 0 && data[hi].high - candle.low >= size && (trend === 1 || hi < i)) {
+      swings.push({ type: "high", index: hi, price: data[hi].high, time: data[hi].time, confirmedIndex: i });
+      trend = -1;
+      lo = i;
+    } else if (trend <= 0 && candle.high - data[lo].low >= size && (trend === -1 || lo < i)) {
+      swings.push({ type: "low", index: lo, price: data[lo].low, time: data[lo].time, confirmedIndex: i });
+      trend = 1;
+      hi = i;
+    }
+  }
+  return swings;
+}
+
+/**
+ * Retracement and extension levels of one impulse leg.
+ * Retracements are measured back from the impulse end; extensions project
+ * beyond it in the impulse direction (start + ratio × impulse).
+ * @param {Object} start - Swing where the impulse began
+ * @param {Object} end - Swing where the impulse ended
+ * @returns {Array} { ratio, label, kind, price }
+ */
+function fibLevels(start, end) {
+  const move = end.price - start.price;
+  const levels = [];
+  for (const ratio of FIB_RETRACEMENTS) {
+    levels.push({
+      ratio,
+      label: `${(ratio * 100).toFixed(1)}%`,
+      kind: "retracement",
+      price: end.price - move * ratio,
+    });
+  }
+  for (const ratio of FIB_EXTENSIONS) {
+    levels.push({
+      ratio,
+      label: `${(ratio * 100).toFixed(1)}%`,
+      kind: "extension",
+      price: start.price + move * ratio,
+    });
+  }
+  return levels;
+}
+
+/**
+ * Fibonacci levels for every impulse in the data.
+ * Each impulse is the leg between two consecutive zigzag swings and only
+ * becomes usable at the candle that confirmed its end swing.
+ * @param {Array} data - Enriched candle data
+ * @param {Object} options - Zigzag options (see zigzag())
+ * @returns {Object} { swings, impulses: [{ direction, start, end, confirmedIndex, levels }] }
+ */
+function calcFibonacci(data, options = {}) {
+  const swings = zigzag(data, options);
+  const impulses = [];
+
+  for (let s = 1; s < swings.length; s++) {
+    const start = swings[s - 1];
+    const end = swings[s];
+    impulses.push({
+      direction: end.price > start.price ? "up" : "down",
+      start,
+      end,
+      confirmedIndex: end.confirmedIndex,
+      levels: fibLevels(start, end),
+    });
+  }
+
+  return { swings, impulses };
+}
+
+module.exports = { zigzag, fibLevels, calcFibonacci, FIB_RETRACEMENTS, FIB_EXTENSIONS };
@@ -10,12 +10,25 @@ const http = require("http");
 const path = require("path");
 const fs = require("fs");
 
-const { enrichData } = require("./indicators");
-const { generateSignals } = require("./signal-engine");
-const { TradeManager, PAIRS, pipsToPrice } = require("./trade-manager");
+const { enrichData, IndicatorStream, DEFAULT_INDICATOR_SETTINGS } = require("./indicators");
+const { OSCILLATORS } = require("./signal-engine");
+const { runStrategies, gateSignals, describeStrategies, registerStrategy, unregisterStrategy, STRATEGIES } = require("./strategies");
+const { validateRuleSet, compileRuleSet, RULE_FIELDS, PERIOD_INDICATORS } = require("./rule-dsl");
+const { ScoringProfiles, mergeScoringSettings, SCORING_FIELDS } = require("./scoring-profiles");
+const { SignalTracker, RepaintMonitor } = require("./signal-tracker");
+const { extractFeatures, ModelStore } = require("./signal-model");
+const { filterSignals, filterSettingsFromEnv, mergeFilterSettings, FILTER_FIELDS } = require("./signal-filters");
+const { detectDivergences } = require("./divergence");
+const { calcPivotLevels, pivotSrLevels, PIVOT_METHODS, PIVOT_TIMEFRAMES } = require("./pivot-points");
+const { calcFibonacci } = require("./fibonacci");
+const { analyzeStructure } = require("./market-structure");
+const { analyzeSmartMoney } = require("./smart-money");
+const { classifyRegimes, latestRegime } = require("./regime");
+const { timeframeAlignment, MTF_CHECKS } = require("./multi-timeframe");
+const { TradeManager, PAIRS, pipsToPrice, stopRulesFromEnv, mergeStopRules } = require("./trade-manager");
 const { fetchCandles } = require("./twelvedata");
 const { TwelveDataStream } = require("./websocket-client");
-const { CandleAggregator, timeframeToMs } = require("./candle-aggregator");
+const { CandleAggregator, timeframeToMs, periodStart, resampleCandles } = require("./candle-aggregator");
 const { TelegramBot } = require("./telegram");
 const { TelegramCommandHandler } = require("./telegram-commands");
 const { Scheduler } = require("./scheduler");
@@ -52,13 +65,207 @@ const tradingParams = {
   takeProfitPips: parseFloat(process.env.TAKE_PROFIT_PIPS || "300"),
   trailingStopDistance: parseFloat(process.env.TRAILING_STOP_DISTANCE || "150"),
   trailingStopActivation: parseFloat(process.env.TRAILING_STOP_ACTIVATION || "100"),
+  stopRules: stopRulesFromEnv(), // Break-even / profit lock for new positions
 };
 
 console.log("📊 Trading Parameters:", tradingParams);
 
+// .env key and allowed range for each indicator setting
+const INDICATOR_SETTING_FIELDS = {
+  smaFast: { env: "SMA_FAST", min: 2, max: 200 },
+  smaSlow: { env: "SMA_SLOW", min: 2, max: 500 },
+  rsiPeriod: { env: "RSI_PERIOD", min: 2, max: 100 },
+  macdFast: { env: "MACD_FAST", min: 2, max: 100 },
+  macdSlow: { env: "MACD_SLOW", min: 2, max: 200 },
+  macdSignal: { env: "MACD_SIGNAL", min: 2, max: 100 },
+  srLookback: { env: "SR_LOOKBACK", min: 3, max: 60 },
+  atrPeriod: { env: "ATR_PERIOD", min: 2, max: 100 },
+  stdDevPeriod: { env: "STDDEV_PERIOD", min: 2, max: 200 },
+  bbPeriod: { env: "BB_PERIOD", min: 2, max: 200 },
+  kcPeriod: { env: "KC_PERIOD", min: 2, max: 200 },
+  kcAtrPeriod: { env: "KC_ATR_PERIOD", min: 2, max: 100 },
+  adxPeriod: { env: "ADX_PERIOD", min: 2, max: 100 },
+  supertrendPeriod: { env: "SUPERTREND_PERIOD", min: 2, max: 100 },
+  ichimokuTenkan: { env: "ICHIMOKU_TENKAN", min: 2, max: 100 },
+  ichimokuKijun: { env: "ICHIMOKU_KIJUN", min: 2, max: 200 },
+  ichimokuSenkouB: { env: "ICHIMOKU_SENKOU_B", min: 2, max: 300 },
+  ichimokuDisplacement: { env: "ICHIMOKU_DISPLACEMENT", min: 1, max: 100 },
+  stochPeriod: { env: "STOCH_PERIOD", min: 2, max: 100 },
+  stochSmooth: { env: "STOCH_SMOOTH", min: 1, max: 20 },
+  stochSignal: { env: "STOCH_SIGNAL", min: 1, max: 20 },
+  stochRsiPeriod: { env: "STOCH_RSI_PERIOD", min: 2, max: 100 },
+  stochRsiLookback: { env: "STOCH_RSI_LOOKBACK", min: 2, max: 100 },
+  stochRsiSmooth: { env: "STOCH_RSI_SMOOTH", min: 1, max: 20 },
+  stochRsiSignal: { env: "STOCH_RSI_SIGNAL", min: 1, max: 20 },
+  cciPeriod: { env: "CCI_PERIOD", min: 2, max: 200 },
+  williamsRPeriod: { env: "WILLIAMS_R_PERIOD", min: 2, max: 100 },
+  mfiPeriod: { env: "MFI_PERIOD", min: 2, max: 100 },
+};
+
+// Indicator parameters shared by charts, backtests and the live tick path
+const indicatorSettings = Object.fromEntries(
+  Object.entries(INDICATOR_SETTING_FIELDS).map(([key, field]) => [
+    key,
+    parseInt(process.env[field.env] || DEFAULT_INDICATOR_SETTINGS[key]),
+  ])
+);
+
+console.log("📈 Indicator Settings:", indicatorSettings);
+
+// Rule sets written in the rule DSL, registered as "rules:<id>" strategies.
+// Loaded before the strategy list below so STRATEGIES can enable them.
+const RULESETS_FILE = path.join(__dirname, "..", "data", "rulesets.json");
+const ruleSets = new Map();
+
+function loadRuleSets() {
+  try {
+    if (!fs.existsSync(RULESETS_FILE)) return;
+    for (const ruleSet of JSON.parse(fs.readFileSync(RULESETS_FILE, "utf8"))) {
+      // Invalid sets stay in the file so they can be fixed in the editor
+      ruleSets.set(ruleSet.id, ruleSet);
+      try {
+        registerStrategy(compileRuleSet(ruleSet));
+      } catch (err) {
+        console.error(`❌ Skipping rule set ${ruleSet.id}: ${err.message}`);
+      }
+    }
+    console.log(`📐 Loaded ${ruleSets.size} rule set(s)`);
+  } catch (err) {
+    console.error("❌ Failed to load rule sets:", err.message);
+  }
+}
+
+function saveRuleSets() {
+  const dataDir = path.dirname(RULESETS_FILE);
+  if (!fs.existsSync(dataDir)) fs.mkdirSync(dataDir, { recursive: true });
+  fs.writeFileSync(RULESETS_FILE, JSON.stringify([...ruleSets.values()], null, 2));
+}
+
+loadRuleSets();
+
+// Confluence scoring profiles (thresholds, RSI bands, cooldown), per pair
+const scoringProfiles = new ScoringProfiles(path.join(__dirname, "..", "data", "scoring-profiles.json"));
+
+// Scoring profiles as reported by /api/config
+function scoringConfig() {
+  return {
+    active: scoringProfiles.active,
+    profiles: scoringProfiles.list(),
+    fields: SCORING_FIELDS,
+  };
+}
+
+// Comma-separated strategy ids → known ids (confluence when none are valid)
+function parseStrategies(value) {
+  const ids = String(value)
+    .split(",")
+    .map((id) => id.trim())
+    .filter((id) => STRATEGIES[id]);
+  return ids.length > 0 ? [...new Set(ids)] : ["confluence"];
+}
+
+// Optional confluence inputs on top of S/R, RSI and MACD, and the
+// strategies that run side by side (see strategies.js)
+const signalOptions = {
+  strategies: parseStrategies(process.env.STRATEGIES || "confluence"),
+  // "intrabar": live signals may fire on the in-progress candle (and repaint);
+  // "close": only on candles that have closed
+  evaluation: process.env.SIGNAL_EVALUATION === "close" ? "close" : "intrabar",
+  oscillators: (process.env.SIGNAL_OSCILLATORS || "")
+    .split(",")
+    .map((name) => name.trim())
+    .filter((name) => OSCILLATORS[name]),
+  requireStructure: process.env.SIGNAL_REQUIRE_STRUCTURE === "true",
+  scoreDivergences: process.env.SIGNAL_DIVERGENCE === "true",
+  scorePatterns: process.env.SIGNAL_PATTERNS === "true",
+  scoreFibonacci: process.env.SIGNAL_FIBONACCI === "true",
+  scoreSmartMoney: process.env.SIGNAL_SMART_MONEY === "true",
+  regimeProfiles: process.env.SIGNAL_REGIME_PROFILES === "true",
+  minAligned: /^\d+$/.test(process.env.MTF_MIN_ALIGNED || "")
+    ? parseInt(process.env.MTF_MIN_ALIGNED)
+    : "all",
+};
+
+// Signal model trained offline by `npm run train-model` (signal-model.js):
+// "gate" drops confluence signals below minProbability, "confidence"
+// replaces their confidence with the model's probability
+const modelStore = new ModelStore(path.join(__dirname, "..", "data", "models"));
+const modelOptions = {
+  mode: ["gate", "confidence"].includes(process.env.SIGNAL_MODEL) ? process.env.SIGNAL_MODEL : "off",
+  version: process.env.SIGNAL_MODEL_VERSION || "latest",
+  minProbability: parseFloat(process.env.SIGNAL_MODEL_MIN_PROBABILITY) || 0.5,
+};
+
+/**
+ * Signal options entry for a model setting, undefined when off or missing
+ */
+function resolveSignalModel({ mode, version, minProbability }) {
+  if (mode === "off") return undefined;
+  const model = modelStore.load(version);
+  return model ? { model, mode, minProbability } : undefined;
+}
+
+function loadSignalModel() {
+  try {
+    signalOptions.model = resolveSignalModel(modelOptions);
+  } catch (err) {
+    console.error("❌ Failed to load signal model:", err.message);
+    signalOptions.model = undefined;
+  }
+  if (signalOptions.model) {
+    const { model } = signalOptions.model;
+    console.log(`🧠 Signal model v${model.version} (${model.samples} samples) in ${modelOptions.mode} mode`);
+  } else if (modelOptions.mode !== "off") {
+    console.warn(`⚠️  Signal model ${modelOptions.version} not found — run npm run train-model`);
+  }
+}
+
+loadSignalModel();
+
+// Timeframes reported by /api/structure (the active one is always included)
+const STRUCTURE_TIMEFRAMES = (process.env.STRUCTURE_TIMEFRAMES || "15min,1h,4h")
+  .split(",")
+  .map((tf) => tf.trim())
+  .filter(Boolean);
+
+// Higher-timeframe pivot points merged into the S/R levels
+const pivotOptions = {
+  methods: (process.env.PIVOT_METHODS || "classic")
+    .split(",")
+    .map((name) => name.trim())
+    .filter((name) => PIVOT_METHODS[name]),
+  timeframes: (process.env.PIVOT_TIMEFRAMES || "daily,weekly,monthly")
+    .split(",")
+    .map((name) => name.trim())
+    .filter((name) => PIVOT_TIMEFRAMES[name]),
+};
+
+// Zigzag swing threshold for the automatic Fibonacci levels:
+// "atr" = ATR multiple, "percent" = percent of price
+const fibOptions = {
+  mode: process.env.FIB_ZIGZAG_MODE === "percent" ? "percent" : "atr",
+  threshold: parseFloat(process.env.FIB_ZIGZAG_THRESHOLD) || 3,
+};
+
+// Higher timeframes that must confirm signals (none = off)
+const mtfOptions = {
+  timeframes: (process.env.MTF_TIMEFRAMES || "")
+    .split(",")
+    .map((tf) => tf.trim())
+    .filter(Boolean),
+  checks: (process.env.MTF_CHECKS || "trend,rsi,macd")
+    .split(",")
+    .map((name) => name.trim())
+    .filter((name) => MTF_CHECKS[name]),
+};
+
+// Filters live signals must pass before alerting / auto-execution
+const filterSettings = filterSettingsFromEnv();
+
 // ── Initialize Components ──
 
 const tradeManager = new TradeManager(tradingParams.startingBalance);
+tradeManager.defaultStopRules = tradingParams.stopRules;
 
 // ── Trade Persistence ──
 
@@ -72,15 +279,26 @@ function loadTradingState() {
       const data = JSON.parse(fs.readFileSync(TRADES_FILE, "utf8"));
       tradeManager.balance = data.balance || 10000;
       tradeManager.startingBalance = data.startingBalance || 10000;
-      tradeManager.openPositions = data.openPositions || [];
+      // Positions saved before partial closes / scale-ins existed get their fields
+      tradeManager.openPositions = (data.openPositions || []).map((p) => ({
+        totalLots: p.lotSize,
+        entries: [{ price: p.entry, lots: p.lotSize, time: p.entryTime }],
+        tpLevels: [],
+        realizedPnl: 0,
+        modifications: [],
+        ...p,
+      }));
       tradeManager.tradeLog = data.tradeLog || [];
       tradeManager.nextId = Math.max(...data.openPositions.map(p => p.id), ...data.tradeLog.map(t => t.id), 0) + 1;
+      tradeManager.pendingOrders = data.pendingOrders || [];
+      tradeManager.nextOrderId = data.nextOrderId || 1;
+      tradeManager.nextGroupId = data.nextGroupId || 1;
 
       // Load last used pair and timeframe
       if (data.lastPair) currentPair = data.lastPair;
       if (data.lastTimeframe) currentTimeframe = data.lastTimeframe;
 
-      console.log(`💾 Loaded trading state: ${data.openPositions.length} open positions, balance $${data.balance.toFixed(2)}, pair: ${currentPair}`);
+      console.log(`💾 Loaded trading state: ${data.openPositions.length} open positions, ${tradeManager.pendingOrders.length} pending orders, balance $${data.balance.toFixed(2)}, pair: ${currentPair}`);
     }
   } catch (err) {
     console.error("❌ Failed to load trading state:", err.message);
@@ -95,6 +313,9 @@ function saveTradingState() {
       startingBalance: tradeManager.startingBalance,
       openPositions: tradeManager.openPositions,
       tradeLog: tradeManager.tradeLog,
+      pendingOrders: tradeManager.pendingOrders,
+      nextOrderId: tradeManager.nextOrderId,
+      nextGroupId: tradeManager.nextGroupId,
       lastPair: currentPair,
       lastTimeframe: currentTimeframe,
       lastSaved: new Date().toISOString(),
@@ -107,7 +328,7 @@ function saveTradingState() {
     }
 
     fs.writeFileSync(TRADES_FILE, JSON.stringify(state, null, 2));
-    console.log(`💾 Saved trading state: ${state.openPositions.length} open, ${state.tradeLog.length} history`);
+    console.log(`💾 Saved trading state: ${state.openPositions.length} open, ${state.pendingOrders.length} pending, ${state.tradeLog.length} history`);
   } catch (err) {
     console.error("❌ Failed to save trading state:", err.message);
   }
@@ -129,25 +350,66 @@ const telegramBot = new TelegramBot(
   config.telegram.chatId
 );
 const signalHistory = [];
+// Every live signal is followed to its virtual SL / TP (see signal-tracker.js)
+const signalTracker = new SignalTracker(path.join(__dirname, "..", "data", "signal-outcomes.json"), {
+  maxAgeHours: parseInt(process.env.SIGNAL_TRACK_MAX_HOURS || "72"),
+});
+setInterval(() => {
+  if (signalTracker.dirty) signalTracker.save();
+}, 60000);
+// Intrabar signals that disappear once their candle closes
+const repaintMonitor = new RepaintMonitor();
 const commandHandler = new TelegramCommandHandler(
   telegramBot,
   tradeManager,
-  signalHistory
+  signalHistory,
+  signalTracker
 );
 const scheduler = new Scheduler(telegramBot, tradeManager);
 
+// Pending orders fill / expire inside tradeManager.updatePositions
+tradeManager.onOrderEvent = (event, order, positions) => {
+  stateDirty = true;
+  if (event === "filled") {
+    for (const position of positions) {
+      console.log(`📥 ${order.label} #${order.id} filled: ${position.type} ${position.pair} @ ${position.entry.toFixed(position.digits)}`);
+      telegramBot.sendTradeUpdate(position, "opened");
+    }
+  } else {
+    console.log(`📌 ${order.label} ${order.pair} #${order.id} ${event}${order.cancelReason ? ` (${order.cancelReason})` : ""}`);
+    telegramBot.sendOrderUpdate(order, event);
+  }
+};
+
+// Trailing stop activation, break-even and profit lock inside tradeManager.updatePositions
+tradeManager.onStopEvent = (event, position, detail) => {
+  stateDirty = true;
+  const label = { trailing: "Trailing stop activated", breakeven: "Break-even", profit_lock: "Profit lock" }[event];
+  const sl = detail.sl != null ? ` — SL ${detail.sl.toFixed(position.digits)}` : "";
+  console.log(`✅ ${label} for ${position.type} ${position.pair} #${position.id}${sl}`);
+  telegramBot.sendStopUpdate(position, event, detail);
+};
+
 // Twelve Data WebSocket stream
 const tdStream = new TwelveDataStream(config.twelveData.apiKey);
 
 // Candle aggregators per pair/timeframe
 const aggregators = new Map();
 
+// Incremental indicator state per pair/timeframe (same keys as aggregators)
+const indicatorStreams = new Map();
+
 // Current state (will be loaded from trades.json if available)
 let currentPair = process.env.DEFAULT_PAIR || "XAU/USD";
 let currentTimeframe = process.env.DEFAULT_TIMEFRAME || "5min";
 let currentData = [];
 let currentSrLevels = [];
 let currentSignals = [];
+let currentDivergences = [];
+let currentFibonacci = { swings: [], impulses: [] };
+let currentStructure = analyzeStructure([]);
+let currentSmartMoney = { zones: [] };
+let currentRegime = null;
 let currentMode = process.env.DEFAULT_MODE || "STOP"; // "STOP" | "SIMULATION" | "LIVE"
 let dataSource = config.twelveData.enabled ? "twelvedata" : "simulated";
 
@@ -198,6 +460,13 @@ function generateSimulatedData(pair, count = 200) {
 // ── Data Fetching ──
 
 async function getMarketData(pair, timeframe, count = 200) {
+  const result = await fetchMarketCandles(pair, timeframe, count);
+  await ensurePivotCandles(pair, result.data);
+  await ensureHigherTimeframes(pair, timeframe);
+  return result;
+}
+
+async function fetchMarketCandles(pair, timeframe, count) {
   try {
     if (!config.twelveData.enabled) {
       console.log("No API key — using simulated data");
@@ -215,12 +484,211 @@ async function getMarketData(pair, timeframe, count = 200) {
   }
 }
 
+// ── Pivot Points ──
+
+// Daily/weekly/monthly candles per pair, refreshed hourly (3 API calls)
+const PIVOT_REFRESH_MS = 60 * 60 * 1000;
+const pivotCache = new Map(); // pair → { candles, fetchedAt, pending }
+
+async function loadPivotCandles(pair, fallbackData) {
+  const candles = {};
+  for (const timeframe of pivotOptions.timeframes) {
+    const { interval } = PIVOT_TIMEFRAMES[timeframe];
+    if (config.twelveData.enabled) {
+      try {
+        candles[timeframe] = await fetchCandles(pair, interval, 3);
+        continue;
+      } catch (err) {
+        console.error(`Pivot ${timeframe} candles unavailable for ${pair}:`, err.message);
+      }
+    }
+    // No API: build the higher-timeframe candles from what we have
+    candles[timeframe] = resampleCandles(fallbackData, interval);
+  }
+  return candles;
+}
+
+function ensurePivotCandles(pair, fallbackData) {
+  const entry = pivotCache.get(pair);
+  if (entry?.pending) return entry.pending;
+  if (entry && Date.now() - entry.fetchedAt < PIVOT_REFRESH_MS) return Promise.resolve();
+
+  const pending = loadPivotCandles(pair, fallbackData).then((candles) => {
+    pivotCache.set(pair, { candles, fetchedAt: Date.now(), pending: null });
+  });
+  pivotCache.set(pair, { candles: {}, fetchedAt: 0, ...entry, pending });
+  return pending;
+}
+
+// Pivot S/R levels for the period of the latest candle. Earlier candles
+// only see them from the start of that period (see levelTypeAt)
+function pivotLevelsFor(pair, data) {
+  const entry = pivotCache.get(pair);
+  if (data.length === 0) return [];
+  // Live ticks don't go through getMarketData — refresh in the background
+  if (!entry || (!entry.pending && Date.now() - entry.fetchedAt >= PIVOT_REFRESH_MS)) {
+    ensurePivotCandles(pair, data);
+  }
+  if (!entry) return [];
+
+  const last = data[data.length - 1];
+  return pivotSrLevels(calcPivotLevels(entry.candles, last.time, pivotOptions), last.close);
+}
+
+// ── Multi-Timeframe Confirmation ──
+
+// Enriched higher-timeframe candles per pair, refetched once a new candle
+// of that timeframe has closed (1 API call per timeframe per candle)
+const mtfCache = new Map(); // "pair|tf" → { data, fetchedAt, pending }
+
+function higherTimeframes(timeframe) {
+  return mtfOptions.timeframes.filter((tf) => timeframeToMs(tf) > timeframeToMs(timeframe));
+}
+
+function mtfStale(entry, timeframe) {
+  if (!entry) return true;
+  // A minute of grace so the provider has the new candle
+  return Date.now() >= periodStart(entry.fetchedAt, timeframe) + timeframeToMs(timeframe) + 60000;
+}
+
+function refreshHigherTimeframe(pair, timeframe) {
+  const key = `${pair}|${timeframe}`;
+  const entry = mtfCache.get(key);
+  if (entry?.pending) return entry.pending;
+
+  const pending = fetchCandles(pair, timeframe, 200)
+    .then((candles) => enrichData(candles, indicatorSettings).data)
+    .catch((err) => {
+      console.error(`${timeframe} confirmation candles unavailable for ${pair}:`, err.message);
+      return null;
+    })
+    .then((data) => {
+      mtfCache.set(key, { data, fetchedAt: Date.now(), pending: null });
+    });
+  mtfCache.set(key, { data: null, fetchedAt: 0, ...entry, pending });
+  return pending;
+}
+
+function ensureHigherTimeframes(pair, timeframe) {
+  if (!config.twelveData.enabled) return Promise.resolve();
+  return Promise.all(
+    higherTimeframes(timeframe)
+      .filter((tf) => mtfStale(mtfCache.get(`${pair}|${tf}`), tf))
+      .map((tf) => refreshHigherTimeframe(pair, tf))
+  );
+}
+
+const resampledFrames = new Map(); // "pair|tf" → { from, openTime, data }
+
+// Closed higher-timeframe candles resampled from the signal timeframe.
+// Alignment only reads closed candles, so a frame is enriched once per
+// higher-timeframe candle and reused by every tick until the next one closes.
+function resampledFrame(pair, timeframe, tf, data) {
+  const key = `${pair}|${tf}`;
+  const closeTime = data[data.length - 1].time + timeframeToMs(timeframe);
+  const openTime = periodStart(closeTime, tf); // Start of the candle still forming
+  const from = periodStart(data[0].time, tf);
+  const cached = resampledFrames.get(key);
+  if (cached && cached.openTime === openTime && cached.from <= from) return cached.data;
+
+  const htfMs = timeframeToMs(tf);
+  const closed = resampleCandles(data, tf).filter((c) => c.time + htfMs <= closeTime);
+  const frame = enrichData(closed, indicatorSettings).data;
+  resampledFrames.set(key, { from, openTime, data: frame });
+  return frame;
+}
+
+// Enriched higher-timeframe candles from Twelve Data, or resampled from
+// the signal timeframe's own candles when the API is not available
+function higherTimeframeFrames(pair, timeframe, data) {
+  return higherTimeframes(timeframe).map((tf) => {
+    const entry = mtfCache.get(`${pair}|${tf}`);
+    // Live ticks don't go through getMarketData — refresh in the background
+    if (config.twelveData.enabled && !entry?.pending && mtfStale(entry, tf)) {
+      refreshHigherTimeframe(pair, tf);
+    }
+    if (entry?.data) return { timeframe: tf, data: entry.data };
+    return { timeframe: tf, data: data.length > 0 ? resampledFrame(pair, timeframe, tf, data) : [] };
+  });
+}
+
 // ── Process Data Pipeline ──
 
-function processData(rawData, pair) {
-  const { data: enriched, srLevels } = enrichData(rawData);
-  const signals = generateSignals(enriched, srLevels, pair);
-  return { data: enriched, srLevels, signals };
+// Analysis shared by the batch and live paths: divergence, Fibonacci,
+// market structure, smart-money, regime and higher-timeframe detection on
+// the enriched candles, then the enabled strategies. The confluence score
+// uses options.scoring, else the pair's scoring profile.
+function analyze(enriched, swingLevels, pair, baseOptions) {
+  const options = { ...baseOptions, scoring: baseOptions.scoring || scoringProfiles.forPair(pair).settings };
+  const timeframe = options.timeframe || currentTimeframe;
+  const srLevels = [...swingLevels, ...pivotLevelsFor(pair, enriched)];
+  const divergences = detectDivergences(enriched);
+  const fibonacci = calcFibonacci(enriched, fibOptions);
+  const structure = analyzeStructure(enriched);
+  const smartMoney = analyzeSmartMoney(enriched, { structure });
+  const regimes = classifyRegimes(enriched);
+  const frames = higherTimeframeFrames(pair, timeframe, enriched);
+  const alignment = timeframeAlignment(enriched, timeframe, frames, { checks: mtfOptions.checks });
+  const context = { pair, srLevels, divergences, fibonacci, structure, smartMoney, regimes, alignment, options };
+  // Structure, higher-timeframe and model gates apply to every strategy.
+  // The last candle may still be forming: its signals are not confirmed yet
+  const raw = runStrategies(enriched, context, options.strategies || ["confluence"], options.strategyParams);
+  const signals = gateSignals(raw, enriched, context)
+    .map((s) => ({ ...s, confirmed: s.index < enriched.length - 1 }));
+  return {
+    data: enriched,
+    srLevels,
+    divergences,
+    fibonacci,
+    structure,
+    smartMoney,
+    regime: latestRegime(regimes),
+    signals,
+  };
+}
+
+function processData(rawData, pair, indicators = indicatorSettings, options = signalOptions) {
+  const { data: enriched, srLevels } = enrichData(rawData, indicators);
+  return analyze(enriched, srLevels, pair, options);
+}
+
+// Live variant: indicators are already up to date in the stream,
+// only the analysis runs over the window
+function processStream(stream, pair) {
+  return analyze(stream.getData(), stream.getSrLevels(), pair, signalOptions);
+}
+
+// Stream seeded with the aggregator's history, using the current settings
+function createIndicatorStream(aggregator) {
+  const stream = new IndicatorStream({ maxLength: 200, settings: indicatorSettings });
+  stream.load(aggregator.getCandles(aggregator.length));
+  return stream;
+}
+
+/**
+ * Apply a (partial) indicator settings update on top of `base`
+ * @returns {Object} { settings, error } — error is null when valid
+ */
+function mergeIndicatorSettings(base, updates = {}) {
+  const settings = { ...base };
+  for (const [key, field] of Object.entries(INDICATOR_SETTING_FIELDS)) {
+    if (updates[key] === undefined) continue;
+    const value = Number(updates[key]);
+    if (!Number.isInteger(value) || value < field.min || value > field.max) {
+      return { settings, error: `${key} must be a whole number between ${field.min} and ${field.max}` };
+    }
+    settings[key] = value;
+  }
+  if (settings.smaFast >= settings.smaSlow) {
+    return { settings, error: "Fast SMA must be shorter than slow SMA" };
+  }
+  if (settings.macdFast >= settings.macdSlow) {
+    return { settings, error: "MACD fast period must be shorter than slow period" };
+  }
+  if (settings.ichimokuTenkan >= settings.ichimokuKijun || settings.ichimokuKijun >= settings.ichimokuSenkouB) {
+    return { settings, error: "Ichimoku periods must increase: Tenkan < Kijun < Senkou B" };
+  }
+  return { settings, error: null };
 }
 
 // ── Express Server ──
@@ -241,11 +709,16 @@ app.get("/api/candles", async (req, res) => {
     const count = parseInt(req.query.count || "200");
 
     const { source, data: rawData } = await getMarketData(pair, tf, count);
-    const result = processData(rawData, pair);
+    const result = processData(rawData, pair, indicatorSettings, { ...signalOptions, timeframe: tf });
 
     currentData = result.data;
     currentSrLevels = result.srLevels;
     currentSignals = result.signals;
+    currentDivergences = result.divergences;
+    currentFibonacci = result.fibonacci;
+    currentStructure = result.structure;
+    currentSmartMoney = result.smartMoney;
+    currentRegime = result.regime;
     currentPair = pair;
     currentTimeframe = tf;
     dataSource = source;
@@ -261,6 +734,12 @@ app.get("/api/candles", async (req, res) => {
       data: result.data,
       srLevels: result.srLevels,
       signals: result.signals,
+      divergences: result.divergences,
+      fibonacci: result.fibonacci,
+      structure: result.structure,
+      smartMoney: result.smartMoney,
+      regime: result.regime,
+      indicators: indicatorSettings,
     });
   } catch (err) {
     console.error("API /candles error:", err.message);
@@ -268,25 +747,85 @@ app.get("/api/candles", async (req, res) => {
   }
 });
 
+// API: Current market structure bias of a pair on several timeframes
+app.get("/api/structure", async (req, res) => {
+  try {
+    const pair = req.query.pair || currentPair;
+    const requested = req.query.timeframes
+      ? req.query.timeframes.split(",").map((tf) => tf.trim()).filter(Boolean)
+      : STRUCTURE_TIMEFRAMES;
+    const timeframes = [...new Set([currentTimeframe, ...requested])];
+
+    const results = [];
+    for (const timeframe of timeframes) {
+      // The active chart is already analyzed; other timeframes are fetched
+      let structure;
+      let source = dataSource;
+      if (pair === currentPair && timeframe === currentTimeframe && currentData.length > 0) {
+        structure = currentStructure;
+      } else {
+        const market = await fetchMarketCandles(pair, timeframe, 200);
+        structure = analyzeStructure(market.data);
+        source = market.source;
+      }
+      results.push({ timeframe, source, ...structure.current });
+    }
+
+    res.json({ pair, timeframes: results });
+  } catch (err) {
+    console.error("API /structure error:", err.message);
+    res.status(500).json({ error: err.message });
+  }
+});
+
 // API: Get current signals
 app.get("/api/signals", (req, res) => {
   res.json({
     signals: currentSignals,
+    divergences: currentDivergences,
+    fibonacci: currentFibonacci,
+    structure: currentStructure,
+    smartMoney: currentSmartMoney,
+    regime: currentRegime,
     history: signalHistory.slice(-20),
   });
 });
 
+// API: Outcome statistics of tracked signals (optional pair / timeframe / strategy filters)
+app.get("/api/signal-stats", (req, res) => {
+  res.json({
+    ...signalTracker.getStats({
+      pair: req.query.pair,
+      timeframe: req.query.timeframe,
+      strategyId: req.query.strategy,
+    }),
+    evaluation: signalOptions.evaluation,
+    repaint: repaintMonitor.getStats(),
+  });
+});
+
 // API: Get/manage positions
 app.get("/api/positions", (req, res) => {
   res.json({
     open: tradeManager.openPositions,
+    pending: tradeManager.pendingOrders,
     history: tradeManager.tradeLog,
     balance: tradeManager.balance,
     stats: tradeManager.getStats(),
   });
 });
 
-// API: Open a trade
+/**
+ * Bracket legs from a request body: [{ percent, r }] with numbers
+ * @returns {Array|undefined} undefined when the body has no legs
+ */
+function parseLegs(legs) {
+  if (legs === undefined || legs === null) return undefined;
+  if (!Array.isArray(legs)) return [];
+  return legs.map((leg) => ({ percent: Number(leg?.percent), r: Number(leg?.r) }));
+}
+
+// API: Open a trade (a bracket of take-profit legs when `legs` is given)
 app.post("/api/trade/open", (req, res) => {
   const { type, pair, price } = req.body;
   const tradePrice = price || currentData[currentData.length - 1]?.close;
@@ -301,18 +840,119 @@ app.post("/api/trade/open", (req, res) => {
     trailingStopDistance: tradingParams.trailingStopDistance,
     trailingStopActivation: tradingParams.trailingStopActivation,
   };
+  const legs = parseLegs(req.body.legs);
+  if (legs) {
+    const error = tradeManager.validateLegs(legs, config.lotSize);
+    if (error) {
+      return res.status(400).json({ error });
+    }
+  }
 
-  const position = tradeManager.openTrade(type, pair || currentPair, tradePrice, config);
+  const positions = legs
+    ? tradeManager.openBracket(type, pair || currentPair, tradePrice, { ...config, legs })
+    : [tradeManager.openTrade(type, pair || currentPair, tradePrice, config)];
   tradeManager.lastPrices.set(pair || currentPair, tradePrice);
   stateDirty = true;
 
   // Telegram notification
-  telegramBot.sendTradeUpdate(
-    { ...position, pair: pair || currentPair },
-    "opened"
-  );
+  for (const position of positions) {
+    telegramBot.sendTradeUpdate(
+      { ...position, pair: pair || currentPair },
+      "opened"
+    );
+  }
 
-  res.json({ position, balance: tradeManager.balance });
+  res.json({ position: positions[0], positions, balance: tradeManager.balance });
+});
+
+/**
+ * Expiry timestamp from { expiresAt } (date) or { expiresInMinutes }
+ */
+function parseExpiry({ expiresAt, expiresInMinutes }) {
+  if (expiresAt) return new Date(expiresAt).getTime();
+  if (expiresInMinutes) return Date.now() + Number(expiresInMinutes) * 60000;
+  return null;
+}
+
+// API: Place a pending order (limit / stop / stop-limit entry)
+app.post("/api/trade/order", (req, res) => {
+  const { orderType, price, limitPrice, lotSize } = req.body;
+  const pair = req.body.pair || currentPair;
+
+  const orderConfig = {
+    lotSize: lotSize !== undefined ? Number(lotSize) : tradingParams.lotSize,
+    stopLossPips: tradingParams.stopLossPips,
+    takeProfitPips: tradingParams.takeProfitPips,
+    trailingStopDistance: tradingParams.trailingStopDistance,
+    trailingStopActivation: tradingParams.trailingStopActivation,
+    limitPrice: limitPrice !== undefined ? Number(limitPrice) : undefined,
+    expiresAt: parseExpiry(req.body),
+    legs: parseLegs(req.body.legs),
+  };
+  const error = tradeManager.validateOrder(orderType, pair, Number(price), orderConfig);
+  if (error) {
+    return res.status(400).json({ error });
+  }
+
+  const order = tradeManager.placeOrder(orderType, pair, Number(price), orderConfig);
+  stateDirty = true;
+  console.log(`📌 ${order.label} ${pair} @ ${order.price} placed (#${order.id})`);
+  telegramBot.sendOrderUpdate(order, "placed");
+
+  res.json({ order, pending: tradeManager.pendingOrders });
+});
+
+// API: Place an OCO pair — two pending orders where the first to fill
+// cancels the other (e.g. a buy stop above and a sell stop below a range)
+app.post("/api/trade/oco", (req, res) => {
+  const { orders, lotSize } = req.body;
+  const pair = req.body.pair || currentPair;
+  if (!Array.isArray(orders) || orders.length !== 2) {
+    return res.status(400).json({ error: "An OCO group needs exactly two orders" });
+  }
+
+  const baseConfig = {
+    lotSize: lotSize !== undefined ? Number(lotSize) : tradingParams.lotSize,
+    stopLossPips: tradingParams.stopLossPips,
+    takeProfitPips: tradingParams.takeProfitPips,
+    trailingStopDistance: tradingParams.trailingStopDistance,
+    trailingStopActivation: tradingParams.trailingStopActivation,
+    expiresAt: parseExpiry(req.body),
+    legs: parseLegs(req.body.legs),
+  };
+  const legs = orders.map((o) => ({
+    orderType: o.orderType,
+    price: Number(o.price),
+    config: { ...baseConfig, limitPrice: o.limitPrice !== undefined ? Number(o.limitPrice) : undefined },
+  }));
+  for (const leg of legs) {
+    const error = tradeManager.validateOrder(leg.orderType, pair, leg.price, leg.config);
+    if (error) {
+      return res.status(400).json({ error });
+    }
+  }
+
+  const placed = tradeManager.placeOco(pair, legs);
+  stateDirty = true;
+  for (const order of placed) {
+    console.log(`📌 ${order.label} ${pair} @ ${order.price} placed (#${order.id}, OCO #${order.groupId})`);
+    telegramBot.sendOrderUpdate(order, "placed");
+  }
+
+  res.json({ orders: placed, pending: tradeManager.pendingOrders });
+});
+
+// API: Cancel a pending order
+app.post("/api/trade/cancel-order", (req, res) => {
+  const order = tradeManager.cancelOrder(Number(req.body.orderId));
+  if (!order) {
+    return res.status(404).json({ error: "Pending order not found" });
+  }
+
+  stateDirty = true;
+  telegramBot.sendOrderUpdate(order, "cancelled");
+
+  res.json({ cancelled: order, pending: tradeManager.pendingOrders });
 });
 
 // API: Close a trade
@@ -334,16 +974,237 @@ app.post("/api/trade/close", (req, res) => {
   res.json({ closed, balance: tradeManager.balance });
 });
 
+// API: Modify the SL / TP of an open position — { positionId, sl, tp }
+app.post("/api/trade/modify", (req, res) => {
+  const positionId = Number(req.body.positionId);
+  const changes = {};
+  for (const field of ["sl", "tp"]) {
+    if (req.body[field] !== undefined && req.body[field] !== null && req.body[field] !== "") {
+      changes[field] = Number(req.body[field]);
+    }
+  }
+  const error = tradeManager.validateModify(positionId, changes);
+  if (error) {
+    return res.status(error.endsWith("not found") ? 404 : 400).json({ error });
+  }
+
+  const source = req.body.source === "ui" ? "ui" : "api";
+  const position = tradeManager.modifyPosition(positionId, changes, source);
+  stateDirty = true;
+  console.log(`✏️ Modified ${position.type} ${position.pair} #${positionId}: SL ${position.sl.toFixed(position.digits)} | TP ${position.tp.toFixed(position.digits)} (${source})`);
+  telegramBot.sendTradeUpdate(position, "modified");
+
+  res.json({ position });
+});
+
+/**
+ * Price to act on for an open position: the request's, else the latest
+ * tick of its pair
+ */
+function positionPrice(positionId, price) {
+  if (price) return Number(price);
+  const pos = tradeManager.openPositions.find((p) => p.id === positionId);
+  return pos ? tradeManager.lastPrices.get(pos.pair) || pos.currentPrice : null;
+}
+
+// API: Close part of a position — { positionId, lots } or { positionId, percent }
+app.post("/api/trade/partial-close", (req, res) => {
+  const positionId = Number(req.body.positionId);
+  const pos = tradeManager.openPositions.find((p) => p.id === positionId);
+  if (!pos) {
+    return res.status(404).json({ error: "Position not found" });
+  }
+  const lots = req.body.percent !== undefined
+    ? Math.round(pos.lotSize * Number(req.body.percent)) / 100
+    : Number(req.body.lots);
+  const error = tradeManager.validatePartialClose(positionId, lots);
+  if (error) {
+    return res.status(400).json({ error });
+  }
+
+  const closed = tradeManager.closePartial(positionId, positionPrice(positionId, req.body.price), lots);
+  stateDirty = true;
+  console.log(`✂️ Closed ${closed.lotSize} of ${pos.type} ${pos.pair} #${positionId} (${pos.lotSize} left)`);
+  telegramBot.sendTradeUpdate(closed, "partial_close");
+
+  res.json({ closed, position: pos, balance: tradeManager.balance });
+});
+
+// API: Add to an open position at the current price — { positionId, lots }
+app.post("/api/trade/scale-in", (req, res) => {
+  const positionId = Number(req.body.positionId);
+  const lots = Number(req.body.lots);
+  const error = tradeManager.validateScaleIn(positionId, lots);
+  if (error) {
+    return res.status(error.endsWith("not found") ? 404 : 400).json({ error });
+  }
+
+  const position = tradeManager.scaleIn(positionId, positionPrice(positionId, req.body.price), lots);
+  stateDirty = true;
+  console.log(`➕ Scaled into ${position.type} ${position.pair} #${positionId}: ${position.lotSize} lots @ ${position.entry.toFixed(position.digits)} avg`);
+  telegramBot.sendTradeUpdate(position, "scaled_in");
+
+  res.json({ position });
+});
+
+// API: Set the break-even / profit lock rules of one position —
+// { positionId, rules: { breakEvenPips, breakEvenBufferPips, breakEvenCloseHalf, lockSteps } }
+app.post("/api/trade/stop-rules", (req, res) => {
+  const positionId = Number(req.body.positionId);
+  const pos = tradeManager.openPositions.find((p) => p.id === positionId);
+  if (!pos) {
+    return res.status(404).json({ error: "Position not found" });
+  }
+  const { rules, error } = mergeStopRules(pos.stopRules, req.body.rules || {});
+  if (error) {
+    return res.status(400).json({ error });
+  }
+
+  const position = tradeManager.setStopRules(positionId, rules);
+  stateDirty = true;
+
+  res.json({ position });
+});
+
+// API: Set the partial take-profit levels of a position —
+// { positionId, levels: [{ price, percent }] } (empty list clears them)
+app.post("/api/trade/tp-levels", (req, res) => {
+  const positionId = Number(req.body.positionId);
+  const levels = Array.isArray(req.body.levels)
+    ? req.body.levels.map((level) => ({ price: Number(level?.price), percent: Number(level?.percent) }))
+    : req.body.levels;
+  const error = tradeManager.validateTpLevels(positionId, levels);
+  if (error) {
+    return res.status(error.endsWith("not found") ? 404 : 400).json({ error });
+  }
+
+  const position = tradeManager.setTpLevels(positionId, levels);
+  stateDirty = true;
+
+  res.json({ position });
+});
+
 // ── API: Configuration Management ──
 
-// GET /api/config - Get current trading parameters
+// GET /api/config - Get current trading and indicator parameters
 app.get("/api/config", (req, res) => {
-  res.json(tradingParams);
+  res.json({
+    ...tradingParams,
+    indicators: indicatorSettings,
+    strategies: signalOptions.strategies,
+    evaluation: signalOptions.evaluation,
+    filters: filterSettings,
+    scoring: scoringConfig(),
+  });
+});
+
+// API: Available strategy plugins and which ones are enabled
+app.get("/api/strategies", (req, res) => {
+  res.json({ strategies: describeStrategies(signalOptions.strategies) });
+});
+
+// ── API: Signal Model ──
+
+// GET /api/models - Saved signal models and the one in use
+app.get("/api/models", (req, res) => {
+  try {
+    res.json({
+      ...modelOptions,
+      active: signalOptions.model ? signalOptions.model.model.version : null,
+      models: modelStore.list(),
+    });
+  } catch (err) {
+    res.status(500).json({ error: `Failed to read signal models: ${err.message}` });
+  }
+});
+
+// POST /api/models/reload - Pick up a newly trained model
+app.post("/api/models/reload", (req, res) => {
+  loadSignalModel();
+  res.json({ success: true, active: signalOptions.model ? signalOptions.model.model.version : null });
+});
+
+// ── API: Rule Sets ──
+
+// GET /api/rulesets - Saved rule sets, the fields rules can read and the indicators that take a period
+app.get("/api/rulesets", (req, res) => {
+  res.json({
+    ruleSets: [...ruleSets.values()].map((ruleSet) => ({
+      ...ruleSet,
+      strategyId: `rules:${ruleSet.id}`,
+      enabled: signalOptions.strategies.includes(`rules:${ruleSet.id}`),
+    })),
+    fields: RULE_FIELDS,
+    periodIndicators: Object.keys(PERIOD_INDICATORS),
+  });
 });
 
-// POST /api/config - Update trading parameters (writes to .env)
+// POST /api/rulesets/validate - Check a rule set without saving it
+app.post("/api/rulesets/validate", (req, res) => {
+  const { errors, indicators } = validateRuleSet(req.body);
+  res.json({ valid: errors.length === 0, errors, indicators });
+});
+
+// POST /api/rulesets - Create or replace a rule set (by id)
+app.post("/api/rulesets", (req, res) => {
+  const { errors, ruleSet } = validateRuleSet(req.body);
+  if (errors.length > 0) {
+    return res.status(400).json({ error: errors.join("; "), errors });
+  }
+
+  const previous = ruleSets.get(ruleSet.id);
+  ruleSets.set(ruleSet.id, ruleSet);
+  try {
+    saveRuleSets();
+  } catch (err) {
+    if (previous) ruleSets.set(ruleSet.id, previous);
+    else ruleSets.delete(ruleSet.id);
+    console.error("❌ Failed to save rule sets:", err.message);
+    return res.status(500).json({ error: "Failed to persist rule set" });
+  }
+  registerStrategy(compileRuleSet(ruleSet));
+  console.log(`📐 Saved rule set ${ruleSet.id}`);
+
+  res.json({ success: true, ruleSet, strategyId: `rules:${ruleSet.id}` });
+});
+
+// DELETE /api/rulesets/:id - Remove a rule set (and disable its strategy)
+app.delete("/api/rulesets/:id", (req, res) => {
+  const previous = ruleSets.get(req.params.id);
+  if (!previous) return res.status(404).json({ error: "Rule set not found" });
+
+  ruleSets.delete(req.params.id);
+  try {
+    saveRuleSets();
+  } catch (err) {
+    ruleSets.set(req.params.id, previous);
+    console.error("❌ Failed to save rule sets:", err.message);
+    return res.status(500).json({ error: "Failed to persist rule set" });
+  }
+  const strategyId = `rules:${req.params.id}`;
+  unregisterStrategy(strategyId);
+  signalOptions.strategies = signalOptions.strategies.filter((id) => id !== strategyId);
+  if (signalOptions.strategies.length === 0) signalOptions.strategies = ["confluence"];
+
+  res.json({ success: true, strategies: signalOptions.strategies });
+});
+
+// POST /api/config - Update trading and indicator parameters (writes to .env)
 app.post("/api/config", (req, res) => {
-  const { startingBalance, lotSize, stopLossPips, takeProfitPips, trailingStopDistance, trailingStopActivation } = req.body;
+  const {
+    startingBalance,
+    lotSize,
+    stopLossPips,
+    takeProfitPips,
+    trailingStopDistance,
+    trailingStopActivation,
+    indicators,
+    strategies,
+    evaluation,
+    filters,
+    scoring,
+    stopRules,
+  } = req.body;
 
   // Validate
   if (startingBalance && (startingBalance < 100 || startingBalance > 1000000)) {
@@ -364,6 +1225,56 @@ app.post("/api/config", (req, res) => {
   if (trailingStopActivation && (trailingStopActivation < 10 || trailingStopActivation > 3000)) {
     return res.status(400).json({ error: "Trailing stop activation must be between 10 and 3000 pips" });
   }
+  const indicatorUpdate = mergeIndicatorSettings(indicatorSettings, indicators);
+  if (indicatorUpdate.error) {
+    return res.status(400).json({ error: indicatorUpdate.error });
+  }
+  if (strategies !== undefined) {
+    if (!Array.isArray(strategies) || strategies.length === 0) {
+      return res.status(400).json({ error: "Enable at least one strategy" });
+    }
+    const unknown = strategies.filter((id) => !STRATEGIES[id]);
+    if (unknown.length > 0) {
+      return res.status(400).json({ error: `Unknown strategy: ${unknown.join(", ")}` });
+    }
+  }
+  if (evaluation !== undefined && !["intrabar", "close"].includes(evaluation)) {
+    return res.status(400).json({ error: 'Signal evaluation must be "intrabar" or "close"' });
+  }
+  const filterUpdate = mergeFilterSettings(filterSettings, filters);
+  if (filterUpdate.error) {
+    return res.status(400).json({ error: filterUpdate.error });
+  }
+  const stopRulesUpdate = mergeStopRules(tradingParams.stopRules, stopRules);
+  if (stopRulesUpdate.error) {
+    return res.status(400).json({ error: stopRulesUpdate.error });
+  }
+  if (scoring !== undefined) {
+    const scoringError = scoringProfiles.validate(scoring || {});
+    if (scoringError) {
+      return res.status(400).json({ error: scoringError });
+    }
+    const unknownPairs = (scoring.pairs || []).filter((pair) => !PAIRS[pair]);
+    if (unknownPairs.length > 0) {
+      return res.status(400).json({ error: `Unknown pair: ${unknownPairs.join(", ")}` });
+    }
+  }
+
+  // Scoring profiles live in their own file (data/scoring-profiles.json).
+  // Saved first: if that fails nothing else has been changed yet.
+  if (scoring !== undefined) {
+    try {
+      const profile = scoringProfiles.apply(scoring);
+      console.log(`🎯 Scoring profile ${profile.name} at v${profile.version}`);
+    } catch (err) {
+      console.error("❌ Failed to save scoring profiles:", err.message);
+      return res.status(500).json({ error: "Failed to persist scoring profile" });
+    }
+  }
+
+  const indicatorsChanged = Object.keys(indicatorSettings).some(
+    (key) => indicatorSettings[key] !== indicatorUpdate.settings[key]
+  );
 
   // Update in-memory config
   if (startingBalance !== undefined) tradingParams.startingBalance = startingBalance;
@@ -372,6 +1283,13 @@ app.post("/api/config", (req, res) => {
   if (takeProfitPips !== undefined) tradingParams.takeProfitPips = takeProfitPips;
   if (trailingStopDistance !== undefined) tradingParams.trailingStopDistance = trailingStopDistance;
   if (trailingStopActivation !== undefined) tradingParams.trailingStopActivation = trailingStopActivation;
+  // Applies to positions opened from now on
+  tradingParams.stopRules = tradeManager.defaultStopRules = stopRulesUpdate.rules;
+  if (strategies !== undefined) signalOptions.strategies = [...new Set(strategies)];
+  if (evaluation !== undefined) signalOptions.evaluation = evaluation;
+  Object.assign(filterSettings, filterUpdate.settings);
+  Object.assign(indicatorSettings, indicatorUpdate.settings);
+  if (indicatorsChanged) applyIndicatorSettings();
 
   // Write to .env file
   try {
@@ -387,6 +1305,27 @@ app.post("/api/config", (req, res) => {
       TRAILING_STOP_DISTANCE: trailingStopDistance,
       TRAILING_STOP_ACTIVATION: trailingStopActivation,
     };
+    if (indicators) {
+      for (const [key, field] of Object.entries(INDICATOR_SETTING_FIELDS)) {
+        updates[field.env] = indicatorSettings[key];
+      }
+    }
+    if (strategies !== undefined) updates.STRATEGIES = signalOptions.strategies.join(",");
+    if (evaluation !== undefined) updates.SIGNAL_EVALUATION = evaluation;
+    if (filters) {
+      for (const [key, field] of Object.entries(FILTER_FIELDS)) {
+        updates[field.env] = filterSettings[key];
+      }
+      updates.FILTER_SESSIONS = filterSettings.sessions.join(",");
+      updates.FILTER_TREND = filterSettings.trend;
+    }
+    if (stopRules) {
+      const rules = tradingParams.stopRules;
+      updates.BREAK_EVEN_PIPS = rules.breakEvenPips;
+      updates.BREAK_EVEN_BUFFER_PIPS = rules.breakEvenBufferPips;
+      updates.BREAK_EVEN_CLOSE_HALF = rules.breakEvenCloseHalf;
+      updates.PROFIT_LOCK_STEPS = rules.lockSteps.map((step) => `${step.triggerPips}:${step.lockPips}`).join(",");
+    }
 
     for (const [key, value] of Object.entries(updates)) {
       if (value !== undefined) {
@@ -406,7 +1345,29 @@ app.post("/api/config", (req, res) => {
     return res.status(500).json({ error: "Failed to persist configuration" });
   }
 
-  res.json({ success: true, config: tradingParams });
+  res.json({
+    success: true,
+    config: {
+      ...tradingParams,
+      indicators: indicatorSettings,
+      strategies: signalOptions.strategies,
+      evaluation: signalOptions.evaluation,
+      filters: filterSettings,
+      scoring: scoringConfig(),
+    },
+  });
+});
+
+// DELETE /api/scoring-profiles/:name - Remove a scoring profile
+app.delete("/api/scoring-profiles/:name", (req, res) => {
+  try {
+    const error = scoringProfiles.remove(req.params.name);
+    if (error) return res.status(400).json({ error });
+  } catch (err) {
+    console.error("❌ Failed to save scoring profiles:", err.message);
+    return res.status(500).json({ error: "Failed to persist scoring profile" });
+  }
+  res.json({ success: true, scoring: scoringConfig() });
 });
 
 // POST /api/reset - Reset all trades and balance
@@ -425,6 +1386,11 @@ app.post("/api/reset", (req, res) => {
     // Reset trade ID counter
     tradeManager.nextId = 1;
 
+    // Cancel pending orders
+    tradeManager.pendingOrders = [];
+    tradeManager.nextOrderId = 1;
+    tradeManager.nextGroupId = 1;
+
     // Save to file
     stateDirty = true;
     saveTradingState();
@@ -442,6 +1408,141 @@ app.post("/api/reset", (req, res) => {
   }
 });
 
+/**
+ * Replay signals over candles with fixed percentage SL/TP, one position at a time
+ * @returns {Object} Trades, equity curve and summary statistics
+ */
+function simulateTrades(enriched, signals, { pair, stopLoss, takeProfit, lotSize, startBalance }) {
+  let btBalance = startBalance;
+  const trades = [];
+  const equityCurve = [{ trade: 0, balance: btBalance }];
+  let openPos = null;
+
+  for (let i = 0; i < enriched.length; i++) {
+    const candle = enriched[i];
+
+    // Check SL/TP on open position
+    if (openPos) {
+      let closed = false;
+      let exitPrice, exitReason;
+
+      if (openPos.type === "BUY") {
+        if (candle.low <= openPos.sl) {
+          exitPrice = openPos.sl;
+          exitReason = "Stop Loss";
+          closed = true;
+        } else if (candle.high >= openPos.tp) {
+          exitPrice = openPos.tp;
+          exitReason = "Take Profit";
+          closed = true;
+        }
+      } else {
+        if (candle.high >= openPos.sl) {
+          exitPrice = openPos.sl;
+          exitReason = "Stop Loss";
+          closed = true;
+        } else if (candle.low <= openPos.tp) {
+          exitPrice = openPos.tp;
+          exitReason = "Take Profit";
+          closed = true;
+        }
+      }
+
+      if (closed) {
+        let pnl;
+        if (openPos.type === "BUY") {
+          pnl = (exitPrice - openPos.entry) * lotSize * 100000;
+        } else {
+          pnl = (openPos.entry - exitPrice) * lotSize * 100000;
+        }
+        btBalance += pnl;
+
+        trades.push({
+          ...openPos,
+          exit: exitPrice,
+          pnl,
+          pnlPct:
+            openPos.type === "BUY"
+              ? ((exitPrice - openPos.entry) / openPos.entry) * 100
+              : ((openPos.entry - exitPrice) / openPos.entry) * 100,
+          result: pnl >= 0 ? "WIN" : "LOSS",
+          exitReason,
+          balanceAfter: btBalance,
+        });
+        equityCurve.push({
+          trade: trades.length,
+          balance: btBalance,
+        });
+        openPos = null;
+      }
+    }
+
+    // Check for new signal at this candle (if no position open)
+    if (!openPos) {
+      const signal = signals.find((s) => s.index === i);
+      if (signal) {
+        const sl =
+          signal.type === "BUY"
+            ? signal.price * (1 - stopLoss)
+            : signal.price * (1 + stopLoss);
+        const tp =
+          signal.type === "BUY"
+            ? signal.price * (1 + takeProfit)
+            : signal.price * (1 - takeProfit);
+
+        openPos = {
+          type: signal.type,
+          strategyId: signal.strategyId,
+          pair,
+          entry: signal.price,
+          entryTime: candle.time,
+          entryTimestamp: candle.timestamp,
+          sl,
+          tp,
+        };
+      }
+    }
+  }
+
+  // Calculate statistics
+  const wins = trades.filter((t) => t.result === "WIN");
+  const losses = trades.filter((t) => t.result === "LOSS");
+  const totalPnl = trades.reduce((sum, t) => sum + t.pnl, 0);
+
+  return {
+    trades,
+    wins: wins.length,
+    losses: losses.length,
+    totalPnl,
+    winRate:
+      trades.length > 0 ? (wins.length / trades.length) * 100 : 0,
+    avgWin:
+      wins.length > 0
+        ? wins.reduce((s, t) => s + t.pnl, 0) / wins.length
+        : 0,
+    avgLoss:
+      losses.length > 0
+        ? losses.reduce((s, t) => s + t.pnl, 0) / losses.length
+        : 0,
+    profitFactor:
+      losses.length > 0
+        ? Math.abs(
+            wins.reduce((s, t) => s + t.pnl, 0) /
+              losses.reduce((s, t) => s + t.pnl, 0)
+          )
+        : wins.length > 0
+          ? Infinity
+          : 0,
+    maxDrawdown:
+      trades.length > 0
+        ? Math.min(...trades.map((t) => t.pnl))
+        : 0,
+    finalBalance: btBalance,
+    startBalance,
+    equityCurve,
+  };
+}
+
 // API: Run backtest
 app.post("/api/backtest", async (req, res) => {
   try {
@@ -452,146 +1553,114 @@ app.post("/api/backtest", async (req, res) => {
       takeProfit = 0.004,
       lotSize = 0.1,
       balance: startBalance = 10000,
+      oscillators = signalOptions.oscillators,
+      requireStructure = signalOptions.requireStructure,
+      divergence = signalOptions.scoreDivergences,
+      patterns = signalOptions.scorePatterns,
+      fibonacci = signalOptions.scoreFibonacci,
+      smartMoney = signalOptions.scoreSmartMoney,
+      regimeProfiles = signalOptions.regimeProfiles,
+      minAligned = signalOptions.minAligned,
+      strategies = signalOptions.strategies,
+      strategyParams = {},
+      indicators: indicatorOverrides,
+      scoring: scoringOverride,
+      model: modelOverride,
     } = req.body;
 
-    // Get 500 candles of data
-    const { source, data: rawData } = await getMarketData(
-      pair,
-      timeframe,
-      500
-    );
-    const { data: enriched, srLevels, signals } = processData(rawData, pair);
-
-    // Walk through signals and simulate trades
-    let btBalance = startBalance;
-    const trades = [];
-    const equityCurve = [{ trade: 0, balance: btBalance }];
-    let openPos = null;
-
-    for (let i = 0; i < enriched.length; i++) {
-      const candle = enriched[i];
-
-      // Check SL/TP on open position
-      if (openPos) {
-        let closed = false;
-        let exitPrice, exitReason;
-
-        if (openPos.type === "BUY") {
-          if (candle.low <= openPos.sl) {
-            exitPrice = openPos.sl;
-            exitReason = "Stop Loss";
-            closed = true;
-          } else if (candle.high >= openPos.tp) {
-            exitPrice = openPos.tp;
-            exitReason = "Take Profit";
-            closed = true;
-          }
-        } else {
-          if (candle.high >= openPos.sl) {
-            exitPrice = openPos.sl;
-            exitReason = "Stop Loss";
-            closed = true;
-          } else if (candle.low <= openPos.tp) {
-            exitPrice = openPos.tp;
-            exitReason = "Take Profit";
-            closed = true;
-          }
-        }
+    // Defaults to the live settings so a backtest reflects what runs live
+    const { settings: indicators, error } = mergeIndicatorSettings(indicatorSettings, indicatorOverrides);
+    if (error) {
+      return res.status(400).json({ error });
+    }
+    if (!Array.isArray(strategies) || strategies.length === 0) {
+      return res.status(400).json({ error: "Select at least one strategy" });
+    }
+    const unknown = strategies.filter((id) => !STRATEGIES[id]);
+    if (unknown.length > 0) {
+      return res.status(400).json({ error: `Unknown strategy: ${unknown.join(", ")}` });
+    }
 
-        if (closed) {
-          let pnl;
-          if (openPos.type === "BUY") {
-            pnl = (exitPrice - openPos.entry) * lotSize * 100000;
-          } else {
-            pnl = (openPos.entry - exitPrice) * lotSize * 100000;
-          }
-          btBalance += pnl;
-
-          trades.push({
-            ...openPos,
-            exit: exitPrice,
-            pnl,
-            pnlPct:
-              openPos.type === "BUY"
-                ? ((exitPrice - openPos.entry) / openPos.entry) * 100
-                : ((openPos.entry - exitPrice) / openPos.entry) * 100,
-            result: pnl >= 0 ? "WIN" : "LOSS",
-            exitReason,
-            balanceAfter: btBalance,
-          });
-          equityCurve.push({
-            trade: trades.length,
-            balance: btBalance,
-          });
-          openPos = null;
-        }
+    // Scoring: a saved profile ("name" or "name@version"), or settings
+    // tried on top of the pair's profile
+    const pairProfile = scoringProfiles.forPair(pair);
+    let scoring = { profile: pairProfile.name, version: pairProfile.version, settings: pairProfile.settings };
+    if (typeof scoringOverride === "string") {
+      const resolved = scoringProfiles.resolve(scoringOverride);
+      if (!resolved) {
+        return res.status(400).json({ error: `Unknown scoring profile: ${scoringOverride}` });
+      }
+      scoring = { profile: resolved.name, version: resolved.version, settings: resolved.settings };
+    } else if (scoringOverride) {
+      const merged = mergeScoringSettings(pairProfile.settings, scoringOverride);
+      if (merged.error) {
+        return res.status(400).json({ error: merged.error });
       }
+      scoring = { profile: `${pairProfile.name} (modified)`, version: null, settings: merged.settings };
+    }
 
-      // Check for new signal at this candle (if no position open)
-      if (!openPos) {
-        const signal = signals.find((s) => s.index === i);
-        if (signal) {
-          const sl =
-            signal.type === "BUY"
-              ? signal.price * (1 - stopLoss)
-              : signal.price * (1 + stopLoss);
-          const tp =
-            signal.type === "BUY"
-              ? signal.price * (1 + takeProfit)
-              : signal.price * (1 - takeProfit);
-
-          openPos = {
-            type: signal.type,
-            pair,
-            entry: signal.price,
-            entryTime: candle.time,
-            entryTimestamp: candle.timestamp,
-            sl,
-            tp,
-          };
-        }
+    // Signal model: the live setting, "off", or { mode, version, minProbability }
+    let model = signalOptions.model;
+    if (modelOverride === "off") {
+      model = undefined;
+    } else if (modelOverride) {
+      const settings = { ...modelOptions, ...modelOverride };
+      if (!["gate", "confidence"].includes(settings.mode)) {
+        return res.status(400).json({ error: 'Model mode must be "gate" or "confidence"' });
+      }
+      const minProbability = Number(settings.minProbability);
+      if (!(minProbability >= 0 && minProbability <= 1)) {
+        return res.status(400).json({ error: "Model minProbability must be between 0 and 1" });
+      }
+      model = resolveSignalModel({ ...settings, minProbability });
+      if (!model) {
+        return res.status(400).json({ error: `Signal model ${settings.version} not found` });
       }
     }
 
-    // Calculate statistics
-    const wins = trades.filter((t) => t.result === "WIN");
-    const losses = trades.filter((t) => t.result === "LOSS");
-    const totalPnl = trades.reduce((sum, t) => sum + t.pnl, 0);
+    // Get 500 candles of data
+    const { source, data: rawData } = await getMarketData(
+      pair,
+      timeframe,
+      500
+    );
+    const { data: enriched, srLevels, signals } = processData(rawData, pair, indicators, {
+      ...signalOptions,
+      oscillators,
+      requireStructure,
+      scoreDivergences: divergence,
+      scorePatterns: patterns,
+      scoreFibonacci: fibonacci,
+      scoreSmartMoney: smartMoney,
+      regimeProfiles,
+      minAligned,
+      strategies,
+      strategyParams,
+      scoring: scoring.settings,
+      model,
+      timeframe,
+    });
+    const simOptions = { pair, stopLoss, takeProfit, lotSize, startBalance };
 
+    // Walk through signals and simulate trades: all strategies together,
+    // then each strategy on its own
     const result = {
       source,
       pair,
       timeframe,
-      trades,
-      wins: wins.length,
-      losses: losses.length,
-      totalPnl,
-      winRate:
-        trades.length > 0 ? (wins.length / trades.length) * 100 : 0,
-      avgWin:
-        wins.length > 0
-          ? wins.reduce((s, t) => s + t.pnl, 0) / wins.length
-          : 0,
-      avgLoss:
-        losses.length > 0
-          ? losses.reduce((s, t) => s + t.pnl, 0) / losses.length
-          : 0,
-      profitFactor:
-        losses.length > 0
-          ? Math.abs(
-              wins.reduce((s, t) => s + t.pnl, 0) /
-                losses.reduce((s, t) => s + t.pnl, 0)
-            )
-          : wins.length > 0
-            ? Infinity
-            : 0,
-      maxDrawdown:
-        trades.length > 0
-          ? Math.min(...trades.map((t) => t.pnl))
-          : 0,
-      finalBalance: btBalance,
-      startBalance,
-      equityCurve,
+      indicators,
+      strategies,
+      scoring,
+      model: model ? { mode: model.mode, version: model.model.version, minProbability: model.minProbability } : null,
+      ...simulateTrades(enriched, signals, simOptions),
+      byStrategy: strategies.map((id) => {
+        const { trades, equityCurve, ...stats } = simulateTrades(
+          enriched,
+          signals.filter((s) => s.strategyId === id),
+          simOptions
+        );
+        return { id, name: STRATEGIES[id].name, trades: trades.length, ...stats };
+      }),
     };
 
     res.json(result);
@@ -669,6 +1738,49 @@ function broadcastToFrontend(message) {
   }
 }
 
+// Recompute everything that depends on indicator settings after a change
+function applyIndicatorSettings() {
+  // Cached higher-timeframe candles were enriched with the old settings
+  mtfCache.clear();
+  resampledFrames.clear();
+  for (const key of indicatorStreams.keys()) {
+    indicatorStreams.set(key, createIndicatorStream(aggregators.get(key)));
+  }
+
+  if (currentData.length > 0) {
+    const result = processData(currentData, currentPair);
+    currentData = result.data;
+    currentSrLevels = result.srLevels;
+    currentSignals = result.signals;
+    currentDivergences = result.divergences;
+    currentFibonacci = result.fibonacci;
+    currentStructure = result.structure;
+    currentSmartMoney = result.smartMoney;
+    currentRegime = result.regime;
+  }
+
+  broadcastToFrontend({
+    type: "refresh",
+    data: {
+      pair: currentPair,
+      timeframe: currentTimeframe,
+      data: currentData,
+      srLevels: currentSrLevels,
+      signals: currentSignals,
+      divergences: currentDivergences,
+      fibonacci: currentFibonacci,
+      structure: currentStructure,
+      smartMoney: currentSmartMoney,
+      regime: currentRegime,
+      indicators: indicatorSettings,
+      balance: tradeManager.balance,
+      openPositions: tradeManager.openPositions,
+      dataSource,
+    },
+  });
+  console.log("📈 Indicator settings applied:", indicatorSettings);
+}
+
 // ── Live Mode: Simulated Tick Engine ──
 
 let simulationInterval = null;
@@ -737,28 +1849,68 @@ function handleLiveTick(tick) {
           volume: c.volume,
         }))
       );
+      repaintMonitor.seed(key, currentData);
     }
+
+    indicatorStreams.set(key, createIndicatorStream(aggregators.get(key)));
   }
 
   const aggregator = aggregators.get(key);
-  aggregator.addTick(tick);
-
-  // Re-process all data with indicators
-  const rawCandles = aggregator.getCandles(200);
-  const { data: enriched, srLevels, signals } = processData(rawCandles, tick.symbol);
+  const candle = aggregator.addTick(tick);
+
+  // Update indicators incrementally with the in-progress candle
+  const stream = indicatorStreams.get(key);
+  stream.addCandle(candle);
+  const {
+    data: enriched,
+    srLevels,
+    signals,
+    divergences,
+    fibonacci,
+    structure,
+    smartMoney,
+    regime,
+  } = processStream(stream, tick.symbol);
 
   currentData = enriched;
   currentSrLevels = srLevels;
 
-  // Check for new signals
-  const newSignals = signals.filter(
-    (s) =>
-      s.index === enriched.length - 1 ||
-      s.index === enriched.length - 2
-  );
-  const brandNewSignals = newSignals.filter(
-    (s) => !currentSignals.some((cs) => cs.time === s.time && cs.type === s.type)
-  );
+  // Compare intrabar signals with their candle once it closes
+  const { closed, retracted } = repaintMonitor.observe(key, enriched, signals);
+  retracted.forEach((s) => {
+    console.log(`↩️  Retracted intrabar ${s.type} ${tick.symbol} [${s.strategy}] from ${s.timestamp}`);
+  });
+
+  // Check for new signals: in close mode only the candle that just closed,
+  // otherwise the last two candles including the one still forming
+  let brandNewSignals;
+  if (signalOptions.evaluation === "close") {
+    brandNewSignals = closed;
+  } else {
+    const newSignals = signals.filter(
+      (s) =>
+        s.index === enriched.length - 1 ||
+        s.index === enriched.length - 2
+    );
+    brandNewSignals = newSignals.filter(
+      (s) => !currentSignals.some(
+        (cs) => cs.time === s.time && cs.type === s.type && cs.strategyId === s.strategyId
+      )
+    );
+  }
+
+  // Drop signals rejected by the filter chain before alerting / execution
+  if (brandNewSignals.length > 0) {
+    const { passed, rejected } = filterSignals(
+      brandNewSignals,
+      { pair: tick.symbol, data: enriched, tick },
+      filterSettings
+    );
+    rejected.forEach(({ signal, filter, reason }) => {
+      console.log(`🚫 ${signal.type} ${tick.symbol} [${signal.strategy}] rejected by ${filter} filter: ${reason}`);
+    });
+    brandNewSignals = passed;
+  }
 
   if (brandNewSignals.length > 0) {
     brandNewSignals.forEach((s) => {
@@ -780,7 +1932,11 @@ function handleLiveTick(tick) {
           ? s.price + tpDistance
           : s.price - tpDistance;
 
+      // Snapshot of the model features so outcomes can train the model
+      s.features = extractFeatures(enriched[s.index], s.type);
+
       signalHistory.push(s);
+      signalTracker.track(s, currentTimeframe);
       tradeManager.incrementSignalCount();
       if (commandHandler.alertsEnabled) {
         telegramBot.sendSignalAlert(s);
@@ -805,11 +1961,13 @@ function handleLiveTick(tick) {
         }
       } else {
         for (const signal of brandNewSignals) {
-          // Check if position already exists for this pair (one position per pair)
-          const existingPos = tradeManager.openPositions.find(p => p.pair === currentPair);
+          // One position per pair per strategy; manual positions block all strategies
+          const existingPos = tradeManager.openPositions.find(
+            p => p.pair === currentPair && (!p.strategyId || p.strategyId === signal.strategyId)
+          );
 
           if (existingPos) {
-            console.log(`⚠️  Signal skipped: position already open for ${currentPair} (#${existingPos.id})`);
+            console.log(`⚠️  ${signal.strategy} signal skipped: position already open for ${currentPair} (#${existingPos.id})`);
             continue;
           }
 
@@ -820,6 +1978,9 @@ function handleLiveTick(tick) {
             takeProfitPips: tradingParams.takeProfitPips,
             trailingStopDistance: tradingParams.trailingStopDistance,
             trailingStopActivation: tradingParams.trailingStopActivation,
+            strategyId: signal.strategyId,
+            features: signal.features,
+            signalTime: signal.time,
           };
 
           const position = tradeManager.openTrade(
@@ -829,7 +1990,7 @@ function handleLiveTick(tick) {
             config
           );
 
-          console.log(`🤖 AUTO-EXECUTED ${signal.type} ${currentPair} @ ${signal.price.toFixed(position.digits)} (Signal confidence: ${signal.confidence.toFixed(0)}%)`);
+          console.log(`🤖 AUTO-EXECUTED ${signal.type} ${currentPair} @ ${signal.price.toFixed(position.digits)} [${signal.strategy}] (Signal confidence: ${signal.confidence.toFixed(0)}%)`);
 
           // Send Telegram notification
           if (telegramBot.enabled) {
@@ -844,17 +2005,24 @@ function handleLiveTick(tick) {
   }
 
   currentSignals = signals;
-
-  // Update open positions and check SL/TP
+  currentDivergences = divergences;
+  currentFibonacci = fibonacci;
+  currentStructure = structure;
+  currentSmartMoney = smartMoney;
+  currentRegime = regime;
+
+  // Follow tracked signals, then update open positions and check SL/TP
+  signalTracker.update(tick.symbol, tick.price);
   const closedTrades = tradeManager.updatePositions(
     tick.symbol,
     tick.price
   );
   closedTrades.forEach((trade) => {
-    const eventType =
-      trade.exitReason === "Stop Loss"
+    const eventType = trade.partial
+      ? "partial_close"
+      : trade.exitReason === "Stop Loss"
         ? "sl_hit"
-        : trade.exitReason === "Take Profit"
+        : trade.exitReason === "Take Profit" || /^TP\d$/.test(trade.exitReason)
           ? "tp_hit"
           : trade.result === "WIN"
             ? "closed_win"
@@ -884,9 +2052,15 @@ function handleLiveTick(tick) {
       pair: tick.symbol,
       candle: enriched[enriched.length - 1],
       srLevels,
+      divergences,
+      fibonacci,
+      structure,
+      smartMoney,
+      regime,
       signals: brandNewSignals,
       balance: tradeManager.balance,
       openPositions: tradeManager.openPositions,
+      pendingOrders: tradeManager.pendingOrders,
       closedTrades,
     },
   });
@@ -919,6 +2093,11 @@ app.post("/api/mode/start", async (req, res) => {
   currentData = result.data;
   currentSrLevels = result.srLevels;
   currentSignals = result.signals;
+  currentDivergences = result.divergences;
+  currentFibonacci = result.fibonacci;
+  currentStructure = result.structure;
+  currentSmartMoney = result.smartMoney;
+  currentRegime = result.regime;
   dataSource = source;
 
   // Start live tick stream
@@ -982,6 +2161,11 @@ app.post("/api/mode/switch", async (req, res) => {
   currentData = result.data;
   currentSrLevels = result.srLevels;
   currentSignals = result.signals;
+  currentDivergences = result.divergences;
+  currentFibonacci = result.fibonacci;
+  currentStructure = result.structure;
+  currentSmartMoney = result.smartMoney;
+  currentRegime = result.regime;
   dataSource = source;
 
   // Restart live stream for new pair
@@ -1000,6 +2184,12 @@ app.post("/api/mode/switch", async (req, res) => {
       data: currentData,
       srLevels: currentSrLevels,
       signals: currentSignals,
+      divergences: currentDivergences,
+      fibonacci: currentFibonacci,
+      structure: currentStructure,
+      smartMoney: currentSmartMoney,
+      regime: currentRegime,
+      indicators: indicatorSettings,
       balance: tradeManager.balance,
       openPositions: tradeManager.openPositions,
       dataSource,
@@ -1037,6 +2227,11 @@ server.listen(config.server.port, () => {
     tdStream.connect();
   }
 
+  // Trades and orders placed from Telegram are saved with the next state save
+  commandHandler.onStateChange = () => {
+    stateDirty = true;
+  };
+
   // Wire pair change from Telegram /pair command
   commandHandler.onPairChange = async (newPair) => {
     const oldPair = currentPair;
@@ -1059,6 +2254,11 @@ server.listen(config.server.port, () => {
       currentData = result.data;
       currentSrLevels = result.srLevels;
       currentSignals = result.signals;
+      currentDivergences = result.divergences;
+      currentFibonacci = result.fibonacci;
+      currentStructure = result.structure;
+      currentSmartMoney = result.smartMoney;
+      currentRegime = result.regime;
       dataSource = source;
 
       // Restart live stream for new pair
@@ -1077,6 +2277,12 @@ server.listen(config.server.port, () => {
           data: currentData,
           srLevels: currentSrLevels,
           signals: currentSignals,
+          divergences: currentDivergences,
+          fibonacci: currentFibonacci,
+          structure: currentStructure,
+          smartMoney: currentSmartMoney,
+          regime: currentRegime,
+          indicators: indicatorSettings,
           balance: tradeManager.balance,
           openPositions: tradeManager.openPositions,
           dataSource,
@@ -1108,6 +2314,11 @@ server.listen(config.server.port, () => {
         currentData = result.data;
         currentSrLevels = result.srLevels;
         currentSignals = result.signals;
+        currentDivergences = result.divergences;
+        currentFibonacci = result.fibonacci;
+        currentStructure = result.structure;
+        currentSmartMoney = result.smartMoney;
+        currentRegime = result.regime;
         dataSource = source;
 
         // Start live tick stream
@@ -1146,6 +2357,8 @@ process.on("SIGINT", () => {
   tdStream.disconnect();
   commandHandler.stop();
   scheduler.stop();
+  if (stateDirty) saveTradingState();
+  if (signalTracker.dirty) signalTracker.save();
   server.close();
   process.exit(0);
 });
@@ -1155,6 +2368,8 @@ process.on("SIGTERM", () => {
   tdStream.disconnect();
   commandHandler.stop();
   scheduler.stop();
+  if (stateDirty) saveTradingState();
+  if (signalTracker.dirty) signalTracker.save();
   server.close();
   process.exit(0);
 });
@@ -1,6 +1,46 @@
 // Module 2 — Technical Analysis Core
 // Pure functions: data in, numbers out
 
+const { detectPatterns, detectPatternsAt } = require("./candlestick-patterns");
+
+/**
+ * Default parameters for the core indicators and S/R detection.
+ * enrichData() and IndicatorStream accept a (partial) override so the same
+ * settings drive charts, backtests and the live tick path.
+ */
+const DEFAULT_INDICATOR_SETTINGS = {
+  smaFast: 20,
+  smaSlow: 50,
+  rsiPeriod: 14,
+  macdFast: 12,
+  macdSlow: 26,
+  macdSignal: 9,
+  srLookback: 20,
+  // Volatility and trend
+  atrPeriod: 14,
+  stdDevPeriod: 20,
+  bbPeriod: 20,
+  kcPeriod: 20,
+  kcAtrPeriod: 10,
+  adxPeriod: 14,
+  supertrendPeriod: 10,
+  ichimokuTenkan: 9,
+  ichimokuKijun: 26,
+  ichimokuSenkouB: 52,
+  ichimokuDisplacement: 26,
+  // Oscillators
+  stochPeriod: 14,
+  stochSmooth: 3,
+  stochSignal: 3,
+  stochRsiPeriod: 14,
+  stochRsiLookback: 14,
+  stochRsiSmooth: 3,
+  stochRsiSignal: 3,
+  cciPeriod: 20,
+  williamsRPeriod: 14,
+  mfiPeriod: 14,
+};
+
 /**
  * Simple Moving Average
  * @param {Array} data - Array of candle objects with .close
@@ -9,16 +49,12 @@
  */
 function calcSMA(data, period) {
   const result = [];
+  // Running sum — same arithmetic as StreamingSMA so live and batch agree
+  let sum = 0;
   for (let i = 0; i < data.length; i++) {
-    if (i < period - 1) {
-      result.push(null);
-      continue;
-    }
-    let sum = 0;
-    for (let j = i - period + 1; j <= i; j++) {
-      sum += data[j].close;
-    }
-    result.push(sum / period);
+    sum += data[i].close;
+    if (i >= period) sum -= data[i - period].close;
+    result.push(i < period - 1 ? null : sum / period);
   }
   return result;
 }
@@ -127,26 +163,28 @@ function calcRSI(data, period = 14) {
 /**
  * MACD (12, 26, 9)
  * @param {Array} data - Array of candle objects with .close
+ * @param {number} fastPeriod - Fast EMA period (default 12)
+ * @param {number} slowPeriod - Slow EMA period (default 26)
+ * @param {number} signalPeriod - Signal EMA period (default 9)
  * @returns {Object} { macd: [], signal: [], histogram: [] }
  */
-function calcMACD(data) {
-  const ema12 = calcEMA(data, 12);
-  const ema26 = calcEMA(data, 26);
+function calcMACD(data, fastPeriod = 12, slowPeriod = 26, signalPeriod = 9) {
+  const emaFast = calcEMA(data, fastPeriod);
+  const emaSlow = calcEMA(data, slowPeriod);
 
-  // MACD line = EMA(12) - EMA(26)
+  // MACD line = EMA(fast) - EMA(slow)
   const macdLine = [];
   for (let i = 0; i < data.length; i++) {
-    if (ema12[i] === null || ema26[i] === null) {
+    if (emaFast[i] === null || emaSlow[i] === null) {
       macdLine.push(null);
     } else {
-      macdLine.push(ema12[i] - ema26[i]);
+      macdLine.push(emaFast[i] - emaSlow[i]);
     }
   }
 
-  // Signal line = EMA(9) of MACD line
+  // Signal line = EMA(signalPeriod) of MACD line
   // We need to compute EMA on macdLine values, not candle objects
   const signalLine = [];
-  const signalPeriod = 9;
   const k = 2 / (signalPeriod + 1);
 
   // Find the first non-null MACD values for seeding
@@ -158,7 +196,7 @@ function calcMACD(data) {
       continue;
     }
     if (i === nonNullStart + signalPeriod - 1) {
-      // Seed signal with SMA of first 9 MACD values
+      // Seed signal with SMA of the first signalPeriod MACD values
       let sum = 0;
       for (let j = nonNullStart; j < nonNullStart + signalPeriod; j++) {
         sum += macdLine[j];
@@ -187,6 +225,555 @@ function calcMACD(data) {
   return { macd: macdLine, signal: signalLine, histogram };
 }
 
+/**
+ * True Range of a candle
+ * @param {Object} candle - Candle object
+ * @param {number|null} prevClose - Previous close (null for the first candle)
+ * @returns {number}
+ */
+function trueRange(candle, prevClose) {
+  if (prevClose === null) return candle.high - candle.low;
+  return Math.max(
+    candle.high - candle.low,
+    Math.abs(candle.high - prevClose),
+    Math.abs(candle.low - prevClose)
+  );
+}
+
+/**
+ * Average True Range (Wilder smoothing)
+ * Seeded with the SMA of the first `period` true ranges
+ * @param {Array} data - Array of candle objects
+ * @param {number} period - ATR period (default 14)
+ * @returns {Array} ATR values in price units (null for insufficient data)
+ */
+function calcATR(data, period = 14) {
+  const result = [];
+  let trSum = 0;
+  let atr = null;
+
+  for (let i = 0; i < data.length; i++) {
+    const tr = trueRange(data[i], i === 0 ? null : data[i - 1].close);
+    if (i < period - 1) {
+      trSum += tr;
+      result.push(null);
+    } else if (i === period - 1) {
+      atr = (trSum + tr) / period;
+      result.push(atr);
+    } else {
+      atr = (atr * (period - 1) + tr) / period;
+      result.push(atr);
+    }
+  }
+  return result;
+}
+
+/**
+ * Mean and population standard deviation of a window of values
+ * @param {Array<number>} values
+ * @returns {Object} { mean, stdDev }
+ */
+function meanStdDev(values) {
+  let sum = 0;
+  for (const v of values) sum += v;
+  const mean = sum / values.length;
+  let sqSum = 0;
+  for (const v of values) sqSum += (v - mean) * (v - mean);
+  return { mean, stdDev: Math.sqrt(sqSum / values.length) };
+}
+
+/**
+ * Rolling Standard Deviation of closes (population)
+ * @param {Array} data - Array of candle objects with .close
+ * @param {number} period - Lookback period (default 20)
+ * @returns {Array} Std dev values in price units (null for insufficient data)
+ */
+function calcStdDev(data, period = 20) {
+  const result = [];
+  for (let i = 0; i < data.length; i++) {
+    if (i < period - 1) {
+      result.push(null);
+      continue;
+    }
+    const closes = data.slice(i - period + 1, i + 1).map((c) => c.close);
+    result.push(meanStdDev(closes).stdDev);
+  }
+  return result;
+}
+
+/**
+ * Bollinger Band values for one bar
+ */
+function bollingerPoint(close, mean, stdDev, multiplier) {
+  const upper = mean + multiplier * stdDev;
+  const lower = mean - multiplier * stdDev;
+  return {
+    upper,
+    middle: mean,
+    lower,
+    percentB: upper === lower ? null : (close - lower) / (upper - lower),
+    bandwidth: mean === 0 ? null : (upper - lower) / mean,
+  };
+}
+
+/**
+ * Bollinger Bands (20, 2)
+ * %B = where the close sits inside the bands (0 = lower, 1 = upper)
+ * Bandwidth = (upper - lower) / middle
+ * @param {Array} data - Array of candle objects with .close
+ * @param {number} period - SMA / std dev period (default 20)
+ * @param {number} multiplier - Std dev multiplier (default 2)
+ * @returns {Object} { upper: [], middle: [], lower: [], percentB: [], bandwidth: [] }
+ */
+function calcBollingerBands(data, period = 20, multiplier = 2) {
+  const result = { upper: [], middle: [], lower: [], percentB: [], bandwidth: [] };
+
+  for (let i = 0; i < data.length; i++) {
+    if (i < period - 1) {
+      for (const key of Object.keys(result)) result[key].push(null);
+      continue;
+    }
+    const closes = data.slice(i - period + 1, i + 1).map((c) => c.close);
+    const { mean, stdDev } = meanStdDev(closes);
+    const point = bollingerPoint(data[i].close, mean, stdDev, multiplier);
+    for (const key of Object.keys(result)) result[key].push(point[key]);
+  }
+  return result;
+}
+
+/**
+ * Keltner Channels — EMA(20) middle, bands at ± multiplier × ATR(10)
+ * @param {Array} data - Array of candle objects
+ * @param {number} period - EMA period (default 20)
+ * @param {number} atrPeriod - ATR period (default 10)
+ * @param {number} multiplier - ATR multiplier (default 2)
+ * @returns {Object} { upper: [], middle: [], lower: [] }
+ */
+function calcKeltnerChannels(data, period = 20, atrPeriod = 10, multiplier = 2) {
+  const ema = calcEMA(data, period);
+  const atr = calcATR(data, atrPeriod);
+  const upper = [];
+  const lower = [];
+
+  for (let i = 0; i < data.length; i++) {
+    if (ema[i] === null || atr[i] === null) {
+      upper.push(null);
+      lower.push(null);
+    } else {
+      upper.push(ema[i] + multiplier * atr[i]);
+      lower.push(ema[i] - multiplier * atr[i]);
+    }
+  }
+  return { upper, middle: ema, lower };
+}
+
+/**
+ * One bar of Wilder's directional movement system
+ * @param {Object} candle - Current candle
+ * @param {Object} prev - Previous candle
+ * @param {Object|null} state - Smoothed sums from the previous bar
+ * @param {number} i - Bar index (>= 1)
+ * @param {number} period - ADX period
+ * @returns {Object} Next state incl. plusDI / minusDI / adx (null until ready)
+ */
+function adxStep(candle, prev, state, i, period) {
+  const upMove = candle.high - prev.high;
+  const downMove = prev.low - candle.low;
+  const plusDM = upMove > downMove && upMove > 0 ? upMove : 0;
+  const minusDM = downMove > upMove && downMove > 0 ? downMove : 0;
+  const tr = trueRange(candle, prev.close);
+
+  let { trSum, plusSum, minusSum, dxSum, adx } = state || {
+    trSum: 0, plusSum: 0, minusSum: 0, dxSum: 0, adx: null,
+  };
+
+  if (i <= period) {
+    trSum += tr;
+    plusSum += plusDM;
+    minusSum += minusDM;
+    if (i < period) {
+      return { trSum, plusSum, minusSum, dxSum, adx, plusDI: null, minusDI: null };
+    }
+  } else {
+    trSum = trSum - trSum / period + tr;
+    plusSum = plusSum - plusSum / period + plusDM;
+    minusSum = minusSum - minusSum / period + minusDM;
+  }
+
+  const plusDI = trSum === 0 ? 0 : (100 * plusSum) / trSum;
+  const minusDI = trSum === 0 ? 0 : (100 * minusSum) / trSum;
+  const diSum = plusDI + minusDI;
+  const dx = diSum === 0 ? 0 : (100 * Math.abs(plusDI - minusDI)) / diSum;
+
+  if (i < 2 * period - 1) {
+    dxSum += dx;
+  } else if (i === 2 * period - 1) {
+    adx = (dxSum + dx) / period;
+  } else {
+    adx = (adx * (period - 1) + dx) / period;
+  }
+
+  return { trSum, plusSum, minusSum, dxSum, adx, plusDI, minusDI };
+}
+
+/**
+ * ADX with +DI / -DI (Wilder)
+ * ADX > 25 = trending market, < 20 = ranging
+ * @param {Array} data - Array of candle objects
+ * @param {number} period - DMI period (default 14)
+ * @returns {Object} { adx: [], plusDI: [], minusDI: [] }
+ */
+function calcADX(data, period = 14) {
+  const result = { adx: [], plusDI: [], minusDI: [] };
+  let state = null;
+
+  for (let i = 0; i < data.length; i++) {
+    if (i === 0) {
+      result.adx.push(null);
+      result.plusDI.push(null);
+      result.minusDI.push(null);
+      continue;
+    }
+    state = adxStep(data[i], data[i - 1], state, i, period);
+    result.adx.push(state.adx);
+    result.plusDI.push(state.plusDI);
+    result.minusDI.push(state.minusDI);
+  }
+  return result;
+}
+
+/**
+ * One bar of Supertrend band logic
+ * @param {Object} candle - Current candle
+ * @param {number} atr - ATR for this bar
+ * @param {Object|null} prev - Previous { upper, lower, direction, close }
+ * @param {number} multiplier - ATR multiplier
+ * @returns {Object} { upper, lower, direction, close }
+ */
+function supertrendStep(candle, atr, prev, multiplier) {
+  const hl2 = (candle.high + candle.low) / 2;
+  const basicUpper = hl2 + multiplier * atr;
+  const basicLower = hl2 - multiplier * atr;
+
+  if (!prev) {
+    return {
+      upper: basicUpper,
+      lower: basicLower,
+      direction: candle.close >= hl2 ? 1 : -1,
+      close: candle.close,
+    };
+  }
+
+  // Bands only tighten while the trend holds
+  const upper =
+    basicUpper < prev.upper || prev.close > prev.upper ? basicUpper : prev.upper;
+  const lower =
+    basicLower > prev.lower || prev.close < prev.lower ? basicLower : prev.lower;
+
+  let direction;
+  if (prev.direction === -1) {
+    direction = candle.close > upper ? 1 : -1;
+  } else {
+    direction = candle.close < lower ? -1 : 1;
+  }
+
+  return { upper, lower, direction, close: candle.close };
+}
+
+/**
+ * Supertrend (ATR 10, multiplier 3)
+ * @param {Array} data - Array of candle objects
+ * @param {number} period - ATR period (default 10)
+ * @param {number} multiplier - ATR multiplier (default 3)
+ * @returns {Object} { value: [], direction: [] } — direction 1 = up, -1 = down
+ */
+function calcSupertrend(data, period = 10, multiplier = 3) {
+  const atr = calcATR(data, period);
+  const value = [];
+  const direction = [];
+  let prev = null;
+
+  for (let i = 0; i < data.length; i++) {
+    if (atr[i] === null) {
+      value.push(null);
+      direction.push(null);
+      continue;
+    }
+    prev = supertrendStep(data[i], atr[i], prev, multiplier);
+    value.push(prev.direction === 1 ? prev.lower : prev.upper);
+    direction.push(prev.direction);
+  }
+  return { value, direction };
+}
+
+/**
+ * One bar of Parabolic SAR
+ * @param {Object|null} prev - Previous { up, sar, ep, af } (null on the first bar)
+ * @param {Object} candle - Current candle
+ * @param {Object} prev1 - Candle one bar back
+ * @param {Object|null} prev2 - Candle two bars back
+ * @param {number} step - Acceleration step
+ * @param {number} max - Maximum acceleration
+ * @returns {Object} { up, sar, ep, af }
+ */
+function psarStep(prev, candle, prev1, prev2, step, max) {
+  if (!prev) {
+    const up = candle.close >= prev1.close;
+    return {
+      up,
+      sar: up ? prev1.low : prev1.high,
+      ep: up ? candle.high : candle.low,
+      af: step,
+    };
+  }
+
+  let { up, ep, af } = prev;
+  let sar = prev.sar + af * (ep - prev.sar);
+
+  if (up) {
+    sar = Math.min(sar, prev1.low, (prev2 || prev1).low);
+    if (candle.low < sar) {
+      return { up: false, sar: ep, ep: candle.low, af: step };
+    }
+    if (candle.high > ep) {
+      ep = candle.high;
+      af = Math.min(af + step, max);
+    }
+  } else {
+    sar = Math.max(sar, prev1.high, (prev2 || prev1).high);
+    if (candle.high > sar) {
+      return { up: true, sar: ep, ep: candle.high, af: step };
+    }
+    if (candle.low < ep) {
+      ep = candle.low;
+      af = Math.min(af + step, max);
+    }
+  }
+
+  return { up, sar, ep, af };
+}
+
+/**
+ * Parabolic SAR (0.02, 0.2)
+ * @param {Array} data - Array of candle objects
+ * @param {number} step - Acceleration step (default 0.02)
+ * @param {number} max - Maximum acceleration (default 0.2)
+ * @returns {Object} { sar: [], direction: [] } — direction 1 = up, -1 = down
+ */
+function calcParabolicSAR(data, step = 0.02, max = 0.2) {
+  const sar = [];
+  const direction = [];
+  let state = null;
+
+  for (let i = 0; i < data.length; i++) {
+    if (i === 0) {
+      sar.push(null);
+      direction.push(null);
+      continue;
+    }
+    state = psarStep(state, data[i], data[i - 1], i >= 2 ? data[i - 2] : null, step, max);
+    sar.push(state.sar);
+    direction.push(state.up ? 1 : -1);
+  }
+  return { sar, direction };
+}
+
+/**
+ * Midpoint of the highest high and lowest low
+ */
+function channelMidpoint(highs, lows) {
+  return (Math.max(...highs) + Math.min(...lows)) / 2;
+}
+
+/**
+ * Ichimoku Kinko Hyo (9, 26, 52)
+ * Senkou spans are shifted forward by `displacement`, so the values at
+ * index i describe the cloud drawn under candle i. Chikou is the close
+ * `displacement` candles ahead — it is only known in hindsight and must
+ * not be used for signals on the current candle.
+ * @param {Array} data - Array of candle objects
+ * @param {number} tenkanPeriod - Conversion line period (default 9)
+ * @param {number} kijunPeriod - Base line period (default 26)
+ * @param {number} senkouBPeriod - Leading span B period (default 52)
+ * @param {number} displacement - Cloud / lagging shift (default 26)
+ * @returns {Object} { tenkan: [], kijun: [], senkouA: [], senkouB: [], chikou: [] }
+ */
+function calcIchimoku(data, tenkanPeriod = 9, kijunPeriod = 26, senkouBPeriod = 52, displacement = 26) {
+  const result = { tenkan: [], kijun: [], senkouA: [], senkouB: [], chikou: [] };
+  const rawA = [];
+  const rawB = [];
+
+  const midpointAt = (i, period) => {
+    if (i < period - 1) return null;
+    const window = data.slice(i - period + 1, i + 1);
+    return channelMidpoint(window.map((c) => c.high), window.map((c) => c.low));
+  };
+
+  for (let i = 0; i < data.length; i++) {
+    const tenkan = midpointAt(i, tenkanPeriod);
+    const kijun = midpointAt(i, kijunPeriod);
+    rawA.push(tenkan === null || kijun === null ? null : (tenkan + kijun) / 2);
+    rawB.push(midpointAt(i, senkouBPeriod));
+
+    result.tenkan.push(tenkan);
+    result.kijun.push(kijun);
+    result.senkouA.push(i >= displacement ? rawA[i - displacement] : null);
+    result.senkouB.push(i >= displacement ? rawB[i - displacement] : null);
+    result.chikou.push(
+      i + displacement < data.length ? data[i + displacement].close : null
+    );
+  }
+  return result;
+}
+
+// ── Oscillators ──
+// Window reducers shared by the batch and streaming versions: each receives
+// the last `period` inputs (oldest first) and returns the value for the last.
+
+/**
+ * Apply a window reducer at every index (null until the window is full)
+ */
+function rollingApply(values, period, reducer) {
+  return values.map((_, i) =>
+    i < period - 1 ? null : reducer(values.slice(i - period + 1, i + 1))
+  );
+}
+
+/**
+ * Plain mean of a window of values (null if any value is missing)
+ */
+function windowMean(values) {
+  if (values.some((v) => v === null)) return null;
+  return values.reduce((sum, v) => sum + v, 0) / values.length;
+}
+
+/**
+ * Position of the last value inside the window's range, 0-100
+ */
+function windowStochastic(values) {
+  if (values.some((v) => v === null)) return null;
+  const highest = Math.max(...values);
+  const lowest = Math.min(...values);
+  if (highest === lowest) return 50;
+  return ((values[values.length - 1] - lowest) / (highest - lowest)) * 100;
+}
+
+/**
+ * Raw stochastic %K of a candle window
+ */
+function stochasticRaw(window) {
+  const highest = Math.max(...window.map((c) => c.high));
+  const lowest = Math.min(...window.map((c) => c.low));
+  if (highest === lowest) return 50;
+  return ((window[window.length - 1].close - lowest) / (highest - lowest)) * 100;
+}
+
+/**
+ * Williams %R of a candle window, -100 (oversold) to 0 (overbought)
+ */
+function williamsRPoint(window) {
+  const highest = Math.max(...window.map((c) => c.high));
+  const lowest = Math.min(...window.map((c) => c.low));
+  if (highest === lowest) return -50;
+  return ((highest - window[window.length - 1].close) / (highest - lowest)) * -100;
+}
+
+function typicalPrice(candle) {
+  return (candle.high + candle.low + candle.close) / 3;
+}
+
+/**
+ * Commodity Channel Index of a candle window
+ */
+function cciPoint(window) {
+  const prices = window.map(typicalPrice);
+  const mean = prices.reduce((sum, p) => sum + p, 0) / prices.length;
+  const meanDev = prices.reduce((sum, p) => sum + Math.abs(p - mean), 0) / prices.length;
+  if (meanDev === 0) return 0;
+  return (prices[prices.length - 1] - mean) / (0.015 * meanDev);
+}
+
+/**
+ * Money Flow Index of a `period + 1` candle window (the first candle only
+ * provides the reference typical price). Null when the feed has no volume.
+ */
+function mfiPoint(window) {
+  let positive = 0;
+  let negative = 0;
+  for (let i = 1; i < window.length; i++) {
+    const tp = typicalPrice(window[i]);
+    const prevTp = typicalPrice(window[i - 1]);
+    const flow = tp * (window[i].volume || 0);
+    if (tp > prevTp) positive += flow;
+    else if (tp < prevTp) negative += flow;
+  }
+  if (positive + negative === 0) return null;
+  if (negative === 0) return 100;
+  return 100 - 100 / (1 + positive / negative);
+}
+
+/**
+ * Stochastic Oscillator (14, 3, 3)
+ * @param {Array} data - Array of candle objects
+ * @param {number} kPeriod - High/low lookback (default 14)
+ * @param {number} kSmooth - %K smoothing (default 3, 1 = fast stochastic)
+ * @param {number} dPeriod - %D signal period (default 3)
+ * @returns {Object} { k: [], d: [] }
+ */
+function calcStochastic(data, kPeriod = 14, kSmooth = 3, dPeriod = 3) {
+  const raw = rollingApply(data, kPeriod, stochasticRaw);
+  const k = rollingApply(raw, kSmooth, windowMean);
+  const d = rollingApply(k, dPeriod, windowMean);
+  return { k, d };
+}
+
+/**
+ * Stochastic RSI (14, 14, 3, 3)
+ * @param {Array} data - Array of candle objects
+ * @param {number} rsiPeriod - RSI period (default 14)
+ * @param {number} stochPeriod - Stochastic lookback over RSI (default 14)
+ * @param {number} kSmooth - %K smoothing (default 3)
+ * @param {number} dPeriod - %D signal period (default 3)
+ * @returns {Object} { k: [], d: [] } values 0-100
+ */
+function calcStochRSI(data, rsiPeriod = 14, stochPeriod = 14, kSmooth = 3, dPeriod = 3) {
+  const rsi = calcRSI(data, rsiPeriod);
+  const raw = rollingApply(rsi, stochPeriod, windowStochastic);
+  const k = rollingApply(raw, kSmooth, windowMean);
+  const d = rollingApply(k, dPeriod, windowMean);
+  return { k, d };
+}
+
+/**
+ * Commodity Channel Index (20)
+ * @param {Array} data - Array of candle objects
+ * @param {number} period - Lookback period (default 20)
+ * @returns {Array} CCI values (null for insufficient data)
+ */
+function calcCCI(data, period = 20) {
+  return rollingApply(data, period, cciPoint);
+}
+
+/**
+ * Williams %R (14)
+ * @param {Array} data - Array of candle objects
+ * @param {number} period - Lookback period (default 14)
+ * @returns {Array} Values -100 to 0 (null for insufficient data)
+ */
+function calcWilliamsR(data, period = 14) {
+  return rollingApply(data, period, williamsRPoint);
+}
+
+/**
+ * Money Flow Index (14) — volume-weighted RSI
+ * @param {Array} data - Array of candle objects with .volume
+ * @param {number} period - Lookback period (default 14)
+ * @returns {Array} Values 0-100 (null for insufficient data or no volume)
+ */
+function calcMFI(data, period = 14) {
+  return rollingApply(data, period + 1, mfiPoint);
+}
+
 /**
  * Support & Resistance Detection
  * @param {Array} data - Array of candle objects
@@ -197,23 +784,46 @@ function calcSupportResistance(data, lookback = 20) {
   const pivots = [];
 
   for (let i = lookback; i < data.length - lookback; i++) {
-    let isHighPivot = true;
-    let isLowPivot = true;
+    pivots.push(...findPivotsAt(data, i, lookback));
+  }
 
-    for (let j = i - lookback; j <= i + lookback; j++) {
-      if (j === i) continue;
-      if (data[j].high >= data[i].high) isHighPivot = false;
-      if (data[j].low <= data[i].low) isLowPivot = false;
-    }
+  return clusterLevels(pivots);
+}
 
-    if (isHighPivot) {
-      pivots.push({ price: data[i].high, type: "resistance", index: i });
-    }
-    if (isLowPivot) {
-      pivots.push({ price: data[i].low, type: "support", index: i });
-    }
+/**
+ * Pivot test for a single candle: is its high/low the extreme
+ * within `lookback` candles on both sides?
+ * @param {Array} data - Array of candle objects
+ * @param {number} i - Candle index (needs `lookback` candles either side)
+ * @param {number} lookback - Pivot detection window
+ * @returns {Array} 0-2 pivot objects { price, type, index }
+ */
+function findPivotsAt(data, i, lookback) {
+  let isHighPivot = true;
+  let isLowPivot = true;
+
+  for (let j = i - lookback; j <= i + lookback; j++) {
+    if (j === i) continue;
+    if (data[j].high >= data[i].high) isHighPivot = false;
+    if (data[j].low <= data[i].low) isLowPivot = false;
   }
 
+  const pivots = [];
+  if (isHighPivot) {
+    pivots.push({ price: data[i].high, type: "resistance", index: i });
+  }
+  if (isLowPivot) {
+    pivots.push({ price: data[i].low, type: "support", index: i });
+  }
+  return pivots;
+}
+
+/**
+ * Cluster pivots into S/R levels
+ * @param {Array} pivots - Pivot objects in candle order
+ * @returns {Array} Top 6 levels sorted by strength
+ */
+function clusterLevels(pivots) {
   // Cluster nearby levels (within 0.2% of each other)
   const clusters = [];
   const used = new Set();
@@ -246,6 +856,7 @@ function calcSupportResistance(data, lookback = 20) {
       price: avgPrice,
       strength: cluster.length,
       touches: cluster.length,
+      source: "swing",
     });
   }
 
@@ -254,36 +865,851 @@ function calcSupportResistance(data, lookback = 20) {
   return clusters.slice(0, 6);
 }
 
+/**
+ * Merge partial indicator settings over the defaults
+ * @param {Object} settings - Any subset of DEFAULT_INDICATOR_SETTINGS
+ * @returns {Object} Complete settings object
+ */
+function resolveIndicatorSettings(settings = {}) {
+  return { ...DEFAULT_INDICATOR_SETTINGS, ...settings };
+}
+
 /**
  * Enrich data array with all indicator values
  * @param {Array} data - Array of candle objects
+ * @param {Object} settings - Indicator parameters (see DEFAULT_INDICATOR_SETTINGS)
  * @returns {Object} { data: enriched[], srLevels: [] }
  */
-function enrichData(data) {
-  const sma20 = calcSMA(data, 20);
-  const sma50 = calcSMA(data, 50);
-  const rsi = calcRSI(data, 14);
-  const { macd, signal, histogram } = calcMACD(data);
-  const srLevels = calcSupportResistance(data);
+function enrichData(data, settings = {}) {
+  const params = resolveIndicatorSettings(settings);
+  const smaFast = calcSMA(data, params.smaFast);
+  const smaSlow = calcSMA(data, params.smaSlow);
+  const rsi = calcRSI(data, params.rsiPeriod);
+  const { macd, signal, histogram } = calcMACD(
+    data,
+    params.macdFast,
+    params.macdSlow,
+    params.macdSignal
+  );
+  const atr = calcATR(data, params.atrPeriod);
+  const stdDev = calcStdDev(data, params.stdDevPeriod);
+  const bb = calcBollingerBands(data, params.bbPeriod, 2);
+  const kc = calcKeltnerChannels(data, params.kcPeriod, params.kcAtrPeriod, 2);
+  const dmi = calcADX(data, params.adxPeriod);
+  const st = calcSupertrend(data, params.supertrendPeriod, 3);
+  const psar = calcParabolicSAR(data, 0.02, 0.2);
+  const ichimoku = calcIchimoku(
+    data,
+    params.ichimokuTenkan,
+    params.ichimokuKijun,
+    params.ichimokuSenkouB,
+    params.ichimokuDisplacement
+  );
+  const stoch = calcStochastic(data, params.stochPeriod, params.stochSmooth, params.stochSignal);
+  const stochRsi = calcStochRSI(
+    data,
+    params.stochRsiPeriod,
+    params.stochRsiLookback,
+    params.stochRsiSmooth,
+    params.stochRsiSignal
+  );
+  const cci = calcCCI(data, params.cciPeriod);
+  const williamsR = calcWilliamsR(data, params.williamsRPeriod);
+  const mfi = calcMFI(data, params.mfiPeriod);
+  const patterns = detectPatterns(data);
+  const srLevels = calcSupportResistance(data, params.srLookback);
 
   const enriched = data.map((candle, i) => ({
     ...candle,
-    sma20: sma20[i],
-    sma50: sma50[i],
+    smaFast: smaFast[i],
+    smaSlow: smaSlow[i],
     rsi: rsi[i],
     macd: macd[i],
     macdSignal: signal[i],
     histogram: histogram[i],
+    atr: atr[i],
+    stdDev: stdDev[i],
+    bbUpper: bb.upper[i],
+    bbMiddle: bb.middle[i],
+    bbLower: bb.lower[i],
+    bbPercentB: bb.percentB[i],
+    bbWidth: bb.bandwidth[i],
+    kcUpper: kc.upper[i],
+    kcMiddle: kc.middle[i],
+    kcLower: kc.lower[i],
+    adx: dmi.adx[i],
+    plusDI: dmi.plusDI[i],
+    minusDI: dmi.minusDI[i],
+    supertrend: st.value[i],
+    supertrendDir: st.direction[i],
+    psar: psar.sar[i],
+    psarDir: psar.direction[i],
+    tenkan: ichimoku.tenkan[i],
+    kijun: ichimoku.kijun[i],
+    senkouA: ichimoku.senkouA[i],
+    senkouB: ichimoku.senkouB[i],
+    chikou: ichimoku.chikou[i],
+    stochK: stoch.k[i],
+    stochD: stoch.d[i],
+    stochRsiK: stochRsi.k[i],
+    stochRsiD: stochRsi.d[i],
+    cci: cci[i],
+    williamsR: williamsR[i],
+    mfi: mfi[i],
+    patterns: patterns[i],
   }));
 
   return { data: enriched, srLevels };
 }
 
+// ── Streaming Indicators ──
+// Incremental versions of the functions above for the live tick path.
+// Each one performs the exact same arithmetic as its batch counterpart,
+// so a stream fed candle by candle produces identical values.
+
+/**
+ * Base class for incremental indicators.
+ * push() starts a new bar (committing the previous one), update() re-evaluates
+ * the in-progress bar. Subclasses implement _step(input) → { value, state }
+ * without mutating anything, and _commit(input, state) to make it final.
+ */
+class IncrementalIndicator {
+  constructor() {
+    this.index = -1; // Index of the in-progress bar
+    this._pending = null;
+  }
+
+  push(input) {
+    if (this._pending) {
+      this._commit(this._pending.input, this._pending.state);
+    }
+    this.index++;
+    return this.update(input);
+  }
+
+  update(input) {
+    const { value, state } = this._step(input);
+    this._pending = { input, state };
+    return value;
+  }
+}
+
+/**
+ * Streaming SMA — input: candle object
+ */
+class StreamingSMA extends IncrementalIndicator {
+  constructor(period) {
+    super();
+    this.period = period;
+    this.sum = 0;
+    this.window = []; // Last `period` committed closes
+  }
+
+  _step(candle) {
+    let sum = this.sum + candle.close;
+    if (this.index >= this.period) sum -= this.window[0];
+    return {
+      value: this.index < this.period - 1 ? null : sum / this.period,
+      state: sum,
+    };
+  }
+
+  _commit(candle, sum) {
+    this.sum = sum;
+    this.window.push(candle.close);
+    if (this.window.length > this.period) this.window.shift();
+  }
+}
+
+/**
+ * Streaming EMA — input: number (or null, which is skipped)
+ * Seeded with the SMA of the first `period` non-null values
+ */
+class StreamingEMA extends IncrementalIndicator {
+  constructor(period) {
+    super();
+    this.period = period;
+    this.k = 2 / (period + 1);
+    this.count = 0;
+    this.seedSum = 0;
+    this.prev = null;
+  }
+
+  _step(value) {
+    if (value === null) return { value: null, state: null };
+
+    const count = this.count + 1;
+    if (count < this.period) {
+      return {
+        value: null,
+        state: { count, seedSum: this.seedSum + value, prev: null },
+      };
+    }
+    if (count === this.period) {
+      const ema = (this.seedSum + value) / this.period;
+      return { value: ema, state: { count, seedSum: 0, prev: ema } };
+    }
+    const ema = value * this.k + this.prev * (1 - this.k);
+    return { value: ema, state: { count, seedSum: 0, prev: ema } };
+  }
+
+  _commit(value, state) {
+    if (state) Object.assign(this, state);
+  }
+}
+
+/**
+ * Streaming RSI (Wilder smoothing) — input: candle object
+ */
+class StreamingRSI extends IncrementalIndicator {
+  constructor(period = 14) {
+    super();
+    this.period = period;
+    this.avgGain = 0;
+    this.avgLoss = 0;
+    this.prevClose = null;
+  }
+
+  _step(candle) {
+    if (this.index === 0) {
+      return { value: null, state: { avgGain: 0, avgLoss: 0 } };
+    }
+
+    const change = candle.close - this.prevClose;
+    let avgGain = this.avgGain;
+    let avgLoss = this.avgLoss;
+
+    if (this.index <= this.period) {
+      // Accumulating the first average (SMA of gains/losses)
+      if (change > 0) avgGain += change;
+      else avgLoss += Math.abs(change);
+      if (this.index < this.period) {
+        return { value: null, state: { avgGain, avgLoss } };
+      }
+      avgGain /= this.period;
+      avgLoss /= this.period;
+    } else {
+      const gain = change > 0 ? change : 0;
+      const loss = change < 0 ? Math.abs(change) : 0;
+      avgGain = (avgGain * (this.period - 1) + gain) / this.period;
+      avgLoss = (avgLoss * (this.period - 1) + loss) / this.period;
+    }
+
+    let value;
+    if (avgLoss === 0) {
+      value = 100;
+    } else {
+      const rs = avgGain / avgLoss;
+      value = 100 - 100 / (1 + rs);
+    }
+    return { value, state: { avgGain, avgLoss } };
+  }
+
+  _commit(candle, state) {
+    this.avgGain = state.avgGain;
+    this.avgLoss = state.avgLoss;
+    this.prevClose = candle.close;
+  }
+}
+
+/**
+ * Streaming MACD (12, 26, 9) — input: candle object
+ * Returns { macd, signal, histogram } for the bar
+ */
+class StreamingMACD {
+  constructor(fastPeriod = 12, slowPeriod = 26, signalPeriod = 9) {
+    this.fastEMA = new StreamingEMA(fastPeriod);
+    this.slowEMA = new StreamingEMA(slowPeriod);
+    this.signalEMA = new StreamingEMA(signalPeriod);
+  }
+
+  push(candle) {
+    return this._next(candle, "push");
+  }
+
+  update(candle) {
+    return this._next(candle, "update");
+  }
+
+  _next(candle, op) {
+    const fast = this.fastEMA[op](candle.close);
+    const slow = this.slowEMA[op](candle.close);
+    const macd = fast === null || slow === null ? null : fast - slow;
+    const signal = this.signalEMA[op](macd);
+    const histogram = macd === null || signal === null ? null : macd - signal;
+    return { macd, signal, histogram };
+  }
+}
+
+/**
+ * Streaming ATR (Wilder smoothing) — input: candle object
+ */
+class StreamingATR extends IncrementalIndicator {
+  constructor(period = 14) {
+    super();
+    this.period = period;
+    this.trSum = 0;
+    this.atr = null;
+    this.prevClose = null;
+  }
+
+  _step(candle) {
+    const tr = trueRange(candle, this.index === 0 ? null : this.prevClose);
+    if (this.index < this.period - 1) {
+      return { value: null, state: { trSum: this.trSum + tr, atr: null } };
+    }
+    const atr =
+      this.index === this.period - 1
+        ? (this.trSum + tr) / this.period
+        : (this.atr * (this.period - 1) + tr) / this.period;
+    return { value: atr, state: { trSum: this.trSum, atr } };
+  }
+
+  _commit(candle, state) {
+    this.trSum = state.trSum;
+    this.atr = state.atr;
+    this.prevClose = candle.close;
+  }
+}
+
+/**
+ * Streaming rolling mean/std dev of closes — input: candle object
+ * Returns { mean, stdDev } (or null for insufficient data)
+ */
+class StreamingStdDev extends IncrementalIndicator {
+  constructor(period = 20) {
+    super();
+    this.period = period;
+    this.window = []; // Last `period - 1` committed closes
+  }
+
+  _step(candle) {
+    if (this.index < this.period - 1) return { value: null, state: null };
+    return { value: meanStdDev([...this.window, candle.close]), state: null };
+  }
+
+  _commit(candle) {
+    this.window.push(candle.close);
+    if (this.window.length > this.period - 1) this.window.shift();
+  }
+}
+
+/**
+ * Streaming Bollinger Bands — input: candle object
+ * Returns { upper, middle, lower, percentB, bandwidth } (nulls for insufficient data)
+ */
+class StreamingBollinger {
+  constructor(period = 20, multiplier = 2) {
+    this.stats = new StreamingStdDev(period);
+    this.multiplier = multiplier;
+  }
+
+  push(candle) {
+    return this._point(candle, this.stats.push(candle));
+  }
+
+  update(candle) {
+    return this._point(candle, this.stats.update(candle));
+  }
+
+  _point(candle, stats) {
+    if (!stats) {
+      return { upper: null, middle: null, lower: null, percentB: null, bandwidth: null };
+    }
+    return bollingerPoint(candle.close, stats.mean, stats.stdDev, this.multiplier);
+  }
+}
+
+/**
+ * Streaming Keltner Channels — input: candle object
+ * Returns { upper, middle, lower }
+ */
+class StreamingKeltner {
+  constructor(period = 20, atrPeriod = 10, multiplier = 2) {
+    this.ema = new StreamingEMA(period);
+    this.atr = new StreamingATR(atrPeriod);
+    this.multiplier = multiplier;
+  }
+
+  push(candle) {
+    return this._next(candle, "push");
+  }
+
+  update(candle) {
+    return this._next(candle, "update");
+  }
+
+  _next(candle, op) {
+    const middle = this.ema[op](candle.close);
+    const atr = this.atr[op](candle);
+    if (middle === null || atr === null) {
+      return { upper: null, middle, lower: null };
+    }
+    return {
+      upper: middle + this.multiplier * atr,
+      middle,
+      lower: middle - this.multiplier * atr,
+    };
+  }
+}
+
+/**
+ * Streaming ADX / DMI — input: candle object
+ * Returns { adx, plusDI, minusDI }
+ */
+class StreamingADX extends IncrementalIndicator {
+  constructor(period = 14) {
+    super();
+    this.period = period;
+    this.state = null;
+    this.prev = null;
+  }
+
+  _step(candle) {
+    if (this.index === 0) {
+      return { value: { adx: null, plusDI: null, minusDI: null }, state: null };
+    }
+    const state = adxStep(candle, this.prev, this.state, this.index, this.period);
+    return {
+      value: { adx: state.adx, plusDI: state.plusDI, minusDI: state.minusDI },
+      state,
+    };
+  }
+
+  _commit(candle, state) {
+    this.state = state;
+    this.prev = candle;
+  }
+}
+
+/**
+ * Streaming Supertrend — input: candle object
+ * Returns { value, direction }
+ */
+class StreamingSupertrend {
+  constructor(period = 10, multiplier = 3) {
+    this.atr = new StreamingATR(period);
+    this.multiplier = multiplier;
+    this.prev = null; // Committed band state
+    this._pending = null;
+  }
+
+  push(candle) {
+    if (this._pending) this.prev = this._pending;
+    this._pending = null;
+    return this._next(this.atr.push(candle), candle);
+  }
+
+  update(candle) {
+    return this._next(this.atr.update(candle), candle);
+  }
+
+  _next(atr, candle) {
+    if (atr === null) return { value: null, direction: null };
+    const band = supertrendStep(candle, atr, this.prev, this.multiplier);
+    this._pending = band;
+    return {
+      value: band.direction === 1 ? band.lower : band.upper,
+      direction: band.direction,
+    };
+  }
+}
+
+/**
+ * Streaming Parabolic SAR — input: candle object
+ * Returns { sar, direction }
+ */
+class StreamingPSAR extends IncrementalIndicator {
+  constructor(step = 0.02, max = 0.2) {
+    super();
+    this.step = step;
+    this.max = max;
+    this.state = null;
+    this.prev1 = null;
+    this.prev2 = null;
+  }
+
+  _step(candle) {
+    if (this.index === 0) {
+      return { value: { sar: null, direction: null }, state: null };
+    }
+    const state = psarStep(this.state, candle, this.prev1, this.prev2, this.step, this.max);
+    return { value: { sar: state.sar, direction: state.up ? 1 : -1 }, state };
+  }
+
+  _commit(candle, state) {
+    this.state = state;
+    this.prev2 = this.prev1;
+    this.prev1 = candle;
+  }
+}
+
+/**
+ * Streaming Ichimoku — input: candle object
+ * Returns { tenkan, kijun, senkouA, senkouB }. Chikou looks ahead, so
+ * IndicatorStream back-fills it onto the candle `displacement` bars back.
+ */
+class StreamingIchimoku extends IncrementalIndicator {
+  constructor(tenkanPeriod = 9, kijunPeriod = 26, senkouBPeriod = 52, displacement = 26) {
+    super();
+    this.tenkanPeriod = tenkanPeriod;
+    this.kijunPeriod = kijunPeriod;
+    this.senkouBPeriod = senkouBPeriod;
+    this.displacement = displacement;
+    this.longest = Math.max(tenkanPeriod, kijunPeriod, senkouBPeriod);
+    this.highs = []; // Last `longest - 1` committed highs
+    this.lows = [];
+    this.rawA = []; // Last `displacement` committed undisplaced spans
+    this.rawB = [];
+  }
+
+  _midpoint(candle, period) {
+    if (this.index < period - 1) return null;
+    const n = period - 1;
+    const highs = n > 0 ? [...this.highs.slice(-n), candle.high] : [candle.high];
+    const lows = n > 0 ? [...this.lows.slice(-n), candle.low] : [candle.low];
+    return channelMidpoint(highs, lows);
+  }
+
+  _step(candle) {
+    const tenkan = this._midpoint(candle, this.tenkanPeriod);
+    const kijun = this._midpoint(candle, this.kijunPeriod);
+    const rawA = tenkan === null || kijun === null ? null : (tenkan + kijun) / 2;
+    const rawB = this._midpoint(candle, this.senkouBPeriod);
+    const shifted = this.index >= this.displacement;
+
+    return {
+      value: {
+        tenkan,
+        kijun,
+        senkouA: shifted ? this.rawA[0] : null,
+        senkouB: shifted ? this.rawB[0] : null,
+      },
+      state: { rawA, rawB },
+    };
+  }
+
+  _commit(candle, state) {
+    this.highs.push(candle.high);
+    this.lows.push(candle.low);
+    if (this.highs.length > this.longest - 1) {
+      this.highs.shift();
+      this.lows.shift();
+    }
+    this.rawA.push(state.rawA);
+    this.rawB.push(state.rawB);
+    if (this.rawA.length > this.displacement) {
+      this.rawA.shift();
+      this.rawB.shift();
+    }
+  }
+}
+
+/**
+ * Streaming window reducer — the incremental form of rollingApply().
+ * Input can be a candle or a number, depending on the reducer.
+ */
+class StreamingWindow extends IncrementalIndicator {
+  constructor(period, reducer) {
+    super();
+    this.period = period;
+    this.reducer = reducer;
+    this.window = []; // Last `period - 1` committed inputs
+  }
+
+  _step(input) {
+    if (this.index < this.period - 1) return { value: null, state: null };
+    return { value: this.reducer([...this.window, input]), state: null };
+  }
+
+  _commit(input) {
+    if (this.period < 2) return;
+    this.window.push(input);
+    if (this.window.length > this.period - 1) this.window.shift();
+  }
+}
+
+/**
+ * Streaming Stochastic (14, 3, 3) — input: candle object
+ * Returns { k, d } (nulls for insufficient data)
+ */
+class StreamingStochastic {
+  constructor(kPeriod = 14, kSmooth = 3, dPeriod = 3) {
+    this.raw = new StreamingWindow(kPeriod, stochasticRaw);
+    this.k = new StreamingWindow(kSmooth, windowMean);
+    this.d = new StreamingWindow(dPeriod, windowMean);
+  }
+
+  push(candle) {
+    return this._next(candle, "push");
+  }
+
+  update(candle) {
+    return this._next(candle, "update");
+  }
+
+  _next(candle, op) {
+    const k = this.k[op](this.raw[op](candle));
+    return { k, d: this.d[op](k) };
+  }
+}
+
+/**
+ * Streaming Stochastic RSI (14, 14, 3, 3) — input: candle object
+ * Returns { k, d } (nulls for insufficient data)
+ */
+class StreamingStochRSI {
+  constructor(rsiPeriod = 14, stochPeriod = 14, kSmooth = 3, dPeriod = 3) {
+    this.rsi = new StreamingRSI(rsiPeriod);
+    this.raw = new StreamingWindow(stochPeriod, windowStochastic);
+    this.k = new StreamingWindow(kSmooth, windowMean);
+    this.d = new StreamingWindow(dPeriod, windowMean);
+  }
+
+  push(candle) {
+    return this._next(candle, "push");
+  }
+
+  update(candle) {
+    return this._next(candle, "update");
+  }
+
+  _next(candle, op) {
+    const k = this.k[op](this.raw[op](this.rsi[op](candle)));
+    return { k, d: this.d[op](k) };
+  }
+}
+
+/**
+ * Incremental equivalent of enrichData() for live candles.
+ * Feed it every candle update from the CandleAggregator: a candle with the
+ * same `time` as the last one re-evaluates the in-progress bar, a new `time`
+ * closes it and starts the next. Each update is O(1) for the indicators and
+ * O(lookback) for S/R (only the newest pivot candidate is re-tested).
+ *
+ * Values match enrichData() run over every candle the stream has seen;
+ * S/R levels match calcSupportResistance() over the retained window.
+ *
+ * Enriched candles are returned by reference and stay owned by the stream.
+ * They are final once closed, except `chikou`: it is the close
+ * `ichimokuDisplacement` bars later, so each update writes it onto the
+ * retained candle that far back, including objects returned by earlier
+ * addCandle() / getData() calls.
+ * Copy a candle if you need a snapshot of it.
+ */
+class IndicatorStream {
+  /**
+   * @param {Object} options
+   * @param {number} options.maxLength - Enriched candles to retain (default 200)
+   * @param {Object} options.settings - Indicator parameters, as for enrichData()
+   */
+  constructor({ maxLength = 200, settings = {} } = {}) {
+    const params = resolveIndicatorSettings(settings);
+    this.maxLength = maxLength;
+    this.settings = params;
+    this.srLookback = params.srLookback;
+
+    this.smaFast = new StreamingSMA(params.smaFast);
+    this.smaSlow = new StreamingSMA(params.smaSlow);
+    this.rsi = new StreamingRSI(params.rsiPeriod);
+    this.macd = new StreamingMACD(params.macdFast, params.macdSlow, params.macdSignal);
+    this.atr = new StreamingATR(params.atrPeriod);
+    this.stdDev = new StreamingStdDev(params.stdDevPeriod);
+    this.bb = new StreamingBollinger(params.bbPeriod, 2);
+    this.kc = new StreamingKeltner(params.kcPeriod, params.kcAtrPeriod, 2);
+    this.dmi = new StreamingADX(params.adxPeriod);
+    this.supertrend = new StreamingSupertrend(params.supertrendPeriod, 3);
+    this.psar = new StreamingPSAR(0.02, 0.2);
+    this.ichimoku = new StreamingIchimoku(
+      params.ichimokuTenkan,
+      params.ichimokuKijun,
+      params.ichimokuSenkouB,
+      params.ichimokuDisplacement
+    );
+    this.stoch = new StreamingStochastic(params.stochPeriod, params.stochSmooth, params.stochSignal);
+    this.stochRsi = new StreamingStochRSI(
+      params.stochRsiPeriod,
+      params.stochRsiLookback,
+      params.stochRsiSmooth,
+      params.stochRsiSignal
+    );
+    this.cci = new StreamingWindow(params.cciPeriod, cciPoint);
+    this.williamsR = new StreamingWindow(params.williamsRPeriod, williamsRPoint);
+    this.mfi = new StreamingWindow(params.mfiPeriod + 1, mfiPoint);
+
+    this.data = []; // Enriched candles, oldest first
+    this.offset = 0; // Absolute index of data[0]
+    this.pivots = []; // Confirmed S/R pivots (absolute indexes)
+    this.srLevels = [];
+  }
+
+  /**
+   * Seed the stream with historical candles (last one stays in progress)
+   * @param {Array} candles - Candle objects in chronological order
+   */
+  load(candles) {
+    for (const candle of candles) this.addCandle(candle);
+  }
+
+  /**
+   * Add or update a candle
+   * @param {Object} candle - { time, timestamp, open, high, low, close, volume }
+   * @returns {Object} Enriched candle
+   */
+  addCandle(candle) {
+    const bar = { ...candle };
+    const last = this.data[this.data.length - 1];
+    const isNew = !last || last.time !== bar.time;
+
+    if (isNew && last) this._confirmPivot();
+
+    const op = isNew ? "push" : "update";
+    const { macd, signal, histogram } = this.macd[op](bar);
+    const stats = this.stdDev[op](bar);
+    const bb = this.bb[op](bar);
+    const kc = this.kc[op](bar);
+    const dmi = this.dmi[op](bar);
+    const st = this.supertrend[op](bar);
+    const psar = this.psar[op](bar);
+    const ichimoku = this.ichimoku[op](bar);
+    const stoch = this.stoch[op](bar);
+    const stochRsi = this.stochRsi[op](bar);
+    const previous = isNew ? this.data.slice(-2) : this.data.slice(-3, -1);
+    const enriched = {
+      ...bar,
+      smaFast: this.smaFast[op](bar),
+      smaSlow: this.smaSlow[op](bar),
+      rsi: this.rsi[op](bar),
+      macd,
+      macdSignal: signal,
+      histogram,
+      atr: this.atr[op](bar),
+      stdDev: stats ? stats.stdDev : null,
+      bbUpper: bb.upper,
+      bbMiddle: bb.middle,
+      bbLower: bb.lower,
+      bbPercentB: bb.percentB,
+      bbWidth: bb.bandwidth,
+      kcUpper: kc.upper,
+      kcMiddle: kc.middle,
+      kcLower: kc.lower,
+      adx: dmi.adx,
+      plusDI: dmi.plusDI,
+      minusDI: dmi.minusDI,
+      supertrend: st.value,
+      supertrendDir: st.direction,
+      psar: psar.sar,
+      psarDir: psar.direction,
+      tenkan: ichimoku.tenkan,
+      kijun: ichimoku.kijun,
+      senkouA: ichimoku.senkouA,
+      senkouB: ichimoku.senkouB,
+      chikou: null,
+      stochK: stoch.k,
+      stochD: stoch.d,
+      stochRsiK: stochRsi.k,
+      stochRsiD: stochRsi.d,
+      cci: this.cci[op](bar),
+      williamsR: this.williamsR[op](bar),
+      mfi: this.mfi[op](bar),
+      patterns: detectPatternsAt([...previous, bar], previous.length),
+    };
+
+    if (isNew) {
+      this.data.push(enriched);
+      if (this.data.length > this.maxLength) {
+        this.data.shift();
+        this.offset++;
+        const minIndex = this.offset + this.srLookback;
+        this.pivots = this.pivots.filter((p) => p.index >= minIndex);
+      }
+    } else {
+      this.data[this.data.length - 1] = enriched;
+    }
+
+    // Chikou span: this close is the lagging line of the candle `displacement` bars back.
+    // Written in place on purpose — see the class comment
+    const lagged = this.data[this.data.length - 1 - this.ichimoku.displacement];
+    if (lagged) lagged.chikou = bar.close;
+
+    this.srLevels = this._calcSrLevels();
+    return enriched;
+  }
+
+  /**
+   * Get the most recent enriched candles
+   * @param {number} count - Max number of candles (default: all retained)
+   */
+  getData(count = this.maxLength) {
+    return this.data.slice(-count);
+  }
+
+  getSrLevels() {
+    return this.srLevels;
+  }
+
+  /**
+   * The last bar just closed: the candidate `lookback` bars back now has
+   * its full right-hand window and can be tested for good.
+   */
+  _confirmPivot() {
+    const i = this.data.length - 1 - this.srLookback;
+    if (i < this.srLookback) return;
+    for (const pivot of findPivotsAt(this.data, i, this.srLookback)) {
+      this.pivots.push({ ...pivot, index: pivot.index + this.offset });
+    }
+  }
+
+  _calcSrLevels() {
+    const pivots = [...this.pivots];
+    // Provisional candidate whose window includes the in-progress bar
+    const i = this.data.length - 1 - this.srLookback;
+    if (i >= this.srLookback) {
+      for (const pivot of findPivotsAt(this.data, i, this.srLookback)) {
+        pivots.push({ ...pivot, index: pivot.index + this.offset });
+      }
+    }
+    return clusterLevels(pivots);
+  }
+}
+
 module.exports = {
+  DEFAULT_INDICATOR_SETTINGS,
+  resolveIndicatorSettings,
   calcSMA,
   calcEMA,
   calcRSI,
   calcMACD,
+  calcATR,
+  calcStdDev,
+  calcBollingerBands,
+  calcKeltnerChannels,
+  calcADX,
+  calcSupertrend,
+  calcParabolicSAR,
+  calcIchimoku,
+  calcStochastic,
+  calcStochRSI,
+  calcCCI,
+  calcWilliamsR,
+  calcMFI,
   calcSupportResistance,
+  findPivotsAt,
   enrichData,
+  StreamingSMA,
+  StreamingEMA,
+  StreamingRSI,
+  StreamingMACD,
+  StreamingATR,
+  StreamingStdDev,
+  StreamingBollinger,
+  StreamingKeltner,
+  StreamingADX,
+  StreamingSupertrend,
+  StreamingPSAR,
+  StreamingIchimoku,
+  StreamingWindow,
+  StreamingStochastic,
+  StreamingStochRSI,
+  IndicatorStream,
 };
@@ -242,6 +242,7 @@ function getMarketStatusReport() {
 module.exports = {
   isMarketOpen,
   isWeekend,
+  isSessionActive,
   getMarketStatus,
   getActiveSessions,
   getNextMarketOpen,
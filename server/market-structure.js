@@ -0,0 +1,114 @@
+// Module 2f — Market Structure
+// HH/HL/LH/LL swing labels, break of structure and change of character
+
+const { findSwings } = require("./divergence");
+
+/**
+ * Swing highs and lows in order of confirmation, each labelled against the
+ * previous swing of the same side (HH/LH for highs, HL/LL for lows).
+ * The first swing of each side has no label.
+ */
+function labelSwings(data, lookback) {
+  const { highs, lows } = findSwings(data, lookback);
+  const labelled = [];
+
+  let prev = null;
+  for (const s of highs) {
+    const label = prev ? (s.price > prev.price ? "HH" : "LH") : null;
+    labelled.push({ type: "high", index: s.index, time: data[s.index].time, price: s.price, confirmedIndex: s.confirmedIndex, label });
+    prev = s;
+  }
+  prev = null;
+  for (const s of lows) {
+    const label = prev ? (s.price > prev.price ? "HL" : "LL") : null;
+    labelled.push({ type: "low", index: s.index, time: data[s.index].time, price: s.price, confirmedIndex: s.confirmedIndex, label });
+    prev = s;
+  }
+
+  return labelled.sort((a, b) => a.confirmedIndex - b.confirmedIndex || a.index - b.index);
+}
+
+/**
+ * Analyze market structure over a candle series.
+ *
+ * A close beyond the latest confirmed swing high (low) breaks structure.
+ * The break is a BOS when it continues the current bias and a CHoCH
+ * (change of character) when it flips it. The bias of each candle is the
+ * direction of the last break at or before it, so a LH/LL sequence —
+ * every new low taking out the previous one — reads as bearish.
+ *
+ * @param {Array} data - Array of candle objects
+ * @param {Object} options
+ * @param {number} options.lookback - Swing pivot window (default 5)
+ * @returns {Object} { swings, events, bias, current }
+ *   swings: { type, index, time, price, confirmedIndex, label }
+ *   events: { type: "BOS"|"CHoCH", direction, price, swingIndex, swingTime, index, time }
+ *   bias: "bullish" | "bearish" | "neutral" per candle
+ *   current: { bias, sequence, lastEvent } for the latest candle
+ */
+function analyzeStructure(data, options = {}) {
+  const { lookback = 5 } = options;
+  const swings = labelSwings(data, lookback);
+  const events = [];
+  const bias = [];
+
+  let trend = "neutral";
+  let lastHigh = null;
+  let lastLow = null;
+  let next = 0;
+
+  for (let i = 0; i < data.length; i++) {
+    while (next < swings.length && swings[next].confirmedIndex <= i) {
+      const swing = swings[next++];
+      if (swing.type === "high") lastHigh = { swing, broken: false };
+      else lastLow = { swing, broken: false };
+    }
+
+    const close = data[i].close;
+    const breaks = [];
+    if (lastHigh && !lastHigh.broken && close > lastHigh.swing.price) {
+      lastHigh.broken = true;
+      breaks.push(["bullish", lastHigh.swing]);
+    }
+    if (lastLow && !lastLow.broken && close < lastLow.swing.price) {
+      lastLow.broken = true;
+      breaks.push(["bearish", lastLow.swing]);
+    }
+
+    for (const [direction, swing] of breaks) {
+      events.push({
+        type: trend !== "neutral" && trend !== direction ? "CHoCH" : "BOS",
+        direction,
+        price: swing.price,
+        swingIndex: swing.index,
+        swingTime: swing.time,
+        index: i,
+        time: data[i].time,
+      });
+      trend = direction;
+    }
+    bias.push(trend);
+  }
+
+  const lastLabel = (type) => {
+    for (let s = swings.length - 1; s >= 0; s--) {
+      if (swings[s].type === type && swings[s].label) return swings[s].label;
+    }
+    return null;
+  };
+  const high = lastLabel("high");
+  const low = lastLabel("low");
+
+  return {
+    swings,
+    events,
+    bias,
+    current: {
+      bias: trend,
+      sequence: high && low ? `${high}/${low}` : null,
+      lastEvent: events[events.length - 1] || null,
+    },
+  };
+}
+
+module.exports = { analyzeStructure, labelSwings };
@@ -0,0 +1,107 @@
+// Module 2i — Multi-Timeframe Confirmation
+// Trend / RSI zone / MACD state of higher timeframes for each signal candle
+
+const { timeframeToMs } = require("./candle-aggregator");
+
+// Higher-timeframe checks: each reads one enriched candle and returns
+// "bullish", "bearish", "neutral" or null while the indicator is not ready
+const MTF_CHECKS = {
+  trend: {
+    label: "Trend",
+    state: (c) => {
+      if (c.smaFast == null || c.smaSlow == null) return null;
+      if (c.close > c.smaSlow && c.smaFast > c.smaSlow) return "bullish";
+      if (c.close < c.smaSlow && c.smaFast < c.smaSlow) return "bearish";
+      return "neutral";
+    },
+  },
+  rsi: {
+    label: "RSI zone",
+    state: (c) => {
+      if (c.rsi == null) return null;
+      return c.rsi > 50 ? "bullish" : c.rsi < 50 ? "bearish" : "neutral";
+    },
+  },
+  macd: {
+    label: "MACD",
+    state: (c) => {
+      if (c.macd == null || c.macdSignal == null) return null;
+      return c.macd > c.macdSignal ? "bullish" : c.macd < c.macdSignal ? "bearish" : "neutral";
+    },
+  },
+};
+
+/**
+ * State of one higher timeframe on its last closed candle.
+ * Bias is bullish / bearish when every check agrees, otherwise mixed;
+ * null when no closed candle or indicator is available yet.
+ */
+function frameState(timeframe, candle, checks) {
+  if (!candle) return { timeframe, time: null, bias: null, states: {} };
+
+  const states = {};
+  for (const name of checks) states[name] = MTF_CHECKS[name].state(candle);
+  const values = Object.values(states);
+
+  let bias = null;
+  if (values.length > 0 && !values.includes(null)) {
+    if (values.every((v) => v === "bullish")) bias = "bullish";
+    else if (values.every((v) => v === "bearish")) bias = "bearish";
+    else bias = "mixed";
+  }
+  return { timeframe, time: candle.time, bias, states };
+}
+
+/**
+ * Higher-timeframe states for every candle of the signal timeframe.
+ * A higher-timeframe candle is only used once it has closed by the close of
+ * the signal candle, so history and live ticks see the same alignment.
+ * @param {Array} data - Enriched candles of the signal timeframe
+ * @param {string} timeframe - Signal timeframe (e.g. "5min")
+ * @param {Array} frames - [{ timeframe, data }] enriched higher-timeframe candles
+ * @param {Object} options
+ * @param {Array<string>} options.checks - Keys of MTF_CHECKS (default all)
+ * @returns {Array<Array>} Per candle: [{ timeframe, time, bias, states }]
+ */
+function timeframeAlignment(data, timeframe, frames, options = {}) {
+  const { checks = Object.keys(MTF_CHECKS) } = options;
+  const enabled = checks.filter((name) => MTF_CHECKS[name]);
+  const ltfMs = timeframeToMs(timeframe);
+  const pointers = frames.map(() => -1);
+
+  return data.map((candle) => {
+    const closeTime = candle.time + ltfMs;
+    return frames.map((frame, f) => {
+      const htfMs = timeframeToMs(frame.timeframe);
+      while (
+        pointers[f] + 1 < frame.data.length &&
+        frame.data[pointers[f] + 1].time + htfMs <= closeTime
+      ) {
+        pointers[f]++;
+      }
+      return frameState(frame.timeframe, frame.data[pointers[f]], enabled);
+    });
+  });
+}
+
+/**
+ * Check a signal direction against the higher-timeframe states.
+ * Timeframes without enough data are reported but not required.
+ * @param {Array} frames - One entry of timeframeAlignment()
+ * @param {string} type - "BUY" | "SELL"
+ * @param {number|string} minAligned - Timeframes that must agree, or "all"
+ * @returns {Object} { passed, timeframes: [{ timeframe, bias, states, aligned }] }
+ */
+function checkAlignment(frames, type, minAligned = "all") {
+  const wanted = type === "BUY" ? "bullish" : "bearish";
+  const timeframes = frames.map((f) => ({
+    ...f,
+    aligned: f.bias === null ? null : f.bias === wanted,
+  }));
+  const available = timeframes.filter((f) => f.aligned !== null).length;
+  const aligned = timeframes.filter((f) => f.aligned).length;
+  const required = minAligned === "all" ? available : Math.min(Number(minAligned), available);
+  return { passed: aligned >= required, timeframes };
+}
+
+module.exports = { timeframeAlignment, checkAlignment, MTF_CHECKS };
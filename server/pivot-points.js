@@ -0,0 +1,183 @@
+// Module 2d — Pivot Points
+// Daily / weekly / monthly floor pivots from higher-timeframe candles
+
+const { periodStart } = require("./candle-aggregator");
+
+/**
+ * Floor pivot formulas. Each takes the previous period's high, low and
+ * close and returns the named levels.
+ */
+const PIVOT_METHODS = {
+  classic: {
+    tag: "",
+    calc: (high, low, close) => {
+      const pp = (high + low + close) / 3;
+      const range = high - low;
+      return {
+        PP: pp,
+        R1: 2 * pp - low,
+        S1: 2 * pp - high,
+        R2: pp + range,
+        S2: pp - range,
+        R3: high + 2 * (pp - low),
+        S3: low - 2 * (high - pp),
+      };
+    },
+  },
+  fibonacci: {
+    tag: "Fib",
+    calc: (high, low, close) => {
+      const pp = (high + low + close) / 3;
+      const range = high - low;
+      return {
+        PP: pp,
+        R1: pp + 0.382 * range,
+        S1: pp - 0.382 * range,
+        R2: pp + 0.618 * range,
+        S2: pp - 0.618 * range,
+        R3: pp + range,
+        S3: pp - range,
+      };
+    },
+  },
+  camarilla: {
+    tag: "Cam",
+    calc: (high, low, close) => {
+      const range = (high - low) * 1.1;
+      return {
+        PP: (high + low + close) / 3,
+        R1: close + range / 12,
+        S1: close - range / 12,
+        R2: close + range / 6,
+        S2: close - range / 6,
+        R3: close + range / 4,
+        S3: close - range / 4,
+        R4: close + range / 2,
+        S4: close - range / 2,
+      };
+    },
+  },
+  woodie: {
+    tag: "Wdy",
+    calc: (high, low, close) => {
+      const pp = (high + low + 2 * close) / 4;
+      const range = high - low;
+      return {
+        PP: pp,
+        R1: 2 * pp - low,
+        S1: 2 * pp - high,
+        R2: pp + range,
+        S2: pp - range,
+      };
+    },
+  },
+};
+
+// Pivot timeframes: Twelve Data interval, chart tag and S/R strength
+const PIVOT_TIMEFRAMES = {
+  daily: { interval: "1day", tag: "D", strength: 1 },
+  weekly: { interval: "1week", tag: "W", strength: 2 },
+  monthly: { interval: "1month", tag: "M", strength: 3 },
+};
+
+/**
+ * Last fully completed period before the one containing `referenceTime`
+ * @param {Array} candles - Higher-timeframe candles, chronological
+ * @param {string} interval - "1day" | "1week" | "1month"
+ * @param {number} referenceTime - Timestamp of the latest intraday candle
+ * @returns {Object|null} Candle or null if not available
+ */
+function previousPeriod(candles, interval, referenceTime) {
+  const current = periodStart(referenceTime, interval);
+  for (let i = candles.length - 1; i >= 0; i--) {
+    if (periodStart(candles[i].time, interval) < current) return candles[i];
+  }
+  return null;
+}
+
+/**
+ * Calculate pivot levels for the current period of each timeframe
+ * @param {Object} htfCandles - { daily: [], weekly: [], monthly: [] }
+ * @param {number} referenceTime - Timestamp of the latest intraday candle
+ * @param {Object} options
+ * @param {Array<string>} options.methods - Keys of PIVOT_METHODS (default classic)
+ * @param {Array<string>} options.timeframes - Keys of PIVOT_TIMEFRAMES (default all)
+ * @returns {Array} { price, name, label, timeframe, method, strength, from }
+ *   `from` is the start of the period the level belongs to
+ */
+function calcPivotLevels(htfCandles, referenceTime, options = {}) {
+  const {
+    methods = ["classic"],
+    timeframes = Object.keys(PIVOT_TIMEFRAMES),
+  } = options;
+  const levels = [];
+
+  for (const timeframe of timeframes) {
+    const tf = PIVOT_TIMEFRAMES[timeframe];
+    if (!tf) continue;
+    const prev = previousPeriod(htfCandles[timeframe] || [], tf.interval, referenceTime);
+    if (!prev) continue;
+    const from = periodStart(referenceTime, tf.interval);
+
+    for (const method of methods) {
+      const def = PIVOT_METHODS[method];
+      if (!def) continue;
+      const values = def.calc(prev.high, prev.low, prev.close);
+      for (const [name, price] of Object.entries(values)) {
+        levels.push({
+          price,
+          name,
+          label: [tf.tag + (def.tag ? ` ${def.tag}` : ""), name].join(" "),
+          timeframe,
+          method,
+          strength: tf.strength,
+          from,
+        });
+      }
+    }
+  }
+  return levels;
+}
+
+/**
+ * Turn pivot levels into S/R level objects relative to the current price,
+ * tagged with source "pivot" so they can be told apart from swing levels
+ * @param {Array} pivots - Output of calcPivotLevels()
+ * @param {number} price - Current price
+ * @returns {Array} S/R level objects
+ */
+function pivotSrLevels(pivots, price) {
+  return pivots.map((p) => ({
+    type: price >= p.price ? "support" : "resistance",
+    price: p.price,
+    strength: p.strength,
+    touches: 0,
+    source: "pivot",
+    label: p.label,
+    timeframe: p.timeframe,
+    method: p.method,
+    from: p.from,
+  }));
+}
+
+/**
+ * S/R type of a level as seen from one candle. Pivot levels don't exist
+ * before their period starts (null), and are support or resistance
+ * depending on which side of them that candle closed.
+ * @param {Object} level - S/R level object
+ * @param {Object} candle - { time, close }
+ * @returns {string|null} "support" | "resistance" | null
+ */
+function levelTypeAt(level, candle) {
+  if (level.source !== "pivot") return level.type;
+  if (candle.time < level.from) return null;
+  return candle.close >= level.price ? "support" : "resistance";
+}
+
+module.exports = {
+  calcPivotLevels,
+  pivotSrLevels,
+  levelTypeAt,
+  PIVOT_METHODS,
+  PIVOT_TIMEFRAMES,
+};
@@ -0,0 +1,84 @@
+// Module 2h — Market Regime Classifier
+// Labels each candle trending-up / trending-down / ranging / high-volatility
+
+const REGIMES = {
+  "trending-up": { label: "Trending up" },
+  "trending-down": { label: "Trending down" },
+  ranging: { label: "Ranging" },
+  "high-volatility": { label: "High volatility" },
+};
+
+/**
+ * Percentile rank (0-100) of the last value among the window
+ */
+function percentileRank(values) {
+  const last = values[values.length - 1];
+  const below = values.filter((v) => v <= last).length;
+  return (100 * below) / values.length;
+}
+
+/**
+ * Classify the market regime of every candle.
+ *
+ * Volatility comes first: when ATR (as a fraction of price) is in the top
+ * percentile of the recent window the candle is high-volatility regardless
+ * of direction. Otherwise a strong ADX with the fast SMA moving at least
+ * `slopeThreshold` ATRs over `slopePeriod` candles is a trend; everything
+ * else is ranging. Only candles up to i are used for candle i.
+ *
+ * @param {Array} data - Enriched candle data (.adx, .atr, .smaFast)
+ * @param {Object} options
+ * @param {number} options.adxTrend - Minimum ADX for a trend (default 25)
+ * @param {number} options.volWindow - Candles in the volatility window (default 100)
+ * @param {number} options.volPercentile - High-volatility percentile (default 90)
+ * @param {number} options.slopePeriod - SMA slope lookback (default 10)
+ * @param {number} options.slopeThreshold - Min SMA move in ATRs (default 1)
+ * @returns {Array} { regime, adx, volPercentile, slope } per candle, or null
+ *   until the inputs are available
+ */
+function classifyRegimes(data, options = {}) {
+  const {
+    adxTrend = 25,
+    volWindow = 100,
+    volPercentile = 90,
+    slopePeriod = 10,
+    slopeThreshold = 1,
+  } = options;
+  const regimes = [];
+  const volatility = [];
+
+  for (let i = 0; i < data.length; i++) {
+    const c = data[i];
+    if (c.atr != null) volatility.push(c.atr / c.close);
+    const past = i >= slopePeriod ? data[i - slopePeriod] : null;
+
+    if (c.adx == null || c.atr == null || c.smaFast == null || !past || past.smaFast == null) {
+      regimes.push(null);
+      continue;
+    }
+
+    const window = volatility.slice(-volWindow);
+    const volRank = window.length >= 20 ? percentileRank(window) : null;
+    const slope = (c.smaFast - past.smaFast) / c.atr;
+
+    let regime = "ranging";
+    if (volRank !== null && volRank >= volPercentile) regime = "high-volatility";
+    else if (c.adx >= adxTrend && slope >= slopeThreshold) regime = "trending-up";
+    else if (c.adx >= adxTrend && slope <= -slopeThreshold) regime = "trending-down";
+
+    regimes.push({ regime, adx: c.adx, volPercentile: volRank, slope });
+  }
+  return regimes;
+}
+
+/**
+ * Regime of the latest candle with its display label
+ * @param {Array} regimes - Output of classifyRegimes()
+ * @returns {Object|null}
+ */
+function latestRegime(regimes) {
+  const last = regimes[regimes.length - 1];
+  return last ? { ...last, label: REGIMES[last.regime].label } : null;
+}
+
+module.exports = { classifyRegimes, latestRegime, REGIMES };
@@ -0,0 +1,589 @@
+// Module 3c — Rule DSL
+// Declarative rule sets compiled into strategy plugins (see strategies.js)
+//
+// A rule set is JSON:
+//   {
+//     "id": "rsi-bounce",             — lowercase letters, digits and dashes
+//     "name": "RSI bounce",
+//     "description": "...",           — optional
+//     "threshold": 2,                 — weight needed for a signal (default 1)
+//     "cooldown": 5,                  — candles between same-type signals (default 5)
+//     "rules": [
+//       { "when": <condition>, "action": "BUY" | "SELL", "weight": 2, "label": "..." }
+//     ]
+//   }
+//
+// A condition is either text or the equivalent JSON node:
+//   close > smaSlow                      { ">": ["close", "smaSlow"] }   (also >= < <= == !=)
+//   rsi crosses above 30                 { "crossesAbove": ["rsi", 30] }
+//   rsi crosses below 70                 { "crossesBelow": ["rsi", 70] }
+//   a AND b, a OR b, NOT a, ( )          { "and": [a, b] }, { "or": [a, b] }, { "not": a }
+//   within last 3 candles (a)            { "within": [3, a] }
+//   near support 0.3%                    { "nearSupport": 0.3 }
+//   within 0.3% of resistance            { "nearResistance": 0.3 }
+// Operands are numbers, enriched candle fields (rsi, close, smaSlow, ...),
+// an indicator at its own period: SMA(50) / { "indicator": "sma", "period": 50 },
+// or the value n candles ago: close[1] / { "field": "close", "ago": 1 }, RSI(7)[1].
+//
+// On every candle the weights of the matching BUY and SELL rules are summed;
+// the larger side signals once it reaches the threshold.
+
+const { makeSignal } = require("./strategies");
+const { levelTypeAt } = require("./pivot-points");
+const { calcSMA, calcEMA, calcRSI, calcATR, calcCCI, calcMFI } = require("./indicators");
+
+// Candle fields a rule can read: OHLCV plus everything enrichData() adds
+const RULE_FIELDS = [
+  "open", "high", "low", "close", "volume",
+  "smaFast", "smaSlow", "rsi", "macd", "macdSignal", "histogram", "atr", "stdDev",
+  "bbUpper", "bbMiddle", "bbLower", "bbPercentB", "bbWidth",
+  "kcUpper", "kcMiddle", "kcLower", "adx", "plusDI", "minusDI",
+  "supertrend", "supertrendDir", "psar", "psarDir",
+  "tenkan", "kijun", "senkouA", "senkouB", "chikou",
+  "stochK", "stochD", "stochRsiK", "stochRsiD", "cci", "williamsR", "mfi",
+];
+
+const COMPARISONS = {
+  ">": (a, b) => a > b,
+  ">=": (a, b) => a >= b,
+  "<": (a, b) => a < b,
+  "<=": (a, b) => a <= b,
+  "==": (a, b) => a === b,
+  "!=": (a, b) => a !== b,
+};
+const CROSSOVERS = ["crossesAbove", "crossesBelow"];
+const NEAR = { nearSupport: "support", nearResistance: "resistance" };
+const CONDITION_KEYS = [...Object.keys(COMPARISONS), ...CROSSOVERS, "and", "or", "not", "within", ...Object.keys(NEAR)];
+
+const MAX_LOOKBACK = 100;
+
+// Indicators a rule can compute at any period, with the candle fields they read
+const PERIOD_INDICATORS = {
+  sma: { calc: calcSMA, inputs: ["close"] },
+  ema: { calc: calcEMA, inputs: ["close"] },
+  rsi: { calc: calcRSI, inputs: ["close"] },
+  atr: { calc: calcATR, inputs: ["high", "low", "close"] },
+  cci: { calc: calcCCI, inputs: ["high", "low", "close"] },
+  mfi: { calc: calcMFI, inputs: ["high", "low", "close", "volume"] },
+};
+const MAX_PERIOD = 200;
+
+// ── Text syntax ──
+
+/**
+ * Split rule text into tokens: numbers, words, comparison operators and ( ) [ ] %
+ */
+function tokenize(text) {
+  const tokens = [];
+  const pattern = /\s*(?:(-?\d+(?:\.\d+)?)|([A-Za-z_]\w*)|(>=|<=|==|!=|>|<)|([()[\]%]))/y;
+  let pos = 0;
+  while (pos < text.length) {
+    if (/^\s*$/.test(text.slice(pos))) break;
+    pattern.lastIndex = pos;
+    const m = pattern.exec(text);
+    if (!m) throw new Error(`unexpected "${text.slice(pos).trim()[0]}" at position ${pos + 1}`);
+    const at = pos + m[0].length - m[0].trimStart().length + 1;
+    if (m[1] !== undefined) tokens.push({ type: "number", value: Number(m[1]), at });
+    else if (m[2] !== undefined) tokens.push({ type: "word", value: m[2], at });
+    else tokens.push({ type: "symbol", value: m[3] || m[4], at });
+    pos = pattern.lastIndex;
+  }
+  return tokens;
+}
+
+/**
+ * Parse rule text into a JSON condition node.
+ * Keywords (AND, OR, NOT, crosses above, within, near, ...) are case-insensitive.
+ * @param {string} text - e.g. "RSI(14) crosses above 30 AND close > SMA(50)"
+ * @returns {Object} Condition node; throws Error with a readable message
+ */
+function parseCondition(text) {
+  const tokens = tokenize(text);
+  let pos = 0;
+
+  const peek = () => tokens[pos];
+  const isWord = (token, ...words) => token && token.type === "word" && words.includes(token.value.toLowerCase());
+  const isSymbol = (token, value) => token && token.type === "symbol" && token.value === value;
+  const describeToken = (token) => (token ? `"${token.value}" at position ${token.at}` : "end of rule");
+  const fail = (expected) => {
+    throw new Error(`expected ${expected} but found ${describeToken(peek())}`);
+  };
+  const expectNumber = () => {
+    if (!peek() || peek().type !== "number") fail("a number");
+    return tokens[pos++].value;
+  };
+  const expectSymbol = (value) => {
+    if (!isSymbol(peek(), value)) fail(`"${value}"`);
+    pos++;
+  };
+
+  function parseOperand() {
+    const token = peek();
+    if (token && token.type === "number") return tokens[pos++].value;
+    if (!token || token.type !== "word") fail("a field name or number");
+    pos++;
+    let operand = token.value;
+    if (isSymbol(peek(), "(")) {
+      pos++;
+      operand = { indicator: token.value, period: expectNumber() };
+      expectSymbol(")");
+    }
+    if (!isSymbol(peek(), "[")) return operand;
+    pos++;
+    const ago = expectNumber();
+    expectSymbol("]");
+    return typeof operand === "string" ? { field: operand, ago } : { ...operand, ago };
+  }
+
+  function parseLevel(pct) {
+    if (isWord(peek(), "support")) {
+      pos++;
+      return { nearSupport: pct };
+    }
+    if (isWord(peek(), "resistance")) {
+      pos++;
+      return { nearResistance: pct };
+    }
+    return fail('"support" or "resistance"');
+  }
+
+  function parseUnary() {
+    const token = peek();
+    if (isWord(token, "not")) {
+      pos++;
+      return { not: parseUnary() };
+    }
+    if (isSymbol(token, "(")) {
+      pos++;
+      const node = parseOr();
+      expectSymbol(")");
+      return node;
+    }
+    if (isWord(token, "near")) {
+      pos++;
+      const level = peek();
+      if (!isWord(level, "support", "resistance")) fail('"support" or "resistance"');
+      pos++;
+      const pct = expectNumber();
+      if (isSymbol(peek(), "%")) pos++;
+      return level.value.toLowerCase() === "support" ? { nearSupport: pct } : { nearResistance: pct };
+    }
+    if (isWord(token, "within")) {
+      pos++;
+      if (isWord(peek(), "last")) pos++;
+      const n = expectNumber();
+      // "within 0.3% of support" is a level distance, not a lookback
+      if (isSymbol(peek(), "%")) {
+        pos++;
+        if (!isWord(peek(), "of")) fail('"of"');
+        pos++;
+        return parseLevel(n);
+      }
+      if (isWord(peek(), "candles", "candle", "bars", "bar")) pos++;
+      return { within: [n, parseUnary()] };
+    }
+
+    const left = parseOperand();
+    const op = peek();
+    if (op && op.type === "symbol" && COMPARISONS[op.value]) {
+      pos++;
+      return { [op.value]: [left, parseOperand()] };
+    }
+    if (isWord(op, "crosses")) {
+      pos++;
+      let key = null;
+      if (isWord(peek(), "above")) key = "crossesAbove";
+      else if (isWord(peek(), "below")) key = "crossesBelow";
+      else fail('"above" or "below"');
+      pos++;
+      return { [key]: [left, parseOperand()] };
+    }
+    return fail('a comparison (>, >=, <, <=, ==, !=) or "crosses above/below"');
+  }
+
+  function parseAnd() {
+    const terms = [parseUnary()];
+    while (isWord(peek(), "and")) {
+      pos++;
+      terms.push(parseUnary());
+    }
+    return terms.length > 1 ? { and: terms } : terms[0];
+  }
+
+  function parseOr() {
+    const terms = [parseAnd()];
+    while (isWord(peek(), "or")) {
+      pos++;
+      terms.push(parseAnd());
+    }
+    return terms.length > 1 ? { or: terms } : terms[0];
+  }
+
+  if (tokens.length === 0) throw new Error("rule is empty");
+  const node = parseOr();
+  if (pos < tokens.length) fail("AND, OR or end of rule");
+  return node;
+}
+
+// ── Validation ──
+
+// Field names are matched case-insensitively ("RSI" → "rsi")
+const FIELD_LOOKUP = new Map(RULE_FIELDS.map((field) => [field.toLowerCase(), field]));
+
+/**
+ * Check an operand; returns the normalised operand or undefined on error
+ */
+function checkOperand(operand, path, errors, fields) {
+  if (typeof operand === "number") {
+    if (Number.isFinite(operand)) return operand;
+    errors.push(`${path}: number must be finite`);
+    return undefined;
+  }
+  const ref = typeof operand === "string" ? { field: operand, ago: 0 } : operand;
+  if (!ref || typeof ref !== "object" || (typeof ref.field !== "string" && typeof ref.indicator !== "string")) {
+    errors.push(`${path}: expected a number, a field name, { field, ago } or { indicator, period, ago }`);
+    return undefined;
+  }
+  const ago = ref.ago === undefined ? 0 : ref.ago;
+  if (!Number.isInteger(ago) || ago < 0 || ago > MAX_LOOKBACK) {
+    errors.push(`${path}: "ago" must be a whole number from 0 to ${MAX_LOOKBACK}`);
+    return undefined;
+  }
+
+  if (typeof ref.indicator === "string") {
+    const indicator = ref.indicator.toLowerCase();
+    if (!PERIOD_INDICATORS[indicator]) {
+      errors.push(`${path}: "${ref.indicator}(…)" — periods work with ${Object.keys(PERIOD_INDICATORS).join(", ")}`);
+      return undefined;
+    }
+    if (!Number.isInteger(ref.period) || ref.period < 2 || ref.period > MAX_PERIOD) {
+      errors.push(`${path}: ${indicator} period must be a whole number from 2 to ${MAX_PERIOD}`);
+      return undefined;
+    }
+    for (const input of PERIOD_INDICATORS[indicator].inputs) fields.add(input);
+    return ago === 0 ? { indicator, period: ref.period } : { indicator, period: ref.period, ago };
+  }
+
+  const field = FIELD_LOOKUP.get(ref.field.toLowerCase());
+  if (!field) {
+    errors.push(`${path}: unknown field "${ref.field}"`);
+    return undefined;
+  }
+  fields.add(field);
+  return ago === 0 ? field : { field, ago };
+}
+
+/**
+ * Check a condition (text or JSON); returns the normalised JSON node,
+ * or undefined after pushing "path: message" entries onto `errors`
+ */
+function checkCondition(node, path, errors, fields) {
+  if (typeof node === "string") {
+    let parsed;
+    try {
+      parsed = parseCondition(node);
+    } catch (err) {
+      errors.push(`${path}: ${err.message}`);
+      return undefined;
+    }
+    // Paths inside the parsed node mean nothing to the author of the text
+    const inner = [];
+    const checked = checkCondition(parsed, path, inner, fields);
+    for (const error of inner) errors.push(`${path}: ${error.slice(error.indexOf(": ") + 2)}`);
+    return checked;
+  }
+  if (!node || typeof node !== "object" || Array.isArray(node)) {
+    errors.push(`${path}: expected rule text or a condition object`);
+    return undefined;
+  }
+  const keys = Object.keys(node);
+  if (keys.length !== 1 || !CONDITION_KEYS.includes(keys[0])) {
+    errors.push(`${path}: a condition needs exactly one of ${CONDITION_KEYS.join(", ")}`);
+    return undefined;
+  }
+  const key = keys[0];
+  const value = node[key];
+  const before = errors.length;
+
+  if (COMPARISONS[key] || CROSSOVERS.includes(key)) {
+    if (!Array.isArray(value) || value.length !== 2) {
+      errors.push(`${path}.${key}: expected [left, right]`);
+      return undefined;
+    }
+    const operands = value.map((operand, i) => checkOperand(operand, `${path}.${key}[${i}]`, errors, fields));
+    return errors.length > before ? undefined : { [key]: operands };
+  }
+
+  if (key === "and" || key === "or") {
+    if (!Array.isArray(value) || value.length === 0) {
+      errors.push(`${path}.${key}: expected a non-empty list of conditions`);
+      return undefined;
+    }
+    const terms = value.map((term, i) => checkCondition(term, `${path}.${key}[${i}]`, errors, fields));
+    return errors.length > before ? undefined : { [key]: terms };
+  }
+
+  if (key === "not") {
+    const term = checkCondition(value, `${path}.not`, errors, fields);
+    return term === undefined ? undefined : { not: term };
+  }
+
+  if (key === "within") {
+    if (!Array.isArray(value) || value.length !== 2) {
+      errors.push(`${path}.within: expected [candles, condition]`);
+      return undefined;
+    }
+    if (!Number.isInteger(value[0]) || value[0] < 1 || value[0] > MAX_LOOKBACK) {
+      errors.push(`${path}.within[0]: candles must be a whole number from 1 to ${MAX_LOOKBACK}`);
+    }
+    const term = checkCondition(value[1], `${path}.within[1]`, errors, fields);
+    return errors.length > before ? undefined : { within: [value[0], term] };
+  }
+
+  // nearSupport / nearResistance: distance in percent of price
+  if (typeof value !== "number" || !(value > 0) || value > 10) {
+    errors.push(`${path}.${key}: distance must be a percentage above 0 and at most 10`);
+    return undefined;
+  }
+  return { [key]: value };
+}
+
+/**
+ * Validate a rule set and normalise its conditions.
+ * @param {Object} input - Rule set as submitted
+ * @returns {Object} { errors: ["rules[0].when: ..."], ruleSet, conditions, indicators }
+ *   ruleSet keeps each `when` as written; conditions holds the parsed JSON nodes
+ */
+function validateRuleSet(input) {
+  const errors = [];
+  if (!input || typeof input !== "object" || Array.isArray(input)) {
+    return { errors: ["rule set must be a JSON object"], ruleSet: null, conditions: [], indicators: [] };
+  }
+  const { id, name, description = "", threshold = 1, cooldown = 5, rules } = input;
+
+  if (typeof id !== "string" || !/^[a-z0-9][a-z0-9-]{0,39}$/.test(id)) {
+    errors.push("id: use 1-40 lowercase letters, digits and dashes");
+  }
+  if (typeof name !== "string" || name.trim() === "" || name.length > 60) {
+    errors.push("name: required, at most 60 characters");
+  }
+  if (typeof description !== "string") errors.push("description: must be text");
+  if (typeof threshold !== "number" || !(threshold > 0)) errors.push("threshold: must be a number above 0");
+  if (!Number.isInteger(cooldown) || cooldown < 0) errors.push("cooldown: must be a whole number of candles");
+
+  const fields = new Set();
+  const conditions = [];
+  const cleanRules = [];
+  if (!Array.isArray(rules) || rules.length === 0) {
+    errors.push("rules: add at least one rule");
+  } else {
+    rules.forEach((rule, i) => {
+      const path = `rules[${i}]`;
+      if (!rule || typeof rule !== "object") {
+        errors.push(`${path}: expected { when, action, weight }`);
+        return;
+      }
+      const action = typeof rule.action === "string" ? rule.action.toUpperCase() : rule.action;
+      if (action !== "BUY" && action !== "SELL") errors.push(`${path}.action: must be BUY or SELL`);
+      const weight = rule.weight === undefined ? 1 : rule.weight;
+      if (typeof weight !== "number" || !(weight > 0)) errors.push(`${path}.weight: must be a number above 0`);
+      if (rule.label !== undefined && typeof rule.label !== "string") errors.push(`${path}.label: must be text`);
+      if (rule.when === undefined) errors.push(`${path}.when: condition is required`);
+      else conditions.push(checkCondition(rule.when, `${path}.when`, errors, fields));
+
+      const clean = { when: rule.when, action, weight };
+      if (rule.label) clean.label = rule.label;
+      cleanRules.push(clean);
+    });
+  }
+
+  const ruleSet = {
+    id,
+    name: typeof name === "string" ? name.trim() : name,
+    description,
+    threshold,
+    cooldown,
+    rules: cleanRules,
+  };
+  return { errors, ruleSet, conditions, indicators: [...fields] };
+}
+
+// ── Compilation ──
+
+/**
+ * Condition node back to text, used as the default rule label
+ */
+function describeCondition(node) {
+  const operand = (o) => {
+    if (typeof o !== "object") return String(o);
+    const name = o.indicator ? `${o.indicator.toUpperCase()}(${o.period})` : o.field;
+    return o.ago ? `${name}[${o.ago}]` : name;
+  };
+  const group = (n) => (n.and || n.or ? `(${describeCondition(n)})` : describeCondition(n));
+  const key = Object.keys(node)[0];
+  const value = node[key];
+
+  if (COMPARISONS[key]) return `${operand(value[0])} ${key} ${operand(value[1])}`;
+  if (key === "crossesAbove") return `${operand(value[0])} crosses above ${operand(value[1])}`;
+  if (key === "crossesBelow") return `${operand(value[0])} crosses below ${operand(value[1])}`;
+  if (key === "and") return value.map(group).join(" AND ");
+  if (key === "or") return value.map(group).join(" OR ");
+  if (key === "not") return `NOT ${group(value)}`;
+  if (key === "within") return `within last ${value[0]} candles (${describeCondition(value[1])})`;
+  return `near ${NEAR[key]} ${value}%`;
+}
+
+/**
+ * Key of a computed series, e.g. "sma(50)"
+ */
+function seriesKey(operand) {
+  return `${operand.indicator}(${operand.period})`;
+}
+
+/**
+ * Value of an operand at candle i, or null when it is not available.
+ * Indicator operands read the series computed for this evaluation.
+ */
+function operandValue(operand, data, i, series) {
+  if (typeof operand === "number") return operand;
+  if (typeof operand === "object" && operand.indicator) {
+    const value = series.get(seriesKey(operand))[i - (operand.ago || 0)];
+    return value != null ? value : null;
+  }
+  const { field, ago } = typeof operand === "string" ? { field: operand, ago: 0 } : operand;
+  const candle = data[i - ago];
+  return candle && candle[field] != null ? candle[field] : null;
+}
+
+/**
+ * Compile a normalised condition into test(data, i, srLevels, series) → boolean.
+ * Indicator operands are added to `computed` so the caller can build their series.
+ * Only candles up to i are read, so history and live ticks agree.
+ */
+function compileCondition(node, computed) {
+  const key = Object.keys(node)[0];
+  const value = node[key];
+
+  if (COMPARISONS[key] || CROSSOVERS.includes(key)) {
+    for (const operand of value) {
+      if (typeof operand === "object" && operand.indicator) computed.set(seriesKey(operand), operand);
+    }
+  }
+  if (COMPARISONS[key]) {
+    const compare = COMPARISONS[key];
+    return (data, i, levels, series) => {
+      const a = operandValue(value[0], data, i, series);
+      const b = operandValue(value[1], data, i, series);
+      return a !== null && b !== null && compare(a, b);
+    };
+  }
+  if (CROSSOVERS.includes(key)) {
+    const above = key === "crossesAbove";
+    return (data, i, levels, series) => {
+      const a = operandValue(value[0], data, i, series);
+      const b = operandValue(value[1], data, i, series);
+      const prevA = operandValue(value[0], data, i - 1, series);
+      const prevB = operandValue(value[1], data, i - 1, series);
+      if ([a, b, prevA, prevB].includes(null)) return false;
+      return above ? prevA <= prevB && a > b : prevA >= prevB && a < b;
+    };
+  }
+  if (key === "and" || key === "or") {
+    const terms = value.map((term) => compileCondition(term, computed));
+    return key === "and"
+      ? (data, i, levels, series) => terms.every((test) => test(data, i, levels, series))
+      : (data, i, levels, series) => terms.some((test) => test(data, i, levels, series));
+  }
+  if (key === "not") {
+    const test = compileCondition(value, computed);
+    return (data, i, levels, series) => !test(data, i, levels, series);
+  }
+  if (key === "within") {
+    const [candles, inner] = value;
+    const test = compileCondition(inner, computed);
+    return (data, i, levels, series) => {
+      for (let j = i; j > i - candles && j >= 0; j--) {
+        if (test(data, j, levels, series)) return true;
+      }
+      return false;
+    };
+  }
+
+  // Same side-of-level rule as the confluence S/R score
+  const type = NEAR[key];
+  return (data, i, levels) => {
+    const close = data[i].close;
+    return levels.some((level) => {
+      if (levelTypeAt(level, data[i]) !== type) return false;
+      if (type === "support" ? close < level.price : close > level.price) return false;
+      return (Math.abs(close - level.price) / close) * 100 <= value;
+    });
+  };
+}
+
+/**
+ * Build a strategy plugin from a rule set.
+ * The strategy id is "rules:<id>"; threshold and cooldown are its params,
+ * so backtests can override them like any other strategy parameter.
+ * @param {Object} input - Rule set
+ * @returns {Object} Strategy (see strategies.js); throws on an invalid rule set
+ */
+function compileRuleSet(input) {
+  const { errors, ruleSet, conditions, indicators } = validateRuleSet(input);
+  if (errors.length > 0) throw new Error(`Invalid rule set: ${errors.join("; ")}`);
+
+  const computed = new Map();
+  const rules = ruleSet.rules.map((rule, r) => ({
+    action: rule.action,
+    weight: rule.weight,
+    label: rule.label || describeCondition(conditions[r]),
+    test: compileCondition(conditions[r], computed),
+  }));
+  const maxScore = { BUY: 0, SELL: 0 };
+  for (const rule of rules) maxScore[rule.action] += rule.weight;
+
+  return {
+    id: `rules:${ruleSet.id}`,
+    name: ruleSet.name,
+    description: ruleSet.description || `Rule set with ${rules.length} rule${rules.length === 1 ? "" : "s"}`,
+    params: { threshold: ruleSet.threshold, cooldown: ruleSet.cooldown },
+    indicators,
+    ruleSet,
+    evaluate(data, { srLevels = [], params }) {
+      const signals = [];
+      let lastSignalIndex = -Infinity;
+      let lastSignalType = null;
+      const series = new Map();
+      for (const [key, { indicator, period }] of computed) {
+        series.set(key, PERIOD_INDICATORS[indicator].calc(data, period));
+      }
+
+      for (let i = 0; i < data.length; i++) {
+        const score = { BUY: 0, SELL: 0 };
+        const reasons = { BUY: [], SELL: [] };
+        for (const rule of rules) {
+          if (!rule.test(data, i, srLevels, series)) continue;
+          score[rule.action] += rule.weight;
+          reasons[rule.action].push(`${rule.label} (+${rule.weight})`);
+        }
+
+        let type = null;
+        if (score.BUY >= params.threshold && score.BUY > score.SELL) type = "BUY";
+        else if (score.SELL >= params.threshold && score.SELL > score.BUY) type = "SELL";
+        if (!type) continue;
+        if (type === lastSignalType && i - lastSignalIndex < params.cooldown) continue;
+
+        const confidence = Math.round((100 * score[type]) / maxScore[type]);
+        signals.push({
+          ...makeSignal(data[i], i, type, confidence, reasons[type]),
+          score: score.BUY - score.SELL,
+        });
+        lastSignalIndex = i;
+        lastSignalType = type;
+      }
+      return signals;
+    },
+  };
+}
+
+module.exports = { parseCondition, validateRuleSet, compileRuleSet, describeCondition, RULE_FIELDS, PERIOD_INDICATORS };
@@ -0,0 +1,236 @@
+// Module 3d — Scoring Profiles
+// Named, versioned confluence scoring settings with per-pair assignment
+
+const fs = require("fs");
+const path = require("path");
+const { DEFAULT_SCORING } = require("./signal-engine");
+
+// Allowed range for each scoring setting
+const SCORING_FIELDS = {
+  threshold: { min: 0.5, max: 20 },
+  confidencePerPoint: { min: 1, max: 100 },
+  minConfidence: { min: 0, max: 100 },
+  srProximity: { min: 0.01, max: 5 },
+  rsiOversold: { min: 1, max: 99 },
+  rsiMildOversold: { min: 1, max: 99 },
+  rsiMildOverbought: { min: 1, max: 99 },
+  rsiOverbought: { min: 1, max: 99 },
+  cooldown: { min: 0, max: 100, integer: true },
+};
+
+const MAX_HISTORY = 20;
+
+/**
+ * Name-keyed object without a prototype, so user-supplied names such as
+ * "constructor" or "__proto__" never resolve to Object.prototype members
+ */
+function dict(entries = {}) {
+  return Object.assign(Object.create(null), entries);
+}
+
+/**
+ * Apply a (partial) scoring update on top of `base`
+ * @returns {Object} { settings, error } — error is null when valid
+ */
+function mergeScoringSettings(base, updates = {}) {
+  const settings = { ...base };
+  for (const [key, field] of Object.entries(SCORING_FIELDS)) {
+    if (updates[key] === undefined) continue;
+    const value = Number(updates[key]);
+    const valid = field.integer ? Number.isInteger(value) : Number.isFinite(value);
+    if (!valid || value < field.min || value > field.max) {
+      const kind = field.integer ? "a whole number" : "a number";
+      return { settings, error: `${key} must be ${kind} between ${field.min} and ${field.max}` };
+    }
+    settings[key] = value;
+  }
+  if (
+    !(settings.rsiOversold < settings.rsiMildOversold &&
+      settings.rsiMildOversold <= settings.rsiMildOverbought &&
+      settings.rsiMildOverbought < settings.rsiOverbought)
+  ) {
+    return { settings, error: "RSI bands must be ordered: oversold < mild oversold ≤ mild overbought < overbought" };
+  }
+  return { settings, error: null };
+}
+
+/**
+ * Store of scoring profiles, persisted as JSON:
+ *   { active, pairs: { "XAU/USD": "gold" }, profiles: { [name]: profile } }
+ * A profile is { name, version, updatedAt, settings, history }; every change
+ * bumps the version and keeps the previous settings in `history`.
+ * The "default" profile always exists and cannot be deleted.
+ */
+class ScoringProfiles {
+  constructor(file) {
+    this.file = file;
+    this.active = "default";
+    this.pairs = dict();
+    this.profiles = dict();
+    this.load();
+    if (!this.profiles.default) {
+      this.profiles.default = this.newProfile("default", { ...DEFAULT_SCORING });
+    }
+  }
+
+  newProfile(name, settings) {
+    return { name, version: 1, updatedAt: new Date().toISOString(), settings, history: [] };
+  }
+
+  load() {
+    try {
+      if (!fs.existsSync(this.file)) return;
+      const data = JSON.parse(fs.readFileSync(this.file, "utf8"));
+      this.active = data.active || "default";
+      this.pairs = dict(data.pairs);
+      this.profiles = dict(data.profiles);
+      // Settings added after a profile was saved take their defaults
+      for (const profile of Object.values(this.profiles)) {
+        profile.settings = { ...DEFAULT_SCORING, ...profile.settings };
+      }
+      if (!this.profiles[this.active]) this.active = "default";
+      console.log(`🎯 Loaded ${Object.keys(this.profiles).length} scoring profile(s), active: ${this.active}`);
+    } catch (err) {
+      console.error("❌ Failed to load scoring profiles:", err.message);
+    }
+  }
+
+  persist() {
+    const dir = path.dirname(this.file);
+    if (!fs.existsSync(dir)) fs.mkdirSync(dir, { recursive: true });
+    const { active, pairs, profiles } = this;
+    fs.writeFileSync(this.file, JSON.stringify({ active, pairs, profiles }, null, 2));
+  }
+
+  /**
+   * Run a change and save it. If saving fails the in-memory profiles are
+   * restored, so memory never holds settings the file does not.
+   * @returns {*} Whatever `change` returns
+   */
+  saveChange(change) {
+    const before = JSON.stringify({ active: this.active, pairs: this.pairs, profiles: this.profiles });
+    try {
+      const result = change();
+      this.persist();
+      return result;
+    } catch (err) {
+      const { active, pairs, profiles } = JSON.parse(before);
+      this.active = active;
+      this.pairs = dict(pairs);
+      this.profiles = dict(profiles);
+      throw err;
+    }
+  }
+
+  /**
+   * Profile used for a pair: its assigned profile, else the active one
+   */
+  forPair(pair) {
+    return this.profiles[this.pairs[pair]] || this.profiles[this.active];
+  }
+
+  /**
+   * Settings of a profile reference: "name" (current version) or "name@3"
+   * @returns {Object|null} { name, version, settings }
+   */
+  resolve(ref) {
+    const [name, version] = String(ref).split("@");
+    const profile = this.profiles[name];
+    if (!profile) return null;
+    if (version === undefined || Number(version) === profile.version) {
+      return { name, version: profile.version, settings: profile.settings };
+    }
+    const old = profile.history.find((h) => h.version === Number(version));
+    return old ? { name, version: old.version, settings: { ...DEFAULT_SCORING, ...old.settings } } : null;
+  }
+
+  /**
+   * Profiles for the API, with the pairs assigned to each
+   */
+  list() {
+    return Object.values(this.profiles).map((profile) => ({
+      ...profile,
+      active: profile.name === this.active,
+      pairs: Object.keys(this.pairs).filter((pair) => this.pairs[pair] === profile.name),
+    }));
+  }
+
+  /**
+   * Check an update without applying it
+   * @param {Object} update - { name, settings?, restoreVersion?, activate?, pairs? }
+   * @returns {string|null} Error message
+   */
+  validate(update) {
+    const { name, settings, restoreVersion, pairs } = update;
+    if (typeof name !== "string" || !/^[A-Za-z0-9][\w-]{0,29}$/.test(name)) {
+      return "Profile name: use 1-30 letters, digits, dashes or underscores";
+    }
+    const profile = this.profiles[name];
+    if (settings !== undefined) {
+      const { error } = mergeScoringSettings(profile ? profile.settings : DEFAULT_SCORING, settings);
+      if (error) return error;
+    }
+    if (restoreVersion !== undefined && !(profile && this.resolve(`${name}@${restoreVersion}`))) {
+      return `Profile ${name} has no version ${restoreVersion}`;
+    }
+    if (!profile && settings === undefined) return `Unknown scoring profile: ${name}`;
+    if (pairs !== undefined && !Array.isArray(pairs)) return "pairs must be a list of pairs";
+    return null;
+  }
+
+  /**
+   * Apply a validated update: save new settings (or restore an earlier
+   * version) as a new version, make the profile active, assign pairs.
+   * Throws, with nothing changed, when the profiles cannot be saved.
+   * @returns {Object} The updated profile
+   */
+  apply(update) {
+    return this.saveChange(() => {
+      const { name, settings, restoreVersion, activate, pairs } = update;
+      let profile = this.profiles[name];
+      const next = restoreVersion !== undefined
+        ? this.resolve(`${name}@${restoreVersion}`).settings
+        : settings !== undefined
+          ? mergeScoringSettings(profile ? profile.settings : DEFAULT_SCORING, settings).settings
+          : null;
+
+      if (!profile) {
+        profile = this.profiles[name] = this.newProfile(name, next);
+      } else if (next && JSON.stringify(next) !== JSON.stringify(profile.settings)) {
+        const { version, updatedAt } = profile;
+        profile.history = [{ version, updatedAt, settings: profile.settings }, ...profile.history].slice(0, MAX_HISTORY);
+        profile.version += 1;
+        profile.updatedAt = new Date().toISOString();
+        profile.settings = next;
+      }
+
+      if (activate) this.active = name;
+      if (pairs !== undefined) {
+        for (const pair of Object.keys(this.pairs)) {
+          if (this.pairs[pair] === name) delete this.pairs[pair];
+        }
+        for (const pair of pairs) this.pairs[pair] = name;
+      }
+      return profile;
+    });
+  }
+
+  /**
+   * Delete a profile; its pairs fall back to the active profile
+   * @returns {string|null} Error message
+   */
+  remove(name) {
+    if (name === "default") return "The default profile cannot be deleted";
+    if (!this.profiles[name]) return `Unknown scoring profile: ${name}`;
+    this.saveChange(() => {
+      delete this.profiles[name];
+      for (const pair of Object.keys(this.pairs)) {
+        if (this.pairs[pair] === name) delete this.pairs[pair];
+      }
+      if (this.active === name) this.active = "default";
+    });
+    return null;
+  }
+}
+
+module.exports = { ScoringProfiles, mergeScoringSettings, SCORING_FIELDS };
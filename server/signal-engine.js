@@ -1,21 +1,277 @@
 // Module 3 — Signal Generator (Confluence System)
-// Combines S/R, RSI, and MACD into weighted score
+// Combines S/R, RSI and MACD (and optional oscillators, divergences,
+// candlestick patterns, Fibonacci levels and smart-money zones) into a score
+// weighted per market regime. Structure, higher-timeframe and signal-model
+// gates apply to all strategies and live in strategies.js (gateSignals)
 
 const { getDigits } = require("./trade-manager");
+const { levelTypeAt } = require("./pivot-points");
+
+// Optional oscillator inputs: ±1 in the extreme zone, ±0.5 more when the
+// %K/%D pair crosses inside it
+const OSCILLATORS = {
+  stochastic: { label: "Stochastic", field: "stochK", signal: "stochD", oversold: 20, overbought: 80 },
+  stochRsi: { label: "Stoch RSI", field: "stochRsiK", signal: "stochRsiD", oversold: 20, overbought: 80 },
+  cci: { label: "CCI", field: "cci", oversold: -100, overbought: 100 },
+  williamsR: { label: "Williams %R", field: "williamsR", oversold: -80, overbought: -20 },
+  mfi: { label: "MFI", field: "mfi", oversold: 20, overbought: 80 },
+};
+
+// Divergence weights: regular (reversal) setups count more than hidden
+// (continuation) ones. A divergence stays relevant for a few candles after
+// its second swing is confirmed.
+const DIVERGENCE_WEIGHTS = { regular: 1.5, hidden: 1 };
+const DIVERGENCE_WINDOW = 5;
+
+// Candlestick patterns on the signal candle: ±1 per directional pattern,
+// ±0.5 more when it forms at a matching S/R level
+const PATTERN_WEIGHT = 1;
+const PATTERN_LEVEL_BONUS = 0.5;
+
+// Fibonacci levels of the last confirmed impulse. Retracements act as
+// support after an up impulse (resistance after a down one); extensions are
+// profit-taking targets and lean against the impulse.
+const FIB_WEIGHTS = { 0.236: 0.5, 0.382: 1, 0.5: 1, 0.618: 1.5, 0.786: 0.5, 1.272: 0.5, 1.618: 1 };
+const FIB_PROXIMITY = 0.003;
+
+// Scoring profile: the thresholds of the base confluence score. Named,
+// versioned copies are kept by ScoringProfiles (scoring-profiles.js) and
+// passed in as options.scoring; missing keys fall back to these defaults.
+const DEFAULT_SCORING = {
+  threshold: 3, // |score| needed for a signal
+  confidencePerPoint: 20, // confidence = |score| × this, capped at 100
+  minConfidence: 40,
+  srProximity: 0.3, // % distance at which an S/R level counts
+  rsiOversold: 30, // RSI below: +2
+  rsiMildOversold: 40, // RSI below: +1
+  rsiMildOverbought: 60, // RSI above: -1
+  rsiOverbought: 70, // RSI above: -2
+  cooldown: 5, // min candles between same-type signals
+};
+
+// Regime scoring profiles: [bullish, bearish] multipliers for the S/R, RSI
+// and MACD scores plus extra score needed on top of the profile threshold.
+// Ranges keep the mean-reversion reading; trends only take pullbacks in the
+// trend direction (RSI oversold in a downtrend is not a buy); high
+// volatility damps the oscillators and asks for more confluence.
+const REGIME_PROFILES = {
+  ranging: { sr: [1, 1], rsi: [1, 1], macd: [0.75, 0.75], extraThreshold: 0 },
+  "trending-up": { sr: [1, 0.5], rsi: [1, 0], macd: [1.25, 0.5], extraThreshold: 0 },
+  "trending-down": { sr: [0.5, 1], rsi: [0, 1], macd: [0.5, 1.25], extraThreshold: 0 },
+  "high-volatility": { sr: [1, 1], rsi: [0.5, 0.5], macd: [0.5, 0.5], extraThreshold: 1 },
+};
+const NEUTRAL_PROFILE = { sr: [1, 1], rsi: [1, 1], macd: [1, 1], extraThreshold: 0 };
+
+/**
+ * Apply a [bullish, bearish] multiplier pair to a signed score
+ */
+function weigh(score, [bullish, bearish]) {
+  return score * (score > 0 ? bullish : bearish);
+}
+
+// Smart-money zones (opt-in): entering a zone that was still fresh, or a
+// liquidity sweep in the last few candles
+const SMC_WEIGHTS = { orderBlock: 1.5, fairValueGap: 1, liquidity: 1 };
+const SWEEP_WINDOW = 3;
+
+/**
+ * Score smart-money zones at candle i. Only the newest qualifying zone of
+ * each kind counts.
+ * @returns {Object} { score, reasons }
+ */
+function scoreSmartMoney(zones, candle, i, digits) {
+  let score = 0;
+  const reasons = [];
+  const counted = new Set();
+
+  for (let z = zones.length - 1; z >= 0; z--) {
+    const zone = zones[z];
+    if (zone.createdIndex >= i || counted.has(zone.kind)) continue;
+    const bullish = zone.type === "bullish";
+    const range = `${zone.bottom.toFixed(digits)}–${zone.top.toFixed(digits)}`;
+
+    if (zone.kind === "liquidity") {
+      if (!zone.swept || zone.mitigatedIndex > i || i - zone.mitigatedIndex > SWEEP_WINDOW) continue;
+      reasons.push(`${bullish ? "Sell" : "Buy"}-side liquidity sweep (${zone.label.toLowerCase()} ${range})`);
+    } else {
+      // Unmitigated before this candle, traded into and held on the close
+      if (zone.mitigatedIndex !== null && zone.mitigatedIndex < i) continue;
+      const entered = candle.low <= zone.top && candle.high >= zone.bottom;
+      const held = bullish ? candle.close >= zone.bottom : candle.close <= zone.top;
+      if (!entered || !held) continue;
+      reasons.push(`Entered fresh ${zone.label.replace(/^B/, "b")} ${range}`);
+    }
+
+    counted.add(zone.kind);
+    score += bullish ? SMC_WEIGHTS[zone.kind] : -SMC_WEIGHTS[zone.kind];
+  }
+
+  return { score, reasons };
+}
+
+/**
+ * Score the Fibonacci level closest to the close, using the latest impulse
+ * confirmed at or before candle i
+ * @returns {Object} { score, reasons }
+ */
+function scoreFibonacci(impulses, candle, i, digits) {
+  let impulse = null;
+  for (const imp of impulses) {
+    if (imp.confirmedIndex <= i) impulse = imp;
+  }
+  if (!impulse) return { score: 0, reasons: [] };
+
+  let nearest = null;
+  let nearestDistance = FIB_PROXIMITY;
+  for (const level of impulse.levels) {
+    const distance = Math.abs(candle.close - level.price) / candle.close;
+    if (distance < nearestDistance) {
+      nearest = level;
+      nearestDistance = distance;
+    }
+  }
+  if (!nearest) return { score: 0, reasons: [] };
+
+  const up = impulse.direction === "up";
+  const bullish = nearest.kind === "retracement" ? up : !up;
+  // Only count the level from the side it is expected to hold
+  if (bullish ? candle.close < nearest.price : candle.close > nearest.price) {
+    return { score: 0, reasons: [] };
+  }
+  const weight = FIB_WEIGHTS[nearest.ratio] || 0;
+  return {
+    score: bullish ? weight : -weight,
+    reasons: [
+      `Near Fib ${nearest.label} ${nearest.kind} ${nearest.price.toFixed(digits)} (${impulse.direction} impulse)`,
+    ],
+  };
+}
+
+/**
+ * Score the directional candlestick patterns of one candle
+ * @returns {Object} { score, reasons, patterns }
+ */
+function scorePatterns(candle, nearSupport, nearResistance) {
+  let score = 0;
+  const reasons = [];
+  const patterns = [];
+
+  for (const pattern of candle.patterns || []) {
+    if (pattern.type === "neutral") continue;
+    const bullish = pattern.type === "bullish";
+    const atLevel = bullish ? nearSupport : nearResistance;
+    const weight = PATTERN_WEIGHT + (atLevel ? PATTERN_LEVEL_BONUS : 0);
+    score += bullish ? weight : -weight;
+
+    const text = atLevel
+      ? `${pattern.label} at ${bullish ? "support" : "resistance"}`
+      : pattern.label;
+    reasons.push(text);
+    patterns.push(text);
+  }
+
+  return { score, reasons, patterns };
+}
+
+/**
+ * Score divergences that are confirmed and still fresh at candle i
+ * @returns {Object} { score, reasons }
+ */
+function scoreDivergences(divergences, i) {
+  let score = 0;
+  const reasons = [];
+
+  for (const div of divergences) {
+    if (div.confirmedIndex > i || i - div.confirmedIndex > DIVERGENCE_WINDOW) continue;
+    const weight = DIVERGENCE_WEIGHTS[div.kind] || 0;
+    score += div.type === "bullish" ? weight : -weight;
+    const name = div.type === "bullish" ? "Bullish" : "Bearish";
+    reasons.push(`${name} ${div.kind} ${div.label} divergence (${i - div.endIndex} candles ago)`);
+  }
+
+  return { score, reasons };
+}
+
+/**
+ * Score the enabled oscillators for one candle
+ * @returns {Object} { score, reasons }
+ */
+function scoreOscillators(candle, prevCandle, names) {
+  let score = 0;
+  const reasons = [];
+
+  for (const name of names) {
+    const osc = OSCILLATORS[name];
+    const value = osc ? candle[osc.field] : null;
+    if (value === null || value === undefined) continue;
+
+    let zone = 0;
+    if (value < osc.oversold) {
+      zone = 1;
+      reasons.push(`${osc.label} oversold (${value.toFixed(1)})`);
+    } else if (value > osc.overbought) {
+      zone = -1;
+      reasons.push(`${osc.label} overbought (${value.toFixed(1)})`);
+    }
+    score += zone;
+
+    if (zone !== 0 && osc.signal) {
+      const prevK = prevCandle[osc.field];
+      const prevD = prevCandle[osc.signal];
+      const currD = candle[osc.signal];
+      if (prevK != null && prevD != null && currD != null) {
+        if (zone > 0 && prevK <= prevD && value > currD) {
+          score += 0.5;
+          reasons.push(`${osc.label} bullish %K/%D cross`);
+        } else if (zone < 0 && prevK >= prevD && value < currD) {
+          score -= 0.5;
+          reasons.push(`${osc.label} bearish %K/%D cross`);
+        }
+      }
+    }
+  }
+
+  return { score, reasons };
+}
 
 /**
  * Generate trade signals using confluence scoring
  * @param {Array} data - Enriched candle data (with indicators)
  * @param {Array} srLevels - Support/Resistance levels
  * @param {string} pair - Currency pair (for formatting)
- * @returns {Array} Array of signal objects
+ * @param {Object} options
+ * @param {Array<string>} options.oscillators - Extra oscillators to score
+ *   (keys of OSCILLATORS; default none)
+ * @param {Array} options.divergences - Output of detectDivergences() for `data`
+ * @param {boolean} options.scoreDivergences - Score divergences ending at
+ *   the candle (default off)
+ * @param {boolean} options.scorePatterns - Score candlestick patterns on
+ *   the signal candle (default off)
+ * @param {Object} options.fibonacci - Output of calcFibonacci() for `data`
+ * @param {boolean} options.scoreFibonacci - Score the Fibonacci level
+ *   closest to the close (default off)
+ * @param {Object} options.smartMoney - Output of analyzeSmartMoney() for `data`
+ * @param {boolean} options.scoreSmartMoney - Score entries into fresh
+ *   order blocks / FVGs and liquidity sweeps (default off)
+ * @param {Array} options.regimes - Output of classifyRegimes() for `data`
+ * @param {boolean} options.regimeProfiles - Weight scores by the candle's
+ *   regime (default off; needs `regimes`)
+ * @param {Object} options.scoring - Scoring profile settings (see DEFAULT_SCORING)
+ * @returns {Array} Array of signal objects. Market structure, higher-timeframe
+ *   and signal-model gates run afterwards for every strategy (see gateSignals())
  */
-function generateSignals(data, srLevels, pair) {
+function generateSignals(data, srLevels, pair, options = {}) {
   const digits = getDigits(pair);
+  const oscillators = (options.oscillators || []).filter((name) => OSCILLATORS[name]);
+  const divergences = options.scoreDivergences ? options.divergences || [] : [];
+  const fibImpulses = options.scoreFibonacci && options.fibonacci ? options.fibonacci.impulses : [];
+  const smcZones = options.scoreSmartMoney && options.smartMoney ? options.smartMoney.zones : [];
+  const regimes = options.regimes || [];
+  const useRegimeProfiles = options.regimeProfiles === true;
+  const scoring = { ...DEFAULT_SCORING, ...options.scoring };
   const signals = [];
   let lastSignalIndex = -Infinity;
   let lastSignalType = null;
-  const COOLDOWN_CANDLES = 5; // Min candles between same-type signals
 
   // Start at index 30 to ensure all indicators are populated
   for (let i = 30; i < data.length; i++) {
@@ -33,19 +289,26 @@ function generateSignals(data, srLevels, pair) {
     // Step 1: S/R Score
     let srScore = 0;
     const nearLevels = [];
+    let nearSupport = false;
+    let nearResistance = false;
     for (const level of srLevels) {
+      const type = levelTypeAt(level, candle);
       const distance = Math.abs(candle.close - level.price) / candle.close;
-      if (distance < 0.003) {
-        if (level.type === "support" && candle.close >= level.price) {
+      if (type && distance < scoring.srProximity / 100) {
+        // Pivot levels are named after their formula (e.g. "D R1")
+        const name = level.source === "pivot" ? `${level.label} pivot` : type;
+        if (type === "support" && candle.close >= level.price) {
           srScore += level.strength;
+          nearSupport = true;
           nearLevels.push(
-            `Near support ${level.price.toFixed(digits)} (strength: ${level.strength})`
+            `Near ${name} ${level.price.toFixed(digits)} (strength: ${level.strength})`
           );
         }
-        if (level.type === "resistance" && candle.close <= level.price) {
+        if (type === "resistance" && candle.close <= level.price) {
           srScore -= level.strength;
+          nearResistance = true;
           nearLevels.push(
-            `Near resistance ${level.price.toFixed(digits)} (strength: ${level.strength})`
+            `Near ${name} ${level.price.toFixed(digits)} (strength: ${level.strength})`
           );
         }
       }
@@ -54,16 +317,16 @@ function generateSignals(data, srLevels, pair) {
     // Step 2: RSI Score
     let rsiScore = 0;
     const rsiReasons = [];
-    if (candle.rsi < 30) {
+    if (candle.rsi < scoring.rsiOversold) {
       rsiScore = 2;
       rsiReasons.push(`RSI oversold (${candle.rsi.toFixed(1)})`);
-    } else if (candle.rsi < 40) {
+    } else if (candle.rsi < scoring.rsiMildOversold) {
       rsiScore = 1;
       rsiReasons.push(`RSI mildly oversold (${candle.rsi.toFixed(1)})`);
-    } else if (candle.rsi > 70) {
+    } else if (candle.rsi > scoring.rsiOverbought) {
       rsiScore = -2;
       rsiReasons.push(`RSI overbought (${candle.rsi.toFixed(1)})`);
-    } else if (candle.rsi > 60) {
+    } else if (candle.rsi > scoring.rsiMildOverbought) {
       rsiScore = -1;
       rsiReasons.push(`RSI mildly overbought (${candle.rsi.toFixed(1)})`);
     }
@@ -105,20 +368,55 @@ function generateSignals(data, srLevels, pair) {
       }
     }
 
-    // Step 4: Combine & Threshold
-    const totalScore = srScore + rsiScore + macdScore;
-    const confidence = Math.min(100, Math.abs(totalScore) * 20);
-    const reasons = [...nearLevels, ...rsiReasons, ...macdReasons];
+    // Step 3b: Oscillator Score (opt-in)
+    const osc = scoreOscillators(candle, prevCandle, oscillators);
+
+    // Step 3c: Divergence Score (opt-in)
+    const div = scoreDivergences(divergences, i);
+
+    // Step 3d: Candlestick Pattern Score (opt-in)
+    const pat = options.scorePatterns
+      ? scorePatterns(candle, nearSupport, nearResistance)
+      : { score: 0, reasons: [], patterns: [] };
+
+    // Step 3e: Fibonacci Score (opt-in)
+    const fib = scoreFibonacci(fibImpulses, candle, i, digits);
+
+    // Step 3f: Smart-Money Zone Score (opt-in)
+    const smc = scoreSmartMoney(smcZones, candle, i, digits);
+
+    // Step 4: Regime profile
+    const regime = regimes[i] ? regimes[i].regime : null;
+    const profile = (useRegimeProfiles && REGIME_PROFILES[regime]) || NEUTRAL_PROFILE;
+
+    // Step 5: Combine & Threshold
+    const totalScore =
+      weigh(srScore, profile.sr) +
+      weigh(rsiScore, profile.rsi) +
+      weigh(macdScore, profile.macd) +
+      osc.score + div.score + pat.score + fib.score + smc.score;
+    const confidence = Math.min(100, Math.abs(totalScore) * scoring.confidencePerPoint);
+    const reasons = [
+      ...nearLevels,
+      ...rsiReasons,
+      ...macdReasons,
+      ...osc.reasons,
+      ...div.reasons,
+      ...pat.reasons,
+      ...fib.reasons,
+      ...smc.reasons,
+    ];
 
+    const threshold = scoring.threshold + profile.extraThreshold;
     let signalType = null;
-    if (totalScore >= 3 && confidence >= 40) signalType = "BUY";
-    else if (totalScore <= -3 && confidence >= 40) signalType = "SELL";
+    if (totalScore >= threshold && confidence >= scoring.minConfidence) signalType = "BUY";
+    else if (totalScore <= -threshold && confidence >= scoring.minConfidence) signalType = "SELL";
 
     // Cooldown: skip if same signal type fired within last N candles
     if (signalType) {
       const isCooldown =
         signalType === lastSignalType &&
-        i - lastSignalIndex < COOLDOWN_CANDLES;
+        i - lastSignalIndex < scoring.cooldown;
 
       if (!isCooldown) {
         signals.push({
@@ -132,6 +430,8 @@ function generateSignals(data, srLevels, pair) {
           rsi: candle.rsi,
           macd: candle.macd,
           macdSignal: candle.macdSignal,
+          patterns: pat.patterns,
+          regime,
           score: totalScore,
         });
         lastSignalIndex = i;
@@ -143,4 +443,4 @@ function generateSignals(data, srLevels, pair) {
   return signals;
 }
 
-module.exports = { generateSignals };
+module.exports = { generateSignals, OSCILLATORS, REGIME_PROFILES, DEFAULT_SCORING };
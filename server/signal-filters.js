@@ -0,0 +1,156 @@
+// Module 3f — Signal Filters
+// Checks every live signal has to pass before it is alerted or executed
+
+const { SESSIONS, isSessionActive } = require("./market-hours");
+const { priceToPips } = require("./trade-manager");
+
+// Numeric filter settings: .env key and allowed range (0 = filter off)
+const FILTER_FIELDS = {
+  minAtrPips: { env: "FILTER_MIN_ATR_PIPS", min: 0, max: 10000 },
+  maxAtrPips: { env: "FILTER_MAX_ATR_PIPS", min: 0, max: 10000 },
+  maxSpreadPips: { env: "FILTER_MAX_SPREAD_PIPS", min: 0, max: 1000 },
+};
+
+const DEFAULT_FILTERS = {
+  minAtrPips: 0,
+  maxAtrPips: 0,
+  maxSpreadPips: 0,
+  sessions: [], // keys of SESSIONS, empty = any session
+  trend: false,
+};
+
+// Filters in the order they run. Each is active for some settings and
+// returns the reason a signal is rejected, or null when it passes.
+// `context` is { pair, data, tick } of the tick that produced the signal.
+const SIGNAL_FILTERS = {
+  atr: {
+    label: "ATR",
+    active: (settings) => settings.minAtrPips > 0 || settings.maxAtrPips > 0,
+    check(signal, { pair, data }, settings) {
+      const atr = data[signal.index]?.atr;
+      if (atr == null) return "ATR not available yet";
+      const pips = priceToPips(pair, atr);
+      if (settings.minAtrPips > 0 && pips < settings.minAtrPips) {
+        return `ATR ${pips.toFixed(1)} pips below minimum ${settings.minAtrPips}`;
+      }
+      if (settings.maxAtrPips > 0 && pips > settings.maxAtrPips) {
+        return `ATR ${pips.toFixed(1)} pips above maximum ${settings.maxAtrPips}`;
+      }
+      return null;
+    },
+  },
+  spread: {
+    label: "Spread",
+    active: (settings) => settings.maxSpreadPips > 0,
+    // Ticks without a quote (e.g. simulated ones) cannot be checked
+    check(signal, { pair, tick }, settings) {
+      if (!Number.isFinite(tick.bid) || !Number.isFinite(tick.ask)) return null;
+      const pips = priceToPips(pair, tick.ask - tick.bid);
+      return pips > settings.maxSpreadPips
+        ? `Spread ${pips.toFixed(1)} pips above maximum ${settings.maxSpreadPips}`
+        : null;
+    },
+  },
+  session: {
+    label: "Session",
+    active: (settings) => settings.sessions.length > 0,
+    check(signal, { tick }, settings) {
+      const now = new Date(tick.timestamp);
+      if (settings.sessions.some((key) => isSessionActive(now, SESSIONS[key]))) return null;
+      return `Outside ${settings.sessions.map((key) => SESSIONS[key].name).join(" / ")} session`;
+    },
+  },
+  trend: {
+    label: "SMA Trend",
+    active: (settings) => settings.trend,
+    check(signal, { data }) {
+      const candle = data[signal.index];
+      if (!candle || candle.smaFast == null || candle.smaSlow == null) return "SMA trend not available yet";
+      const up = candle.smaFast > candle.smaSlow;
+      if (signal.type === "BUY" && !up) return "Against the SMA downtrend";
+      if (signal.type === "SELL" && up) return "Against the SMA uptrend";
+      return null;
+    },
+  },
+};
+
+/**
+ * Filter settings from environment variables
+ */
+function filterSettingsFromEnv(env = process.env) {
+  const settings = { ...DEFAULT_FILTERS };
+  for (const [key, field] of Object.entries(FILTER_FIELDS)) {
+    const value = parseFloat(env[field.env]);
+    if (Number.isFinite(value) && value >= field.min && value <= field.max) settings[key] = value;
+  }
+  settings.sessions = (env.FILTER_SESSIONS || "")
+    .split(",")
+    .map((key) => key.trim().toUpperCase())
+    .filter((key) => SESSIONS[key]);
+  settings.trend = env.FILTER_TREND === "true";
+  return settings;
+}
+
+/**
+ * Apply a (partial) filter settings update on top of `base`
+ * @returns {Object} { settings, error } — error is null when valid
+ */
+function mergeFilterSettings(base, updates = {}) {
+  const settings = { ...base };
+  for (const [key, field] of Object.entries(FILTER_FIELDS)) {
+    if (updates[key] === undefined) continue;
+    const value = Number(updates[key]);
+    if (!Number.isFinite(value) || value < field.min || value > field.max) {
+      return { settings, error: `${key} must be a number between ${field.min} and ${field.max}` };
+    }
+    settings[key] = value;
+  }
+  if (settings.minAtrPips > 0 && settings.maxAtrPips > 0 && settings.minAtrPips >= settings.maxAtrPips) {
+    return { settings, error: "Minimum ATR must be below maximum ATR" };
+  }
+  if (updates.sessions !== undefined) {
+    if (!Array.isArray(updates.sessions)) return { settings, error: "sessions must be a list of sessions" };
+    const unknown = updates.sessions.filter((key) => !SESSIONS[key]);
+    if (unknown.length > 0) return { settings, error: `Unknown session: ${unknown.join(", ")}` };
+    settings.sessions = [...new Set(updates.sessions)];
+  }
+  if (updates.trend !== undefined) settings.trend = updates.trend === true;
+  return { settings, error: null };
+}
+
+/**
+ * Run signals through the active filters; a signal is rejected by the
+ * first filter it fails
+ * @param {Array} signals - New live signals
+ * @param {Object} context - { pair, data (enriched candles), tick }
+ * @param {Object} settings - Filter settings (see DEFAULT_FILTERS)
+ * @returns {Object} { passed, rejected: [{ signal, filter, reason }] }
+ */
+function filterSignals(signals, context, settings) {
+  const filters = Object.values(SIGNAL_FILTERS).filter((f) => f.active(settings));
+  const passed = [];
+  const rejected = [];
+
+  for (const signal of signals) {
+    let rejection = null;
+    for (const filter of filters) {
+      const reason = filter.check(signal, context, settings);
+      if (reason) {
+        rejection = { signal, filter: filter.label, reason };
+        break;
+      }
+    }
+    if (rejection) rejected.push(rejection);
+    else passed.push(signal);
+  }
+  return { passed, rejected };
+}
+
+module.exports = {
+  filterSignals,
+  filterSettingsFromEnv,
+  mergeFilterSettings,
+  SIGNAL_FILTERS,
+  FILTER_FIELDS,
+  DEFAULT_FILTERS,
+};
@@ -0,0 +1,255 @@
+// Module 3g — Signal Model
+// Logistic regression trained offline on our own signal outcomes: the
+// probability that a signal reaches its TP before its SL
+
+const fs = require("fs");
+const path = require("path");
+
+// Features read from the enriched signal candle. `side` is 1 for BUY and
+// -1 for SELL, so directional readings mean "in favour of the trade" for
+// both and one model serves both sides. Each returns null while the
+// indicator is not ready.
+const MODEL_FEATURES = {
+  rsi: (c, side) => (c.rsi == null ? null : (side * (c.rsi - 50)) / 50),
+  macdHistogram: (c, side) => (c.histogram == null || !c.atr ? null : (side * c.histogram) / c.atr),
+  smaSpread: (c, side) => (c.smaFast == null || c.smaSlow == null || !c.atr ? null : (side * (c.smaFast - c.smaSlow)) / c.atr),
+  priceVsSma: (c, side) => (c.smaSlow == null || !c.atr ? null : (side * (c.close - c.smaSlow)) / c.atr),
+  adx: (c) => (c.adx == null ? null : c.adx / 50),
+  diSpread: (c, side) => (c.plusDI == null || c.minusDI == null ? null : (side * (c.plusDI - c.minusDI)) / 50),
+  bbPercentB: (c, side) => (c.bbPercentB == null ? null : side * (c.bbPercentB - 0.5)),
+  bbWidth: (c) => (c.bbWidth == null ? null : c.bbWidth),
+  stochastic: (c, side) => (c.stochK == null ? null : (side * (c.stochK - 50)) / 50),
+  cci: (c, side) => (c.cci == null ? null : (side * c.cci) / 200),
+  mfi: (c, side) => (c.mfi == null ? null : (side * (c.mfi - 50)) / 50),
+  volatility: (c) => (c.atr == null ? null : (c.atr / c.close) * 100),
+};
+
+/**
+ * Feature values of a signal candle
+ * @param {Object} candle - Enriched candle the signal fired on
+ * @param {string} type - "BUY" | "SELL"
+ * @returns {Object|null} { [feature]: value }, null if any is missing
+ */
+function extractFeatures(candle, type) {
+  if (!candle) return null;
+  const side = type === "BUY" ? 1 : -1;
+  const features = {};
+  for (const [name, read] of Object.entries(MODEL_FEATURES)) {
+    const value = read(candle, side);
+    if (value == null || !Number.isFinite(value)) return null;
+    features[name] = value;
+  }
+  return features;
+}
+
+/**
+ * Labelled samples from stored data. Tracked signals count when they hit
+ * TP (1) or SL (0); trades when they closed at their take profit (1) or at
+ * a stop loss that never trailed (0). Trades opened from a tracked signal
+ * are only counted once.
+ * @param {Array} tracked - Signals of data/signal-outcomes.json
+ * @param {Array} trades - Closed trades of data/trades.json
+ * @returns {Array} [{ time, features, label }] oldest first
+ */
+function collectSamples(tracked = [], trades = []) {
+  const samples = [];
+  const seen = new Set();
+  const keyOf = (pair, type, time, strategyId) => `${pair}:${type}:${time}:${strategyId}`;
+
+  for (const s of tracked) {
+    if (!s.features || (s.outcome !== "WIN" && s.outcome !== "LOSS")) continue;
+    seen.add(keyOf(s.pair, s.type, s.time, s.strategyId));
+    samples.push({ time: s.openedAt, features: s.features, label: s.outcome === "WIN" ? 1 : 0 });
+  }
+  for (const t of trades) {
+    if (!t.features || seen.has(keyOf(t.pair, t.type, t.signalTime, t.strategyId))) continue;
+    if (t.exitReason === "Take Profit") samples.push({ time: t.entryTime, features: t.features, label: 1 });
+    else if (t.exitReason === "Stop Loss" && !t.trailingActive) samples.push({ time: t.entryTime, features: t.features, label: 0 });
+  }
+  return samples.sort((a, b) => a.time - b.time);
+}
+
+const sigmoid = (z) => 1 / (1 + Math.exp(-z));
+
+/**
+ * Fit a logistic regression with batch gradient descent and L2 penalty
+ * on standardized features
+ * @param {Array} samples - [{ features, label }]
+ * @param {Array<string>} names - Features to use
+ * @param {Object} options - { epochs, learningRate, l2 }
+ * @returns {Object} { features, mean, std, weights, bias }
+ */
+function fitLogistic(samples, names, options = {}) {
+  const { epochs = 500, learningRate = 0.1, l2 = 0.01 } = options;
+  const n = samples.length;
+  const mean = names.map((name) => samples.reduce((sum, s) => sum + s.features[name], 0) / n);
+  const std = names.map((name, j) => {
+    const variance = samples.reduce((sum, s) => sum + (s.features[name] - mean[j]) ** 2, 0) / n;
+    return Math.sqrt(variance) || 1;
+  });
+  const X = samples.map((s) => names.map((name, j) => (s.features[name] - mean[j]) / std[j]));
+  const weights = names.map(() => 0);
+  let bias = 0;
+
+  for (let epoch = 0; epoch < epochs; epoch++) {
+    const gradW = names.map(() => 0);
+    let gradB = 0;
+    for (let i = 0; i < n; i++) {
+      const z = bias + X[i].reduce((sum, x, j) => sum + x * weights[j], 0);
+      const error = sigmoid(z) - samples[i].label;
+      for (let j = 0; j < names.length; j++) gradW[j] += error * X[i][j];
+      gradB += error;
+    }
+    for (let j = 0; j < names.length; j++) {
+      weights[j] -= learningRate * (gradW[j] / n + l2 * weights[j]);
+    }
+    bias -= learningRate * (gradB / n);
+  }
+  return { features: names, mean, std, weights, bias };
+}
+
+/**
+ * Probability from feature values
+ * @returns {number|null} null when a feature the model needs is missing
+ */
+function predictFeatures(model, features) {
+  let z = model.bias;
+  for (let j = 0; j < model.features.length; j++) {
+    const value = features[model.features[j]];
+    if (value == null) return null;
+    z += model.weights[j] * ((value - model.mean[j]) / model.std[j]);
+  }
+  return sigmoid(z);
+}
+
+/**
+ * Probability that a signal on `candle` reaches TP before SL
+ * @returns {number|null} null while the candle lacks a feature
+ */
+function predictProbability(model, candle, type) {
+  const features = extractFeatures(candle, type);
+  return features ? predictFeatures(model, features) : null;
+}
+
+/**
+ * Accuracy, log loss, AUC and base rate of a model on labelled samples
+ */
+function evaluateModel(model, samples) {
+  const scored = samples.map((s) => ({ p: predictFeatures(model, s.features), label: s.label }));
+  const n = scored.length;
+  if (n === 0) return { samples: 0, accuracy: null, logLoss: null, auc: null, baseRate: null };
+
+  const eps = 1e-12;
+  const correct = scored.filter((s) => (s.p >= 0.5 ? 1 : 0) === s.label).length;
+  const logLoss = -scored.reduce(
+    (sum, s) => sum + (s.label ? Math.log(s.p + eps) : Math.log(1 - s.p + eps)),
+    0
+  ) / n;
+
+  // AUC: share of (positive, negative) pairs ranked correctly, ties count half
+  const positives = scored.filter((s) => s.label === 1);
+  const negatives = scored.filter((s) => s.label === 0);
+  let auc = null;
+  if (positives.length > 0 && negatives.length > 0) {
+    let ranked = 0;
+    for (const pos of positives) {
+      for (const neg of negatives) ranked += pos.p > neg.p ? 1 : pos.p === neg.p ? 0.5 : 0;
+    }
+    auc = ranked / (positives.length * negatives.length);
+  }
+
+  return { samples: n, accuracy: correct / n, logLoss, auc, baseRate: positives.length / n };
+}
+
+/**
+ * Train a model: fit on the oldest 80% and validate on the newest 20%,
+ * then refit on all samples for the saved weights
+ * @param {Array} samples - From collectSamples()
+ * @param {Object} options - fitLogistic() options
+ * @returns {Object} Model (without version; ModelStore.save assigns it)
+ */
+function trainModel(samples, options = {}) {
+  const names = Object.keys(MODEL_FEATURES).filter((name) =>
+    samples.every((s) => Number.isFinite(s.features[name]))
+  );
+  const split = Math.floor(samples.length * 0.8);
+  const holdout = fitLogistic(samples.slice(0, split), names, options);
+  const model = fitLogistic(samples, names, options);
+
+  return {
+    type: "logistic",
+    trainedAt: new Date().toISOString(),
+    ...model,
+    samples: samples.length,
+    positives: samples.filter((s) => s.label === 1).length,
+    options,
+    metrics: {
+      training: evaluateModel(model, samples),
+      validation: evaluateModel(holdout, samples.slice(split)),
+    },
+  };
+}
+
+/**
+ * Versioned model files: <dir>/signal-model-v<N>.json
+ */
+class ModelStore {
+  constructor(dir) {
+    this.dir = dir;
+  }
+
+  versions() {
+    if (!fs.existsSync(this.dir)) return [];
+    return fs
+      .readdirSync(this.dir)
+      .map((file) => /^signal-model-v(\d+)\.json$/.exec(file))
+      .filter(Boolean)
+      .map((match) => Number(match[1]))
+      .sort((a, b) => a - b);
+  }
+
+  /**
+   * Save a trained model as the next version
+   * @returns {Object} The model with its version
+   */
+  save(model) {
+    if (!fs.existsSync(this.dir)) fs.mkdirSync(this.dir, { recursive: true });
+    const version = (this.versions().pop() || 0) + 1;
+    const saved = { version, ...model };
+    fs.writeFileSync(path.join(this.dir, `signal-model-v${version}.json`), JSON.stringify(saved, null, 2));
+    return saved;
+  }
+
+  /**
+   * @param {number|string} version - Version number or "latest"
+   * @returns {Object|null} The model, null if there is none
+   */
+  load(version = "latest") {
+    const wanted = version === "latest" ? this.versions().pop() : Number(version);
+    const file = path.join(this.dir, `signal-model-v${wanted}.json`);
+    if (!wanted || !fs.existsSync(file)) return null;
+    return JSON.parse(fs.readFileSync(file, "utf8"));
+  }
+
+  /**
+   * Saved models without their weights, newest first
+   */
+  list() {
+    return this.versions()
+      .reverse()
+      .map((version) => {
+        const { weights, mean, std, ...info } = this.load(version);
+        return info;
+      });
+  }
+}
+
+module.exports = {
+  extractFeatures,
+  collectSamples,
+  trainModel,
+  evaluateModel,
+  predictProbability,
+  ModelStore,
+  MODEL_FEATURES,
+};
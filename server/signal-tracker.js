@@ -0,0 +1,329 @@
+// Module 3e — Signal Tracker
+// Follows every live signal forward against a virtual SL/TP and aggregates
+// signal quality by pair, timeframe, strategy, confidence and reason
+
+const fs = require("fs");
+const path = require("path");
+const { priceToPips } = require("./trade-manager");
+
+const CONFIDENCE_BUCKETS = [
+  { label: "<60%", min: -Infinity, max: 60 },
+  { label: "60-79%", min: 60, max: 80 },
+  { label: "80-100%", min: 80, max: Infinity },
+];
+
+/**
+ * Reason string without the values that change from signal to signal, so
+ * "RSI oversold (28.4)" and "RSI oversold (25.1)" count as one factor.
+ * Parentheses holding numbers and prices are dropped; percentages and
+ * names such as "61.8%" or "D R1" stay.
+ */
+function reasonKey(reason) {
+  return reason
+    .replace(/\s*\([^)]*\d[^)]*\)/g, "")
+    .replace(/\s-?\d+\.\d+(?![\d%])/g, "")
+    .trim();
+}
+
+/**
+ * Win rate, expectancy (average pips per resolved signal) and excursions
+ * of a group of tracked signals
+ */
+function summarize(signals) {
+  const resolved = signals.filter((s) => s.outcome === "WIN" || s.outcome === "LOSS");
+  const wins = resolved.filter((s) => s.outcome === "WIN");
+  const avg = (list, field) => (list.length > 0 ? list.reduce((sum, s) => sum + s[field], 0) / list.length : 0);
+
+  return {
+    signals: signals.length,
+    open: signals.filter((s) => s.outcome === null).length,
+    expired: signals.filter((s) => s.outcome === "EXPIRED").length,
+    wins: wins.length,
+    losses: resolved.length - wins.length,
+    winRate: resolved.length > 0 ? (wins.length / resolved.length) * 100 : 0,
+    expectancy: avg(resolved, "pips"),
+    avgMfe: avg(signals, "mfe"),
+    avgMae: avg(signals, "mae"),
+    avgDurationMin: avg(resolved, "durationMs") / 60000,
+  };
+}
+
+/**
+ * Group signals by one or more keys each and summarize every group
+ * @param {Function} keysOf - signal → Array of group keys
+ * @returns {Array} [{ key, ...summary }] sorted by signal count
+ */
+function groupBy(signals, keysOf) {
+  const groups = new Map();
+  for (const signal of signals) {
+    for (const key of keysOf(signal)) {
+      if (!groups.has(key)) groups.set(key, []);
+      groups.get(key).push(signal);
+    }
+  }
+  return [...groups.entries()]
+    .map(([key, list]) => ({ key, ...summarize(list) }))
+    .sort((a, b) => b.signals - a.signals);
+}
+
+class SignalTracker {
+  /**
+   * @param {string} file - JSON file the tracked signals persist to
+   * @param {Object} options
+   * @param {number} options.maxAgeHours - Unresolved signals expire after this (default 72)
+   * @param {number} options.maxSignals - Signals kept, oldest dropped first (default 2000)
+   */
+  constructor(file, options = {}) {
+    this.file = file;
+    this.maxAgeMs = (options.maxAgeHours || 72) * 3600000;
+    this.maxSignals = options.maxSignals || 2000;
+    this.signals = [];
+    this.nextId = 1;
+    this.dirty = false;
+    this.load();
+  }
+
+  load() {
+    try {
+      if (!fs.existsSync(this.file)) return;
+      this.signals = JSON.parse(fs.readFileSync(this.file, "utf8"));
+      this.nextId = Math.max(0, ...this.signals.map((s) => s.id)) + 1;
+      console.log(`🎯 Loaded ${this.signals.length} tracked signal(s)`);
+    } catch (err) {
+      console.error("❌ Failed to load tracked signals:", err.message);
+    }
+  }
+
+  save() {
+    try {
+      const dir = path.dirname(this.file);
+      if (!fs.existsSync(dir)) fs.mkdirSync(dir, { recursive: true });
+      fs.writeFileSync(this.file, JSON.stringify(this.signals));
+      this.dirty = false;
+    } catch (err) {
+      console.error("❌ Failed to save tracked signals:", err.message);
+    }
+  }
+
+  /**
+   * Start following a signal (needs .pair, .sl and .tp set)
+   * @param {Object} signal - Live signal
+   * @param {string} timeframe - Timeframe it fired on
+   */
+  track(signal, timeframe) {
+    this.signals.push({
+      id: this.nextId++,
+      pair: signal.pair,
+      timeframe,
+      strategyId: signal.strategyId || "confluence",
+      type: signal.type,
+      entry: signal.price,
+      sl: signal.sl,
+      tp: signal.tp,
+      confidence: signal.confidence,
+      reasons: signal.reasons,
+      features: signal.features || null, // Signal model training input
+      time: signal.time,
+      openedAt: Date.now(),
+      mfe: 0,
+      mae: 0,
+      outcome: null, // WIN | LOSS | EXPIRED once resolved
+      pips: null,
+      durationMs: null,
+    });
+    if (this.signals.length > this.maxSignals) {
+      this.signals.splice(0, this.signals.length - this.maxSignals);
+    }
+    this.dirty = true;
+  }
+
+  /**
+   * Advance the open signals of a pair with a new price. Excursions are
+   * measured in pips; the first of SL / TP to be touched resolves the signal.
+   * @returns {Array} Signals resolved by this price
+   */
+  update(pair, price, now = Date.now()) {
+    const resolved = [];
+    for (const s of this.signals) {
+      if (s.outcome !== null || s.pair !== pair) continue;
+
+      const move = priceToPips(pair, s.type === "BUY" ? price - s.entry : s.entry - price);
+      s.mfe = Math.max(s.mfe, move);
+      s.mae = Math.max(s.mae, -move);
+      this.dirty = true;
+
+      const hitTp = s.type === "BUY" ? price >= s.tp : price <= s.tp;
+      const hitSl = s.type === "BUY" ? price <= s.sl : price >= s.sl;
+      if (hitTp || hitSl) {
+        s.outcome = hitTp ? "WIN" : "LOSS";
+        s.pips = priceToPips(pair, Math.abs((hitTp ? s.tp : s.sl) - s.entry)) * (hitTp ? 1 : -1);
+      } else if (now - s.openedAt > this.maxAgeMs) {
+        s.outcome = "EXPIRED";
+        s.pips = move;
+      } else {
+        continue;
+      }
+      s.durationMs = now - s.openedAt;
+      resolved.push(s);
+    }
+    return resolved;
+  }
+
+  /**
+   * Signal-quality statistics
+   * @param {Object} filters - { pair, timeframe, strategyId } (all optional)
+   * @returns {Object} { overall, byPair, byTimeframe, byStrategy, byConfidence,
+   *   byReason, recent } — each group { key, signals, open, expired, wins,
+   *   losses, winRate, expectancy, avgMfe, avgMae, avgDurationMin }
+   */
+  getStats(filters = {}) {
+    const signals = this.signals.filter((s) =>
+      (!filters.pair || s.pair === filters.pair) &&
+      (!filters.timeframe || s.timeframe === filters.timeframe) &&
+      (!filters.strategyId || s.strategyId === filters.strategyId)
+    );
+    const bucket = (s) => CONFIDENCE_BUCKETS.find((b) => s.confidence >= b.min && s.confidence < b.max).label;
+
+    return {
+      overall: summarize(signals),
+      byPair: groupBy(signals, (s) => [s.pair]),
+      byTimeframe: groupBy(signals, (s) => [s.timeframe]),
+      byStrategy: groupBy(signals, (s) => [s.strategyId]),
+      byConfidence: groupBy(signals, (s) => [bucket(s)]),
+      byReason: groupBy(signals, (s) => [...new Set((s.reasons || []).map(reasonKey))]),
+      recent: signals.slice(-20).reverse(),
+    };
+  }
+
+  /**
+   * Telegram report for /signalstats
+   * @param {string} pair - Optional pair filter
+   */
+  getStatsReport(pair) {
+    const stats = this.getStats({ pair });
+    const { overall } = stats;
+    if (overall.signals === 0) {
+      return pair ? `No tracked signals for ${pair} yet.` : "No tracked signals yet.";
+    }
+
+    const line = (g) =>
+      `${g.key}: ${g.winRate.toFixed(0)}% of ${g.wins + g.losses}, ${g.expectancy >= 0 ? "+" : ""}${g.expectancy.toFixed(1)} pips`;
+    const factors = stats.byReason.filter((g) => g.wins + g.losses >= 3);
+    const best = [...factors].sort((a, b) => b.expectancy - a.expectancy).slice(0, 3);
+    const worst = [...factors].sort((a, b) => a.expectancy - b.expectancy).slice(0, 3);
+
+    return [
+      `<b>SIGNAL QUALITY${pair ? ` — ${pair}` : ""}</b>`,
+      ``,
+      `Signals: ${overall.signals} (${overall.open} open, ${overall.expired} expired)`,
+      `Wins: ${overall.wins} | Losses: ${overall.losses}`,
+      `Win Rate: ${overall.winRate.toFixed(1)}%`,
+      `Expectancy: ${overall.expectancy >= 0 ? "+" : ""}${overall.expectancy.toFixed(1)} pips`,
+      `Avg MFE / MAE: ${overall.avgMfe.toFixed(1)} / ${overall.avgMae.toFixed(1)} pips`,
+      ``,
+      `<b>By confidence</b>`,
+      ...stats.byConfidence.map(line),
+      ...(best.length > 0 ? [``, `<b>Best factors</b>`, ...best.map(line)] : []),
+      ...(worst.length > 0 ? [``, `<b>Worst factors</b>`, ...worst.map(line)] : []),
+    ].join("\n");
+  }
+}
+
+/**
+ * Identity of a signal within one pair / timeframe stream
+ */
+function signalKey(signal) {
+  return `${signal.time}:${signal.type}:${signal.strategyId}`;
+}
+
+/**
+ * Measures repainting. Signals seen on the in-progress candle are held until
+ * that candle closes and then compared with the signals of the closed
+ * candle; the ones that are gone were retracted.
+ */
+class RepaintMonitor {
+  constructor(maxRecords = 200) {
+    this.maxRecords = maxRecords;
+    this.pending = new Map(); // stream key -> Map(signalKey -> signal)
+    this.lastClosed = new Map(); // stream key -> time of the last closed candle
+    this.intrabar = 0;
+    this.confirmed = 0;
+    this.retractedCount = 0;
+    this.retracted = [];
+  }
+
+  /**
+   * Mark the last closed candle of the warm-up history as seen, so the
+   * first candle that closes while watching is compared, not just recorded
+   * @param {string} key - Stream key, e.g. "EUR/USD:5min"
+   * @param {Array} data - History candles; the last one may be in progress
+   */
+  seed(key, data) {
+    const candle = data[data.length - 2];
+    if (candle) this.lastClosed.set(key, candle.time);
+  }
+
+  /**
+   * Feed the analysis of one tick. The last candle of `data` is in
+   * progress; the one before it is final once a newer candle has started.
+   * @param {string} key - Stream key, e.g. "EUR/USD:5min"
+   * @param {Array} data - Enriched candles
+   * @param {Array} signals - Signals for `data`
+   * @returns {Object} { closed, retracted } — signals of a candle that closed
+   *   with this tick (empty otherwise) and intrabar signals it retracted
+   */
+  observe(key, data, signals) {
+    const live = data.length - 1;
+    if (!this.pending.has(key)) this.pending.set(key, new Map());
+    const pending = this.pending.get(key);
+    for (const s of signals) {
+      if (s.index === live && !pending.has(signalKey(s))) pending.set(signalKey(s), { ...s, seenAt: Date.now() });
+    }
+
+    const candle = data[live - 1];
+    if (!candle || this.lastClosed.get(key) === candle.time) return { closed: [], retracted: [] };
+    // Without a seed, the first candle seen closed may have closed before
+    // we started watching
+    const first = !this.lastClosed.has(key);
+    this.lastClosed.set(key, candle.time);
+    if (first) return { closed: [], retracted: [] };
+
+    const closed = signals.filter((s) => s.index === live - 1);
+    const closedKeys = new Set(closed.map(signalKey));
+    const retracted = [];
+    for (const [id, s] of pending) {
+      if (s.time > candle.time) continue;
+      pending.delete(id);
+      if (s.time < candle.time) continue; // candle closed while we were not watching
+      this.intrabar++;
+      if (closedKeys.has(id)) {
+        this.confirmed++;
+      } else {
+        retracted.push({ ...s, stream: key, retractedAt: Date.now() });
+      }
+    }
+
+    this.retractedCount += retracted.length;
+    this.retracted.push(...retracted);
+    if (this.retracted.length > this.maxRecords) {
+      this.retracted.splice(0, this.retracted.length - this.maxRecords);
+    }
+    return { closed, retracted };
+  }
+
+  /**
+   * Repaint rate: share of intrabar signals that did not survive the close
+   * @returns {Object} { intrabar, confirmed, retracted, rate, recent }
+   */
+  getStats() {
+    return {
+      intrabar: this.intrabar,
+      confirmed: this.confirmed,
+      retracted: this.retractedCount,
+      rate: this.intrabar > 0 ? (this.retractedCount / this.intrabar) * 100 : 0,
+      recent: this.retracted.slice(-20).reverse(),
+    };
+  }
+}
+
+module.exports = { SignalTracker, RepaintMonitor, reasonKey };
@@ -0,0 +1,180 @@
+// Module 2g — Smart Money Concepts
+// Order blocks, fair value gaps and equal-high/low liquidity sweeps
+
+const { analyzeStructure } = require("./market-structure");
+
+/**
+ * Index of the first candle after `from` that trades into [bottom, top]
+ * from the zone's expected side, or null if none has yet
+ */
+function firstTouch(data, from, zone) {
+  for (let j = from + 1; j < data.length; j++) {
+    if (zone.type === "bullish" ? data[j].low <= zone.top : data[j].high >= zone.bottom) return j;
+  }
+  return null;
+}
+
+/**
+ * Order blocks: the last opposite candle before the leg that broke structure.
+ * A bullish break of a swing high marks the last bearish candle at or before
+ * the lowest low of the leg as a bullish OB (mirrored for bearish breaks).
+ * The block exists from the break candle on and is mitigated on the first
+ * return into its range.
+ */
+function findOrderBlocks(data, events) {
+  const blocks = [];
+
+  for (const event of events) {
+    const bullish = event.direction === "bullish";
+
+    // Extreme of the leg between the broken swing and the break
+    let origin = event.swingIndex;
+    for (let j = event.swingIndex; j <= event.index; j++) {
+      if (bullish ? data[j].low < data[origin].low : data[j].high > data[origin].high) origin = j;
+    }
+
+    let obIndex = null;
+    for (let j = origin; j >= Math.max(0, origin - 10); j--) {
+      const opposite = bullish ? data[j].close < data[j].open : data[j].close > data[j].open;
+      if (opposite) {
+        obIndex = j;
+        break;
+      }
+    }
+    if (obIndex === null) continue;
+
+    const zone = {
+      kind: "orderBlock",
+      type: event.direction,
+      label: bullish ? "Bullish order block" : "Bearish order block",
+      top: data[obIndex].high,
+      bottom: data[obIndex].low,
+      index: obIndex,
+      time: data[obIndex].time,
+      createdIndex: event.index,
+    };
+    zone.mitigatedIndex = firstTouch(data, event.index, zone);
+    blocks.push(zone);
+  }
+  return blocks;
+}
+
+/**
+ * Three-candle fair value gaps: candle i-2 and candle i do not overlap.
+ * Fill tracks how much of the gap later candles have traded back into;
+ * the gap is mitigated once fully filled.
+ */
+function findFairValueGaps(data, minGapAtr) {
+  const gaps = [];
+
+  for (let i = 2; i < data.length; i++) {
+    const first = data[i - 2];
+    const third = data[i];
+    let zone = null;
+    if (third.low > first.high) {
+      zone = { type: "bullish", label: "Bullish FVG", top: third.low, bottom: first.high };
+    } else if (third.high < first.low) {
+      zone = { type: "bearish", label: "Bearish FVG", top: first.low, bottom: third.high };
+    }
+    if (!zone) continue;
+    const size = zone.top - zone.bottom;
+    if (third.atr != null && size < third.atr * minGapAtr) continue;
+
+    // Deepest trade back into the gap after it formed
+    let fill = 0;
+    let mitigatedIndex = null;
+    for (let j = i + 1; j < data.length && mitigatedIndex === null; j++) {
+      const depth = zone.type === "bullish" ? zone.top - data[j].low : data[j].high - zone.bottom;
+      fill = Math.max(fill, Math.min(1, depth / size));
+      if (fill >= 1) mitigatedIndex = j;
+    }
+
+    gaps.push({
+      kind: "fairValueGap",
+      ...zone,
+      index: i - 1,
+      time: data[i - 1].time,
+      createdIndex: i,
+      mitigatedIndex,
+      fill,
+    });
+  }
+  return gaps;
+}
+
+/**
+ * Equal highs / lows: consecutive swing highs (lows) within `tolerance` of
+ * each other mark resting liquidity. The pool is mitigated when price trades
+ * beyond it, and counts as a sweep when that candle closes back inside.
+ * Equal highs are bearish (buy-side liquidity taken), equal lows bullish.
+ */
+function findLiquidityPools(data, swings, tolerance) {
+  const pools = [];
+  const previous = { high: null, low: null };
+
+  for (const swing of swings) {
+    const prev = previous[swing.type];
+    previous[swing.type] = swing;
+    if (!prev || Math.abs(swing.price - prev.price) > swing.price * tolerance) continue;
+
+    const highs = swing.type === "high";
+    const zone = {
+      kind: "liquidity",
+      type: highs ? "bearish" : "bullish",
+      label: highs ? "Equal highs" : "Equal lows",
+      top: Math.max(prev.price, swing.price),
+      bottom: Math.min(prev.price, swing.price),
+      index: prev.index,
+      time: prev.time,
+      createdIndex: swing.confirmedIndex,
+      mitigatedIndex: null,
+      swept: false,
+    };
+
+    for (let j = swing.confirmedIndex + 1; j < data.length; j++) {
+      const c = data[j];
+      if (highs ? c.high > zone.top : c.low < zone.bottom) {
+        zone.mitigatedIndex = j;
+        zone.swept = highs ? c.close < zone.top : c.close > zone.bottom;
+        break;
+      }
+    }
+    pools.push(zone);
+  }
+  return pools;
+}
+
+/**
+ * Detect smart-money zones over a candle series.
+ * Every zone carries the candle it became known on (createdIndex) and the
+ * candle that mitigated it (mitigatedIndex, null while fresh), so callers
+ * can replay the zone state at any earlier candle.
+ * @param {Array} data - Enriched candle data
+ * @param {Object} options
+ * @param {Object} options.structure - analyzeStructure() output for `data`
+ *   (computed when omitted)
+ * @param {number} options.minGapAtr - Smallest FVG as an ATR multiple (default 0.1)
+ * @param {number} options.equalTolerance - Max distance between equal
+ *   highs/lows as a fraction of price (default 0.0005)
+ * @returns {Object} { zones } — { kind, type, label, top, bottom, index, time,
+ *   createdIndex, mitigatedIndex, status, fill?, swept? }
+ */
+function analyzeSmartMoney(data, options = {}) {
+  const {
+    structure = analyzeStructure(data),
+    minGapAtr = 0.1,
+    equalTolerance = 0.0005,
+  } = options;
+
+  const zones = [
+    ...findOrderBlocks(data, structure.events),
+    ...findFairValueGaps(data, minGapAtr),
+    ...findLiquidityPools(data, structure.swings, equalTolerance),
+  ]
+    .map((zone) => ({ ...zone, status: zone.mitigatedIndex === null ? "fresh" : "mitigated" }))
+    .sort((a, b) => a.createdIndex - b.createdIndex);
+
+  return { zones };
+}
+
+module.exports = { analyzeSmartMoney, findOrderBlocks, findFairValueGaps, findLiquidityPools };
@@ -0,0 +1,245 @@
+// Module 3b — Strategy Plugins
+// Registry of signal strategies that can run side by side
+//
+// A strategy is a plain object:
+//   id          — unique key, stored on every signal as `strategyId`
+//   name        — display name for the UI and Telegram
+//   description — one line shown in the UI
+//   params      — default parameters (overridable per run)
+//   indicators  — enriched candle fields the strategy reads
+//   evaluate(data, context) — returns signal objects
+//     { index, time, timestamp, type, price, confidence, reasons, score, ... }
+//
+// `context` holds everything the analysis pipeline produced for `data`:
+// { pair, srLevels, divergences, fibonacci, structure, smartMoney, regimes,
+//   alignment, options, params }
+//
+// Besides the built-ins below, rule sets written in the rule DSL
+// (rule-dsl.js) are registered at runtime under "rules:<id>".
+//
+// Every strategy's signals then pass the same gates (gateSignals): market
+// structure, higher-timeframe confirmation and the signal model.
+
+const { generateSignals } = require("./signal-engine");
+const { checkAlignment } = require("./multi-timeframe");
+const { predictProbability } = require("./signal-model");
+
+// The original confluence system: S/R, RSI, MACD and the optional inputs
+const confluence = {
+  id: "confluence",
+  name: "Confluence",
+  description: "Weighted S/R, RSI, MACD, divergence, pattern and Fibonacci score",
+  params: {},
+  indicators: ["rsi", "macd", "macdSignal", "histogram"],
+  evaluate(data, context) {
+    return generateSignals(data, context.srLevels, context.pair, {
+      ...context.options,
+      divergences: context.divergences,
+      fibonacci: context.fibonacci,
+      smartMoney: context.smartMoney,
+      regimes: context.regimes,
+    });
+  },
+};
+
+/**
+ * Signal object in the shape generateSignals() produces
+ */
+function makeSignal(candle, i, type, confidence, reasons) {
+  return {
+    index: i,
+    time: candle.time,
+    timestamp: candle.timestamp,
+    type,
+    price: candle.close,
+    confidence,
+    reasons,
+    rsi: candle.rsi,
+    macd: candle.macd,
+    macdSignal: candle.macdSignal,
+    patterns: [],
+    score: type === "BUY" ? confidence / 20 : -confidence / 20,
+  };
+}
+
+// Trend following: fast/slow SMA crossover while ADX shows a trend
+const maCrossover = {
+  id: "maCrossover",
+  name: "MA Crossover",
+  description: "Fast/slow SMA crossover confirmed by ADX trend strength",
+  params: { minAdx: 20 },
+  indicators: ["smaFast", "smaSlow", "adx"],
+  evaluate(data, { params }) {
+    const signals = [];
+    for (let i = 1; i < data.length; i++) {
+      const c = data[i];
+      const p = data[i - 1];
+      if ([c.smaFast, c.smaSlow, p.smaFast, p.smaSlow, c.adx].some((v) => v == null)) continue;
+      if (c.adx < params.minAdx) continue;
+
+      let type = null;
+      if (p.smaFast <= p.smaSlow && c.smaFast > c.smaSlow) type = "BUY";
+      else if (p.smaFast >= p.smaSlow && c.smaFast < c.smaSlow) type = "SELL";
+      if (!type) continue;
+
+      signals.push(makeSignal(c, i, type, Math.min(100, 40 + c.adx), [
+        `Fast SMA crossed ${type === "BUY" ? "above" : "below"} slow SMA`,
+        `ADX ${c.adx.toFixed(1)} (trend)`,
+      ]));
+    }
+    return signals;
+  },
+};
+
+// Mean reversion: close back inside a Bollinger Band with RSI stretched
+const bbReversion = {
+  id: "bbReversion",
+  name: "Bollinger Reversion",
+  description: "Re-entry into the Bollinger Bands with RSI oversold / overbought",
+  params: { rsiOversold: 35, rsiOverbought: 65 },
+  indicators: ["bbUpper", "bbLower", "rsi"],
+  evaluate(data, { params }) {
+    const signals = [];
+    for (let i = 1; i < data.length; i++) {
+      const c = data[i];
+      const p = data[i - 1];
+      if ([c.bbLower, c.bbUpper, p.bbLower, p.bbUpper, c.rsi].some((v) => v == null)) continue;
+
+      if (p.close < p.bbLower && c.close > c.bbLower && c.rsi < params.rsiOversold) {
+        signals.push(makeSignal(c, i, "BUY", 60, [
+          "Close back above lower Bollinger Band",
+          `RSI oversold (${c.rsi.toFixed(1)})`,
+        ]));
+      } else if (p.close > p.bbUpper && c.close < c.bbUpper && c.rsi > params.rsiOverbought) {
+        signals.push(makeSignal(c, i, "SELL", 60, [
+          "Close back below upper Bollinger Band",
+          `RSI overbought (${c.rsi.toFixed(1)})`,
+        ]));
+      }
+    }
+    return signals;
+  },
+};
+
+const STRATEGIES = { confluence, maCrossover, bbReversion };
+
+/**
+ * Add or replace a runtime strategy (e.g. a compiled rule set)
+ */
+function registerStrategy(strategy) {
+  STRATEGIES[strategy.id] = strategy;
+}
+
+/**
+ * Remove a runtime strategy; built-in strategies cannot be removed
+ */
+function unregisterStrategy(id) {
+  if ([confluence, maCrossover, bbReversion].some((s) => s.id === id)) return;
+  delete STRATEGIES[id];
+}
+
+/**
+ * Run the enabled strategies over the same data
+ * @param {Array} data - Enriched candle data
+ * @param {Object} context - Analysis results (see contract above)
+ * @param {Array<string>} enabled - Strategy ids to run
+ * @param {Object} paramOverrides - { [strategyId]: { param: value } }
+ * @returns {Array} Signals of all strategies in candle order, each tagged
+ *   with `strategyId` and `strategy` (display name)
+ */
+function runStrategies(data, context, enabled, paramOverrides = {}) {
+  const signals = [];
+  const last = data[data.length - 1];
+
+  for (const id of enabled) {
+    const strategy = STRATEGIES[id];
+    if (!strategy) continue;
+    const missing = last ? strategy.indicators.filter((field) => !(field in last)) : [];
+    if (missing.length > 0) {
+      console.warn(`Strategy ${id} skipped: missing indicators ${missing.join(", ")}`);
+      continue;
+    }
+
+    const params = { ...strategy.params, ...paramOverrides[id] };
+    for (const signal of strategy.evaluate(data, { ...context, params })) {
+      signals.push({ ...signal, strategyId: id, strategy: strategy.name });
+    }
+  }
+
+  return signals.sort((a, b) => a.index - b.index);
+}
+
+/**
+ * Gates shared by all strategies, run on the output of runStrategies():
+ *   1. Market structure — noted in the reasons; with options.requireStructure
+ *      signals against the structural bias are dropped
+ *   2. Higher-timeframe confirmation — dropped unless options.minAligned
+ *      higher timeframes agree (default "all" available)
+ *   3. Signal model — probability of TP before SL; options.model.mode "gate"
+ *      drops signals below minProbability, "confidence" replaces the confidence
+ * @param {Array} signals - Signals of any strategies
+ * @param {Array} data - Enriched candles the signals index into
+ * @param {Object} context - { structure, alignment, options } (see contract above)
+ * @returns {Array} Passing signals with structure, timeframes and probability set
+ */
+function gateSignals(signals, data, context) {
+  const options = context.options || {};
+  const structureBias = context.structure ? context.structure.bias : [];
+  const alignment = context.alignment || [];
+  // { model, mode: "gate" | "confidence", minProbability } — see signal-model.js
+  const model = options.model || null;
+  const passed = [];
+
+  for (const signal of signals) {
+    const i = signal.index;
+    const reasons = [...signal.reasons];
+
+    const structure = structureBias[i] || "neutral";
+    if (structure !== "neutral") {
+      const agrees = (signal.type === "BUY") === (structure === "bullish");
+      if (agrees) reasons.push(`Market structure ${structure}`);
+      else if (options.requireStructure) continue;
+      else reasons.push(`Against ${structure} market structure`);
+    }
+
+    let timeframes = [];
+    if (alignment[i] && alignment[i].length > 0) {
+      const mtf = checkAlignment(alignment[i], signal.type, options.minAligned);
+      if (!mtf.passed) continue;
+      timeframes = mtf.timeframes;
+      const agreeing = timeframes.filter((f) => f.aligned).map((f) => f.timeframe);
+      if (agreeing.length > 0) reasons.push(`Confirmed on ${agreeing.join(" / ")}`);
+    }
+
+    let probability = null;
+    let confidence = signal.confidence;
+    if (model) {
+      probability = predictProbability(model.model, data[i], signal.type);
+      if (probability !== null) {
+        if (model.mode === "gate" && probability < model.minProbability) continue;
+        reasons.push(`Model: ${(probability * 100).toFixed(0)}% TP before SL (v${model.model.version})`);
+        if (model.mode === "confidence") confidence = probability * 100;
+      }
+    }
+
+    passed.push({ ...signal, confidence, probability, reasons, structure, timeframes });
+  }
+  return passed;
+}
+
+/**
+ * Strategy metadata for the API (without the evaluate function)
+ * @param {Array<string>} enabled - Currently enabled strategy ids
+ */
+function describeStrategies(enabled = []) {
+  return Object.values(STRATEGIES).map(({ id, name, description, params, indicators }) => ({
+    id,
+    name,
+    description,
+    params,
+    indicators,
+    enabled: enabled.includes(id),
+  }));
+}
+
+module.exports = { runStrategies, gateSignals, describeStrategies, registerStrategy, unregisterStrategy, makeSignal, STRATEGIES };
@@ -2,22 +2,54 @@
 // Processes incoming commands from Telegram (/status, /signals, etc.)
 
 const { isMarketOpen, getMarketStatus, getMarketStatusReport } = require("./market-hours");
+const { pipsToPrice, PAIRS } = require("./trade-manager");
 
 const SUPPORTED_PAIRS = [
   "EUR/USD", "GBP/USD", "USD/JPY", "XAU/USD", "USD/CAD", "AUD/USD",
 ];
 
+// Pending order commands → order type (see ORDER_TYPES in trade-manager.js)
+const ORDER_COMMANDS = {
+  "/buylimit": "BUY_LIMIT",
+  "/selllimit": "SELL_LIMIT",
+  "/buystop": "BUY_STOP",
+  "/sellstop": "SELL_STOP",
+  "/buystoplimit": "BUY_STOP_LIMIT",
+  "/sellstoplimit": "SELL_STOP_LIMIT",
+};
+const EXPIRY_UNITS = { m: 60000, h: 3600000, d: 86400000 };
+
+/**
+ * Bracket take-profit legs from "50@1 50@2" style arguments
+ * @returns {Array|null} [{ percent, r }], null if an argument is malformed
+ */
+function parseLegs(args) {
+  const legs = args.map((arg) => /^(\d+(?:\.\d+)?)%?@(\d+(?:\.\d+)?)R?$/i.exec(arg));
+  if (legs.length === 0 || legs.some((match) => !match)) return null;
+  return legs.map((match) => ({ percent: parseFloat(match[1]), r: parseFloat(match[2]) }));
+}
+
+/**
+ * Pair argument to "EUR/USD" form — accepts eur/usd, EURUSD or eurusd
+ */
+function parsePair(arg) {
+  const upper = arg.toUpperCase();
+  return !upper.includes("/") && upper.length === 6 ? `${upper.slice(0, 3)}/${upper.slice(3)}` : upper;
+}
+
 class TelegramCommandHandler {
-  constructor(bot, tradeManager, signalHistory) {
+  constructor(bot, tradeManager, signalHistory, signalTracker = null) {
     this.bot = bot;
     this.tradeManager = tradeManager;
     this.signalHistory = signalHistory || [];
+    this.signalTracker = signalTracker;
     this.pollingInterval = null;
     this.lastUpdateId = 0;
     this.pairPrices = new Map();
     this.alertsEnabled = true;
     this.activePair = "EUR/USD";
     this.onPairChange = null; // callback set by server
+    this.onStateChange = null; // callback set by server — positions or orders changed
   }
 
   startPolling(intervalMs = 2000) {
@@ -104,6 +136,20 @@ class TelegramCommandHandler {
         await this.bot.sendMessage(this.getRecentSignalsReport());
         break;
 
+      case "/signalstats": {
+        if (!this.signalTracker) {
+          await this.bot.sendMessage("Signal tracking is not available.");
+          break;
+        }
+        const pair = args[0] ? parsePair(args[0]) : null;
+        if (pair && !SUPPORTED_PAIRS.includes(pair)) {
+          await this.bot.sendMessage(`Invalid pair: ${pair}\nSupported: ${SUPPORTED_PAIRS.join(", ")}`);
+          break;
+        }
+        await this.bot.sendMessage(this.signalTracker.getStatsReport(pair));
+        break;
+      }
+
       case "/positions":
         await this.bot.sendMessage(
           this.tradeManager.getOpenPositionsReport()
@@ -150,12 +196,7 @@ class TelegramCommandHandler {
           );
         } else {
           const requested = args[0].toUpperCase();
-          // Allow both "EURUSD" and "EUR/USD" formats
-          const normalized = requested.includes("/")
-            ? requested
-            : requested.length === 6
-              ? `${requested.slice(0, 3)}/${requested.slice(3)}`
-              : requested;
+          const normalized = parsePair(requested);
 
           if (SUPPORTED_PAIRS.includes(normalized)) {
             this.activePair = normalized;
@@ -196,11 +237,7 @@ class TelegramCommandHandler {
           return;
         }
 
-        const pair = args[0].toUpperCase().includes("/")
-          ? args[0].toUpperCase()
-          : args[0].length === 6
-            ? `${args[0].slice(0, 3)}/${args[0].slice(3)}`.toUpperCase()
-            : args[0].toUpperCase();
+        const pair = parsePair(args[0]);
 
         const lotSize = parseFloat(args[1]);
 
@@ -227,9 +264,7 @@ class TelegramCommandHandler {
         }
 
         // Get current price (from pairPrices map or fallback to PAIRS config)
-        const currentPrice =
-          this.pairPrices.get(pair)?.price ||
-          require("./trade-manager").PAIRS?.[pair]?.price;
+        const currentPrice = this.pairPrices.get(pair)?.price || PAIRS[pair]?.price;
 
         if (!currentPrice) {
           await this.bot.sendMessage(
@@ -243,6 +278,7 @@ class TelegramCommandHandler {
           lotSize,
         });
         this.tradeManager.lastPrices.set(pair, currentPrice);
+        if (this.onStateChange) this.onStateChange();
 
         const digits = position.digits || 4;
         await this.bot.sendMessage(
@@ -272,11 +308,7 @@ class TelegramCommandHandler {
           return;
         }
 
-        const pair = args[0].toUpperCase().includes("/")
-          ? args[0].toUpperCase()
-          : args[0].length === 6
-            ? `${args[0].slice(0, 3)}/${args[0].slice(3)}`.toUpperCase()
-            : args[0].toUpperCase();
+        const pair = parsePair(args[0]);
 
         const lotSize = parseFloat(args[1]);
 
@@ -303,9 +335,7 @@ class TelegramCommandHandler {
         }
 
         // Get current price
-        const currentPrice =
-          this.pairPrices.get(pair)?.price ||
-          require("./trade-manager").PAIRS?.[pair]?.price;
+        const currentPrice = this.pairPrices.get(pair)?.price || PAIRS[pair]?.price;
 
         if (!currentPrice) {
           await this.bot.sendMessage(
@@ -319,6 +349,7 @@ class TelegramCommandHandler {
           lotSize,
         });
         this.tradeManager.lastPrices.set(pair, currentPrice);
+        if (this.onStateChange) this.onStateChange();
 
         const digits = position.digits || 4;
         await this.bot.sendMessage(
@@ -367,6 +398,7 @@ class TelegramCommandHandler {
         const closed = this.tradeManager.closePosition(positionId, currentPrice);
 
         if (closed) {
+          if (this.onStateChange) this.onStateChange();
           const digits = closed.digits || 4;
           const pnlEmoji = closed.pnl >= 0 ? "\u2705" : "\u274C";
 
@@ -404,11 +436,7 @@ class TelegramCommandHandler {
           return;
         }
 
-        const pair = args[0].toUpperCase().includes("/")
-          ? args[0].toUpperCase()
-          : args[0].length === 6
-            ? `${args[0].slice(0, 3)}/${args[0].slice(3)}`.toUpperCase()
-            : args[0].toUpperCase();
+        const pair = parsePair(args[0]);
 
         const matchingPositions = this.tradeManager.openPositions.filter(
           (p) => p.pair === pair
@@ -433,6 +461,7 @@ class TelegramCommandHandler {
           if (closedTrade) {
             totalPnl += closedTrade.pnl;
             closed++;
+            if (this.onStateChange) this.onStateChange();
 
             // Send individual trade update
             const eventType =
@@ -468,11 +497,7 @@ class TelegramCommandHandler {
           return;
         }
 
-        const pair = args[1].toUpperCase().includes("/")
-          ? args[1].toUpperCase()
-          : args[1].length === 6
-            ? `${args[1].slice(0, 3)}/${args[1].slice(3)}`.toUpperCase()
-            : args[1].toUpperCase();
+        const pair = parsePair(args[1]);
 
         const matchingPositions = this.tradeManager.openPositions.filter(
           (p) => p.pair === pair && p.type === type
@@ -499,6 +524,7 @@ class TelegramCommandHandler {
           if (closedTrade) {
             totalPnl += closedTrade.pnl;
             closed++;
+            if (this.onStateChange) this.onStateChange();
 
             // Send individual trade update
             const eventType =
@@ -520,6 +546,165 @@ class TelegramCommandHandler {
         break;
       }
 
+      case "/modify": {
+        const positionId = parseInt(args[0]);
+        const position = this.tradeManager.openPositions.find((p) => p.id === positionId);
+        const changes = {};
+        let malformed = args.length < 2;
+        for (const arg of args.slice(1)) {
+          const match = /^(sl|tp)=(\d+(?:\.\d+)?|be)$/i.exec(arg);
+          if (!match || (match[1].toLowerCase() === "tp" && match[2].toLowerCase() === "be")) {
+            malformed = true;
+            break;
+          }
+          changes[match[1].toLowerCase()] = match[2].toLowerCase() === "be" ? position?.entry : parseFloat(match[2]);
+        }
+        if (malformed) {
+          await this.bot.sendMessage(
+            "Usage: /modify [POSITION_ID] sl=[PRICE|be] tp=[PRICE]\nExample: /modify 12 sl=1.1780 tp=1.1900\n\nsl=be moves the stop loss to the entry price."
+          );
+          return;
+        }
+
+        await this.modifyPosition(positionId, changes, "telegram");
+        break;
+      }
+
+      case "/partial": {
+        if (args.length < 2) {
+          await this.bot.sendMessage(
+            "Usage: /partial [POSITION_ID] [LOTS or PERCENT%]\nExample: /partial 12 50%\n\nUse /list to see all position IDs."
+          );
+          return;
+        }
+
+        const positionId = parseInt(args[0]);
+        const position = this.tradeManager.openPositions.find((p) => p.id === positionId);
+        if (!position) {
+          await this.bot.sendMessage(
+            `\u274C Position #${positionId} not found.\n\nUse /list to see open positions.`
+          );
+          return;
+        }
+
+        const lots = args[1].endsWith("%")
+          ? Math.round(position.lotSize * parseFloat(args[1])) / 100
+          : parseFloat(args[1]);
+        const error = this.tradeManager.validatePartialClose(positionId, lots);
+        if (error) {
+          await this.bot.sendMessage(`\u274C ${error}`);
+          return;
+        }
+
+        const currentPrice =
+          this.pairPrices.get(position.pair)?.price || position.currentPrice;
+        const closed = this.tradeManager.closePartial(positionId, currentPrice, lots);
+        if (this.onStateChange) this.onStateChange();
+        await this.bot.sendTradeUpdate(closed, "partial_close");
+        await this.bot.sendMessage(
+          `Position #${positionId}: ${position.lotSize} lots still open, realized $${position.realizedPnl.toFixed(2)}`
+        );
+        break;
+      }
+
+      case "/scalein": {
+        if (args.length < 2) {
+          await this.bot.sendMessage(
+            "Usage: /scalein [POSITION_ID] [LOTS]\nExample: /scalein 12 0.05\n\nUse /list to see all position IDs."
+          );
+          return;
+        }
+
+        const positionId = parseInt(args[0]);
+        const lots = parseFloat(args[1]);
+        const error = this.tradeManager.validateScaleIn(positionId, lots);
+        if (error) {
+          await this.bot.sendMessage(`\u274C ${error}`);
+          return;
+        }
+
+        const position = this.tradeManager.openPositions.find((p) => p.id === positionId);
+        const currentPrice =
+          this.pairPrices.get(position.pair)?.price || position.currentPrice;
+        const scaled = this.tradeManager.scaleIn(positionId, currentPrice, lots);
+        if (this.onStateChange) this.onStateChange();
+        await this.bot.sendTradeUpdate(scaled, "scaled_in");
+        break;
+      }
+
+      case "/tplevels": {
+        if (args.length < 1) {
+          await this.bot.sendMessage(
+            "Usage: /tplevels [POSITION_ID] [PRICE@PERCENT ...]\nExample: /tplevels 12 1.1900@50 1.1950@25\n\nUp to three levels; no levels clears them."
+          );
+          return;
+        }
+
+        const positionId = parseInt(args[0]);
+        const levels = args.slice(1).map((arg) => {
+          const [price, percent] = arg.replace("%", "").split("@");
+          return { price: parseFloat(price), percent: parseFloat(percent) };
+        });
+        const error = this.tradeManager.validateTpLevels(positionId, levels);
+        if (error) {
+          await this.bot.sendMessage(`\u274C ${error}`);
+          return;
+        }
+
+        const position = this.tradeManager.setTpLevels(positionId, levels);
+        if (this.onStateChange) this.onStateChange();
+        await this.bot.sendMessage(
+          position.tpLevels.length > 0
+            ? `\u{1F3AF} Position #${positionId} take-profit levels:\n` +
+                position.tpLevels
+                  .map((l, i) => `TP${i + 1}: ${l.price.toFixed(position.digits)} — close ${l.percent}%`)
+                  .join("\n")
+            : `Position #${positionId} take-profit levels cleared`
+        );
+        break;
+      }
+
+      case "/buylimit":
+      case "/selllimit":
+      case "/buystop":
+      case "/sellstop":
+      case "/buystoplimit":
+      case "/sellstoplimit":
+        await this.placePendingOrder(cmd, args);
+        break;
+
+      case "/oco":
+        await this.placeOcoOrders(args);
+        break;
+
+      case "/bracket":
+        await this.openBracketTrade(args);
+        break;
+
+      case "/orders":
+        await this.bot.sendMessage(this.tradeManager.getPendingOrdersReport());
+        break;
+
+      case "/cancel": {
+        if (args.length < 1) {
+          await this.bot.sendMessage(
+            "Usage: /cancel [ORDER_ID]\n\nUse /orders to see pending order IDs."
+          );
+          return;
+        }
+
+        const order = this.tradeManager.cancelOrder(parseInt(args[0]));
+        if (!order) {
+          await this.bot.sendMessage(
+            `\u274C Pending order #${args[0]} not found.\n\nUse /orders to see pending orders.`
+          );
+          return;
+        }
+        if (this.onStateChange) this.onStateChange();
+        await this.bot.sendOrderUpdate(order, "cancelled");
+        break;
+      }
+
       case "/list": {
         if (this.tradeManager.openPositions.length === 0) {
           await this.bot.sendMessage("No open positions.");
@@ -531,7 +716,7 @@ class TelegramCommandHandler {
           (a, b) => b.pnl - a.pnl
         );
 
-        const lines = sorted.map((p) => {
+        const line = (p) => {
           const idShort = String(p.id).slice(-6);
           const digits = p.digits || 4;
           const pnlStr =
@@ -543,12 +728,33 @@ class TelegramCommandHandler {
 
           return [
             `<b>ID:</b> <code>${idShort}</code>`,
-            `${p.type} ${p.pair}`,
+            `${p.type} ${p.pair} ${p.lotSize}`,
+            ...(p.leg ? [`Leg ${p.leg}/${p.legCount} TP ${p.riskMultiple}R`] : []),
             `Entry: ${p.entry.toFixed(digits)} \u2192 ${p.currentPrice.toFixed(digits)}`,
             `P&L: ${pnlStr} (${pnlPctStr})`,
             `Duration: ${duration}m`,
           ].join(" | ");
-        });
+        };
+
+        // Legs of a group are listed together under the group header, at
+        // the place of the group's best leg
+        const lines = [];
+        const listed = new Set();
+        for (const p of sorted) {
+          if (!p.groupId) {
+            lines.push(line(p));
+          } else if (!listed.has(p.groupId)) {
+            listed.add(p.groupId);
+            const legs = sorted
+              .filter((q) => q.groupId === p.groupId)
+              .sort((a, b) => (a.leg || 0) - (b.leg || 0));
+            const groupPnl = legs.reduce((sum, q) => sum + q.pnl, 0);
+            lines.push(
+              `<b>${p.groupType === "BRACKET" ? "Bracket" : "OCO"} #${p.groupId}</b> (${legs.length} leg${legs.length > 1 ? "s" : ""}, ${groupPnl >= 0 ? "+" : "-"}$${Math.abs(groupPnl).toFixed(2)})`,
+              ...legs.map((q) => `  \u2514 ${line(q)}`)
+            );
+          }
+        }
 
         await this.bot.sendMessage(
           [
@@ -570,11 +776,7 @@ class TelegramCommandHandler {
           return;
         }
 
-        const pair = args[0].toUpperCase().includes("/")
-          ? args[0].toUpperCase()
-          : args[0].length === 6
-            ? `${args[0].slice(0, 3)}/${args[0].slice(3)}`.toUpperCase()
-            : args[0].toUpperCase();
+        const pair = parsePair(args[0]);
 
         if (!SUPPORTED_PAIRS.includes(pair)) {
           await this.bot.sendMessage(
@@ -584,7 +786,7 @@ class TelegramCommandHandler {
         }
 
         const priceData = this.pairPrices.get(pair);
-        const fallbackPrice = require("./trade-manager").PAIRS?.[pair]?.price;
+        const fallbackPrice = PAIRS[pair]?.price;
 
         if (!priceData && !fallbackPrice) {
           await this.bot.sendMessage(
@@ -627,6 +829,7 @@ class TelegramCommandHandler {
             "",
             "<b>Trading & Signals</b>",
             "/signals \u2014 Last 5 trade signals",
+            "/signalstats [PAIR] \u2014 Signal win rate & best factors",
             "/positions \u2014 Open positions & live P&L",
             "/performance \u2014 Win rate & metrics",
             "/daily \u2014 Today's performance summary",
@@ -638,6 +841,18 @@ class TelegramCommandHandler {
             "/closeall [PAIR] \u2014 Close all positions for pair",
             "/closetype [BUY|SELL] [PAIR] \u2014 Close by type",
             "/list \u2014 List all open positions with IDs",
+            "/modify [ID] sl=[PRICE|be] tp=[PRICE] \u2014 Move SL / TP",
+            "/partial [ID] [LOTS|PCT%] \u2014 Close part of a position",
+            "/scalein [ID] [LOTS] \u2014 Add to a position (average entry)",
+            "/tplevels [ID] [PRICE@PCT ...] \u2014 Up to 3 partial take profits",
+            "/buylimit [PAIR] [PRICE] [LOT] [EXPIRY] \u2014 Pending BUY below market",
+            "/selllimit [PAIR] [PRICE] [LOT] [EXPIRY] \u2014 Pending SELL above market",
+            "/buystop, /sellstop \u2014 Same, breakout entries",
+            "/buystoplimit [PAIR] [STOP] [LIMIT] [LOT] [EXPIRY] \u2014 Stop-limit (also /sellstoplimit)",
+            "/oco [PAIR] [BUY STOP] [SELL STOP] [LOT] [EXPIRY] \u2014 Breakout both ways, one cancels the other",
+            "/bracket [BUY|SELL] [PAIR] [LOT] [50@1 50@2] \u2014 Split TP legs at 1R, 2R, ...",
+            "/orders \u2014 Pending orders",
+            "/cancel [ID] \u2014 Cancel pending order",
             "/price [PAIR] \u2014 Get current market price",
             "",
             "<b>Settings</b>",
@@ -661,15 +876,60 @@ class TelegramCommandHandler {
     }
   }
 
+  /**
+   * Validate and apply an SL / TP change, reporting the result
+   * @returns {string|null} Error message
+   */
+  async modifyPosition(positionId, changes, source) {
+    const error = this.tradeManager.validateModify(positionId, changes);
+    if (error) {
+      await this.bot.sendMessage(`\u274C ${error}`);
+      return error;
+    }
+    const position = this.tradeManager.modifyPosition(positionId, changes, source);
+    if (this.onStateChange) this.onStateChange();
+    await this.bot.sendTradeUpdate(position, "modified");
+    return null;
+  }
+
+  /**
+   * Handle the SL / TP buttons of trade-opened messages
+   * Format: modify_{be|tp50}_{positionId}
+   */
+  async handleModifyCallback(callbackQueryId, action, positionId) {
+    const position = this.tradeManager.openPositions.find((p) => p.id === positionId);
+    if (!position) {
+      await this.bot.answerCallbackQuery(callbackQueryId, `Position #${positionId} is no longer open`, true);
+      return;
+    }
+    const changes = action === "be"
+      ? { sl: position.entry }
+      : { tp: position.tp + (position.type === "BUY" ? 1 : -1) * pipsToPrice(position.pair, 50) };
+    const error = this.tradeManager.validateModify(positionId, changes);
+    if (error) {
+      await this.bot.answerCallbackQuery(callbackQueryId, error, true);
+      return;
+    }
+    const updated = this.tradeManager.modifyPosition(positionId, changes, "telegram button");
+    if (this.onStateChange) this.onStateChange();
+    await this.bot.answerCallbackQuery(callbackQueryId, action === "be" ? "SL moved to break-even" : "TP moved 50 pips");
+    await this.bot.sendTradeUpdate(updated, "modified");
+  }
+
   /**
    * Handle inline button callback queries
    * Format: signal_{type}_{pair}_{price}
    * Example: signal_buy_EURUSD_1.1820
+   * Position buttons use modify_{action}_{positionId}
    */
   async handleCallbackQuery(callbackQueryId, callbackData) {
     try {
       // Parse callback data
       const parts = callbackData.split("_");
+      if (parts[0] === "modify" && parts.length === 3 && (parts[1] === "be" || parts[1] === "tp50")) {
+        await this.handleModifyCallback(callbackQueryId, parts[1], parseInt(parts[2]));
+        return;
+      }
       if (parts[0] !== "signal" || parts.length !== 4) {
         await this.bot.answerCallbackQuery(callbackQueryId, "Invalid action", true);
         return;
@@ -710,6 +970,7 @@ class TelegramCommandHandler {
         lotSize: 0.1,
       });
       this.tradeManager.lastPrices.set(pair, price);
+      if (this.onStateChange) this.onStateChange();
 
       // Send confirmation
       const digits = position.digits || 4;
@@ -784,6 +1045,160 @@ class TelegramCommandHandler {
     });
   }
 
+  /**
+   * /buylimit EURUSD 1.1800 0.1 [4h] — and the other ORDER_COMMANDS.
+   * Stop-limits take the stop and the limit price. Expiry: 30m, 4h, 2d.
+   */
+  async placePendingOrder(cmd, args) {
+    const orderType = ORDER_COMMANDS[cmd];
+    const stopLimit = orderType.endsWith("STOP_LIMIT");
+    const needed = stopLimit ? 4 : 3;
+    if (args.length < needed) {
+      await this.bot.sendMessage(
+        stopLimit
+          ? `Usage: ${cmd} [PAIR] [STOP] [LIMIT] [LOTSIZE] [EXPIRY]\nExample: ${cmd} EURUSD 1.1850 1.1840 0.1 4h`
+          : `Usage: ${cmd} [PAIR] [PRICE] [LOTSIZE] [EXPIRY]\nExample: ${cmd} EURUSD 1.1800 0.1 4h`
+      );
+      return;
+    }
+
+    const pair = parsePair(args[0]);
+    const price = parseFloat(args[1]);
+    const limitPrice = stopLimit ? parseFloat(args[2]) : undefined;
+    const lotSize = parseFloat(args[needed - 1]);
+
+    const validation = this.validateTradeParams(pair, lotSize, this.tradeManager.balance);
+    if (!validation.valid) {
+      await this.bot.sendMessage(`\u274C ${validation.error}`);
+      return;
+    }
+
+    let expiresAt = null;
+    if (args[needed]) {
+      const match = /^(\d+)([mhd])$/i.exec(args[needed]);
+      if (!match) {
+        await this.bot.sendMessage("\u274C Expiry must look like 30m, 4h or 2d");
+        return;
+      }
+      expiresAt = Date.now() + parseInt(match[1]) * EXPIRY_UNITS[match[2].toLowerCase()];
+    }
+
+    const orderConfig = { lotSize, limitPrice, expiresAt };
+    const error = this.tradeManager.validateOrder(orderType, pair, price, orderConfig);
+    if (error) {
+      await this.bot.sendMessage(`\u274C ${error}`);
+      return;
+    }
+
+    const order = this.tradeManager.placeOrder(orderType, pair, price, orderConfig);
+    if (this.onStateChange) this.onStateChange();
+    await this.bot.sendOrderUpdate(order, "placed");
+  }
+
+  /**
+   * /oco PAIR BUYSTOP SELLSTOP LOT [EXPIRY] — breakout entries on both
+   * sides of the range; the one that fills cancels the other
+   */
+  async placeOcoOrders(args) {
+    if (args.length < 4) {
+      await this.bot.sendMessage(
+        "Usage: /oco [PAIR] [BUY STOP] [SELL STOP] [LOTSIZE] [EXPIRY]\nExample: /oco EURUSD 1.1850 1.1750 0.1 4h"
+      );
+      return;
+    }
+
+    const pair = parsePair(args[0]);
+    const buyPrice = parseFloat(args[1]);
+    const sellPrice = parseFloat(args[2]);
+    const lotSize = parseFloat(args[3]);
+
+    const validation = this.validateTradeParams(pair, lotSize, this.tradeManager.balance);
+    if (!validation.valid) {
+      await this.bot.sendMessage(`\u274C ${validation.error}`);
+      return;
+    }
+
+    let expiresAt = null;
+    if (args[4]) {
+      const match = /^(\d+)([mhd])$/i.exec(args[4]);
+      if (!match) {
+        await this.bot.sendMessage("\u274C Expiry must look like 30m, 4h or 2d");
+        return;
+      }
+      expiresAt = Date.now() + parseInt(match[1]) * EXPIRY_UNITS[match[2].toLowerCase()];
+    }
+
+    const orders = [
+      { orderType: "BUY_STOP", price: buyPrice, config: { lotSize, expiresAt } },
+      { orderType: "SELL_STOP", price: sellPrice, config: { lotSize, expiresAt } },
+    ];
+    for (const o of orders) {
+      const error = this.tradeManager.validateOrder(o.orderType, pair, o.price, o.config);
+      if (error) {
+        await this.bot.sendMessage(`\u274C ${error}`);
+        return;
+      }
+    }
+
+    const placed = this.tradeManager.placeOco(pair, orders);
+    if (this.onStateChange) this.onStateChange();
+    for (const order of placed) {
+      await this.bot.sendOrderUpdate(order, "placed");
+    }
+  }
+
+  /**
+   * /bracket BUY|SELL PAIR LOT 50@1 50@2 — market entry split into legs
+   * that share the stop loss and take profit at 1R, 2R, ...
+   */
+  async openBracketTrade(args) {
+    const legs = parseLegs(args.slice(3));
+    const type = (args[0] || "").toUpperCase();
+    if (args.length < 5 || !legs || (type !== "BUY" && type !== "SELL")) {
+      await this.bot.sendMessage(
+        "Usage: /bracket [BUY|SELL] [PAIR] [LOTSIZE] [PERCENT@R ...]\nExample: /bracket BUY EURUSD 0.2 50@1 50@2"
+      );
+      return;
+    }
+
+    const pair = parsePair(args[1]);
+    const lotSize = parseFloat(args[2]);
+
+    const validation = this.validateTradeParams(pair, lotSize, this.tradeManager.balance);
+    if (!validation.valid) {
+      await this.bot.sendMessage(`\u274C ${validation.error}`);
+      return;
+    }
+    const legError = this.tradeManager.validateLegs(legs, lotSize);
+    if (legError) {
+      await this.bot.sendMessage(`\u274C ${legError}`);
+      return;
+    }
+
+    if (!isMarketOpen()) {
+      const marketStatus = getMarketStatus();
+      await this.bot.sendMessage(
+        `⏸️ <b>Markets Closed</b>\n\n` +
+        `Cannot execute trade: ${marketStatus.weekend ? "Weekend" : "Between sessions"}\n\n` +
+        `Next Open: ${marketStatus.nextEventTime.toUTCString()}`
+      );
+      return;
+    }
+
+    const currentPrice = this.pairPrices.get(pair)?.price || PAIRS[pair]?.price;
+    if (!currentPrice) {
+      await this.bot.sendMessage(`\u274C Cannot determine current price for ${pair}`);
+      return;
+    }
+
+    const positions = this.tradeManager.openBracket(type, pair, currentPrice, { lotSize, legs });
+    this.tradeManager.lastPrices.set(pair, currentPrice);
+    if (this.onStateChange) this.onStateChange();
+    for (const position of positions) {
+      await this.bot.sendTradeUpdate({ ...position, pair }, "opened");
+    }
+  }
+
   /**
    * Validate trade parameters before execution
    * @param {string} pair - Trading pair (e.g., "EUR/USD")
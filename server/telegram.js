@@ -3,14 +3,16 @@
 // Uses Node.js native https with IPv4 to avoid undici/fetch connectivity issues
 
 const https = require("https");
+const { REGIMES } = require("./regime");
+const { STRATEGIES } = require("./strategies");
 
 class TelegramBot {
   constructor(token, chatId) {
     this.token = token;
     this.chatId = chatId;
     this.baseUrl = `https://api.telegram.org/bot${token}`;
-    this.lastSignalTime = 0;
-    this.cooldownMs = 60000; // Min 1 minute between signal alerts
+    this.lastSignalTime = new Map(); // strategyId → time of last alert
+    this.cooldownMs = 60000; // Min 1 minute between signal alerts per strategy
     this.enabled = !!(token && chatId);
   }
 
@@ -131,8 +133,9 @@ class TelegramBot {
    * Send signal alert (BUY/SELL) with inline keyboard buttons
    */
   async sendSignalAlert(signal) {
-    if (Date.now() - this.lastSignalTime < this.cooldownMs) return;
-    this.lastSignalTime = Date.now();
+    const strategyKey = signal.strategyId || "confluence";
+    if (Date.now() - (this.lastSignalTime.get(strategyKey) || 0) < this.cooldownMs) return;
+    this.lastSignalTime.set(strategyKey, Date.now());
 
     const emoji = signal.type === "BUY" ? "\u{1F7E2}" : "\u{1F534}";
     const arrow = signal.type === "BUY" ? "\u2B06\uFE0F" : "\u2B07\uFE0F";
@@ -142,13 +145,20 @@ class TelegramBot {
       `${emoji} <b>NEXUS SIGNAL: ${signal.type}</b> ${arrow}`,
       ``,
       `<b>Pair:</b>    ${signal.pair}`,
+      ...(signal.strategy ? [`<b>Strategy:</b> ${signal.strategy}`] : []),
       `<b>Price:</b>   ${signal.price.toFixed(digits)}`,
       `<b>Confidence:</b> ${signal.confidence.toFixed(0)}%`,
       `<b>Time:</b>    ${signal.timestamp}`,
+      ...(signal.confirmed === false ? [`\u23F3 <i>Intrabar — candle still forming, may repaint</i>`] : []),
       ``,
       `<b>Confluence Reasons:</b>`,
       ...signal.reasons.map((r) => `  \u2713 ${r}`),
       ``,
+      ...(signal.patterns?.length ? [`<b>Pattern:</b> ${signal.patterns.join(", ")}`, ``] : []),
+      ...(signal.regime ? [`<b>Regime:</b> ${REGIMES[signal.regime].label}`, ``] : []),
+      ...(signal.timeframes?.length
+        ? [`<b>Timeframes:</b> ${signal.timeframes.map((f) => `${f.timeframe} ${f.aligned === null ? "\u2014" : f.aligned ? "\u2705" : "\u274C"}`).join("  ")}`, ``]
+        : []),
       `<b>Indicators:</b>`,
       `  RSI: ${signal.rsi?.toFixed(1) || "\u2014"}`,
       `  MACD: ${signal.macd?.toFixed(6) || "\u2014"}`,
@@ -186,6 +196,9 @@ class TelegramBot {
       closed_loss: "\u274C",
       sl_hit: "\u{1F6D1}",
       tp_hit: "\u{1F3AF}",
+      partial_close: "\u2702\uFE0F",
+      scaled_in: "\u2795",
+      modified: "\u270F\uFE0F",
     }[eventType] || "\u{1F4CA}";
 
     const digits = trade.digits || 4;
@@ -194,11 +207,20 @@ class TelegramBot {
       `${emoji} <b>TRADE ${eventType.toUpperCase().replace("_", " ")}</b>`,
       ``,
       `<b>${trade.type} ${trade.pair}</b>`,
+      trade.strategyId ? `Strategy: ${STRATEGIES[trade.strategyId]?.name || trade.strategyId}` : "",
+      trade.leg ? `Bracket #${trade.groupId} — leg ${trade.leg}/${trade.legCount} (TP ${trade.riskMultiple}R)` : "",
       `Entry: ${trade.entry.toFixed(digits)}`,
+      trade.partial ? `Closed ${trade.lotSize} lots of #${trade.parentId} (${trade.exitReason})` : "",
+      eventType === "scaled_in" ? `Size: ${trade.lotSize} lots from ${trade.entries.length} entries (average entry)` : "",
+      ...(eventType === "modified" ? this._modificationLines(trade, digits) : []),
       trade.exit ? `Exit:  ${trade.exit.toFixed(digits)}` : "",
       trade.pnl !== undefined
         ? `P&L:   ${trade.pnl >= 0 ? "+" : ""}$${trade.pnl.toFixed(2)} (${trade.pnlPct.toFixed(2)}%)`
         : "",
+      // A position closed after partial closes: P&L of all of it
+      trade.totalPnl !== undefined && trade.realizedPnl
+        ? `Total: ${trade.totalPnl >= 0 ? "+" : ""}$${trade.totalPnl.toFixed(2)} (incl. $${trade.realizedPnl.toFixed(2)} from partial closes)`
+        : "",
       trade.balanceAfter
         ? `Balance: $${trade.balanceAfter.toFixed(2)}`
         : "",
@@ -206,6 +228,91 @@ class TelegramBot {
       .filter(Boolean)
       .join("\n");
 
+    // Quick SL / TP adjustments for a freshly opened position
+    if (eventType === "opened" && trade.id) {
+      const reply_markup = {
+        inline_keyboard: [
+          [
+            { text: "\u{1F6E1} Move SL to BE", callback_data: `modify_be_${trade.id}` },
+            { text: "\u{1F3AF} +50 pips TP", callback_data: `modify_tp50_${trade.id}` },
+          ],
+        ],
+      };
+      await this.sendMessage(message, { reply_markup });
+      return;
+    }
+
+    await this.sendMessage(message);
+  }
+
+  /**
+   * SL / TP lines of a position's latest modification
+   */
+  _modificationLines(trade, digits) {
+    const last = trade.modifications?.[trade.modifications.length - 1];
+    if (!last) return [];
+    const change = (label, field) =>
+      last[field] ? `${label}: ${last[field].from.toFixed(digits)} \u2192 ${last[field].to.toFixed(digits)}` : "";
+    return [change("SL", "sl"), change("TP", "tp"), `Source: ${last.source}`];
+  }
+
+  /**
+   * Send a stop management update (trailing activated, break-even, profit lock)
+   */
+  async sendStopUpdate(position, eventType, detail = {}) {
+    const title = {
+      trailing: "\u{1F4C8} <b>TRAILING STOP ACTIVATED</b>",
+      breakeven: "\u{1F6E1} <b>BREAK-EVEN</b>",
+      profit_lock: "\u{1F512} <b>PROFIT LOCKED</b>",
+    }[eventType];
+
+    const digits = position.digits || 4;
+    const message = [
+      title,
+      ``,
+      `<b>${position.type} ${position.pair}</b> #${position.id}`,
+      `Entry: ${position.entry.toFixed(digits)}`,
+      detail.profitPips != null ? `Profit: +${detail.profitPips.toFixed(1)} pips` : "",
+      detail.step ? `Step: +${detail.step.triggerPips} pips locks +${detail.step.lockPips}` : "",
+      detail.sl != null ? `New SL: ${detail.sl.toFixed(digits)}` : `SL: ${position.sl.toFixed(digits)}`,
+      detail.closed ? `Closed half: ${detail.closed.lotSize} lots, ${detail.closed.pnl >= 0 ? "+" : ""}$${detail.closed.pnl.toFixed(2)}` : "",
+    ]
+      .filter(Boolean)
+      .join("\n");
+
+    await this.sendMessage(message);
+  }
+
+  /**
+   * Send a pending order update (placed, triggered, filled, expired, cancelled)
+   */
+  async sendOrderUpdate(order, eventType) {
+    const emoji = {
+      placed: "\u{1F4CC}",
+      triggered: "\u26A1",
+      filled: "\u2705",
+      expired: "\u231B",
+      cancelled: "\u274C",
+    }[eventType] || "\u{1F4CA}";
+
+    const digits = order.digits || 4;
+
+    const message = [
+      `${emoji} <b>ORDER ${eventType.toUpperCase()}</b>`,
+      ``,
+      `<b>${order.label} ${order.pair}</b>`,
+      `Price: ${order.price.toFixed(digits)}`,
+      order.limitPrice !== null ? `Limit: ${order.limitPrice.toFixed(digits)}` : "",
+      `Lot Size: ${order.lotSize}`,
+      order.legs ? `TP Legs: ${order.legs.map((l) => `${l.percent}% @ ${l.r}R`).join(", ")}` : "",
+      order.groupType === "OCO" ? `OCO #${order.groupId}` : "",
+      order.cancelReason ? `Reason: ${order.cancelReason}` : "",
+      order.expiresAt ? `Expires: ${new Date(order.expiresAt).toUTCString()}` : "",
+      `ID: <code>${order.id}</code>`,
+    ]
+      .filter(Boolean)
+      .join("\n");
+
     await this.sendMessage(message);
   }
 
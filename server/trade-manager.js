@@ -33,6 +33,96 @@ function priceToPips(pair, priceDistance) {
   return priceDistance / pipSize;
 }
 
+// Closest a modified SL / TP may be to the current price
+const MIN_STOP_DISTANCE_PIPS = 5;
+
+// Rule-based stop management, on top of the distance trailing stop.
+// Break-even moves the SL to entry + buffer once the position is
+// breakEvenPips in profit (and optionally closes half of it); each profit
+// lock step { triggerPips, lockPips } moves the SL to lock lockPips once
+// the profit reaches triggerPips. 0 / [] turns a rule off.
+const DEFAULT_STOP_RULES = {
+  breakEvenPips: 0,
+  breakEvenBufferPips: 0,
+  breakEvenCloseHalf: false,
+  lockSteps: [],
+};
+
+/**
+ * Stop rules from environment variables. PROFIT_LOCK_STEPS lists
+ * trigger:lock pairs in pips, e.g. "200:100,400:250".
+ */
+function stopRulesFromEnv(env = process.env) {
+  const { rules } = mergeStopRules(DEFAULT_STOP_RULES, {
+    breakEvenPips: env.BREAK_EVEN_PIPS || 0,
+    breakEvenBufferPips: env.BREAK_EVEN_BUFFER_PIPS || 0,
+    breakEvenCloseHalf: env.BREAK_EVEN_CLOSE_HALF === "true",
+    lockSteps: (env.PROFIT_LOCK_STEPS || "")
+      .split(",")
+      .filter((step) => step.includes(":"))
+      .map((step) => {
+        const [triggerPips, lockPips] = step.split(":");
+        return { triggerPips, lockPips };
+      }),
+  });
+  return rules;
+}
+
+/**
+ * Apply a (partial) stop rules update on top of `base`
+ * @returns {Object} { rules, error } — error is null when valid; invalid
+ *   updates leave `rules` at the last valid value
+ */
+function mergeStopRules(base, updates = {}) {
+  const rules = { ...DEFAULT_STOP_RULES, ...base };
+  for (const key of ["breakEvenPips", "breakEvenBufferPips"]) {
+    if (updates[key] === undefined) continue;
+    const value = Number(updates[key]);
+    if (!Number.isFinite(value) || value < 0 || value > 3000) {
+      return { rules: base, error: `${key} must be a number between 0 and 3000` };
+    }
+    rules[key] = value;
+  }
+  if (rules.breakEvenPips > 0 && rules.breakEvenBufferPips >= rules.breakEvenPips) {
+    return { rules: base, error: "Break-even buffer must be smaller than the break-even trigger" };
+  }
+  if (updates.breakEvenCloseHalf !== undefined) rules.breakEvenCloseHalf = updates.breakEvenCloseHalf === true;
+  if (updates.lockSteps !== undefined) {
+    if (!Array.isArray(updates.lockSteps)) {
+      return { rules: base, error: "lockSteps must be a list of { triggerPips, lockPips }" };
+    }
+    if (updates.lockSteps.length > 5) return { rules: base, error: "Profit lock takes up to five steps" };
+    const steps = updates.lockSteps
+      .map((step) => ({ triggerPips: Number(step?.triggerPips), lockPips: Number(step?.lockPips) }))
+      .sort((a, b) => a.triggerPips - b.triggerPips);
+    for (const step of steps) {
+      if (!(step.lockPips > 0) || !(step.triggerPips > step.lockPips) || step.triggerPips > 10000) {
+        return { rules: base, error: "Each profit lock step needs a trigger above its locked pips (both above 0)" };
+      }
+    }
+    rules.lockSteps = steps;
+  }
+  return { rules, error: null };
+}
+
+// Pending entry orders. Limits enter at a better price than the market
+// (pullback), stops at a worse one (breakout); `triggers` tells whether a
+// price reaches the order level and `placed` where the level sits relative
+// to the market. A stop-limit turns into the `limit` order
+// type at its limit price once the stop price trades.
+const ORDER_TYPES = {
+  BUY_LIMIT: { side: "BUY", label: "Buy Limit", placed: "below", triggers: (price, level) => price <= level },
+  SELL_LIMIT: { side: "SELL", label: "Sell Limit", placed: "above", triggers: (price, level) => price >= level },
+  BUY_STOP: { side: "BUY", label: "Buy Stop", placed: "above", triggers: (price, level) => price >= level },
+  SELL_STOP: { side: "SELL", label: "Sell Stop", placed: "below", triggers: (price, level) => price <= level },
+  BUY_STOP_LIMIT: {
+    side: "BUY", label: "Buy Stop Limit", placed: "above", triggers: (price, level) => price >= level, limit: "BUY_LIMIT",
+  },
+  SELL_STOP_LIMIT: {
+    side: "SELL", label: "Sell Stop Limit", placed: "below", triggers: (price, level) => price <= level, limit: "SELL_LIMIT",
+  },
+};
+
 class TradeManager {
   constructor(startingBalance = 10000) {
     this.startingBalance = startingBalance;
@@ -40,7 +130,13 @@ class TradeManager {
     this.openPositions = [];
     this.tradeLog = [];
     this.nextId = 1;
+    this.pendingOrders = [];
+    this.nextOrderId = 1;
+    this.nextGroupId = 1; // Linked orders / positions: OCO pairs and brackets
     this.lastPrices = new Map(); // pair -> latest known price
+    this.onOrderEvent = null; // callback set by server: (event, order, positions)
+    this.defaultStopRules = { ...DEFAULT_STOP_RULES }; // set by server from tradingParams
+    this.onStopEvent = null; // callback set by server: (event, position, detail)
   }
 
   /**
@@ -82,12 +178,415 @@ class TradeManager {
       trailingActive: false,
       highestPrice: price, // For BUY positions
       lowestPrice: price,  // For SELL positions
+      strategyId: config.strategyId || null, // Strategy that opened it (null = manual)
+      signalTime: config.signalTime || null, // Candle time of that signal
+      features: config.features || null, // Signal model features at entry
+      orderId: config.orderId || null, // Pending order it filled from
+      groupId: config.groupId || null, // Shared by the legs of an OCO pair / bracket
+      groupType: config.groupType || null, // "OCO" | "BRACKET"
+      leg: config.leg || null, // Bracket leg number (1-based) ...
+      legCount: config.legCount || null, // ... of this many
+      riskMultiple: config.riskMultiple || null, // Bracket leg TP in R (stop distances)
+      totalLots: lotSize, // Lots entered in total, scale-ins included
+      entries: [{ price, lots: lotSize, time: Date.now() }],
+      tpLevels: [], // Partial take profits: [{ price, percent (of totalLots), hit }]
+      realizedPnl: 0, // P&L of partial closes so far
+      modifications: [], // SL / TP changes: [{ time, source, sl: { from, to }, tp: { from, to } }]
+      stopRules: config.stopRules || { ...this.defaultStopRules },
+      breakEvenActive: false,
+      lockStep: -1, // Index of the last profit lock step applied
     };
 
     this.openPositions.push(position);
     return position;
   }
 
+  /**
+   * Lots rounded to the 0.01 lot step
+   */
+  _roundLots(lots) {
+    return Math.round(lots * 100) / 100;
+  }
+
+  /**
+   * Check a partial close of `lots` (which must leave at least 0.01 open;
+   * closing the full size is a normal close)
+   * @returns {string|null} Error message
+   */
+  validatePartialClose(positionId, lots) {
+    const pos = this.openPositions.find((p) => p.id === positionId);
+    if (!pos) return `Position #${positionId} not found`;
+    if (!(lots >= 0.01)) return "Partial close needs at least 0.01 lots";
+    if (this._roundLots(lots) > this._roundLots(pos.lotSize - 0.01)) {
+      return `Position #${positionId} has ${pos.lotSize} lots — a partial close must leave at least 0.01 open`;
+    }
+    return null;
+  }
+
+  /**
+   * Close part of a position (validate with validatePartialClose first).
+   * The closed part is logged with its realized P&L and `parentId`.
+   * @returns {Object} The partial trade record
+   */
+  closePartial(positionId, price, lots, exitReason = "Partial Close") {
+    const pos = this.openPositions.find((p) => p.id === positionId);
+    return this._closePosition(pos, price, exitReason, this._roundLots(lots));
+  }
+
+  /**
+   * Check adding `lots` to a position (size stays within 1 lot)
+   * @returns {string|null} Error message
+   */
+  validateScaleIn(positionId, lots) {
+    const pos = this.openPositions.find((p) => p.id === positionId);
+    if (!pos) return `Position #${positionId} not found`;
+    if (!(lots >= 0.01)) return "Scale-in needs at least 0.01 lots";
+    if (this._roundLots(pos.lotSize + lots) > 1) {
+      return `Position #${positionId} has ${pos.lotSize} lots — scaling in by ${lots} would exceed 1.0`;
+    }
+    return null;
+  }
+
+  /**
+   * Add to a position at `price` (validate with validateScaleIn first).
+   * The entry becomes the volume-weighted average; SL and TP stay.
+   * @returns {Object} The position
+   */
+  scaleIn(positionId, price, lots) {
+    const pos = this.openPositions.find((p) => p.id === positionId);
+    const added = this._roundLots(lots);
+    const size = this._roundLots(pos.lotSize + added);
+    pos.entry = (pos.entry * pos.lotSize + price * added) / size;
+    pos.lotSize = size;
+    pos.totalLots = this._roundLots(pos.totalLots + added);
+    pos.entries.push({ price, lots: added, time: Date.now() });
+    return pos;
+  }
+
+  /**
+   * Check new SL / TP prices for a position: each on its side of the
+   * current price and at least MIN_STOP_DISTANCE_PIPS away, the TP beyond
+   * any partial take-profit levels still open
+   * @param {Object} changes - { sl, tp } (either may be left out)
+   * @returns {string|null} Error message
+   */
+  validateModify(positionId, changes = {}) {
+    const pos = this.openPositions.find((p) => p.id === positionId);
+    if (!pos) return `Position #${positionId} not found`;
+    const { sl, tp } = changes;
+    if (sl === undefined && tp === undefined) return "Nothing to modify — give a new SL and/or TP";
+
+    const price = pos.currentPrice;
+    const minDistance = pipsToPrice(pos.pair, MIN_STOP_DISTANCE_PIPS);
+    const below = pos.type === "BUY";
+    const fmt = (value) => value.toFixed(pos.digits);
+    if (sl !== undefined) {
+      if (!Number.isFinite(sl)) return "Stop loss must be a price";
+      if (below ? sl > price - minDistance : sl < price + minDistance) {
+        return `Stop loss must be at least ${MIN_STOP_DISTANCE_PIPS} pips ${below ? "below" : "above"} the current price ${fmt(price)}`;
+      }
+    }
+    if (tp !== undefined) {
+      if (!Number.isFinite(tp)) return "Take profit must be a price";
+      if (below ? tp < price + minDistance : tp > price - minDistance) {
+        return `Take profit must be at least ${MIN_STOP_DISTANCE_PIPS} pips ${below ? "above" : "below"} the current price ${fmt(price)}`;
+      }
+      const level = (pos.tpLevels || []).find((l) => !l.hit && (below ? l.price >= tp : l.price <= tp));
+      if (level) return `Take profit must stay beyond the partial take-profit level ${fmt(level.price)}`;
+    }
+    return null;
+  }
+
+  /**
+   * Change the SL / TP of a position (validate with validateModify first)
+   * and add the change to its audit history
+   * @param {Object} changes - { sl, tp }
+   * @param {string} source - Where the change came from ("api", "ui", "telegram", ...)
+   * @returns {Object} The position
+   */
+  modifyPosition(positionId, changes, source = "api") {
+    const pos = this.openPositions.find((p) => p.id === positionId);
+    const record = { time: Date.now(), source, price: pos.currentPrice };
+    for (const field of ["sl", "tp"]) {
+      if (changes[field] === undefined) continue;
+      record[field] = { from: pos[field], to: changes[field] };
+      pos[field] = changes[field];
+    }
+    if (!pos.modifications) pos.modifications = [];
+    pos.modifications.push(record);
+    return pos;
+  }
+
+  /**
+   * Check partial take-profit levels: up to three { price, percent }
+   * between the current price and the final TP, closing at most 100%
+   * @returns {string|null} Error message
+   */
+  validateTpLevels(positionId, levels) {
+    const pos = this.openPositions.find((p) => p.id === positionId);
+    if (!pos) return `Position #${positionId} not found`;
+    if (!Array.isArray(levels) || levels.length > 3) return "Set up to three take-profit levels";
+    for (const level of levels) {
+      if (!Number.isFinite(level.price) || !(level.percent > 0)) {
+        return "Each take-profit level needs a price and a percent above 0";
+      }
+      const beyond = pos.type === "BUY" ? level.price > pos.currentPrice : level.price < pos.currentPrice;
+      if (!beyond) {
+        return `Take-profit level ${level.price} must be ${pos.type === "BUY" ? "above" : "below"} the current price`;
+      }
+      const beforeTp = pos.type === "BUY" ? level.price < pos.tp : level.price > pos.tp;
+      if (!beforeTp) {
+        return `Take-profit level ${level.price} must be before the final take profit ${pos.tp.toFixed(pos.digits)}`;
+      }
+      if (this._roundLots((pos.totalLots * level.percent) / 100) < 0.01) {
+        return `${level.percent}% of ${pos.totalLots} lots is below the 0.01 minimum`;
+      }
+    }
+    const total = levels.reduce((sum, level) => sum + level.percent, 0);
+    if (total > 100) return `Take-profit levels close ${total}% — at most 100%`;
+    return null;
+  }
+
+  /**
+   * Replace the partial take-profit levels of a position (validate with
+   * validateTpLevels first). Each level closes `percent` of the lots
+   * entered; the main TP still closes whatever is left.
+   * @returns {Object} The position
+   */
+  setTpLevels(positionId, levels) {
+    const pos = this.openPositions.find((p) => p.id === positionId);
+    pos.tpLevels = levels
+      .map((level) => ({ price: level.price, percent: level.percent, hit: false }))
+      .sort((a, b) => (pos.type === "BUY" ? a.price - b.price : b.price - a.price));
+    return pos;
+  }
+
+  /**
+   * Check bracket take-profit legs: [{ percent, r }] closes `percent` of
+   * the lot size at r × the stop-loss distance (1R, 2R, ...)
+   * @returns {string|null} Error message
+   */
+  validateLegs(legs, lotSize = 0.1) {
+    if (!Array.isArray(legs) || legs.length < 2) return "A bracket needs at least two take-profit legs";
+    if (legs.length > 5) return "A bracket can have at most five take-profit legs";
+    for (const leg of legs) {
+      if (!(leg.percent > 0) || !(leg.r > 0) || leg.r > 20) {
+        return "Each leg needs a percent above 0 and an R multiple between 0 and 20";
+      }
+      if (Math.round(lotSize * leg.percent) / 100 < 0.01) {
+        return `${leg.percent}% of ${lotSize} lots is below the 0.01 minimum`;
+      }
+    }
+    const total = legs.reduce((sum, leg) => sum + leg.percent, 0);
+    if (Math.abs(total - 100) > 0.001) return `Leg percentages must add up to 100 (got ${total})`;
+    return null;
+  }
+
+  /**
+   * Open a bracket: one position per take-profit leg, sharing entry, stop
+   * loss and group id (validate with validateLegs first)
+   * @param {Object} config - openTrade() config plus legs: [{ percent, r }]
+   * @returns {Array} The leg positions
+   */
+  openBracket(type, pair, price, config = {}) {
+    const { legs, ...rest } = config;
+    const lotSize = config.lotSize || 0.1;
+    const slPips = config.stopLossPips || 150;
+    const groupId = config.groupId || this.nextGroupId++;
+    let remaining = lotSize;
+
+    return legs.map((leg, i) => {
+      // The last leg takes the rounding remainder
+      const legLots = i === legs.length - 1
+        ? Math.round(remaining * 100) / 100
+        : Math.round(lotSize * leg.percent) / 100;
+      remaining -= legLots;
+      return this.openTrade(type, pair, price, {
+        ...rest,
+        lotSize: legLots,
+        takeProfitPips: slPips * leg.r,
+        groupId,
+        groupType: "BRACKET",
+        leg: i + 1,
+        legCount: legs.length,
+        riskMultiple: leg.r,
+      });
+    });
+  }
+
+  /**
+   * Check a pending order before placing it
+   * @param {string} orderType - Key of ORDER_TYPES
+   * @param {string} pair
+   * @param {number} price - Entry (limit / stop) price; the stop price of a stop-limit
+   * @param {Object} config - { lotSize, limitPrice, expiresAt, legs }
+   * @returns {string|null} Error message
+   */
+  validateOrder(orderType, pair, price, config = {}) {
+    const spec = ORDER_TYPES[orderType];
+    if (!spec) return `Unknown order type: ${orderType}. Use ${Object.keys(ORDER_TYPES).join(", ")}`;
+    if (!PAIRS[pair]) return `Unknown pair: ${pair}`;
+    if (!(price > 0)) return "Order price must be a positive number";
+    if (config.lotSize !== undefined && !(config.lotSize >= 0.01 && config.lotSize <= 1)) {
+      return "Lot size must be between 0.01 and 1.0";
+    }
+    if (config.expiresAt != null && !(config.expiresAt > Date.now())) {
+      return "Expiry must be in the future";
+    }
+    if (config.legs) {
+      const legError = this.validateLegs(config.legs, config.lotSize);
+      if (legError) return legError;
+    }
+
+    const digits = getDigits(pair);
+    if (spec.limit) {
+      const { limitPrice } = config;
+      if (!(limitPrice > 0)) return `${spec.label} needs a limit price`;
+      // The limit order must not fill the moment the stop triggers
+      if (ORDER_TYPES[spec.limit].triggers(price, limitPrice) && limitPrice !== price) {
+        return `${spec.label}: limit price must be ${spec.side === "BUY" ? "at or below" : "at or above"} the stop price`;
+      }
+    }
+
+    // An order the current price already reaches would fill at once
+    const current = this.lastPrices.get(pair);
+    if (current !== undefined && spec.triggers(current, price)) {
+      return `${spec.label} price must be ${spec.placed} the current price ${current.toFixed(digits)}`;
+    }
+    return null;
+  }
+
+  /**
+   * Place a pending entry order (validate with validateOrder first)
+   * @param {Object} config - openTrade() config plus { limitPrice, expiresAt,
+   *   legs (fill as a bracket), groupId / groupType (OCO) }
+   */
+  placeOrder(orderType, pair, price, config = {}) {
+    const spec = ORDER_TYPES[orderType];
+    const order = {
+      id: this.nextOrderId++,
+      orderType,
+      label: spec.label,
+      type: spec.side,
+      pair,
+      price,
+      limitPrice: spec.limit ? config.limitPrice : null,
+      stopTriggered: false, // Stop-limit: stop price reached, now a limit order
+      lotSize: config.lotSize || 0.1,
+      stopLossPips: config.stopLossPips || null,
+      takeProfitPips: config.takeProfitPips || null,
+      trailingStopDistance: config.trailingStopDistance || null,
+      trailingStopActivation: config.trailingStopActivation || null,
+      strategyId: config.strategyId || null,
+      createdAt: Date.now(),
+      expiresAt: config.expiresAt || null,
+      legs: config.legs || null,
+      groupId: config.groupId || null,
+      groupType: config.groupType || null,
+      digits: getDigits(pair),
+    };
+    this.pendingOrders.push(order);
+    return order;
+  }
+
+  /**
+   * One-cancels-other: place pending orders that share a group; the first
+   * to fill cancels the rest (validate each with validateOrder first)
+   * @param {Array} orders - [{ orderType, price, config }]
+   * @returns {Array} The placed orders
+   */
+  placeOco(pair, orders) {
+    const groupId = this.nextGroupId++;
+    return orders.map(({ orderType, price, config }) =>
+      this.placeOrder(orderType, pair, price, { ...config, groupId, groupType: "OCO" })
+    );
+  }
+
+  /**
+   * Cancel a pending order by ID. The other orders of its OCO group go with
+   * it (reported through onOrderEvent).
+   * @returns {Object|null} The cancelled order
+   */
+  cancelOrder(orderId) {
+    const idx = this.pendingOrders.findIndex((o) => o.id === orderId);
+    if (idx === -1) return null;
+    const [order] = this.pendingOrders.splice(idx, 1);
+    this._cancelGroup(order, `OCO: #${order.id} cancelled`);
+    return order;
+  }
+
+  /**
+   * Cancel the pending OCO siblings of an order
+   */
+  _cancelGroup(order, reason) {
+    if (order.groupType !== "OCO") return;
+    const siblings = this.pendingOrders.filter((o) => o.groupId === order.groupId);
+    this.pendingOrders = this.pendingOrders.filter((o) => o.groupId !== order.groupId);
+    for (const sibling of siblings) {
+      sibling.cancelReason = reason;
+      if (this.onOrderEvent) this.onOrderEvent("cancelled", sibling);
+    }
+  }
+
+  /**
+   * Expire pending orders and trigger those of `pair` at `price`.
+   * Filled orders open a position (a bracket when they have legs) at the
+   * tick price and cancel their OCO siblings.
+   * @returns {Array} Positions opened by this tick
+   */
+  _processOrders(pair, price, now = Date.now()) {
+    const opened = [];
+    const emit = (event, order, positions) => {
+      if (this.onOrderEvent) this.onOrderEvent(event, order, positions);
+    };
+
+    for (const order of [...this.pendingOrders]) {
+      // Already cancelled by an OCO sibling that filled on this tick
+      if (!this.pendingOrders.includes(order)) continue;
+      const remove = () => {
+        this.pendingOrders = this.pendingOrders.filter((o) => o !== order);
+      };
+
+      if (order.expiresAt && now >= order.expiresAt) {
+        remove();
+        emit("expired", order);
+        continue;
+      }
+      if (order.pair !== pair) continue;
+
+      const spec = ORDER_TYPES[order.orderType];
+      if (spec.limit && !order.stopTriggered) {
+        if (!spec.triggers(price, order.price)) continue;
+        order.stopTriggered = true;
+        emit("triggered", order);
+      }
+      const level = spec.limit ? order.limitPrice : order.price;
+      const fills = (spec.limit ? ORDER_TYPES[spec.limit] : spec).triggers(price, level);
+      if (!fills) continue;
+
+      const config = {
+        lotSize: order.lotSize,
+        stopLossPips: order.stopLossPips,
+        takeProfitPips: order.takeProfitPips,
+        trailingStopDistance: order.trailingStopDistance,
+        trailingStopActivation: order.trailingStopActivation,
+        strategyId: order.strategyId,
+        orderId: order.id,
+        groupId: order.groupId,
+        groupType: order.groupType,
+      };
+      const positions = order.legs
+        ? this.openBracket(order.type, order.pair, price, { ...config, legs: order.legs })
+        : [this.openTrade(order.type, order.pair, price, config)];
+      remove();
+      opened.push(...positions);
+      emit("filled", order, positions);
+      this._cancelGroup(order, `OCO: #${order.id} filled`);
+    }
+
+    return opened;
+  }
+
   /**
    * Update all open positions with current price and check SL/TP
    * @returns {Array} Closed trades from this tick
@@ -96,6 +595,9 @@ class TradeManager {
     // Store latest price for this pair
     this.lastPrices.set(pair, currentPrice);
 
+    // Pending orders first, so a fill is managed from this tick on
+    this._processOrders(pair, currentPrice);
+
     const closedThisTick = [];
 
     this.openPositions = this.openPositions.filter((pos) => {
@@ -139,7 +641,7 @@ class TradeManager {
           const profitDistance = pos.highestPrice - pos.entry;
           if (!pos.trailingActive && profitDistance >= activationDistance) {
             pos.trailingActive = true;
-            console.log(`✅ Trailing stop activated for BUY ${pos.pair} #${pos.id} at ${pos.highestPrice.toFixed(pos.digits)}`);
+            this._emitStop("trailing", pos, { price: pos.highestPrice });
           }
 
           // If active, update SL to follow price
@@ -159,7 +661,7 @@ class TradeManager {
           const profitDistance = pos.entry - pos.lowestPrice;
           if (!pos.trailingActive && profitDistance >= activationDistance) {
             pos.trailingActive = true;
-            console.log(`✅ Trailing stop activated for SELL ${pos.pair} #${pos.id} at ${pos.lowestPrice.toFixed(pos.digits)}`);
+            this._emitStop("trailing", pos, { price: pos.lowestPrice });
           }
 
           // If active, update SL to follow price
@@ -175,6 +677,10 @@ class TradeManager {
       // Only check SL/TP for positions matching the incoming tick's pair
       if (pos.pair !== pair) return true;
 
+      // Break-even / profit lock (may close half the position)
+      const ruleClose = this._applyStopRules(pos, currentPrice);
+      if (ruleClose) closedThisTick.push(ruleClose);
+
       // Check Stop Loss
       if (pos.type === "BUY" && currentPrice <= pos.sl) {
         closedThisTick.push(this._closePosition(pos, currentPrice, "Stop Loss"));
@@ -185,6 +691,20 @@ class TradeManager {
         return false;
       }
 
+      // Partial take-profit levels, nearest first
+      for (const [i, level] of (pos.tpLevels || []).entries()) {
+        if (level.hit) continue;
+        const reached = pos.type === "BUY" ? currentPrice >= level.price : currentPrice <= level.price;
+        if (!reached) break;
+        level.hit = true;
+        const lots = Math.min(this._roundLots((pos.totalLots * level.percent) / 100), pos.lotSize);
+        if (lots >= this._roundLots(pos.lotSize)) {
+          closedThisTick.push(this._closePosition(pos, currentPrice, `TP${i + 1}`));
+          return false;
+        }
+        closedThisTick.push(this._closePosition(pos, currentPrice, `TP${i + 1}`, lots));
+      }
+
       // Check Take Profit
       if (pos.type === "BUY" && currentPrice >= pos.tp) {
         closedThisTick.push(this._closePosition(pos, currentPrice, "Take Profit"));
@@ -201,6 +721,61 @@ class TradeManager {
     return closedThisTick;
   }
 
+  /**
+   * Replace the stop rules of an open position (validate the update with
+   * mergeStopRules first). Rules that already fired stay applied.
+   * @returns {Object} The position
+   */
+  setStopRules(positionId, rules) {
+    const pos = this.openPositions.find((p) => p.id === positionId);
+    pos.stopRules = rules;
+    return pos;
+  }
+
+  _emitStop(event, position, detail = {}) {
+    if (this.onStopEvent) this.onStopEvent(event, position, detail);
+  }
+
+  /**
+   * Internal: run the break-even and profit lock rules of a position at
+   * `price`. SL moves are recorded in its modification history.
+   * @returns {Object|null} Trade record of a break-even half close
+   */
+  _applyStopRules(pos, price) {
+    const rules = pos.stopRules;
+    if (!rules) return null;
+    const side = pos.type === "BUY" ? 1 : -1;
+    const profitPips = priceToPips(pos.pair, side * (price - pos.entry));
+    // Only ever tighten: a rule never moves the SL away from the price
+    const tighten = (pips, source) => {
+      const sl = pos.entry + side * pipsToPrice(pos.pair, pips);
+      if (side * (sl - pos.sl) <= 0) return null;
+      this.modifyPosition(pos.id, { sl }, source);
+      return sl;
+    };
+
+    let closed = null;
+    if (rules.breakEvenPips > 0 && !pos.breakEvenActive && profitPips >= rules.breakEvenPips) {
+      pos.breakEvenActive = true;
+      const sl = tighten(rules.breakEvenBufferPips, "break-even");
+      const half = this._roundLots(pos.lotSize / 2);
+      if (rules.breakEvenCloseHalf && half >= 0.01 && this._roundLots(pos.lotSize - half) >= 0.01) {
+        closed = this._closePosition(pos, price, "Break-even 50%", half);
+      }
+      this._emitStop("breakeven", pos, { sl, profitPips, closed });
+    }
+
+    const steps = rules.lockSteps || [];
+    let step = pos.lockStep ?? -1;
+    while (step + 1 < steps.length && profitPips >= steps[step + 1].triggerPips) step++;
+    if (step > (pos.lockStep ?? -1)) {
+      pos.lockStep = step;
+      const sl = tighten(steps[step].lockPips, "profit-lock");
+      if (sl !== null) this._emitStop("profit_lock", pos, { sl, profitPips, step: steps[step] });
+    }
+    return closed;
+  }
+
   /**
    * Manually close a position by ID
    */
@@ -215,23 +790,37 @@ class TradeManager {
   }
 
   /**
-   * Internal: close a position and record to trade log
+   * Internal: close a position (or `lots` of it) and record to trade log.
+   * A partial close gets its own record ID and `parentId`; the position
+   * stays open with the remaining lots. The final record carries the P&L
+   * of the partial closes before it in `realizedPnl`, and the P&L of the
+   * whole position in `totalPnl`.
    */
-  _closePosition(pos, exitPrice, exitReason) {
+  _closePosition(pos, exitPrice, exitReason, lots = pos.lotSize) {
     let pnl, pnlPct;
     const contractSize = getContractSize(pos.pair);
     if (pos.type === "BUY") {
-      pnl = (exitPrice - pos.entry) * pos.lotSize * contractSize;
+      pnl = (exitPrice - pos.entry) * lots * contractSize;
       pnlPct = ((exitPrice - pos.entry) / pos.entry) * 100;
     } else {
-      pnl = (pos.entry - exitPrice) * pos.lotSize * contractSize;
+      pnl = (pos.entry - exitPrice) * lots * contractSize;
       pnlPct = ((pos.entry - exitPrice) / pos.entry) * 100;
     }
 
     this.balance += pnl;
 
+    const partial = lots < pos.lotSize;
+    if (partial) {
+      pos.lotSize = this._roundLots(pos.lotSize - lots);
+      pos.realizedPnl = (pos.realizedPnl || 0) + pnl;
+    }
+
     const closedTrade = {
       ...pos,
+      ...(partial
+        ? { id: this.nextId++, parentId: pos.id, partial: true }
+        : { totalPnl: (pos.realizedPnl || 0) + pnl }),
+      lotSize: lots,
       exit: exitPrice,
       exitTime: Date.now(),
       exitTimestamp: new Date().toLocaleTimeString([], {
@@ -253,27 +842,36 @@ class TradeManager {
    * Get performance stats
    */
   getStats() {
-    const wins = this.tradeLog.filter((t) => t.result === "WIN");
-    const losses = this.tradeLog.filter((t) => t.result === "LOSS");
+    // A trade is a closed position: its final record, with the P&L of its
+    // partial closes added in. Partials of open positions only count
+    // towards total P&L.
+    const trades = this.tradeLog
+      .filter((t) => !t.partial)
+      .map((t) => {
+        const pnl = t.pnl + (t.realizedPnl || 0);
+        return { ...t, pnl, result: pnl >= 0 ? "WIN" : "LOSS" };
+      });
+    const wins = trades.filter((t) => t.result === "WIN");
+    const losses = trades.filter((t) => t.result === "LOSS");
     const totalPnl = this.tradeLog.reduce((sum, t) => sum + t.pnl, 0);
 
     return {
-      totalTrades: this.tradeLog.length,
+      totalTrades: trades.length,
       wins: wins.length,
       losses: losses.length,
       winRate:
-        this.tradeLog.length > 0
-          ? (wins.length / this.tradeLog.length) * 100
+        trades.length > 0
+          ? (wins.length / trades.length) * 100
           : 0,
       totalPnl,
       netPnl: totalPnl,
       bestTrade:
-        this.tradeLog.length > 0
-          ? Math.max(...this.tradeLog.map((t) => t.pnl))
+        trades.length > 0
+          ? Math.max(...trades.map((t) => t.pnl))
           : 0,
       worstTrade:
-        this.tradeLog.length > 0
-          ? Math.min(...this.tradeLog.map((t) => t.pnl))
+        trades.length > 0
+          ? Math.min(...trades.map((t) => t.pnl))
           : 0,
       avgWin:
         wins.length > 0
@@ -309,6 +907,7 @@ class TradeManager {
       ``,
       `Balance: $${this.balance.toFixed(2)}`,
       `Open Positions: ${this.openPositions.length}`,
+      `Pending Orders: ${this.pendingOrders.length}`,
       `Total Trades: ${stats.totalTrades}`,
       `Win Rate: ${stats.winRate.toFixed(1)}%`,
       `Net P&L: ${stats.totalPnl >= 0 ? "+" : ""}$${stats.totalPnl.toFixed(2)}`,
@@ -334,6 +933,30 @@ class TradeManager {
     return [`<b>OPEN POSITIONS</b>`, ``, ...lines].join("\n");
   }
 
+  /**
+   * Get pending orders report for Telegram
+   */
+  getPendingOrdersReport() {
+    if (this.pendingOrders.length === 0) {
+      return "No pending orders.";
+    }
+    const lines = this.pendingOrders.map((o) => [
+      `<b>${o.label} ${o.pair}</b> @ ${o.price.toFixed(o.digits)}` +
+        (o.limitPrice !== null ? ` → limit ${o.limitPrice.toFixed(o.digits)}${o.stopTriggered ? " (stop hit)" : ""}` : ""),
+      `Lot: ${o.lotSize} | ID: <code>${o.id}</code>` +
+        (o.groupType === "OCO" ? ` | OCO #${o.groupId}` : "") +
+        (o.legs ? ` | TP legs: ${o.legs.map((l) => `${l.percent}%@${l.r}R`).join(", ")}` : "") +
+        (o.expiresAt ? ` | Expires: ${new Date(o.expiresAt).toUTCString()}` : ""),
+      ``,
+    ].join("\n"));
+    return [
+      `<b>PENDING ORDERS</b>`,
+      ``,
+      ...lines,
+      `<i>Use /cancel [ID] to cancel an order (cancels its whole OCO group)</i>`,
+    ].join("\n");
+  }
+
   /**
    * Get performance report for Telegram
    */
@@ -379,4 +1002,16 @@ class TradeManager {
   }
 }
 
-module.exports = { TradeManager, PAIRS, getDigits, getContractSize, pipsToPrice, priceToPips };
+module.exports = {
+  TradeManager,
+  PAIRS,
+  ORDER_TYPES,
+  MIN_STOP_DISTANCE_PIPS,
+  DEFAULT_STOP_RULES,
+  stopRulesFromEnv,
+  mergeStopRules,
+  getDigits,
+  getContractSize,
+  pipsToPrice,
+  priceToPips,
+};